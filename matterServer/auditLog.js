@@ -0,0 +1,162 @@
+// 감사 기록 모듈 (누가 / 언제 / 어떤 작업을 / 어떤 nodeId에 했는지)
+// 상태를 변경하는 요청과 인증 / 권한 거부를 JSON Lines 파일에 추가 기록
+// 로그와 같은 정책으로 순환 / 보존 (날짜 변경 / 크기 초과 시 '<파일>.<날짜>.<번호>'로 이동, 보존 기간 / 전체 용량 초과분 삭제)
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { parseLogFile } = require('./logger');
+
+const toDate = (time) => new Date(time).toISOString().split('T')[0];
+
+const createAuditLog = ({
+    filePath,
+    maxFileSize = 10 * 1024 * 1024,
+    retentionDays = 14,
+    maxTotalSize = 200 * 1024 * 1024,
+    logToFile
+}) => {
+    const dirPath = path.dirname(filePath);
+    const baseName = path.basename(filePath);
+    let writing = Promise.resolve();
+    let current = null;  // { date, size }
+
+    fs.mkdirSync(dirPath, { recursive: true });
+
+    // 순환된 기록 파일 목록 (오래된 순서)
+    const listRotatedFiles = () => fs.readdirSync(dirPath)
+        .map((name) => {
+            const match = name.startsWith(`${baseName}.`) && name.slice(baseName.length + 1).match(/^(\d{4}-\d{2}-\d{2})\.(\d+)$/);
+            return match ? { name, date: match[1], part: Number(match[2]) } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.date.localeCompare(b.date) || a.part - b.part);
+
+    // 현재 파일 상태 (마지막 수정 날짜 / 크기)
+    const openCurrent = () => {
+        try {
+            const stat = fs.statSync(filePath);
+            current = { date: toDate(stat.mtimeMs), size: stat.size };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            current = { date: toDate(Date.now()), size: 0 };
+        }
+    };
+
+    // 보존 기간이 지난 파일과 전체 용량 초과분(오래된 파일부터) 삭제 (현재 파일은 유지)
+    const cleanup = () => {
+        const files = listRotatedFiles().map(file => ({ ...file, size: fs.statSync(path.join(dirPath, file.name)).size }));
+        const oldestDate = toDate(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+        let totalSize = files.reduce((sum, file) => sum + file.size, current.size);
+        const removed = [];
+
+        files.forEach((file) => {
+            if (file.date < oldestDate || totalSize > maxTotalSize) {
+                fs.rmSync(path.join(dirPath, file.name), { force: true });
+                totalSize -= file.size;
+                removed.push(file.name);
+            }
+        });
+        if (removed.length > 0) {
+            logToFile('AUDIT', `보존 정책에 따라 감사 기록 파일 ${removed.length}개 삭제: ${removed.join(', ')}`);
+        }
+    };
+
+    // 날짜 변경 / 크기 초과 시 현재 파일을 순환 파일로 이동
+    const rotate = (date, bytes) => {
+        if (!current) {
+            openCurrent();
+        }
+        if (current.size === 0 || (current.date === date && current.size + bytes <= maxFileSize)) {
+            current.date = date;
+            return;
+        }
+        const part = (listRotatedFiles().filter(file => file.date === current.date).at(-1)?.part ?? 0) + 1;
+        fs.renameSync(filePath, path.join(dirPath, `${baseName}.${current.date}.${part}`));
+        current = { date, size: 0 };
+        cleanup();
+    };
+
+    // 기록 추가 (순서 보장을 위해 이전 쓰기 완료 후 기록)
+    const record = (entry) => {
+        const timestamp = new Date().toISOString();
+        const line = `${JSON.stringify({ timestamp, ...entry })}\n`;
+        const bytes = Buffer.byteLength(line);
+        writing = writing
+            .then(() => {
+                rotate(timestamp.split('T')[0], bytes);
+                return fsp.appendFile(filePath, line);
+            })
+            .then(() => {
+                current.size += bytes;
+            })
+            .catch(error => logToFile('ERROR', `감사 기록 저장 실패: ${error.message}`));
+        return writing;
+    };
+
+    // 대기 중인 기록 완료 대기 (조회 / 종료 전)
+    const flush = () => writing;
+
+    // 감사 기록 조회 (최신 순서로 limit개)
+    // actor: 인증 주체 ID, nodeId: 대상 노드, since / until: 밀리초 타임스탬프
+    const query = async ({ actor, nodeId, since, until, limit = 100 } = {}) => {
+        await flush();
+        // 순환된 파일 → 현재 파일 순서로 읽기 (조회 중 삭제된 파일은 건너뜀)
+        let content = '';
+        const files = [...listRotatedFiles().map(file => file.name), baseName];
+        for (const name of files) {
+            try {
+                content += await fsp.readFile(path.join(dirPath, name), 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        }
+
+        return parseLogFile(content)
+            .filter((entry) => {
+                const time = Date.parse(entry.timestamp);
+                return (!actor || entry.actor?.id === actor) &&
+                    (!nodeId || entry.nodeId === nodeId) &&
+                    (since === undefined || time >= since) &&
+                    (until === undefined || time <= until);
+            })
+            .reverse()
+            .slice(0, limit);
+    };
+
+    // Express 미들웨어: 응답 완료 시 감사 기록 (조회 요청은 거부된 경우만 기록)
+    // context: 요청 컨텍스트 (처리 중 할당된 nodeId 포함)
+    const middleware = (getContext) => (req, res, next) => {
+        const context = getContext();
+        res.on('finish', () => {
+            const denied = res.statusCode === 401 || res.statusCode === 403;
+            if (req.method === 'GET' && !denied) {
+                return;
+            }
+            record({
+                requestId: context.requestId,
+                actor: req.principal || null,
+                ip: req.ip,
+                action: `${req.method} ${req.route ? `${req.baseUrl}${req.route.path}` : req.path}`,
+                nodeId: context.nodeId || null,
+                statusCode: res.statusCode,
+                outcome: denied ? 'denied' : (res.statusCode < 400 ? 'success' : 'failure')
+            });
+        });
+        next();
+    };
+
+    return {
+        record,
+        flush,
+        query,
+        middleware
+    };
+};
+
+module.exports = {
+    createAuditLog
+};
@@ -0,0 +1,223 @@
+// API 인증 / 권한 모듈 (API 키, JWT Bearer 토큰, 역할 기반 권한, 요청 수 제한)
+//
+// 역할은 상위 역할이 하위 역할의 권한을 모두 포함
+//   viewer:    조회 / 목록
+//   operator:  디바이스 제어
+//   installer: 커미셔닝 / 페어링 해제
+//   admin:     로그, 설정, 패브릭 관리
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'operator', 'installer', 'admin'];
+
+// JWT 만료 / 활성 시각 허용 오차 (초)
+const JWT_CLOCK_SKEW_SECONDS = 30;
+
+const authError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const isRole = (role) => ROLES.includes(role);
+
+const hasRole = (principal, role) => Boolean(principal) && ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest();
+
+// API 키 설정 파싱 ("<id>:<role>:<key>" 항목을 ',' 로 구분)
+const parseApiKeys = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean).map((item) => {
+    const [id, role, ...rest] = item.split(':');
+    const key = rest.join(':');
+    if (!id || !isRole(role) || key.length < 16) {
+        throw authError('INVALID_CONFIG', `API 키 설정 형식이 올바르지 않습니다. (<id>:<${ROLES.join('|')}>:<16자 이상의 키>, id: ${id || '?'})`);
+    }
+    return { id, role, hash: hashKey(key) };
+});
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+// JWT(HS256) 서명 및 클레임 검증, 성공 시 페이로드 반환
+// 필수 클레임: sub, role, exp (iss / aud는 설정한 경우에만 확인)
+const verifyJwt = (token, secret, { issuer, audience, now = Date.now() } = {}) => {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+        throw authError('INVALID_TOKEN', '토큰 형식이 올바르지 않습니다.');
+    }
+
+    let header;
+    let payload;
+    try {
+        header = decodeSegment(parts[0]);
+        payload = decodeSegment(parts[1]);
+    } catch {
+        throw authError('INVALID_TOKEN', '토큰 형식이 올바르지 않습니다.');
+    }
+    if (header.alg !== 'HS256') {
+        throw authError('INVALID_TOKEN', `지원하지 않는 토큰 서명 알고리즘입니다. (${header.alg})`);
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+    const signature = Buffer.from(parts[2], 'base64url');
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        throw authError('INVALID_TOKEN', '토큰 서명이 올바르지 않습니다.');
+    }
+
+    const seconds = Math.floor(now / 1000);
+    if (typeof payload.exp !== 'number' || payload.exp + JWT_CLOCK_SKEW_SECONDS < seconds) {
+        throw authError('TOKEN_EXPIRED', '토큰이 만료되었습니다.');
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf - JWT_CLOCK_SKEW_SECONDS > seconds) {
+        throw authError('INVALID_TOKEN', '아직 사용할 수 없는 토큰입니다.');
+    }
+    if (issuer && payload.iss !== issuer) {
+        throw authError('INVALID_TOKEN', '토큰 발급자가 올바르지 않습니다.');
+    }
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (audience && !audiences.includes(audience)) {
+        throw authError('INVALID_TOKEN', '토큰 대상이 올바르지 않습니다.');
+    }
+    if (typeof payload.sub !== 'string' || !payload.sub || !isRole(payload.role)) {
+        throw authError('INVALID_TOKEN', '토큰에 sub 또는 올바른 role 클레임이 없습니다.');
+    }
+    return payload;
+};
+
+// JWT(HS256) 발급 (테스트 / 운영 도구용)
+const signJwt = (payload, secret) => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const body = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+    return `${body}.${crypto.createHmac('sha256', secret).update(body).digest('base64url')}`;
+};
+
+const sendAuthError = (res, status, code, message, extra = {}) => {
+    if (status === 401) {
+        res.setHeader('WWW-Authenticate', 'Bearer realm="matter-api"');
+    }
+    res.status(status).json({
+        status: "error",
+        code,
+        message,
+        ...extra
+    });
+};
+
+// 인증기 생성
+// disabled: 인증 없이 모든 요청을 admin으로 처리 (개발용)
+// queryTokenPaths: access_token 쿼리를 허용할 SSE 스트림 경로 (URL의 토큰이 프록시 / 브라우저 기록에 남으므로 그 밖의 경로는 거부)
+const createAuthenticator = ({ apiKeys = [], jwtSecret, jwtIssuer, jwtAudience, disabled = false, queryTokenPaths = [] }) => {
+    const keysByHash = new Map(apiKeys.map(key => [key.hash.toString('hex'), key]));
+
+    const configured = disabled || keysByHash.size > 0 || Boolean(jwtSecret);
+
+    // 요청의 인증 정보 확인 (없으면 null, 잘못된 경우 오류)
+    // EventSource는 헤더를 지정할 수 없으므로 SSE 스트림 GET 요청은 access_token 쿼리도 허용
+    const identify = (req) => {
+        if (disabled) {
+            return { id: 'anonymous', role: 'admin', method: 'none' };
+        }
+
+        const apiKey = req.get('X-API-Key');
+        if (apiKey) {
+            const key = keysByHash.get(hashKey(apiKey).toString('hex'));
+            if (!key) {
+                throw authError('INVALID_CREDENTIALS', 'API 키가 올바르지 않습니다.');
+            }
+            return { id: key.id, role: key.role, method: 'api-key' };
+        }
+
+        const authorization = req.get('Authorization') || '';
+        const bearer = authorization.match(/^Bearer\s+(\S+)$/i)?.[1] ||
+            (req.method === 'GET' && queryTokenPaths.includes(`${req.baseUrl}${req.path}`) &&
+                typeof req.query.access_token === 'string' ? req.query.access_token : null);
+        if (bearer) {
+            if (!jwtSecret) {
+                throw authError('INVALID_CREDENTIALS', 'JWT 인증이 설정되지 않았습니다.');
+            }
+            const payload = verifyJwt(bearer, jwtSecret, { issuer: jwtIssuer, audience: jwtAudience });
+            return { id: payload.sub, role: payload.role, method: 'jwt' };
+        }
+        return null;
+    };
+
+    // Express 미들웨어: 인증 정보 확인 후 req.principal 설정
+    const authenticate = (req, res, next) => {
+        let principal;
+        try {
+            principal = identify(req);
+        } catch (error) {
+            return sendAuthError(res, 401, error.code, error.message);
+        }
+        if (!principal) {
+            return sendAuthError(res, 401, 'AUTH_REQUIRED', '인증이 필요합니다. (X-API-Key 헤더 또는 Authorization: Bearer 토큰)');
+        }
+        req.principal = principal;
+        next();
+    };
+
+    return {
+        configured,
+        authenticate
+    };
+};
+
+// Express 미들웨어: 지정한 역할 이상의 권한 확인
+const requireRole = (role) => (req, res, next) => {
+    if (!hasRole(req.principal, role)) {
+        return sendAuthError(res, 403, 'FORBIDDEN', `이 작업에는 ${role} 이상의 권한이 필요합니다.`, { requiredRole: role });
+    }
+    next();
+};
+
+// 인증 주체별 요청 수 제한 (고정 시간 창, 커미셔닝 경로용)
+const createRateLimiter = ({ limit, windowMs }) => {
+    const windows = new Map();
+
+    return (req, res, next) => {
+        const key = req.principal ? `${req.principal.method}:${req.principal.id}` : req.ip;
+        const now = Date.now();
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(key, window);
+        }
+
+        // 만료된 창 정리
+        windows.forEach((item, itemKey) => {
+            if (item.resetAt <= now) {
+                windows.delete(itemKey);
+            }
+        });
+
+        window.count++;
+        res.setHeader('X-RateLimit-Limit', limit);
+        res.setHeader('X-RateLimit-Remaining', Math.max(0, limit - window.count));
+        if (window.count > limit) {
+            const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+            res.setHeader('Retry-After', retryAfter);
+            return res.status(429).json({
+                status: "error",
+                code: "RATE_LIMITED",
+                message: `요청 한도를 초과했습니다. ${retryAfter}초 후 다시 시도하세요.`,
+                retryAfter
+            });
+        }
+        next();
+    };
+};
+
+// CORS 허용 출처 확인 함수 ('*'는 모든 출처 허용, 목록이 비어 있으면 다른 출처 요청 차단)
+const createCorsOriginCheck = (allowlist) => (origin, callback) => {
+    callback(null, !origin || allowlist.includes('*') || allowlist.includes(origin));
+};
+
+module.exports = {
+    ROLES,
+    hasRole,
+    parseApiKeys,
+    verifyJwt,
+    signJwt,
+    createAuthenticator,
+    requireRole,
+    createRateLimiter,
+    createCorsOriginCheck
+};
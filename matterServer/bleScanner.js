@@ -0,0 +1,156 @@
+// BLE 커미셔닝 디바이스 검색 모듈 (bluetoothctl 스캔 출력에서 Matter BLE 광고 파싱)
+// chip-tool의 discover 명령은 DNS-SD만 지원하므로 BLE 광고는 BlueZ로 직접 검색
+const { execFile } = require('child_process');
+
+// Matter BLE 서비스 UUID (16비트 UUID 0xFFF6)
+const MATTER_BLE_SERVICE_UUID = '0000fff6-0000-1000-8000-00805f9b34fb';
+
+// BLE 어댑터가 없을 때 bluetoothctl / chip-tool이 출력하는 메시지
+const BLE_ADAPTER_ERROR_PATTERN = /No default controller available|(BLE|Bluetooth) adapter (is )?(not available|unavailable|not found)|Failed to (get|find) (an? )?(BLE )?adapter|No BLE adapter|org\.bluez\.Error\.NotReady/i;
+
+const bleAdapterUnavailable = (message) => {
+    const error = new Error(message);
+    error.code = 'BLE_ADAPTER_UNAVAILABLE';
+    return error;
+};
+
+// Matter BLE 광고 서비스 데이터 파싱 (Matter Core Spec 5.4.2.5.6)
+// [0] OpCode(0x00: 커미셔닝 가능), [1..2] Discriminator 12비트 + 광고 버전 4비트,
+// [3..4] Vendor ID, [5..6] Product ID, [7] 추가 데이터 플래그 (모두 little-endian)
+const parseMatterServiceData = (bytes) => {
+    if (bytes.length < 7 || bytes[0] !== 0x00) {
+        return null;
+    }
+    const buffer = Buffer.from(bytes);
+    const header = buffer.readUInt16LE(1);
+    return {
+        discriminator: header & 0x0fff,
+        advertisementVersion: header >> 12,
+        vendorId: buffer.readUInt16LE(3),
+        productId: buffer.readUInt16LE(5),
+        additionalData: bytes.length > 7 && (bytes[7] & 0x01) === 1
+    };
+};
+
+// bluetoothctl 스캔 출력 파싱
+// [NEW] Device <MAC> <이름>, [CHG] Device <MAC> RSSI: -60,
+// [CHG] Device <MAC> ServiceData Key: <UUID> / ServiceData Value: 다음 줄부터 hex dump
+const parseBluetoothctlScan = (output) => {
+    const devices = new Map();
+    let serviceData = null;
+
+    const getDevice = (address) => {
+        if (!devices.has(address)) {
+            devices.set(address, { address, name: '', rssi: null, serviceDataKey: null, matter: null });
+        }
+        return devices.get(address);
+    };
+
+    const finishServiceData = () => {
+        if (serviceData && serviceData.device.serviceDataKey === MATTER_BLE_SERVICE_UUID) {
+            serviceData.device.matter = parseMatterServiceData(serviceData.bytes) || serviceData.device.matter;
+        }
+        serviceData = null;
+    };
+
+    for (const rawLine of output.split('\n')) {
+        const line = rawLine.replace(/\x1b\[[0-9;]*m/g, '').replace(/\r/g, '');
+
+        // ServiceData Value의 hex dump 줄 ("  00 00 0f f1 ff 00 80 00    ........")
+        const hexMatch = serviceData && line.match(/^\s+((?:[0-9a-f]{2} )*[0-9a-f]{2})(\s|$)/i);
+        if (hexMatch) {
+            serviceData.bytes.push(...hexMatch[1].split(' ').map(byte => parseInt(byte, 16)));
+            continue;
+        }
+        finishServiceData();
+
+        const match = line.match(/\[(NEW|CHG)\] Device ((?:[0-9A-F]{2}:){5}[0-9A-F]{2}) (.*)$/i);
+        if (!match) {
+            continue;
+        }
+        const [, event, address, detail] = match;
+        const device = getDevice(address.toUpperCase());
+
+        if (event.toUpperCase() === 'NEW') {
+            // 이름이 없는 디바이스는 주소를 하이픈으로 표시
+            device.name = /^([0-9A-F]{2}-){5}[0-9A-F]{2}$/i.test(detail.trim()) ? '' : detail.trim();
+            continue;
+        }
+
+        const rssi = detail.match(/^RSSI: (?:0x[0-9a-f]+ \()?(-?\d+)\)?/i);
+        const name = detail.match(/^(?:Name|Alias): (.*)$/);
+        const key = detail.match(/^ServiceData Key: (\S+)/);
+        if (rssi) {
+            device.rssi = Number(rssi[1]);
+        } else if (name && !device.name) {
+            device.name = name[1].trim();
+        } else if (key) {
+            device.serviceDataKey = key[1].toLowerCase();
+        } else if (/^ServiceData Value:/.test(detail)) {
+            serviceData = { device, bytes: [] };
+        }
+    }
+    finishServiceData();
+
+    // Matter 서비스 데이터를 광고하는 디바이스만 반환
+    return [...devices.values()]
+        .filter(device => device.matter)
+        .map(({ address, name, rssi, matter }) => ({
+            discoveryId: `ble-${address.replace(/:/g, '')}`,
+            name,
+            address,
+            rssi,
+            setupDiscriminator: String(matter.discriminator),
+            vendorId: String(matter.vendorId),
+            productId: String(matter.productId),
+            advertisementVersion: matter.advertisementVersion,
+            additionalData: matter.additionalData,
+            type: 'ble'
+        }));
+};
+
+// bluetoothctl 실행 백엔드 (인자 배열로 직접 실행)
+const createBluetoothctlBackend = ({ bluetoothctlPath = 'bluetoothctl', logToFile }) => {
+    const run = (args, options = {}) => new Promise((resolve, reject) => {
+        logToFile('COMMAND', `실행: ${bluetoothctlPath} ${args.join(' ')}`, { commandId: options.commandId });
+        execFile(bluetoothctlPath, args, { signal: options.signal }, (error, stdout, stderr) => {
+            if (error?.code === 'ENOENT') {
+                reject(bleAdapterUnavailable(`bluetoothctl을 찾을 수 없습니다: ${bluetoothctlPath}`));
+                return;
+            }
+            if (error) {
+                Object.assign(error, { stdout, stderr });
+                reject(error);
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+
+    return {
+        name: 'bluetoothctl',
+        run
+    };
+};
+
+// BLE 스캔 인자 (scanSeconds 동안 검색 후 종료)
+const bleScanArgs = (scanSeconds) => ['--timeout', String(scanSeconds), 'scan', 'on'];
+
+// 스캔 출력 검증 후 Matter 디바이스 목록 반환 (어댑터가 없으면 BLE_ADAPTER_UNAVAILABLE)
+const readBleScanResult = (output) => {
+    const adapterError = output.match(BLE_ADAPTER_ERROR_PATTERN);
+    if (adapterError) {
+        throw bleAdapterUnavailable(`BLE 어댑터를 사용할 수 없습니다: ${adapterError[0]}`);
+    }
+    return parseBluetoothctlScan(output);
+};
+
+module.exports = {
+    MATTER_BLE_SERVICE_UUID,
+    BLE_ADAPTER_ERROR_PATTERN,
+    parseMatterServiceData,
+    parseBluetoothctlScan,
+    createBluetoothctlBackend,
+    bleScanArgs,
+    readBleScanResult
+};
@@ -0,0 +1,309 @@
+// chip-tool 출력 (Interaction Model 응답) 파싱 모듈
+
+// Interaction Model 상태 코드 (Matter Core Spec 8.10)
+const IM_STATUS_CODES = {
+    0x00: 'SUCCESS',
+    0x01: 'FAILURE',
+    0x7d: 'INVALID_SUBSCRIPTION',
+    0x7e: 'UNSUPPORTED_ACCESS',
+    0x7f: 'UNSUPPORTED_ENDPOINT',
+    0x80: 'INVALID_ACTION',
+    0x81: 'UNSUPPORTED_COMMAND',
+    0x85: 'INVALID_COMMAND',
+    0x86: 'UNSUPPORTED_ATTRIBUTE',
+    0x87: 'CONSTRAINT_ERROR',
+    0x88: 'UNSUPPORTED_WRITE',
+    0x89: 'RESOURCE_EXHAUSTED',
+    0x8b: 'NOT_FOUND',
+    0x8c: 'UNREPORTABLE_ATTRIBUTE',
+    0x8d: 'INVALID_DATA_TYPE',
+    0x8f: 'UNSUPPORTED_READ',
+    0x92: 'DATA_VERSION_MISMATCH',
+    0x94: 'TIMEOUT',
+    0x9c: 'BUSY',
+    0xc3: 'UNSUPPORTED_CLUSTER',
+    0xc5: 'NO_UPSTREAM_SUBSCRIPTION',
+    0xc6: 'NEEDS_TIMED_INTERACTION',
+    0xc7: 'UNSUPPORTED_EVENT',
+    0xc8: 'PATHS_EXHAUSTED',
+    0xc9: 'TIMED_REQUEST_MISMATCH',
+    0xca: 'FAILSAFE_REQUIRED',
+    0xcb: 'INVALID_IN_STATE',
+    0xcc: 'NO_COMMAND_RESPONSE'
+};
+
+// chip-tool IM Error 코드 범위 (CHIP_ERROR의 IM Global Status / Cluster Status 영역)
+const IM_GLOBAL_STATUS_RANGE = 0x500;
+const IM_CLUSTER_STATUS_RANGE = 0x600;
+
+// ANSI 이스케이프 시퀀스 제거 함수
+const removeAnsiEscapes = (str) => {
+    return str.replace(/\x1b\[[0-9;]*m/g, '');
+};
+
+// "0x0000_0006" 형식의 MEI 값을 숫자로 변환
+const parseMEI = (value) => parseInt(value.replace(/_/g, ''), 16);
+
+// 상태 코드를 이름과 함께 반환
+const describeStatus = (statusCode) => ({
+    status: IM_STATUS_CODES[statusCode] || `UNKNOWN_STATUS_0x${statusCode.toString(16)}`,
+    statusCode
+});
+
+// IM Error 0x000005xx: 일반 상태 / 0x000006xx: 클러스터 고유 상태
+const parseIMError = (text) => {
+    const imErrorMatch = text.match(/IM Error (0x[0-9A-Fa-f]+)/);
+    if (!imErrorMatch) {
+        return null;
+    }
+
+    const imError = parseInt(imErrorMatch[1], 16);
+    const range = imError & 0xff00;
+    if (range === IM_GLOBAL_STATUS_RANGE) {
+        return describeStatus(imError & 0xff);
+    }
+    if (range === IM_CLUSTER_STATUS_RANGE) {
+        return {
+            ...describeStatus(0x01),
+            clusterStatus: imError & 0xff
+        };
+    }
+    return null;
+};
+
+// chip-tool 명령어 실행 결과에서 Invoke 응답 상태 추출
+const parseInvokeResponse = (output) => {
+    const text = removeAnsiEscapes(output || '');
+
+    // 커맨드 응답 상태 라인 (성공 및 일반 상태)
+    const statusMatch = text.match(/Received Command Response Status for Endpoint=(\d+) Cluster=(0x[0-9A-Fa-f_]+) Command=(0x[0-9A-Fa-f_]+) Status=(0x[0-9A-Fa-f]+)/);
+    if (statusMatch) {
+        return {
+            ...describeStatus(parseInt(statusMatch[4], 16)),
+            endpoint: Number(statusMatch[1]),
+            clusterId: parseMEI(statusMatch[2]),
+            commandId: parseMEI(statusMatch[3])
+        };
+    }
+
+    return parseIMError(text);
+};
+
+// chip-tool이 출력한 스칼라 값을 JSON 타입으로 변환
+const parseScalar = (raw) => {
+    const value = raw.trim();
+
+    if (value === 'TRUE' || value === 'true') return true;
+    if (value === 'FALSE' || value === 'false') return false;
+    if (value === 'null') return null;
+    if (/^-?\d+$/.test(value)) {
+        const number = Number(value);
+        // 64비트 정수 등 정밀도를 잃는 값은 문자열로 유지
+        return Number.isSafeInteger(number) ? number : value;
+    }
+    if (/^-?\d+\.\d+(e[+-]?\d+)?$/i.test(value)) {
+        return Number(value);
+    }
+    return value;
+};
+
+// [TOO] 리포트 헤더: "Endpoint: 1 Cluster: 0x0000_0006 Attribute 0x0000_0000 DataVersion: 123"
+const REPORT_HEADER_PATTERN = /^Endpoint: (\d+) Cluster: (0x[0-9A-Fa-f_]+) (Attribute|Command|Event) (0x[0-9A-Fa-f_]+)(?: DataVersion: (\d+))?/;
+const EVENT_METADATA_PATTERN = /^(Event number|Priority|Timestamp): (.*)$/;
+const EVENT_METADATA_KEYS = { 'Event number': 'eventNumber', Priority: 'priority', Timestamp: 'timestamp' };
+const LIST_HEADER_PATTERN = /^(.+?): (\d+) entries$/;
+const LIST_ENTRY_PATTERN = /^\[(\d+)\]: ?(.*)$/;
+const FIELD_PATTERN = /^(.+?):(?: (.*))?$/;
+
+// 리포트 값 트리 빌더 (구조체 / 리스트 / 스칼라)
+const createValueBuilder = () => {
+    const root = {};
+    const stack = [{ type: 'struct', value: root }];
+
+    const top = () => stack[stack.length - 1];
+
+    // 항목 수가 채워진 리스트 닫기
+    const closeCompletedLists = () => {
+        while (top().type === 'list' && top().value.length >= top().expected) {
+            stack.pop();
+        }
+    };
+
+    const add = (name, value) => {
+        const container = top();
+        if (container.type === 'list') {
+            container.value.push(value);
+        } else {
+            container.value[name] = value;
+        }
+    };
+
+    const openContainer = (name, container) => {
+        add(name, container.value);
+        stack.push(container);
+        closeCompletedLists();
+    };
+
+    const feed = (line) => {
+        const trimmed = line.trim();
+        if (trimmed === '') {
+            return;
+        }
+
+        if (trimmed === '}') {
+            if (stack.length > 1) {
+                stack.pop();
+                closeCompletedLists();
+            }
+            return;
+        }
+
+        const entryMatch = trimmed.match(LIST_ENTRY_PATTERN);
+        if (entryMatch && top().type === 'list') {
+            if (entryMatch[2] === '{') {
+                openContainer(null, { type: 'struct', value: {} });
+            } else {
+                add(null, parseScalar(entryMatch[2]));
+                closeCompletedLists();
+            }
+            return;
+        }
+
+        const listMatch = trimmed.match(LIST_HEADER_PATTERN);
+        if (listMatch) {
+            openContainer(listMatch[1], { type: 'list', value: [], expected: Number(listMatch[2]) });
+            return;
+        }
+
+        const fieldMatch = trimmed.match(FIELD_PATTERN);
+        if (fieldMatch) {
+            if (fieldMatch[2] === '{') {
+                openContainer(fieldMatch[1], { type: 'struct', value: {} });
+            } else {
+                add(fieldMatch[1], parseScalar(fieldMatch[2] || ''));
+                closeCompletedLists();
+            }
+        }
+    };
+
+    return { root, feed };
+};
+
+// chip-tool read / write / invoke 출력 파싱 ([TOO] 리포트 + [DMG] 상태)
+const parseReportOutput = (output) => {
+    const text = removeAnsiEscapes(output || '');
+    const reports = [];
+    const statuses = [];
+    let current = null;
+    let dmgPath = {};
+
+    const finishReport = () => {
+        if (!current) {
+            return;
+        }
+        const { builder, ...report } = current;
+        const entries = Object.entries(builder.root);
+        const [name, value] = entries.length === 1 ? entries[0] : [null, builder.root];
+        reports.push({ ...report, name, value });
+        current = null;
+    };
+
+    text.split('\n').forEach((line) => {
+        const tooIndex = line.indexOf('[TOO]');
+        if (tooIndex >= 0) {
+            const body = line.slice(tooIndex + 5).replace(/^ /, '');
+            const headerMatch = body.trim().match(REPORT_HEADER_PATTERN);
+            if (headerMatch) {
+                finishReport();
+                const kind = headerMatch[3].toLowerCase();
+                current = {
+                    type: kind,
+                    endpoint: Number(headerMatch[1]),
+                    clusterId: parseMEI(headerMatch[2]),
+                    [`${kind}Id`]: parseMEI(headerMatch[4]),
+                    ...(headerMatch[5] && { dataVersion: Number(headerMatch[5]) }),
+                    builder: createValueBuilder()
+                };
+                return;
+            }
+
+            if (!current) {
+                return;
+            }
+
+            const metadataMatch = current.type === 'event' && body.trim().match(EVENT_METADATA_PATTERN);
+            if (metadataMatch) {
+                current[EVENT_METADATA_KEYS[metadataMatch[1]]] = parseScalar(metadataMatch[2]);
+                return;
+            }
+
+            // 들여쓰기 없는 [TOO] 로그가 나오면 현재 리포트 종료
+            if (!/^\s/.test(body)) {
+                finishReport();
+                return;
+            }
+
+            current.builder.feed(body);
+            return;
+        }
+
+        const dmgIndex = line.indexOf('[DMG]');
+        if (dmgIndex < 0) {
+            return;
+        }
+
+        // [DMG] 경로 및 상태 (AttributeStatusIB / CommandStatusIB / WriteResponse)
+        const dmgBody = line.slice(dmgIndex + 5).trim();
+        const pathMatch = dmgBody.match(/^(Endpoint|Cluster|Attribute|Command|Event) = (0x[0-9A-Fa-f_]+),?$/);
+        if (pathMatch) {
+            dmgPath[`${pathMatch[1].toLowerCase()}Id`] = parseMEI(pathMatch[2]);
+            return;
+        }
+        const statusMatch = dmgBody.match(/^status = (0x[0-9A-Fa-f]+)/);
+        if (statusMatch) {
+            const { endpointId, ...path } = dmgPath;
+            statuses.push({
+                ...(endpointId !== undefined && { endpoint: endpointId }),
+                ...path,
+                ...describeStatus(parseInt(statusMatch[1], 16))
+            });
+            dmgPath = {};
+        }
+    });
+    finishReport();
+
+    // [DMG] 상태가 없을 때만 IM Error 요약 사용 (중복 방지)
+    const imError = parseIMError(text);
+    if (imError && !statuses.some(status => status.statusCode === imError.statusCode)) {
+        statuses.push(imError);
+    }
+
+    return {
+        attributes: reports.filter(report => report.type === 'attribute'),
+        commands: reports.filter(report => report.type === 'command'),
+        events: reports.filter(report => report.type === 'event'),
+        statuses,
+        // 첫 번째 실패 상태 (없으면 null)
+        failure: statuses.find(status => status.status !== 'SUCCESS') || null
+    };
+};
+
+// pairing open-commissioning-window 출력에서 새 온보딩 페이로드 추출
+// "[CTL] Manual pairing code: [36177160937]", "[CTL] SetupQRCode: [MT:...]" (Enhanced 모드에서만 출력)
+const parseCommissioningWindowOutput = (output) => {
+    const text = removeAnsiEscapes(output || '');
+    const manualPairingCode = text.match(/Manual pairing code: \[(\d{11}|\d{21})\]/);
+    const qrCode = text.match(/SetupQRCode: \[(MT:[0-9A-Z.\-]+)\]/);
+    return {
+        manualPairingCode: manualPairingCode ? manualPairingCode[1] : null,
+        qrCode: qrCode ? qrCode[1] : null
+    };
+};
+
+module.exports = {
+    IM_STATUS_CODES,
+    removeAnsiEscapes,
+    parseInvokeResponse,
+    parseReportOutput,
+    parseCommissioningWindowOutput
+};
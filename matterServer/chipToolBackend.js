@@ -0,0 +1,156 @@
+// chip-tool 실행 백엔드 (실제 chip-tool 프로세스)
+// 백엔드 인터페이스: { name, run(args, { signal, onOutput(data, stream), commandId }) => Promise<stdout>,
+//                    startInteractive(args, { onOutput(data, stream), onClose(code, signal) }) => { write(line), kill() } }
+// 실패 시 Error에 stdout / stderr를 보존하여 reject
+const { spawn } = require('child_process');
+const fs = require('fs');
+const { redactCommandArgs } = require('./logRedaction');
+
+const createChipToolBackend = ({ chipToolPath, cwd, logToFile }) => {
+    const missingBinaryError = () => {
+        const error = new Error(`chip-tool이 존재하지 않습니다: ${chipToolPath}`);
+        error.code = 'ENOENT';
+        return error;
+    };
+
+    // 쉘을 거치지 않고 인자 배열로 직접 실행하여 입력값이 명령어로 해석되지 않도록 함
+    const run = (args, options = {}) => {
+        // 같은 실행의 로그를 commandId로 묶어 조회할 수 있도록 함
+        const fields = { commandId: options.commandId };
+        return new Promise((resolve, reject) => {
+            try {
+                // 로그와 오류 메시지에는 인자 배열 단위로 마스킹한 명령줄만 사용 (공백이 포함된 SSID / 비밀번호도 위치 유지)
+                const commandLine = `${chipToolPath} ${redactCommandArgs(args).join(' ')}`;
+
+                logToFile('COMMAND', `실행: ${commandLine} (cwd: ${cwd})`, fields);
+
+                // 실행 파일 존재 확인 (ENOENT: COMMAND_NOT_FOUND로 분류)
+                if (!fs.existsSync(chipToolPath)) {
+                    const error = missingBinaryError();
+                    logToFile('ERROR', error.message, fields);
+                    reject(error);
+                    return;
+                }
+
+                const childProcess = spawn(chipToolPath, args, {
+                    cwd,
+                    signal: options.signal
+                });
+                let stdout = '';
+                let stderr = '';
+                let settled = false;
+
+                const fail = (error) => {
+                    if (settled) {
+                        return;
+                    }
+                    settled = true;
+                    logToFile('ERROR', `실행 오류: ${error.message}`, fields);
+                    logToFile('ERROR', `표준 에러: ${stderr}`, fields);
+                    // 응답 상태 파싱을 위해 출력 보존
+                    error.stdout = stdout;
+                    error.stderr = stderr;
+                    reject(error);
+                };
+
+                // 실시간 출력 로깅
+                childProcess.stdout.on('data', (data) => {
+                    stdout += data;
+                    logToFile('STDOUT', data.toString().trim(), fields);
+                    options.onOutput?.(data, 'stdout');
+                });
+
+                childProcess.stderr.on('data', (data) => {
+                    stderr += data;
+                    logToFile('STDERR', data.toString().trim(), fields);
+                    options.onOutput?.(data, 'stderr');
+                });
+
+                childProcess.on('error', (error) => {
+                    logToFile('ERROR', `자식 프로세스 오류: ${error.message}`, fields);
+                    fail(error);
+                });
+
+                childProcess.on('close', (code, signal) => {
+                    if (code !== 0) {
+                        const error = new Error(`Command failed: ${commandLine}\n${stderr}`);
+                        error.code = code;
+                        error.signal = signal;
+                        fail(error);
+                        return;
+                    }
+                    if (settled) {
+                        return;
+                    }
+                    settled = true;
+
+                    // 상세 로깅 추가
+                    logToFile('DEBUG', '=== Matter SDK 명령어 실행 결과 시작 ===', fields);
+                    logToFile('DEBUG', `표준 출력 타입: ${typeof stdout}`, fields);
+                    logToFile('DEBUG', `표준 출력 길이: ${stdout.length}`, fields);
+                    logToFile('DEBUG', '표준 출력 내용:', fields);
+                    logToFile('DEBUG', stdout, fields);
+
+                    // stdout에서 [DIS] 태그가 있는 라인만 추출하여 로깅
+                    const disLines = stdout.split('\n')
+                        .filter(line => line.includes('[DIS]'))
+                        .join('\n');
+
+                    logToFile('DEBUG', '=== [DIS] 태그 포함된 라인만 ===', fields);
+                    logToFile('DEBUG', disLines, fields);
+                    logToFile('DEBUG', '=== Matter SDK 명령어 실행 결과 끝 ===', fields);
+
+                    resolve(stdout);
+                });
+            } catch (error) {
+                logToFile('ERROR', `명령어 실행 중 예외 발생: ${error.message}`, fields);
+                reject(error);
+            }
+        });
+    };
+
+    // 계속 실행되는 interactive 세션 (구독용)
+    // 명령 큐 밖에서 실행되므로 호출자가 단발 명령과 겹치지 않는 저장소(--storage-directory)를 지정해야 함
+    const startInteractive = (args, { onOutput, onClose }) => {
+        if (!fs.existsSync(chipToolPath)) {
+            throw missingBinaryError();
+        }
+        logToFile('COMMAND', `interactive 실행: ${chipToolPath} ${redactCommandArgs(args).join(' ')} (cwd: ${cwd})`);
+
+        const childProcess = spawn(chipToolPath, args, { cwd });
+        let closed = false;
+        const close = (code, signal) => {
+            if (!closed) {
+                closed = true;
+                onClose(code, signal);
+            }
+        };
+
+        childProcess.stdout.on('data', data => onOutput(data, 'stdout'));
+        childProcess.stderr.on('data', data => onOutput(data, 'stderr'));
+        childProcess.stdin.on('error', error => logToFile('ERROR', `interactive 입력 오류: ${error.message}`));
+        childProcess.on('error', (error) => {
+            logToFile('ERROR', `interactive 프로세스 오류: ${error.message}`);
+            // 실행 자체에 실패하면 close 이벤트가 없을 수 있음
+            if (childProcess.pid === undefined) {
+                close(null, null);
+            }
+        });
+        childProcess.on('close', close);
+
+        return {
+            write: line => childProcess.stdin.write(`${line}\n`),
+            kill: () => childProcess.kill()
+        };
+    };
+
+    return {
+        name: 'chip-tool',
+        run,
+        startInteractive
+    };
+};
+
+module.exports = {
+    createChipToolBackend
+};
@@ -0,0 +1,490 @@
+// 시뮬레이션 chip-tool 백엔드 (실제 SDK / 디바이스 없이 테스트용)
+// 스크립트된 fixture에 따라 chip-tool 형식의 출력을 생성
+//
+// fixture 형식:
+//   command:   일치시킬 인자 접두사 (예: ['pairing', 'code']), '*'는 임의의 인자
+//   stdout:    출력 로그 라인 (예: '[DIS] Discovered ...'), 타임스탬프 접두사는 자동 추가
+//   stderr:    표준 에러 라인
+//   chipError: CHIP 에러 코드 (예: '0x00000032'), 실패 로그를 추가하고 종료 코드 1로 종료
+//   exitCode:  종료 코드 (기본 0)
+//   delayMs:   라인 출력 간격
+//   hang:      true면 취소될 때까지 종료하지 않음 (타임아웃 테스트용)
+//   once:      true면 한 번 사용 후 제거
+//   raw:       true면 타임스탬프 접두사 없이 출력 (bluetoothctl 등 chip-tool 외 도구)
+//
+// BLE 스캔은 ['bluetoothctl', ...인자] 명령으로 시뮬레이션
+// interactive 세션(구독)은 입력한 명령줄을 같은 fixture로 처리하고, 구독 명령은 fixture 출력을 Priming 리포트로 보낸 뒤 구독 확립 출력
+const fs = require('fs');
+const { redactCommandArgs } = require('./logRedaction');
+
+// chip-tool이 출력하는 주요 CHIP 에러 설명
+const CHIP_ERROR_DESCRIPTIONS = {
+    '0x00000003': 'Incorrect state',
+    '0x0000002F': 'Invalid argument',
+    '0x00000032': 'Timeout',
+    '0x00000038': 'Not connected',
+    '0x000000AC': 'Internal error'
+};
+
+// 커미셔닝 스테이지 진행 순서 (chip-tool CommissioningStage 이름)
+const COMMISSIONING_STAGES = [
+    'SecurePairing',
+    'ReadCommissioningInfo',
+    'ArmFailSafe',
+    'ConfigRegulatory',
+    'SendPAICertificateRequest',
+    'SendDACCertificateRequest',
+    'SendAttestationRequest',
+    'AttestationVerification',
+    'SendOpCertSigningRequest',
+    'ValidateCSR',
+    'GenerateNOCChain',
+    'SendTrustedRootCert',
+    'SendNOC',
+    'WiFiNetworkSetup',
+    'FailsafeBeforeWiFiEnable',
+    'WiFiNetworkEnable',
+    'FindOperational',
+    'SendComplete',
+    'Cleanup'
+];
+
+const hex4 = (value) => `0x${value.toString(16).padStart(8, '0').replace(/^(.{4})/, '$1_')}`;
+
+// 디바이스 검색 결과 ([DIS] 블록)
+const discoveryLines = (devices) => devices.flatMap(device => [
+    '[DIS] Discovered commissionable/commissioner node:',
+    `[DIS] \tHostname: ${device.hostname || 'E45F0149AE290000'}`,
+    ...(device.addresses || ['192.168.0.20']).map((address, index) => `[DIS] \tIP Address #${index + 1}: ${address}`),
+    `[DIS] \tPort: ${device.port || 5540}`,
+    `[DIS] \tVendor ID: ${device.vendorId ?? 65521}`,
+    `[DIS] \tProduct ID: ${device.productId ?? 32768}`,
+    `[DIS] \tLong Discriminator: ${device.discriminator ?? 3840}`,
+    `[DIS] \tPairing Hint: ${device.pairingHint ?? 33}`,
+    // instanceName: null이면 Instance Name 라인 생략
+    ...(device.instanceName !== null ? [`[DIS] \tInstance Name: ${device.instanceName ?? '8DCB3B0C1B32E4F8'}`] : []),
+    `[DIS] \tCommissioning Mode: ${device.commissioningMode ?? 1}`,
+    ...(device.deviceType !== undefined ? [`[DIS] \tDevice Type: ${device.deviceType}`] : [])
+]);
+
+// bluetoothctl BLE 스캔 결과 (Matter 서비스 데이터 광고)
+const bleScanLines = (devices) => devices.flatMap((device) => {
+    const address = device.address || '5C:E9:1E:38:40:01';
+    const discriminator = device.discriminator ?? 3840;
+    const vendorId = device.vendorId ?? 65521;
+    const productId = device.productId ?? 32768;
+    const serviceData = [0x00, discriminator & 0xff, discriminator >> 8, vendorId & 0xff, vendorId >> 8, productId & 0xff, productId >> 8, 0x00];
+    return [
+        `[NEW] Device ${address} ${device.name ?? `MATTER-${discriminator}`}`,
+        `[CHG] Device ${address} RSSI: ${device.rssi ?? -60}`,
+        `[CHG] Device ${address} ServiceData Key: 0000fff6-0000-1000-8000-00805f9b34fb`,
+        `[CHG] Device ${address} ServiceData Value:`,
+        `  ${serviceData.map(byte => byte.toString(16).padStart(2, '0')).join(' ')}                          ........`
+    ];
+});
+
+// 커미셔닝 진행 로그 (failAt: 실패할 스테이지, 없으면 성공)
+const commissioningLines = ({ nodeId = 1, failAt } = {}) => {
+    const lines = [];
+    for (let i = 0; i < COMMISSIONING_STAGES.length - 1; i++) {
+        const stage = COMMISSIONING_STAGES[i];
+        if (stage === failAt) {
+            lines.push(`[CTL] Commissioning stage ${stage} failed`);
+            return lines;
+        }
+        if (stage === 'SecurePairing') {
+            lines.push('[CTL] Secure Pairing Success');
+        }
+        lines.push(`[CTL] Commissioning stage next step: '${stage}' -> '${COMMISSIONING_STAGES[i + 1]}'`);
+    }
+    lines.push(`[TOO] Device commissioning completed with success`);
+    lines.push(`[CTL] Commissioning complete for node ID 0x${BigInt(nodeId).toString(16).padStart(16, '0').toUpperCase()}: success`);
+    return lines;
+};
+
+// 속성 리포트 ([TOO] 블록)
+const attributeReportLines = ({ endpoint = 1, clusterId, attributeId, name, value, dataVersion = 1 }) => [
+    `[TOO] Endpoint: ${endpoint} Cluster: ${hex4(clusterId)} Attribute ${hex4(attributeId)} DataVersion: ${dataVersion}`,
+    `[TOO]   ${name}: ${value}`
+];
+
+// BasicInformation 속성 리포트 (any read-by-id 0x0028 ...)
+const basicInformationLines = (info = {}) => [
+    [0x0001, 'VendorName', info.vendorName ?? 'TEST_VENDOR'],
+    [0x0002, 'VendorID', info.vendorId ?? 65521],
+    [0x0003, 'ProductName', info.productName ?? 'TEST_PRODUCT'],
+    [0x0004, 'ProductID', info.productId ?? 32768],
+    [0x000A, 'SoftwareVersionString', info.softwareVersionString ?? '1.0.0'],
+    [0x000F, 'SerialNumber', info.serialNumber ?? 'TEST_SN'],
+    [0x0012, 'UniqueID', info.uniqueId ?? '8F3E3CBA6A1E4E36']
+].flatMap(([attributeId, name, value]) => attributeReportLines({ endpoint: 0, clusterId: 0x0028, attributeId, name, value }));
+
+// 엔드포인트별 Descriptor 속성 리포트 (any read-by-id 0x001D ... 0xFFFF)
+const descriptorLines = (endpoints) => endpoints.flatMap(({ endpoint, deviceTypes, serverList = [], clientList = [], partsList = [] }) => {
+    const header = (attributeId) => `[TOO] Endpoint: ${endpoint} Cluster: ${hex4(0x001D)} Attribute ${hex4(attributeId)} DataVersion: 1`;
+    const listLines = (attributeId, name, values) => [
+        header(attributeId),
+        `[TOO]   ${name}: ${values.length} entries`,
+        ...values.map((value, index) => `[TOO]     [${index + 1}]: ${value}`)
+    ];
+    return [
+        header(0x0000),
+        `[TOO]   DeviceTypeList: ${deviceTypes.length} entries`,
+        ...deviceTypes.flatMap((deviceType, index) => [
+            `[TOO]     [${index + 1}]: {`,
+            `[TOO]       DeviceType: ${deviceType}`,
+            '[TOO]       Revision: 1',
+            '[TOO]      }'
+        ]),
+        ...listLines(0x0001, 'ServerList', serverList),
+        ...listLines(0x0002, 'ClientList', clientList),
+        ...listLines(0x0003, 'PartsList', partsList)
+    ];
+});
+
+// 기본 조명 디바이스 구성 (Root Node + Extended Color Light)
+const DEFAULT_ENDPOINTS = [
+    { endpoint: 0, deviceTypes: [0x0016], serverList: [0x001D, 0x001F, 0x0028, 0x0030, 0x0031, 0x003C, 0x003E, 0x003F], partsList: [1] },
+    { endpoint: 1, deviceTypes: [0x010D], serverList: [0x0003, 0x0004, 0x0006, 0x0008, 0x001D, 0x0300] }
+];
+
+// Enhanced Commissioning Window 열기 결과 (새 온보딩 페이로드)
+const commissioningWindowLines = ({ manualPairingCode = '34970112332', qrCode = 'MT:-24J0AFN00KA0648G00' } = {}) => [
+    '[CTL] Successfully opened pairing window on the device',
+    `[CTL] Manual pairing code: [${manualPairingCode}]`,
+    `[CTL] SetupQRCode: [${qrCode}]`
+];
+
+// OperationalCredentials Fabrics 속성 리포트 (FabricDescriptorStruct 목록)
+const fabricListLines = (fabrics) => [
+    `[TOO] Endpoint: 0 Cluster: ${hex4(0x003E)} Attribute ${hex4(0x0001)} DataVersion: 1`,
+    `[TOO]   Fabrics: ${fabrics.length} entries`,
+    ...fabrics.flatMap((fabric, index) => [
+        `[TOO]     [${index + 1}]: {`,
+        `[TOO]       RootPublicKey: ${fabric.rootPublicKey || '04'.padEnd(130, '0')}`,
+        `[TOO]       VendorID: ${fabric.vendorId ?? 65521}`,
+        `[TOO]       FabricID: ${fabric.fabricId ?? 1}`,
+        `[TOO]       NodeID: ${fabric.nodeId ?? 1}`,
+        `[TOO]       Label: ${fabric.label ?? ''}`,
+        `[TOO]       FabricIndex: ${fabric.fabricIndex ?? index + 1}`,
+        '[TOO]      }'
+    ])
+];
+
+// RemoveFabric 응답 (NOCResponse)
+const nocResponseLines = ({ statusCode = 0, fabricIndex = 1 } = {}) => [
+    `[TOO] Endpoint: 0 Cluster: ${hex4(0x003E)} Command ${hex4(0x0008)}`,
+    '[TOO]   NOCResponse: {',
+    `[TOO]     statusCode: ${statusCode}`,
+    `[TOO]     fabricIndex: ${fabricIndex}`,
+    '[TOO]    }'
+];
+
+// 운영 노드 주소 검색 결과 (discover resolve)
+const operationalResolveLines = ({ nodeId = 1, fabricId = 1, address = '192.168.0.20', port = 5540 } = {}) => [
+    `[DIS] Node ID resolved for ${BigInt(fabricId).toString(16).padStart(16, '0').toUpperCase()}-${BigInt(nodeId).toString(16).padStart(16, '0').toUpperCase()}`,
+    `[DIS] \tHostname: E45F0149AE290000`,
+    `[DIS] \tIP Address #1: ${address}`,
+    `[DIS] \tPort: ${port}`
+];
+
+// CommissioningComplete 응답 (CommissioningCompleteResponse)
+const commissioningCompleteLines = ({ errorCode = 0 } = {}) => [
+    `[TOO] Endpoint: 0 Cluster: ${hex4(0x0030)} Command ${hex4(0x0005)}`,
+    '[TOO]   CommissioningCompleteResponse: {',
+    `[TOO]     errorCode: ${errorCode}`,
+    '[TOO]     debugText: ',
+    '[TOO]    }'
+];
+
+// AccessControl ACL 속성 리포트 (기본: 관리자 CASE 항목 1개)
+const aclLines = (entries = [{ privilege: 5, authMode: 2, subjects: [112233] }]) => [
+    `[TOO] Endpoint: 0 Cluster: ${hex4(0x001F)} Attribute ${hex4(0x0000)} DataVersion: 1`,
+    `[TOO]   ACL: ${entries.length} entries`,
+    ...entries.flatMap((entry, index) => [
+        `[TOO]     [${index + 1}]: {`,
+        `[TOO]       Privilege: ${entry.privilege}`,
+        `[TOO]       AuthMode: ${entry.authMode}`,
+        `[TOO]       Subjects: ${entry.subjects.length} entries`,
+        ...entry.subjects.map((subject, subjectIndex) => `[TOO]         [${subjectIndex + 1}]: ${subject}`),
+        '[TOO]       Targets: null',
+        `[TOO]       FabricIndex: ${entry.fabricIndex ?? 1}`,
+        '[TOO]      }'
+    ])
+];
+
+// 속성 쓰기 응답 상태 (WriteResponse AttributeStatusIB)
+const writeResponseLines = ({ endpoint = 0, clusterId, attributeId, status = 0 }) => [
+    `[DMG] Endpoint = 0x${endpoint.toString(16)},`,
+    `[DMG] Cluster = 0x${clusterId.toString(16)},`,
+    `[DMG] Attribute = ${hex4(attributeId)},`,
+    `[DMG] status = 0x${status.toString(16).padStart(2, '0')}`
+];
+
+// Groups AddGroup / RemoveGroup 응답 (AddGroupResponse / RemoveGroupResponse)
+const groupResponseLines = ({ endpoint = 1, commandId = 0x0000, name = 'AddGroupResponse', groupId = 1, status = 0 } = {}) => [
+    `[TOO] Endpoint: ${endpoint} Cluster: ${hex4(0x0004)} Command ${hex4(commandId)}`,
+    `[TOO]   ${name}: {`,
+    `[TOO]     status: ${status}`,
+    `[TOO]     groupID: ${groupId}`,
+    '[TOO]    }'
+];
+
+// 커맨드 응답 상태
+const commandResponseLines = ({ endpoint = 1, clusterId, commandId, status = 0 }) => [
+    `[DMG] Received Command Response Status for Endpoint=${endpoint} Cluster=${hex4(clusterId)} Command=${hex4(commandId)} Status=0x${status.toString(16)}`
+];
+
+// 기본 시나리오: 조명 디바이스 1대
+const DEFAULT_FIXTURES = [
+    { command: ['discover', 'commissionables'], stdout: discoveryLines([{}]) },
+    { command: ['discover', 'list'], stdout: discoveryLines([{}]) },
+    { command: ['discover', 'stop'], stdout: [] },
+    { command: ['discover', 'resolve'], stdout: operationalResolveLines() },
+    { command: ['generalcommissioning', 'commissioning-complete'], stdout: commissioningCompleteLines() },
+    { command: ['pairing', 'open-commissioning-window'], stdout: commissioningWindowLines() },
+    { command: ['pairing', 'unpair'], stdout: [] },
+    { command: ['pairing'], stdout: commissioningLines() },
+    { command: ['operationalcredentials', 'read', 'fabrics'], stdout: fabricListLines([{}]) },
+    { command: ['operationalcredentials', 'read', 'current-fabric-index'], stdout: attributeReportLines({ endpoint: 0, clusterId: 0x003E, attributeId: 0x0005, name: 'CurrentFabricIndex', value: 1 }) },
+    { command: ['operationalcredentials', 'remove-fabric'], stdout: nocResponseLines() },
+    { command: ['any', 'read-by-id', '0x0028'], stdout: basicInformationLines() },
+    { command: ['any', 'read-by-id', '0x001D'], stdout: descriptorLines(DEFAULT_ENDPOINTS) },
+    { command: ['bluetoothctl'], stdout: ['Discovery started', ...bleScanLines([{}])], raw: true },
+    { command: ['onoff', 'on'], stdout: commandResponseLines({ clusterId: 0x0006, commandId: 0x0001 }) },
+    { command: ['onoff', 'off'], stdout: commandResponseLines({ clusterId: 0x0006, commandId: 0x0000 }) },
+    { command: ['onoff', 'toggle'], stdout: commandResponseLines({ clusterId: 0x0006, commandId: 0x0002 }) },
+    { command: ['onoff', 'read', 'on-off'], stdout: attributeReportLines({ clusterId: 0x0006, attributeId: 0x0000, name: 'OnOff', value: 'TRUE' }) },
+    { command: ['onoff', 'subscribe', 'on-off'], stdout: attributeReportLines({ clusterId: 0x0006, attributeId: 0x0000, name: 'OnOff', value: 'TRUE' }) },
+    { command: ['administratorcommissioning', 'revoke-commissioning'], stdout: commandResponseLines({ clusterId: 0x003C, commandId: 0x0002 }) },
+    { command: ['levelcontrol', 'move-to-level'], stdout: commandResponseLines({ clusterId: 0x0008, commandId: 0x0000 }) },
+    { command: ['groupsettings'], stdout: [] },
+    { command: ['groupkeymanagement', 'key-set-write'], stdout: commandResponseLines({ endpoint: 0, clusterId: 0x003F, commandId: 0x0000 }) },
+    { command: ['groupkeymanagement', 'write', 'group-key-map'], stdout: writeResponseLines({ clusterId: 0x003F, attributeId: 0x0000 }) },
+    { command: ['groups', 'add-group'], stdout: groupResponseLines() },
+    { command: ['groups', 'remove-group'], stdout: groupResponseLines({ commandId: 0x0003, name: 'RemoveGroupResponse' }) },
+    { command: ['accesscontrol', 'read', 'acl'], stdout: aclLines() },
+    { command: ['accesscontrol', 'write', 'acl'], stdout: writeResponseLines({ clusterId: 0x001F, attributeId: 0x0000 }) },
+    // 그룹 커맨드는 응답 없는 멀티캐스트
+    { command: ['any', 'command-by-group'], stdout: [] }
+];
+
+// fixture 인자 접두사 일치 여부
+const matchesCommand = (fixture, args) => {
+    return fixture.command.length <= args.length &&
+        fixture.command.every((token, index) => token === '*' || String(token) === args[index]);
+};
+
+const createChipToolSimulator = ({ fixtures = DEFAULT_FIXTURES, logToFile }) => {
+    let scenarios = [];
+    let calls = [];
+
+    // chip-tool 로그 접두사 ("[1700000000.123456][4242:4242]")
+    const logPrefix = () => `[${(Date.now() / 1000).toFixed(6)}][${process.pid}:${process.pid}]`;
+
+    // 시나리오 교체
+    const load = (list) => {
+        scenarios = list.map(fixture => ({ ...fixture }));
+    };
+
+    // 시나리오 추가 (기존 시나리오보다 우선 적용)
+    const add = (...list) => {
+        scenarios = [...list.map(fixture => ({ ...fixture })), ...scenarios];
+    };
+
+    const reset = () => {
+        load(fixtures);
+        calls = [];
+    };
+
+    // JSON 파일에서 시나리오 로드
+    const loadFile = (filePath) => {
+        load(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        logToFile('SIMULATOR', `시나리오 로드: ${filePath} (${scenarios.length}개)`);
+    };
+
+    const wait = (ms, signal) => new Promise((resolve) => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            resolve();
+        }, { once: true });
+    });
+
+    const run = async (args, options = {}) => {
+        const { signal, onOutput } = options;
+        calls.push([...args]);
+        const fields = { commandId: options.commandId };
+        // chip-tool 백엔드와 같이 로그 / 오류 메시지에는 마스킹한 명령줄 사용
+        const commandLine = `chip-tool ${redactCommandArgs(args).join(' ')}`;
+        logToFile('COMMAND', `실행 (시뮬레이터): ${commandLine}`, fields);
+
+        const fixture = scenarios.find(item => matchesCommand(item, args));
+        if (fixture?.once) {
+            scenarios.splice(scenarios.indexOf(fixture), 1);
+        }
+
+        let stdout = '';
+        let stderr = '';
+        const abortError = () => {
+            const error = new Error('The operation was aborted');
+            error.name = 'AbortError';
+            error.code = 'ABORT_ERR';
+            error.stdout = stdout;
+            error.stderr = stderr;
+            return error;
+        };
+
+        const emit = async (line, stream) => {
+            if (signal?.aborted) {
+                throw abortError();
+            }
+            const text = `${line}\n`;
+            if (stream === 'stderr') {
+                stderr += text;
+            } else {
+                stdout += text;
+            }
+            onOutput?.(Buffer.from(text), stream);
+            // chip-tool 백엔드와 같이 실시간 출력도 로그에 기록
+            logToFile(stream === 'stderr' ? 'STDERR' : 'STDOUT', line, fields);
+            if (fixture?.delayMs) {
+                await wait(fixture.delayMs, signal);
+            }
+        };
+
+        if (!fixture) {
+            // chip-tool은 알 수 없는 명령에 사용법을 출력하고 실패
+            stderr = `Unknown command: ${args.slice(0, 2).join(' ')}\n`;
+            const error = new Error(`Command failed: ${commandLine}\n${stderr}`);
+            Object.assign(error, { code: 1, stdout, stderr });
+            throw error;
+        }
+
+        for (const line of fixture.stdout || []) {
+            await emit(fixture.raw ? line : `${logPrefix()} ${line}`, 'stdout');
+        }
+        for (const line of fixture.stderr || []) {
+            await emit(line, 'stderr');
+        }
+
+        if (fixture.hang) {
+            await new Promise((resolve) => signal?.addEventListener('abort', resolve, { once: true }));
+            throw abortError();
+        }
+
+        let exitCode = fixture.exitCode ?? 0;
+        if (fixture.chipError) {
+            const description = CHIP_ERROR_DESCRIPTIONS[fixture.chipError] || `Error ${fixture.chipError}`;
+            await emit(`${logPrefix()} [TOO] Run command failure: ../../examples/chip-tool/commands/common/CHIPCommand.cpp:560: CHIP Error ${fixture.chipError}: ${description}`, 'stdout');
+            exitCode = exitCode || 1;
+        }
+
+        if (exitCode !== 0) {
+            const error = new Error(`Command failed: ${commandLine}\n${stderr}`);
+            Object.assign(error, { code: exitCode, stdout, stderr });
+            throw error;
+        }
+        return stdout;
+    };
+
+    // 실행 중인 interactive 세션
+    const sessions = new Set();
+    let nextSubscriptionId = 1;
+
+    // 리포트 수신 로그 (구독 관리자가 Peer 노드 ID를 확인하는 라인)
+    const reportHeader = (nodeId) =>
+        `[EM] >>> [E:1r S:1 M:1] (S) Msg RX from 1:${BigInt(nodeId).toString(16).toUpperCase().padStart(16, '0')} [1234] --- Type 0001:05 (IM:ReportData)`;
+
+    const startInteractive = (args, { onOutput, onClose }) => {
+        calls.push([...args]);
+        logToFile('COMMAND', `interactive 실행 (시뮬레이터): chip-tool ${redactCommandArgs(args).join(' ')}`);
+
+        const session = {
+            closed: false,
+            emit: (line) => {
+                if (!session.closed) {
+                    onOutput(Buffer.from(`${logPrefix()} ${line}\n`), 'stdout');
+                }
+            }
+        };
+        sessions.add(session);
+
+        // 구독 명령: <min-interval> <max-interval> <node-id> <endpoint>가 마지막 위치 인자
+        const subscribe = (commandArgs, fixture) => {
+            const optionsIndex = commandArgs.findIndex(arg => arg.startsWith('--'));
+            const positional = optionsIndex === -1 ? commandArgs : commandArgs.slice(0, optionsIndex);
+            const [minInterval, maxInterval, nodeId] = positional.slice(-4);
+            const subscriptionId = `0x${(nextSubscriptionId++).toString(16).padStart(8, '0')}`;
+            session.emit(reportHeader(nodeId));
+            (fixture?.stdout || []).forEach(session.emit);
+            session.emit(`[DMG] Subscription established with SubscriptionID = ${subscriptionId} MinInterval = ${minInterval}s MaxInterval = ${maxInterval}s Peer = 01:${BigInt(nodeId).toString(16).toUpperCase().padStart(16, '0')}`);
+        };
+
+        return {
+            write: (line) => {
+                const commandArgs = line.trim().split(/\s+/);
+                calls.push(commandArgs);
+                const fixture = scenarios.find(item => matchesCommand(item, commandArgs));
+                // 실제 프로세스와 같이 출력은 입력 처리 후 비동기로 전달
+                setImmediate(() => {
+                    if (/^subscribe(-event)?(-by-id)?$/.test(commandArgs[1])) {
+                        subscribe(commandArgs, fixture);
+                    } else {
+                        (fixture?.stdout || []).forEach(session.emit);
+                    }
+                });
+            },
+            kill: () => {
+                if (session.closed) {
+                    return;
+                }
+                session.closed = true;
+                sessions.delete(session);
+                setImmediate(() => onClose(null, 'SIGTERM'));
+            }
+        };
+    };
+
+    // 구독 중인 노드의 리포트 전송 (모든 interactive 세션으로 출력)
+    const report = (nodeId, lines) => {
+        sessions.forEach((session) => {
+            [reportHeader(nodeId), ...lines].forEach(session.emit);
+        });
+    };
+
+    reset();
+
+    return {
+        name: 'simulator',
+        run,
+        startInteractive,
+        report,
+        load,
+        loadFile,
+        add,
+        reset,
+        // 실행된 명령 인자 목록 (테스트 검증용)
+        calls: () => calls.map(args => [...args])
+    };
+};
+
+module.exports = {
+    DEFAULT_FIXTURES,
+    discoveryLines,
+    bleScanLines,
+    commissioningLines,
+    commissioningWindowLines,
+    fabricListLines,
+    nocResponseLines,
+    operationalResolveLines,
+    commissioningCompleteLines,
+    attributeReportLines,
+    basicInformationLines,
+    descriptorLines,
+    commandResponseLines,
+    aclLines,
+    writeResponseLines,
+    groupResponseLines,
+    createChipToolSimulator
+};
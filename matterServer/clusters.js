@@ -0,0 +1,57 @@
+// Matter 클러스터 이름 / ID 매핑 (chip-tool 클러스터 이름 기준)
+
+const CLUSTER_IDS = {
+    identify: 0x0003,
+    groups: 0x0004,
+    onoff: 0x0006,
+    levelcontrol: 0x0008,
+    descriptor: 0x001d,
+    binding: 0x001e,
+    accesscontrol: 0x001f,
+    basicinformation: 0x0028,
+    generalcommissioning: 0x0030,
+    networkcommissioning: 0x0031,
+    generaldiagnostics: 0x0033,
+    switch: 0x003b,
+    administratorcommissioning: 0x003c,
+    operationalcredentials: 0x003e,
+    groupkeymanagement: 0x003f,
+    fixedlabel: 0x0040,
+    userlabel: 0x0041,
+    booleanstate: 0x0045,
+    doorlock: 0x0101,
+    windowcovering: 0x0102,
+    thermostat: 0x0201,
+    fancontrol: 0x0202,
+    colorcontrol: 0x0300,
+    illuminancemeasurement: 0x0400,
+    temperaturemeasurement: 0x0402,
+    pressuremeasurement: 0x0403,
+    relativehumiditymeasurement: 0x0405,
+    occupancysensing: 0x0406
+};
+
+// 이름 비교용 정규화 ("on-off", "OnOff" -> "onoff")
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// 클러스터 이름 또는 숫자 ID를 클러스터 ID로 변환 (알 수 없으면 null)
+const resolveClusterId = (cluster) => {
+    if (typeof cluster === 'number') {
+        return cluster;
+    }
+    if (/^(0x[0-9a-f]+|\d+)$/i.test(String(cluster))) {
+        return Number(cluster);
+    }
+    return CLUSTER_IDS[normalizeName(cluster)] ?? null;
+};
+
+// 클러스터 ID를 chip-tool 클러스터 이름으로 변환 (알 수 없으면 null)
+const CLUSTER_NAMES = Object.fromEntries(Object.entries(CLUSTER_IDS).map(([name, id]) => [id, name]));
+const clusterNameById = (clusterId) => CLUSTER_NAMES[clusterId] ?? null;
+
+module.exports = {
+    CLUSTER_IDS,
+    normalizeName,
+    resolveClusterId,
+    clusterNameById
+};
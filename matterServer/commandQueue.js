@@ -0,0 +1,159 @@
+// chip-tool 명령 실행 큐 (우선순위, 동시 실행 제한, 저장소 잠금, 취소)
+const crypto = require('crypto');
+const { AsyncResource } = require('async_hooks');
+
+// 우선순위 (값이 작을수록 먼저 실행)
+const PRIORITIES = {
+    interactive: 0,     // 디바이스 제어 / 속성 읽기·쓰기
+    commissioning: 1,   // 페어링 / 커미셔닝
+    background: 2       // 검색 등 백그라운드 작업
+};
+
+const queueError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const createCommandQueue = ({ concurrency = 1, logToFile }) => {
+    const waiting = [];
+    const running = new Map();
+
+    const describe = ({ resolve, reject, run, controller, timer, removeAbortListener, context, ...entry }) => entry;
+
+    // 같은 저장소를 사용하는 작업이 실행 중이면 대기
+    const isLocked = (entry) => entry.lock !== null &&
+        [...running.values()].some(item => item.lock === entry.lock);
+
+    const finish = (entry) => {
+        clearTimeout(entry.timer);
+        entry.removeAbortListener?.();
+        running.delete(entry.id);
+        schedule();
+    };
+
+    // 등록한 요청의 컨텍스트(requestId 등)에서 실행하여 실행 중 로그가 해당 요청에 연결되도록 함
+    const start = (entry) => entry.context.runInAsyncScope(() => {
+        waiting.splice(waiting.indexOf(entry), 1);
+        running.set(entry.id, entry);
+        entry.status = 'running';
+        entry.startedAt = new Date().toISOString();
+        logToFile('QUEUE', `실행 시작: ${entry.id} (${entry.label}, 대기 ${waiting.length}건)`, { commandId: entry.id });
+
+        // 작업별 제한 시간 (초과 시 프로세스 종료)
+        if (entry.timeout) {
+            entry.timer = setTimeout(() => {
+                entry.abortReason = queueError('COMMAND_TIMEOUT', `명령 실행 시간이 초과되었습니다. (${entry.timeout}ms)`);
+                entry.controller.abort();
+            }, entry.timeout);
+        }
+
+        const durationMs = () => Date.now() - Date.parse(entry.startedAt);
+        Promise.resolve()
+            .then(() => entry.run({ signal: entry.controller.signal, id: entry.id }))
+            .then((result) => {
+                finish(entry);
+                logToFile('QUEUE', `실행 완료: ${entry.id} (${entry.label})`, { commandId: entry.id, durationMs: durationMs() });
+                entry.resolve(result);
+            })
+            .catch((error) => {
+                finish(entry);
+                logToFile('QUEUE', `실행 실패: ${entry.id} (${error.message})`, { level: 'warn', commandId: entry.id, durationMs: durationMs() });
+                entry.reject(entry.abortReason || error);
+            });
+    });
+
+    // 우선순위 → 등록 순서로 실행 가능한 작업 시작
+    const schedule = () => {
+        while (running.size < concurrency) {
+            const next = waiting.find(entry => !isLocked(entry));
+            if (!next) {
+                return;
+            }
+            start(next);
+        }
+    };
+
+    // 작업 등록 (run은 { signal, id }를 받아 Promise 반환, id는 로그의 commandId)
+    const enqueue = ({ label, priority = 'interactive', lock = null, timeout, signal, run }) => {
+        return new Promise((resolve, reject) => {
+            if (PRIORITIES[priority] === undefined) {
+                reject(queueError('INVALID_PARAMETER', `지원하지 않는 우선순위입니다: ${priority}`));
+                return;
+            }
+            if (signal?.aborted) {
+                reject(queueError('COMMAND_CANCELLED', '명령 실행이 취소되었습니다.'));
+                return;
+            }
+
+            const entry = {
+                id: crypto.randomUUID(),
+                label,
+                priority,
+                lock,
+                timeout,
+                status: 'queued',
+                enqueuedAt: new Date().toISOString(),
+                startedAt: null,
+                controller: new AbortController(),
+                context: new AsyncResource('MatterCommand'),
+                run,
+                resolve,
+                reject
+            };
+
+            // 호출자 취소 신호 연결
+            if (signal) {
+                const onAbort = () => cancel(entry.id);
+                signal.addEventListener('abort', onAbort, { once: true });
+                entry.removeAbortListener = () => signal.removeEventListener('abort', onAbort);
+            }
+
+            // 같은 우선순위 안에서는 등록 순서 유지
+            const index = waiting.findIndex(item => PRIORITIES[item.priority] > PRIORITIES[priority]);
+            waiting.splice(index === -1 ? waiting.length : index, 0, entry);
+            logToFile('QUEUE', `등록: ${entry.id} (${label}, 우선순위: ${priority})`, { commandId: entry.id });
+            schedule();
+        });
+    };
+
+    // 작업 취소 (대기 중이면 제거, 실행 중이면 프로세스 종료)
+    const cancel = (id) => {
+        const cancelled = queueError('COMMAND_CANCELLED', '명령 실행이 취소되었습니다.');
+
+        const queued = waiting.find(entry => entry.id === id);
+        if (queued) {
+            waiting.splice(waiting.indexOf(queued), 1);
+            queued.removeAbortListener?.();
+            logToFile('QUEUE', `대기 작업 취소: ${id}`, { commandId: id });
+            queued.reject(cancelled);
+            return describe({ ...queued, status: 'cancelled' });
+        }
+
+        const active = running.get(id);
+        if (active) {
+            logToFile('QUEUE', `실행 작업 취소: ${id}`, { commandId: id });
+            active.abortReason = active.abortReason || cancelled;
+            active.controller.abort();
+            return describe({ ...active, status: 'cancelling' });
+        }
+        return undefined;
+    };
+
+    const status = () => ({
+        concurrency,
+        running: [...running.values()].map(describe),
+        waiting: waiting.map(describe)
+    });
+
+    return {
+        enqueue,
+        cancel,
+        status
+    };
+};
+
+module.exports = {
+    PRIORITIES,
+    createCommandQueue
+};
@@ -0,0 +1,265 @@
+// 일괄 커미셔닝 모듈 (매니페스트의 디바이스를 동시 실행 수 제한 안에서 커미셔닝하고 항목별 결과 보고)
+const crypto = require('crypto');
+const { invalidParameter } = require('./validation');
+
+// CSV 매니페스트 열 (code만 필수)
+const MANIFEST_COLUMNS = ['code', 'networkType', 'credentialsRef', 'label', 'room', 'nodeId'];
+
+// 결과 보고서 열
+const REPORT_COLUMNS = ['index', 'label', 'room', 'networkType', 'credentialsRef', 'status', 'nodeId', 'jobId', 'runs', 'attempts', 'failedPhase', 'errorCode', 'error', 'finishedAt'];
+
+// 완료된 일괄 작업 보관 개수
+const MAX_FINISHED_BATCHES = 20;
+
+const batchError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// CSV 텍스트를 행 배열로 변환 (RFC 4180: 큰따옴표로 감싼 필드, "" 이스케이프, CRLF)
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw invalidParameter('CSV의 큰따옴표가 닫히지 않았습니다.');
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // 빈 줄 제외
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// CSV 매니페스트를 항목 배열로 변환 (첫 행은 열 이름)
+const parseManifestCsv = (text) => {
+    const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!header) {
+        throw invalidParameter('매니페스트가 비어 있습니다.');
+    }
+
+    const columns = header.map(name => name.trim());
+    const unknown = columns.filter(name => !MANIFEST_COLUMNS.includes(name));
+    if (unknown.length > 0 || !columns.includes('code')) {
+        throw invalidParameter(`CSV 열 이름이 올바르지 않습니다. (${MANIFEST_COLUMNS.join(', ')}, code 필수)`);
+    }
+
+    return rows.map(cells => Object.fromEntries(columns
+        .map((name, index) => [name, (cells[index] || '').trim()])
+        .filter(([, value]) => value !== '')));
+};
+
+// 보고서 CSV 필드 (스프레드시트 수식으로 해석되지 않도록 =, +, -, @로 시작하는 값은 ' 접두사)
+const toCsvField = (value) => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) => [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(toCsvField).join(','))
+    .join('\r\n') + '\r\n';
+
+// startItem: ({ batchId, request, nodeId }) => 커미셔닝 작업 시작 후 작업 반환 (nodeId: 다시 실행할 때 이전에 할당된 Node ID)
+// waitForJob: 작업 ID => 종료된 작업
+const createBatchManager = ({ logToFile, startItem, waitForJob }) => {
+    const batches = new Map();
+
+    // 응답용 항목 (페어링 코드, 네트워크 자격 증명 제외)
+    const describeItem = ({ request, ...item }) => item;
+
+    const describe = ({ items, ...batch }) => ({ ...batch, items: items.map(describeItem) });
+
+    const summarize = (batch) => {
+        const counts = { total: batch.items.length, pending: 0, running: 0, succeeded: 0, failed: 0 };
+        batch.items.forEach((item) => {
+            counts[item.status]++;
+        });
+        batch.summary = counts;
+    };
+
+    const runItem = async (batch, item) => {
+        Object.assign(item, {
+            status: 'running',
+            runs: item.runs + 1,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            failedPhase: null,
+            errorCode: null,
+            error: null
+        });
+        summarize(batch);
+
+        try {
+            const job = startItem({ batchId: batch.id, request: item.request, nodeId: item.nodeId });
+            Object.assign(item, { nodeId: job.nodeId, jobId: job.id });
+
+            const finished = await waitForJob(job.id);
+            Object.assign(item, {
+                status: finished.status === 'succeeded' ? 'succeeded' : 'failed',
+                attempts: finished.attempts.length,
+                failedPhase: finished.failedPhase,
+                errorCode: finished.error?.code || (finished.status === 'cancelled' ? 'COMMAND_CANCELLED' : null),
+                error: finished.error?.message || null
+            });
+        } catch (error) {
+            // 커미셔닝 시작 전 검증 실패 (잘못된 페어링 코드, Node ID 충돌 등)
+            Object.assign(item, { status: 'failed', errorCode: error.code || 'UNKNOWN_ERROR', error: error.message });
+        }
+
+        item.finishedAt = new Date().toISOString();
+        summarize(batch);
+        logToFile(item.status === 'succeeded' ? 'JOB' : 'ERROR', `일괄 커미셔닝 ${batch.id} 항목 ${item.index}: ${item.status}${item.nodeId ? ` (nodeId: ${item.nodeId})` : ''}${item.error ? ` ${item.error}` : ''}`);
+    };
+
+    // 동시 실행 수 제한 안에서 항목 실행
+    const run = async (batch, items) => {
+        const pending = [...items];
+        const worker = async () => {
+            while (pending.length > 0) {
+                await runItem(batch, pending.shift());
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(batch.concurrency, pending.length) }, worker));
+
+        const { succeeded, total } = batch.summary;
+        batch.status = succeeded === total ? 'completed' : (succeeded === 0 ? 'failed' : 'partial');
+        batch.finishedAt = new Date().toISOString();
+        logToFile('JOB', `일괄 커미셔닝 종료: ${batch.id} (${batch.status}, 성공 ${succeeded}/${total})`);
+
+        // 오래된 완료 작업 정리
+        const finished = [...batches.values()].filter(item => item.finishedAt);
+        finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_BATCHES)).forEach(item => batches.delete(item.id));
+    };
+
+    const start = (batch, items) => {
+        Object.assign(batch, { status: 'running', finishedAt: null });
+        items.forEach((item) => {
+            item.status = 'pending';
+        });
+        summarize(batch);
+        Promise.resolve()
+            .then(() => run(batch, items))
+            .catch(error => logToFile('ERROR', `일괄 커미셔닝 실행 오류: ${batch.id} ${error.message}`));
+    };
+
+    // 일괄 작업 생성 및 실행
+    // entries: { request, label, room, networkType, credentialsRef } 또는 매니페스트 단계에서 실패한 { error }
+    const create = ({ entries, concurrency }) => {
+        const batch = {
+            id: crypto.randomUUID(),
+            status: 'running',
+            concurrency,
+            runs: 1,
+            summary: null,
+            createdAt: new Date().toISOString(),
+            finishedAt: null,
+            items: entries.map(({ error, ...entry }, index) => ({
+                index,
+                label: entry.label ?? null,
+                room: entry.room ?? null,
+                networkType: entry.networkType ?? null,
+                credentialsRef: entry.credentialsRef ?? null,
+                // 매니페스트 검증에 실패한 항목은 실행하지 않고 실패로 보고
+                status: error ? 'failed' : 'pending',
+                nodeId: null,
+                jobId: null,
+                runs: 0,
+                attempts: 0,
+                failedPhase: null,
+                errorCode: error?.code || null,
+                error: error?.message || null,
+                startedAt: null,
+                finishedAt: error ? new Date().toISOString() : null,
+                request: entry.request
+            }))
+        };
+        batches.set(batch.id, batch);
+        logToFile('JOB', `일괄 커미셔닝 생성: ${batch.id} (${batch.items.length}개, 동시 실행 ${concurrency})`);
+
+        start(batch, batch.items.filter(item => item.request));
+        return describe(batch);
+    };
+
+    // 실패한 항목만 다시 실행 (이전에 할당된 Node ID 재사용)
+    const retryFailed = (id) => {
+        const batch = batches.get(id);
+        if (!batch) {
+            return undefined;
+        }
+        if (batch.status === 'running') {
+            throw batchError('BATCH_RUNNING', `실행 중인 일괄 작업입니다. (id: ${id})`);
+        }
+        const failed = batch.items.filter(item => item.status === 'failed' && item.request);
+        if (failed.length === 0) {
+            throw batchError('NO_FAILED_ITEMS', `다시 실행할 실패 항목이 없습니다. (id: ${id})`);
+        }
+
+        batch.runs++;
+        logToFile('JOB', `일괄 커미셔닝 실패 항목 재실행: ${batch.id} (${failed.length}개)`);
+        start(batch, failed);
+        return describe(batch);
+    };
+
+    const get = (id) => {
+        const batch = batches.get(id);
+        return batch ? describe(batch) : undefined;
+    };
+
+    const list = () => [...batches.values()].map(({ items, ...batch }) => batch);
+
+    // 항목별 결과 CSV 보고서
+    const report = (id) => {
+        const batch = batches.get(id);
+        return batch ? toCsv(REPORT_COLUMNS, batch.items.map(describeItem)) : undefined;
+    };
+
+    return {
+        create,
+        retryFailed,
+        get,
+        list,
+        report
+    };
+};
+
+module.exports = {
+    MANIFEST_COLUMNS,
+    parseCsv,
+    parseManifestCsv,
+    createBatchManager
+};
@@ -0,0 +1,251 @@
+// 비동기 커미셔닝 작업 및 단계별 진행 상황 관리 모듈
+const crypto = require('crypto');
+const { removeAnsiEscapes } = require('./chipOutput');
+
+// 커미셔닝 단계 (진행 순서)
+const COMMISSIONING_PHASES = [
+    'discovery',
+    'paseEstablished',
+    'deviceAttestation',
+    'nocInstall',
+    'networkConfiguration',
+    'networkEnable',
+    'operationalDiscovery',
+    'caseEstablished',
+    'commissioningComplete'
+];
+
+// chip-tool 커미셔닝 스테이지 -> 단계 매핑 (CommissioningStage 이름 기준)
+const STAGE_PHASES = {
+    SecurePairing: 'discovery',
+    ReadCommissioningInfo: 'paseEstablished',
+    ReadCommissioningInfo2: 'paseEstablished',
+    ArmFailSafe: 'paseEstablished',
+    ConfigRegulatory: 'paseEstablished',
+    ConfigureUTCTime: 'paseEstablished',
+    ConfigureTimeZone: 'paseEstablished',
+    ConfigureDSTOffset: 'paseEstablished',
+    ConfigureDefaultNTP: 'paseEstablished',
+    SendPAICertificateRequest: 'deviceAttestation',
+    SendDACCertificateRequest: 'deviceAttestation',
+    SendAttestationRequest: 'deviceAttestation',
+    AttestationVerification: 'deviceAttestation',
+    AttestationRevocationCheck: 'deviceAttestation',
+    SendOpCertSigningRequest: 'nocInstall',
+    ValidateCSR: 'nocInstall',
+    GenerateNOCChain: 'nocInstall',
+    SendTrustedRootCert: 'nocInstall',
+    SendNOC: 'nocInstall',
+    ConfigureTrustedTimeSource: 'nocInstall',
+    ICDGetRegistrationInfo: 'nocInstall',
+    ICDRegistration: 'nocInstall',
+    ScanNetworks: 'networkConfiguration',
+    NeedsNetworkCreds: 'networkConfiguration',
+    WiFiNetworkSetup: 'networkConfiguration',
+    ThreadNetworkSetup: 'networkConfiguration',
+    FailsafeBeforeWiFiEnable: 'networkConfiguration',
+    FailsafeBeforeThreadEnable: 'networkConfiguration',
+    WiFiNetworkEnable: 'networkEnable',
+    ThreadNetworkEnable: 'networkEnable',
+    FindOperational: 'operationalDiscovery',
+    FindOperationalForStayActive: 'operationalDiscovery',
+    FindOperationalForCommissioningComplete: 'operationalDiscovery',
+    ICDSendStayActive: 'caseEstablished',
+    SendComplete: 'caseEstablished'
+};
+
+// 스테이지 로그 외에 단계를 알 수 있는 chip-tool 출력
+const PHASE_PATTERNS = [
+    [/Secure Pairing Success|PASE session established/i, 'paseEstablished'],
+    [/Device commissioning completed with success|Commissioning complete for node ID/i, 'commissioningComplete']
+];
+
+// 완료된 작업 보관 개수
+const MAX_FINISHED_JOBS = 100;
+
+// chip-tool 출력 한 줄에서 커미셔닝 단계 추출 (없으면 null)
+const detectPhase = (rawLine) => {
+    const line = removeAnsiEscapes(rawLine);
+
+    const stageMatch = line.match(/Commissioning stage next step: '(\w+)' -> '(\w+)'/) ||
+        line.match(/Performing next commissioning step '(?:k)?(\w+)'/);
+    if (stageMatch) {
+        const stage = (stageMatch[2] || stageMatch[1]).replace(/^k(?=[A-Z])/, '');
+        return STAGE_PHASES[stage] || null;
+    }
+
+    const pattern = PHASE_PATTERNS.find(([regex]) => regex.test(line));
+    return pattern ? pattern[1] : null;
+};
+
+const createJobManager = ({ logToFile, mapError }) => {
+    const jobs = new Map();
+
+    const describe = ({ controller, listeners, lineBuffer, ...job }) => job;
+
+    const notify = (job, type, data) => {
+        job.listeners.forEach(listener => listener(type, data));
+    };
+
+    // 단계 전환 (이전 단계로는 되돌아가지 않음)
+    const advancePhase = (job, phase) => {
+        const currentIndex = COMMISSIONING_PHASES.indexOf(job.phase);
+        const nextIndex = COMMISSIONING_PHASES.indexOf(phase);
+        if (nextIndex <= currentIndex) {
+            return;
+        }
+
+        const now = new Date().toISOString();
+        job.phases.forEach((entry) => {
+            if (!entry.completedAt) {
+                entry.completedAt = now;
+            }
+        });
+        job.phases.push({ phase, startedAt: now, completedAt: phase === 'commissioningComplete' ? now : null });
+        job.phase = phase;
+        logToFile('JOB', `작업 ${job.id} 단계 전환: ${phase}`);
+        notify(job, 'phase', { jobId: job.id, phase, phases: job.phases });
+    };
+
+    // 처음부터 다시 커미셔닝하는 재시도 전 단계 초기화 (이전 시도의 단계는 시도 기록에 보관)
+    const restartPhases = (job) => {
+        job.phase = 'discovery';
+        job.phases = [{ phase: 'discovery', startedAt: new Date().toISOString(), completedAt: null }];
+        job.lineBuffer = '';
+        notify(job, 'phase', { jobId: job.id, phase: job.phase, phases: job.phases });
+    };
+
+    // 시도 결과 기록
+    const recordAttempt = (job, attempt) => {
+        job.attempts.push(attempt);
+        notify(job, 'attempt', { jobId: job.id, ...attempt });
+    };
+
+    const handleOutput = (job, data) => {
+        job.lineBuffer += data;
+        const lines = job.lineBuffer.split('\n');
+        job.lineBuffer = lines.pop();
+        lines.forEach((line) => {
+            const phase = detectPhase(line);
+            if (phase) {
+                advancePhase(job, phase);
+            }
+        });
+    };
+
+    const finish = (job, status, fields) => {
+        Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+        notify(job, 'status', describe(job));
+        job.listeners.clear();
+
+        // 오래된 완료 작업 정리
+        const finished = [...jobs.values()].filter(item => item.finishedAt);
+        finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(item => jobs.delete(item.id));
+    };
+
+    // 작업 생성 및 즉시 실행 (run은 { signal, onOutput }과 재시도용 단계 / 시도 기록 함수를 받아 결과를 반환)
+    const create = ({ type, nodeId, run }) => {
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            nodeId,
+            status: 'running',
+            phase: 'discovery',
+            phases: [{ phase: 'discovery', startedAt: new Date().toISOString(), completedAt: null }],
+            failedPhase: null,
+            attempts: [],
+            result: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            finishedAt: null,
+            controller: new AbortController(),
+            listeners: new Set(),
+            lineBuffer: ''
+        };
+        jobs.set(job.id, job);
+        logToFile('JOB', `작업 생성: ${job.id} (${type}, nodeId: ${nodeId})`);
+
+        Promise.resolve()
+            .then(() => run({
+                signal: job.controller.signal,
+                onOutput: (data) => handleOutput(job, data.toString()),
+                getPhase: () => job.phase,
+                getPhases: () => job.phases.map(entry => ({ ...entry })),
+                advancePhase: (phase) => advancePhase(job, phase),
+                restartPhases: () => restartPhases(job),
+                recordAttempt: (attempt) => recordAttempt(job, attempt)
+            }))
+            .then((result) => {
+                advancePhase(job, 'commissioningComplete');
+                finish(job, 'succeeded', { result });
+                logToFile('JOB', `작업 완료: ${job.id}`);
+            })
+            .catch((error) => {
+                const cancelled = job.controller.signal.aborted;
+                finish(job, cancelled ? 'cancelled' : 'failed', {
+                    failedPhase: cancelled ? null : job.phase,
+                    error: cancelled ? null : mapError(error)
+                });
+                logToFile(cancelled ? 'JOB' : 'ERROR', `작업 ${cancelled ? '취소' : '실패'}: ${job.id} (단계: ${job.phase}) ${cancelled ? '' : error.message}`);
+            });
+
+        return describe(job);
+    };
+
+    const get = (id) => {
+        const job = jobs.get(id);
+        return job ? describe(job) : undefined;
+    };
+
+    const list = () => [...jobs.values()].map(describe);
+
+    // 실행 중인 작업 취소 (chip-tool 프로세스 종료)
+    const cancel = (id) => {
+        const job = jobs.get(id);
+        if (!job) {
+            return undefined;
+        }
+        if (job.status === 'running') {
+            logToFile('JOB', `작업 취소 요청: ${id}`);
+            job.controller.abort();
+        }
+        return describe(job);
+    };
+
+    // 진행 상황 구독 (반환된 함수로 해제)
+    const subscribe = (id, listener) => {
+        const job = jobs.get(id);
+        if (!job || job.finishedAt) {
+            return null;
+        }
+        job.listeners.add(listener);
+        return () => job.listeners.delete(listener);
+    };
+
+    // 작업 종료 대기 (종료된 작업 반환)
+    const wait = (id) => new Promise((resolve) => {
+        const unsubscribe = subscribe(id, (type, data) => {
+            if (type === 'status') {
+                resolve(data);
+            }
+        });
+        if (!unsubscribe) {
+            resolve(get(id));
+        }
+    });
+
+    return {
+        create,
+        get,
+        list,
+        cancel,
+        subscribe,
+        wait
+    };
+};
+
+module.exports = {
+    COMMISSIONING_PHASES,
+    detectPhase,
+    createJobManager
+};
@@ -0,0 +1,61 @@
+// 커미셔닝 재시도 정책 모듈
+// 실패한 단계와 오류 분류(카탈로그의 재시도 가능 여부)에 따라 재시도 여부, 방식, 대기 시간 결정
+//
+// 재시도 방식
+//   pair:   처음부터 다시 커미셔닝 (PASE부터)
+//   resume: 운영 네트워크에서 노드를 다시 찾아(discover resolve) CASE로 CommissioningComplete 전송
+//           NOC 설치와 네트워크 설정이 끝난 뒤 실패한 경우 (fail-safe가 만료되기 전이면 처음부터 다시 할 필요 없음)
+
+// 단계별 재시도 방식과 대기 시간 배수
+// 네트워크 설정 이후 단계는 디바이스가 네트워크에 접속하고 DNS-SD 광고를 시작할 시간을 더 기다림
+const PHASE_POLICIES = {
+    discovery: { action: 'pair', delayFactor: 1 },
+    paseEstablished: { action: 'pair', delayFactor: 1 },
+    deviceAttestation: { action: 'pair', delayFactor: 1 },
+    nocInstall: { action: 'pair', delayFactor: 2 },
+    networkConfiguration: { action: 'pair', delayFactor: 2 },
+    networkEnable: { action: 'resume', delayFactor: 3 },
+    operationalDiscovery: { action: 'resume', delayFactor: 3 },
+    caseEstablished: { action: 'resume', delayFactor: 2 }
+};
+
+// 오류 코드별 대기 시간 배수 (디바이스가 바쁘거나 이전 세션 / fail-safe를 정리하는 중인 경우)
+const ERROR_DELAY_FACTORS = {
+    BUSY: 2,
+    RESOURCE_EXHAUSTED: 2,
+    NO_MEMORY: 2,
+    INCORRECT_STATE: 2
+};
+
+// maxAttempts: 최대 시도 횟수 (첫 시도 포함, 1이면 재시도 안 함)
+// baseDelayMs / maxDelayMs: 지수 백오프 기준 / 최대 대기 시간
+const createRetryPolicy = ({ maxAttempts, baseDelayMs, maxDelayMs }) => {
+    // 다음 시도 결정 (재시도하지 않으면 null)
+    // attempt: 실패한 시도 번호 (1부터), action: 실패한 시도의 방식, phase: 실패한 단계, error: describeMatterError 결과
+    const next = ({ attempt, action, phase, error }) => {
+        if (attempt >= maxAttempts || !error.retryable) {
+            return null;
+        }
+        const policy = PHASE_POLICIES[phase];
+        if (!policy) {
+            return null;
+        }
+
+        // 재개도 실패하면 fail-safe 만료로 NOC가 제거되었을 수 있으므로 처음부터 다시 커미셔닝
+        // 디바이스가 네트워크 접속 실패를 응답한 경우(NETWORK_*)도 운영 네트워크에 없으므로 처음부터 다시 커미셔닝
+        const nextAction = action === 'resume' || error.code.startsWith('NETWORK_') ? 'pair' : policy.action;
+        const factor = policy.delayFactor * (ERROR_DELAY_FACTORS[error.code] || 1);
+        const delayMs = Math.min(maxDelayMs, baseDelayMs * factor * 2 ** (attempt - 1));
+        return { action: nextAction, delayMs };
+    };
+
+    return {
+        maxAttempts,
+        next
+    };
+};
+
+module.exports = {
+    PHASE_POLICIES,
+    createRetryPolicy
+};
@@ -1,5 +1,14 @@
 import express from "express";
-import { exec } from "child_process";
+import { spawn } from "child_process";
+import {
+  parseNodeIdParam,
+  parseDiscriminatorParam,
+  parseSsidParam,
+  parseWifiPasswordParam,
+  parseThreadDatasetParam,
+} from "./validation.js";
+import { parseManualPairingCode } from "./onboarding.js";
+import { redactSecrets, redactCommandArgs } from "./logRedaction.js";
 
 const app = express();
 const PORT = 3000;
@@ -15,38 +24,66 @@ app.post("/api/pairing/code", (req, res) => {
     networkType,   // "wifi" or "thread"
   } = req.body;
 
-  let command = "";
+  let args = [];
 
-  if (deviceAddress === "BLE") {
-    // BLE 기반 pairing 명령어
-    // Wi-Fi SSID/PW는 실제 구현 시 따로 받거나 dotenv 등으로 관리
-    const ssid = process.env.WIFI_SSID || "TestSSID";
-    const password = process.env.WIFI_PASSWORD || "TestPassword";
+  // 입력값 검증 (chip-tool 실행 전)
+  try {
+    const validNodeId = parseNodeIdParam(nodeId);
 
-    if (networkType === "wifi") {
-      command = `chip-tool pairing ble-wifi ${nodeId} ${discriminator} ${ssid} ${password}`;
-    } else if (networkType === "thread") {
-      // Thread dataset이 필요
-      const dataset = process.env.THREAD_DATASET || "hex:..."; // 예시
-      command = `chip-tool pairing ble-thread ${nodeId} ${discriminator} ${dataset}`;
+    if (deviceAddress === "BLE") {
+      // BLE 기반 pairing 명령어
+      // Wi-Fi SSID/PW는 실제 구현 시 따로 받거나 dotenv 등으로 관리
+      const validDiscriminator = parseDiscriminatorParam(discriminator);
+      // Setup PIN Code는 Manual Pairing Code에서 추출
+      const { passcode } = parseManualPairingCode(manualPairingCode);
+
+      if (networkType === "wifi") {
+        const ssid = parseSsidParam(process.env.WIFI_SSID || "TestSSID");
+        const password = parseWifiPasswordParam(process.env.WIFI_PASSWORD || "TestPassword");
+        args = ["pairing", "ble-wifi", validNodeId, ssid, password, passcode, validDiscriminator];
+      } else if (networkType === "thread") {
+        // Thread dataset이 필요
+        const dataset = parseThreadDatasetParam(process.env.THREAD_DATASET);
+        args = ["pairing", "ble-thread", validNodeId, dataset, passcode, validDiscriminator];
+      } else {
+        return res.status(400).json({ error: "Invalid networkType" });
+      }
     } else {
-      return res.status(400).json({ error: "Invalid networkType" });
+      // 수동 코드 기반 pairing
+      args = ["pairing", "code", validNodeId, parseManualPairingCode(manualPairingCode).payload];
     }
-  } else {
-    // 수동 코드 기반 pairing
-    command = `chip-tool pairing code ${nodeId} ${manualPairingCode}`;
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
 
-  console.log("▶️ 실행 명령어:", command);
+  // Wi-Fi 비밀번호 / Thread Dataset / 페어링 코드는 마스킹하여 출력
+  console.log("▶️ 실행 명령어: chip-tool", redactCommandArgs(args).join(" "));
+
+  // 쉘을 거치지 않고 인자 배열로 실행
+  const child = spawn("chip-tool", args.map(String));
+  let stdout = "";
+  let stderr = "";
+  child.stdout.on("data", (data) => (stdout += data));
+  child.stderr.on("data", (data) => (stderr += data));
+
+  child.on("error", (err) => {
+    console.error("❌ Error:", err.message);
+    if (!res.headersSent) {
+      res.status(500).json({ error: err.message });
+    }
+  });
 
-  exec(command, (err, stdout, stderr) => {
-    if (err) {
-      console.error("❌ Error:", err.message);
-      return res.status(500).json({ error: err.message });
+  child.on("close", (code) => {
+    if (res.headersSent) {
+      return;
+    }
+    if (code !== 0) {
+      const redactedStderr = redactSecrets(stderr);
+      console.error("❌ Error:", redactedStderr);
+      return res.status(500).json({ error: `chip-tool exited with code ${code}`, stderr: redactedStderr });
     }
 
-    console.log("✅ stdout:", stdout);
-    res.json({ result: stdout });
+    res.json({ result: redactSecrets(stdout) });
   });
 });
 
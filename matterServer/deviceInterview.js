@@ -0,0 +1,198 @@
+// 커미셔닝 후 디바이스 인터뷰 모듈
+// BasicInformation 속성과 모든 엔드포인트의 Descriptor 속성을 읽어 디바이스 기능 모델 구성
+const { parseReportOutput } = require('./chipOutput');
+const { clusterNameById } = require('./clusters');
+
+const BASIC_INFORMATION_CLUSTER_ID = 0x0028;
+const DESCRIPTOR_CLUSTER_ID = 0x001D;
+
+// chip-tool 와일드카드 엔드포인트 (모든 엔드포인트의 Descriptor를 한 번에 읽기)
+const WILDCARD_ENDPOINT = 0xFFFF;
+
+// BasicInformation 속성 ID -> 응답 필드 이름
+const BASIC_INFORMATION_ATTRIBUTES = {
+    0x0001: 'vendorName',
+    0x0002: 'vendorId',
+    0x0003: 'productName',
+    0x0004: 'productId',
+    0x0005: 'nodeLabel',
+    0x0008: 'hardwareVersionString',
+    0x0009: 'softwareVersion',
+    0x000A: 'softwareVersionString',
+    0x000F: 'serialNumber',
+    0x0012: 'uniqueId'
+};
+
+// 숫자 속성 (나머지는 문자열 속성이므로 "1.0", "12345" 같은 값도 문자열로 유지)
+const NUMERIC_BASIC_INFORMATION_FIELDS = ['vendorId', 'productId', 'softwareVersion'];
+
+// Descriptor 속성 ID
+const DESCRIPTOR_ATTRIBUTES = {
+    deviceTypeList: 0x0000,
+    serverList: 0x0001,
+    clientList: 0x0002,
+    partsList: 0x0003
+};
+
+// Matter 디바이스 타입 ID -> 이름 (Matter Device Library)
+const DEVICE_TYPE_NAMES = {
+    0x000A: 'Door Lock',
+    0x000B: 'Door Lock Controller',
+    0x000E: 'Aggregator',
+    0x000F: 'Generic Switch',
+    0x0011: 'Power Source',
+    0x0012: 'OTA Requestor',
+    0x0013: 'Bridged Node',
+    0x0014: 'OTA Provider',
+    0x0015: 'Contact Sensor',
+    0x0016: 'Root Node',
+    0x0022: 'Speaker',
+    0x0023: 'Casting Video Player',
+    0x0024: 'Content App',
+    0x0027: 'Mode Select',
+    0x0028: 'Basic Video Player',
+    0x0029: 'Casting Video Client',
+    0x002A: 'Video Remote Control',
+    0x002B: 'Fan',
+    0x002C: 'Air Quality Sensor',
+    0x002D: 'Air Purifier',
+    0x0041: 'Water Freeze Detector',
+    0x0042: 'Water Valve',
+    0x0043: 'Water Leak Detector',
+    0x0044: 'Rain Sensor',
+    0x0070: 'Refrigerator',
+    0x0071: 'Temperature Controlled Cabinet',
+    0x0072: 'Room Air Conditioner',
+    0x0073: 'Laundry Washer',
+    0x0074: 'Robotic Vacuum Cleaner',
+    0x0075: 'Dishwasher',
+    0x0076: 'Smoke CO Alarm',
+    0x0100: 'On/Off Light',
+    0x0101: 'Dimmable Light',
+    0x0103: 'On/Off Light Switch',
+    0x0104: 'Dimmer Switch',
+    0x0105: 'Color Dimmer Switch',
+    0x0106: 'Light Sensor',
+    0x0107: 'Occupancy Sensor',
+    0x010A: 'On/Off Plug-in Unit',
+    0x010B: 'Dimmable Plug-in Unit',
+    0x010C: 'Color Temperature Light',
+    0x010D: 'Extended Color Light',
+    0x0202: 'Window Covering',
+    0x0203: 'Window Covering Controller',
+    0x0300: 'Heating/Cooling Unit',
+    0x0301: 'Thermostat',
+    0x0302: 'Temperature Sensor',
+    0x0303: 'Pump',
+    0x0304: 'Pump Controller',
+    0x0305: 'Pressure Sensor',
+    0x0306: 'Flow Sensor',
+    0x0307: 'Humidity Sensor',
+    0x0840: 'Control Bridge',
+    0x0850: 'On/Off Sensor'
+};
+
+// 디바이스 타입 ID를 이름으로 변환 (알 수 없으면 null)
+const deviceTypeName = (deviceTypeId) => DEVICE_TYPE_NAMES[deviceTypeId] ?? null;
+
+// chip-tool read-by-id 인자용 16진수 ID ("0x001D")
+const formatId = (id) => `0x${Number(id).toString(16).toUpperCase().padStart(4, '0')}`;
+
+// 읽기 결과에 속성이 하나도 없으면 실패 상태로 오류 생성
+const readFailed = (report, what) => {
+    const reason = report.failure ? ` (${report.failure.status})` : '';
+    const error = new Error(`디바이스 인터뷰 실패: ${what}을(를) 읽을 수 없습니다.${reason}`);
+    error.code = 'INTERVIEW_FAILED';
+    if (report.failure) {
+        error.failure = report.failure;
+    }
+    return error;
+};
+
+// BasicInformation 리포트를 응답 형식으로 변환 (디바이스가 지원하지 않는 선택 속성은 제외)
+const toBasicInformation = (attributes) => {
+    const basicInformation = {};
+    attributes
+        .filter(attribute => attribute.clusterId === BASIC_INFORMATION_CLUSTER_ID)
+        .forEach((attribute) => {
+            const field = BASIC_INFORMATION_ATTRIBUTES[attribute.attributeId];
+            if (field) {
+                basicInformation[field] = NUMERIC_BASIC_INFORMATION_FIELDS.includes(field) ? attribute.value : String(attribute.value);
+            }
+        });
+    return basicInformation;
+};
+
+const toClusterList = (clusterIds = []) => clusterIds.map(id => ({ id, name: clusterNameById(id) }));
+
+// Descriptor 리포트를 엔드포인트별 기능 모델로 변환
+const toEndpoints = (attributes) => {
+    const endpoints = new Map();
+    attributes
+        .filter(attribute => attribute.clusterId === DESCRIPTOR_CLUSTER_ID)
+        .forEach((attribute) => {
+            if (!endpoints.has(attribute.endpoint)) {
+                endpoints.set(attribute.endpoint, {});
+            }
+            endpoints.get(attribute.endpoint)[attribute.attributeId] = attribute.value;
+        });
+
+    return [...endpoints.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([endpoint, descriptor]) => ({
+            endpoint,
+            deviceTypes: (descriptor[DESCRIPTOR_ATTRIBUTES.deviceTypeList] || []).map(({ DeviceType, Revision }) => ({
+                id: DeviceType,
+                name: deviceTypeName(DeviceType),
+                revision: Revision
+            })),
+            serverClusters: toClusterList(descriptor[DESCRIPTOR_ATTRIBUTES.serverList]),
+            clientClusters: toClusterList(descriptor[DESCRIPTOR_ATTRIBUTES.clientList]),
+            parts: descriptor[DESCRIPTOR_ATTRIBUTES.partsList] || []
+        }));
+};
+
+// 디바이스 인터뷰 (execute: chip-tool 인자 배열을 실행해 출력을 반환하는 함수)
+const interviewDevice = async ({ nodeId, execute }) => {
+    const basicOutput = await execute([
+        'any', 'read-by-id',
+        formatId(BASIC_INFORMATION_CLUSTER_ID),
+        Object.keys(BASIC_INFORMATION_ATTRIBUTES).map(formatId).join(','),
+        nodeId, 0
+    ]);
+    const basicReport = parseReportOutput(basicOutput);
+    const basicInformation = toBasicInformation(basicReport.attributes);
+    if (Object.keys(basicInformation).length === 0) {
+        throw readFailed(basicReport, 'BasicInformation');
+    }
+
+    const descriptorOutput = await execute([
+        'any', 'read-by-id',
+        formatId(DESCRIPTOR_CLUSTER_ID),
+        Object.values(DESCRIPTOR_ATTRIBUTES).map(formatId).join(','),
+        nodeId, WILDCARD_ENDPOINT
+    ]);
+    const descriptorReport = parseReportOutput(descriptorOutput);
+    const endpoints = toEndpoints(descriptorReport.attributes);
+    if (endpoints.length === 0) {
+        throw readFailed(descriptorReport, 'Descriptor');
+    }
+
+    return {
+        basicInformation,
+        endpoints,
+        // 엔드포인트 0(Root Node)을 제외한 디바이스 타입 이름
+        deviceTypes: [...new Set(endpoints
+            .filter(endpoint => endpoint.endpoint !== 0)
+            .flatMap(endpoint => endpoint.deviceTypes.map(deviceType => deviceType.name || formatId(deviceType.id))))],
+        interviewedAt: new Date().toISOString()
+    };
+};
+
+module.exports = {
+    BASIC_INFORMATION_CLUSTER_ID,
+    DESCRIPTOR_CLUSTER_ID,
+    DEVICE_TYPE_NAMES,
+    deviceTypeName,
+    interviewDevice
+};
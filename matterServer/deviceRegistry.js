@@ -0,0 +1,272 @@
+// 파일 기반 영구 디바이스 레지스트리 모듈
+const fs = require('fs');
+const { readJsonFile, writeJsonFileAtomic } = require('./jsonFile');
+
+const SCHEMA_VERSION = 3;
+// 디바이스별로 보관하는 커미셔닝 이력 최대 개수
+const MAX_HISTORY_ENTRIES = 50;
+
+// 스키마 마이그레이션 (버전 n -> n+1 변환 함수)
+const MIGRATIONS = {
+    // 0: 버전 정보가 없는 초기 파일 ({ [nodeId]: device })
+    0: (data) => ({ schemaVersion: 1, devices: data.devices || data }),
+    // 1: 검색 순번으로 저장된 'discovered' 항목 제거 (레지스트리는 Operational Node ID만 보관)
+    1: (data) => ({
+        schemaVersion: 2,
+        devices: Object.fromEntries(Object.entries(data.devices).filter(([, device]) => device.status !== 'discovered'))
+    }),
+    // 2: 그룹 테이블 / 그룹 키셋 추가
+    2: (data) => ({ ...data, schemaVersion: 3, groups: {}, keySets: {} })
+};
+
+// 저장 파일을 현재 스키마 버전으로 변환
+const migrate = (data) => {
+    let migrated = data;
+    let version = data.schemaVersion || 0;
+
+    while (version < SCHEMA_VERSION) {
+        const migration = MIGRATIONS[version];
+        if (!migration) {
+            throw new Error(`지원하지 않는 레지스트리 스키마 버전입니다: ${version}`);
+        }
+        migrated = migration(migrated);
+        version = migrated.schemaVersion;
+    }
+
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`레지스트리 스키마 버전(${version})이 서버 버전(${SCHEMA_VERSION})보다 높습니다.`);
+    }
+    return migrated;
+};
+
+// chip-tool KVS 저장소(INI)에서 패브릭에 등록된 노드 ID 목록 추출
+// CASE 세션 재개 정보 키 (f/<fabricIndex>/s/<nodeId 16자리 hex>)를 기준으로 판단
+const readChipToolNodeIds = (storagePath) => {
+    if (!fs.existsSync(storagePath)) {
+        return null;
+    }
+
+    const nodeIds = new Set();
+    fs.readFileSync(storagePath, 'utf8').split('\n').forEach((line) => {
+        const match = line.trim().match(/^f\/[0-9a-fA-F]+\/s\/([0-9a-fA-F]{16})=/);
+        if (match) {
+            nodeIds.add(BigInt(`0x${match[1]}`).toString());
+        }
+    });
+    return [...nodeIds];
+};
+
+const createDeviceRegistry = ({ filePath, logToFile }) => {
+    let data = { schemaVersion: SCHEMA_VERSION, devices: {}, groups: {}, keySets: {} };
+
+    const save = () => writeJsonFileAtomic(filePath, data);
+
+    const load = () => {
+        const raw = readJsonFile(filePath);
+        if (!raw) {
+            save();
+            logToFile('REGISTRY', `새 디바이스 레지스트리 생성: ${filePath}`);
+            return;
+        }
+
+        const migrated = migrate(raw);
+        data = migrated;
+        if (migrated !== raw) {
+            save();
+            logToFile('REGISTRY', `디바이스 레지스트리 스키마 마이그레이션 완료 (v${raw.schemaVersion || 0} -> v${SCHEMA_VERSION})`);
+        }
+        logToFile('REGISTRY', `디바이스 레지스트리 로드: ${Object.keys(data.devices).length}개 디바이스, ${Object.keys(data.groups).length}개 그룹`);
+    };
+
+    const get = (nodeId) => {
+        const device = data.devices[nodeId];
+        return device ? structuredClone(device) : undefined;
+    };
+
+    const has = (nodeId) => Boolean(data.devices[nodeId]);
+
+    // 디바이스 추가 또는 필드 병합
+    const upsert = (nodeId, fields) => {
+        const now = new Date().toISOString();
+        const existing = data.devices[nodeId];
+        data.devices[nodeId] = {
+            labels: {},
+            room: null,
+            commissioningHistory: [],
+            createdAt: now,
+            ...existing,
+            ...fields,
+            nodeId,
+            updatedAt: now
+        };
+        save();
+        return get(nodeId);
+    };
+
+    // 기존 디바이스만 수정 (없으면 undefined)
+    const update = (nodeId, fields) => {
+        return has(nodeId) ? upsert(nodeId, fields) : undefined;
+    };
+
+    // 디바이스 삭제 (그룹 멤버에서도 제거)
+    const remove = (nodeId) => {
+        if (!has(nodeId)) {
+            return false;
+        }
+        delete data.devices[nodeId];
+        Object.values(data.groups).forEach((group) => {
+            group.members = group.members.filter(member => member.nodeId !== nodeId);
+        });
+        save();
+        return true;
+    };
+
+    const list = (filter = {}) => {
+        return Object.values(data.devices)
+            .filter(device => !filter.status || device.status === filter.status)
+            .filter(device => !filter.room || device.room === filter.room)
+            .map(device => structuredClone(device));
+    };
+
+    // 커미셔닝 이력 추가 (최근 항목만 유지)
+    const appendHistory = (nodeId, entry) => {
+        const device = data.devices[nodeId];
+        if (!device) {
+            return undefined;
+        }
+        const history = [...(device.commissioningHistory || []), { ...entry, timestamp: new Date().toISOString() }];
+        return upsert(nodeId, { commissioningHistory: history.slice(-MAX_HISTORY_ENTRIES) });
+    };
+
+    // 그룹 조회 (groupId: 숫자)
+    const getGroup = (groupId) => {
+        const group = data.groups[groupId];
+        return group ? structuredClone(group) : undefined;
+    };
+
+    const listGroups = () => Object.values(data.groups).map(group => structuredClone(group));
+
+    // 그룹 추가 또는 필드 병합
+    const upsertGroup = (groupId, fields) => {
+        const now = new Date().toISOString();
+        data.groups[groupId] = {
+            members: [],
+            createdAt: now,
+            ...data.groups[groupId],
+            ...fields,
+            groupId,
+            updatedAt: now
+        };
+        save();
+        return getGroup(groupId);
+    };
+
+    const removeGroup = (groupId) => {
+        if (!data.groups[groupId]) {
+            return false;
+        }
+        delete data.groups[groupId];
+        save();
+        return true;
+    };
+
+    // 그룹 멤버(디바이스 엔드포인트) 추가 / 제거
+    const addGroupMember = (groupId, nodeId, endpoint) => {
+        const group = data.groups[groupId];
+        if (!group) {
+            return undefined;
+        }
+        const members = group.members.filter(member => member.nodeId !== nodeId || member.endpoint !== endpoint);
+        return upsertGroup(groupId, { members: [...members, { nodeId, endpoint, addedAt: new Date().toISOString() }] });
+    };
+
+    const removeGroupMember = (groupId, nodeId, endpoint) => {
+        const group = data.groups[groupId];
+        if (!group) {
+            return undefined;
+        }
+        return upsertGroup(groupId, {
+            members: group.members.filter(member => member.nodeId !== nodeId || member.endpoint !== endpoint)
+        });
+    };
+
+    // 디바이스가 속한 그룹 목록
+    const groupsOfNode = (nodeId) => listGroups().filter(group => group.members.some(member => member.nodeId === nodeId));
+
+    // 그룹 키셋 (에폭 키 포함, 응답에는 노출하지 않음)
+    const getKeySet = (keySetId) => {
+        const keySet = data.keySets[keySetId];
+        return keySet ? structuredClone(keySet) : undefined;
+    };
+
+    const listKeySets = () => Object.values(data.keySets).map(keySet => structuredClone(keySet));
+
+    const upsertKeySet = (keySetId, fields) => {
+        const now = new Date().toISOString();
+        data.keySets[keySetId] = { createdAt: now, ...data.keySets[keySetId], ...fields, keySetId, updatedAt: now };
+        save();
+        return getKeySet(keySetId);
+    };
+
+    const removeKeySet = (keySetId) => {
+        if (!data.keySets[keySetId]) {
+            return false;
+        }
+        delete data.keySets[keySetId];
+        save();
+        return true;
+    };
+
+    // chip-tool 저장소의 노드 목록과 레지스트리 동기화
+    const reconcile = (chipToolNodeIds) => {
+        const known = new Set(chipToolNodeIds);
+        const result = { added: [], missing: [] };
+
+        chipToolNodeIds.forEach((nodeId) => {
+            if (!has(nodeId)) {
+                upsert(nodeId, { status: 'commissioned', source: 'chip-tool-storage' });
+                result.added.push(nodeId);
+            } else if (data.devices[nodeId].status === 'missing') {
+                upsert(nodeId, { status: 'commissioned' });
+            }
+        });
+
+        Object.values(data.devices)
+            .filter(device => device.status === 'commissioned' && !known.has(device.nodeId))
+            .forEach((device) => {
+                upsert(device.nodeId, { status: 'missing' });
+                result.missing.push(device.nodeId);
+            });
+
+        return result;
+    };
+
+    return {
+        load,
+        get,
+        has,
+        upsert,
+        update,
+        remove,
+        list,
+        appendHistory,
+        reconcile,
+        getGroup,
+        listGroups,
+        upsertGroup,
+        removeGroup,
+        addGroupMember,
+        removeGroupMember,
+        groupsOfNode,
+        getKeySet,
+        listKeySets,
+        upsertKeySet,
+        removeKeySet
+    };
+};
+
+module.exports = {
+    SCHEMA_VERSION,
+    createDeviceRegistry,
+    readChipToolNodeIds
+};
@@ -0,0 +1,152 @@
+// chip-tool 실행 기록 (명령별 전체 stdout / stderr, 종료 코드, 시그널, 실행 시간, 마스킹된 인자)
+// 공유 일일 로그에서 동시 실행 출력이 섞이는 문제 없이 실행 ID 하나로 전체 기록을 조회
+// 완료된 기록은 실행 ID별 JSON 파일로 저장하고 최근 maxEntries개만 보존
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// 스트림별 최대 보존 크기 (초과분은 잘라내고 truncated 표시)
+const MAX_STREAM_BYTES = 1024 * 1024;
+
+// 실행 ID 형식 (명령 큐 작업 ID, 파일 경로 조작 방지)
+const EXECUTION_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// 최종 오류 코드별 실행 상태
+const EXECUTION_STATUS_BY_ERROR = {
+    COMMAND_TIMEOUT: 'timeout',
+    COMMAND_CANCELLED: 'cancelled'
+};
+
+const createExecutionStore = ({ dirPath, maxEntries = 500, redact = (text) => text, logToFile }) => {
+    // 실행 중이거나 파일 저장 전인 기록
+    const active = new Map();
+    // 완료된 실행 ID (오래된 순서, 보존 개수 관리용)
+    let finished = [];
+
+    fs.mkdirSync(dirPath, { recursive: true });
+
+    const filePath = (id) => path.join(dirPath, `${id}.json`);
+
+    // 기존 기록 파일 목록 로드 (수정 시각 순서)
+    const load = () => {
+        finished = fs.readdirSync(dirPath)
+            .filter(name => name.endsWith('.json'))
+            .map(name => ({ id: name.slice(0, -5), mtime: fs.statSync(path.join(dirPath, name)).mtimeMs }))
+            .sort((a, b) => a.mtime - b.mtime)
+            .map(item => item.id);
+    };
+
+    const describe = ({ stdoutBytes, stderrBytes, ...execution }) => ({
+        ...execution,
+        stdout: redact(execution.stdout),
+        stderr: redact(execution.stderr)
+    });
+
+    // 실행 시작 (args는 마스킹된 인자)
+    const start = (id, { args, label, priority, requestId, nodeId }) => {
+        active.set(id, {
+            id,
+            status: 'running',
+            label,
+            args,
+            priority,
+            requestId: requestId || null,
+            nodeId: nodeId || null,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            durationMs: null,
+            exitCode: null,
+            signal: null,
+            stdout: '',
+            stderr: '',
+            stdoutBytes: 0,
+            stderrBytes: 0,
+            truncated: false,
+            error: null
+        });
+    };
+
+    // 실시간 출력 추가 (stream: 'stdout' | 'stderr')
+    const append = (id, stream, data) => {
+        const execution = active.get(id);
+        if (!execution) {
+            return;
+        }
+        const text = data.toString();
+        const bytesKey = `${stream}Bytes`;
+        if (execution[bytesKey] + Buffer.byteLength(text) > MAX_STREAM_BYTES) {
+            execution.truncated = true;
+            return;
+        }
+        execution[stream] += text;
+        execution[bytesKey] += Buffer.byteLength(text);
+    };
+
+    // 프로세스 종료 정보 기록 (exitCode, signal)
+    const update = (id, fields) => {
+        const execution = active.get(id);
+        if (execution) {
+            Object.assign(execution, fields);
+        }
+    };
+
+    // 실행 종료: 상태 확정 후 파일로 저장, 보존 개수를 넘은 오래된 기록 삭제
+    const finish = async (id, { error } = {}) => {
+        const execution = active.get(id);
+        if (!execution || execution.finishedAt) {
+            return;
+        }
+
+        const finishedAt = new Date();
+        Object.assign(execution, {
+            status: error ? (EXECUTION_STATUS_BY_ERROR[error.code] || 'failed') : 'succeeded',
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt.getTime() - Date.parse(execution.startedAt),
+            exitCode: error ? execution.exitCode : 0,
+            error: error ? { code: typeof error.code === 'string' ? error.code : null, message: redact(error.message) } : null
+        });
+
+        try {
+            await fsp.writeFile(filePath(id), JSON.stringify(describe(execution), null, 2));
+            finished.push(id);
+            const expired = finished.splice(0, Math.max(0, finished.length - maxEntries));
+            await Promise.all(expired.map(expiredId => fsp.rm(filePath(expiredId), { force: true })));
+        } catch (writeError) {
+            logToFile('ERROR', `실행 기록 저장 실패: ${id} (${writeError.message})`, { commandId: id });
+        } finally {
+            active.delete(id);
+        }
+    };
+
+    // 실행 기록 조회 (실행 중이면 현재까지의 출력, 없으면 null)
+    const get = async (id) => {
+        if (active.has(id)) {
+            return describe(active.get(id));
+        }
+        if (!EXECUTION_ID_PATTERN.test(id)) {
+            return null;
+        }
+        try {
+            return JSON.parse(await fsp.readFile(filePath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    };
+
+    load();
+
+    return {
+        start,
+        append,
+        update,
+        finish,
+        get
+    };
+};
+
+module.exports = {
+    createExecutionStore
+};
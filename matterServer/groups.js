@@ -0,0 +1,115 @@
+// Matter 그룹 모듈 (그룹 키셋, 그룹 키 맵, 그룹 ACL, 그룹캐스트 대상)
+//
+// 그룹 커맨드는 멀티캐스트로 전송되므로 디바이스마다 다음 구성이 필요함
+//   1. GroupKeyManagement KeySetWrite: 그룹 키셋(에폭 키) 등록
+//   2. GroupKeyManagement GroupKeyMap: 그룹 ID와 키셋 연결
+//   3. Groups AddGroup: 엔드포인트를 그룹에 추가
+//   4. AccessControl ACL: 그룹 인증(AuthMode Group)으로 Operate 권한 부여
+// chip-tool(컨트롤러)에도 groupsettings로 같은 키셋과 그룹을 등록해야 그룹 메시지를 암호화할 수 있음
+const crypto = require('crypto');
+
+// 그룹 키 보안 정책 (GroupKeySecurityPolicyEnum)
+const GROUP_KEY_SECURITY_POLICIES = {
+    'trust-first': 0,
+    'cache-and-sync': 1
+};
+
+// 에폭 키 시작 시각 (마이크로초, chip-tool groupsettings 기본 예시 값)
+const DEFAULT_EPOCH_START_TIME = 2220000;
+
+// ACL 권한 / 인증 방식 (AccessControlEntryPrivilegeEnum / AccessControlEntryAuthModeEnum)
+const PRIVILEGE_OPERATE = 3;
+const AUTH_MODE_GROUP = 3;
+
+// 그룹 ID 범위 (0은 사용 불가, 0xFF00 이상은 예약)
+const MIN_GROUP_ID = 0x0001;
+const MAX_GROUP_ID = 0xFEFF;
+
+// 키셋 ID 0은 IPK용으로 예약
+const MIN_KEY_SET_ID = 1;
+const MAX_KEY_SET_ID = 0xFFFF;
+
+// 그룹 관리 오류 생성 함수
+const groupError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// 그룹캐스트 대상 ID (0xFFFFFFFFFFFF + 16비트 그룹 ID)
+const groupDestinationId = (groupId) => `0xFFFFFFFFFFFF${groupId.toString(16).toUpperCase().padStart(4, '0')}`;
+
+// 새 에폭 키 생성 (16바이트 hex)
+const generateEpochKey = () => crypto.randomBytes(16).toString('hex');
+
+// chip-tool(컨트롤러)에 키셋 등록
+const addKeySetArgs = ({ keySetId, securityPolicy, epochStartTime, epochKey }) =>
+    ['groupsettings', 'add-keysets', keySetId, GROUP_KEY_SECURITY_POLICIES[securityPolicy], epochStartTime, `hex:${epochKey}`];
+
+// 디바이스에 키셋 등록 (GroupKeyManagement KeySetWrite, 에폭 키 1개)
+const keySetWriteArgs = ({ keySetId, securityPolicy, epochStartTime, epochKey }, nodeId) => [
+    'groupkeymanagement', 'key-set-write',
+    JSON.stringify({
+        groupKeySetID: keySetId,
+        groupKeySecurityPolicy: GROUP_KEY_SECURITY_POLICIES[securityPolicy],
+        epochKey0: epochKey,
+        epochStartTime0: epochStartTime,
+        epochKey1: null,
+        epochStartTime1: null,
+        epochKey2: null,
+        epochStartTime2: null
+    }),
+    nodeId, 0
+];
+
+// 디바이스가 속한 그룹 목록으로 GroupKeyMap 값 구성 (이 패브릭의 항목 전체를 덮어씀)
+const groupKeyMapValue = (groups, fabricIndex) => groups.map(group => ({
+    groupId: group.groupId,
+    groupKeySetID: group.keySetId,
+    fabricIndex
+}));
+
+// chip-tool 리포트 값(PascalCase 필드)을 쓰기용 JSON(camelCase 필드)으로 변환
+const toWritableValue = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(toWritableValue);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value)
+            .map(([key, item]) => [`${key[0].toLowerCase()}${key.slice(1)}`, toWritableValue(item)]));
+    }
+    return value;
+};
+
+// 현재 ACL에 그룹 Operate 항목 반영 (기존 관리자 / 다른 항목은 유지, 그룹이 없으면 그룹 항목 제거)
+const buildGroupAcl = (entries, groupIds, fabricIndex) => {
+    const kept = entries
+        .map(toWritableValue)
+        .filter(entry => !(entry.authMode === AUTH_MODE_GROUP && entry.privilege === PRIVILEGE_OPERATE));
+    if (groupIds.length === 0) {
+        return kept;
+    }
+    return [...kept, {
+        fabricIndex,
+        privilege: PRIVILEGE_OPERATE,
+        authMode: AUTH_MODE_GROUP,
+        subjects: groupIds,
+        targets: null
+    }];
+};
+
+module.exports = {
+    GROUP_KEY_SECURITY_POLICIES,
+    DEFAULT_EPOCH_START_TIME,
+    MIN_GROUP_ID,
+    MAX_GROUP_ID,
+    MIN_KEY_SET_ID,
+    MAX_KEY_SET_ID,
+    groupError,
+    groupDestinationId,
+    generateEpochKey,
+    addKeySetArgs,
+    keySetWriteArgs,
+    groupKeyMapValue,
+    buildGroupAcl
+};
@@ -0,0 +1,31 @@
+// JSON 파일 읽기/원자적 저장 유틸리티
+const fs = require('fs');
+const path = require('path');
+
+// JSON 파일 읽기 (파일이 없으면 null)
+const readJsonFile = (filePath) => {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+// 임시 파일에 쓴 뒤 rename하여 원자적으로 저장 (options.mode: 파일 권한)
+const writeJsonFileAtomic = (filePath, data, options = {}) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w', options.mode);
+    try {
+        fs.writeSync(fd, JSON.stringify(data, null, 2));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+};
+
+module.exports = {
+    readJsonFile,
+    writeJsonFileAtomic
+};
@@ -0,0 +1,106 @@
+// 로그 민감 정보 마스킹 모듈
+// logToFile이 디스크 / 콘솔에 기록하기 전에 chip-tool 인자와 출력의 비밀 값을 '***'로 치환
+// (Wi-Fi 비밀번호, Passcode, Manual / QR 페어링 코드, Thread 네트워크 키 / Operational Dataset, NOC / ICAC 인증서, 그룹 에폭 키)
+
+const MASK = '***';
+
+// chip-tool 명령별 민감 인자 위치 (명령 이름 두 단어 다음의 위치 인자 기준, 0부터)
+const SENSITIVE_COMMAND_ARGS = {
+    'pairing code': [1],                                        // <node-id> <payload>
+    'pairing code-paseonly': [1],                               // <node-id> <payload>
+    'pairing code-wifi': [2, 3],                                // <node-id> <ssid> <password> <payload>
+    'pairing code-thread': [1, 2],                              // <node-id> <dataset> <payload>
+    'pairing ble-wifi': [2, 3],                                 // <node-id> <ssid> <password> <passcode> <discriminator>
+    'pairing ble-thread': [1, 2],                               // <node-id> <dataset> <passcode> <discriminator>
+    'pairing onnetwork': [1],                                   // <node-id> <passcode>
+    'pairing onnetwork-long': [1],                              // <node-id> <passcode> <discriminator>
+    'pairing onnetwork-short': [1],                             // <node-id> <passcode> <discriminator>
+    'pairing onnetwork-instance-name': [1],                     // <node-id> <passcode> <instance-name>
+    'pairing already-discovered': [1],                          // <node-id> <passcode> <address> <port>
+    'payload parse-setup-payload': [0],                         // <payload>
+    'networkcommissioning add-or-update-wi-fi-network': [1],    // <ssid> <credentials>
+    'networkcommissioning add-or-update-thread-network': [0],   // <operational-dataset>
+    'operationalcredentials add-noc': [0, 1, 2],                // <NOCValue> <ICACValue> <IPKValue>
+    'operationalcredentials update-noc': [0, 1],                // <NOCValue> <ICACValue>
+    'operationalcredentials add-trusted-root-certificate': [0], // <RootCACertificate>
+    'groupsettings add-keysets': [3],                           // <keyset-id> <key-policy> <validity-time> <epoch-key>
+    'groupkeymanagement key-set-write': [0]                     // <GroupKeySet>
+};
+
+// 긴 명령 이름을 먼저 비교하도록 정렬 ('pairing code-wifi'가 'pairing code'보다 우선)
+const COMMAND_PATTERN = new RegExp(
+    `\\b(${Object.keys(SENSITIVE_COMMAND_ARGS).sort((a, b) => b.length - a.length).join('|')})(?=[ \\t]|$)((?:[ \\t]+\\S+)*)`,
+    'gm'
+);
+
+// chip-tool 출력 / 로그 메시지의 민감 필드 이름 ("Name: 값", "Name = 값", JSON "name": 값)
+// Manual Pairing Code는 숫자만으로는 Node ID 등과 구분할 수 없으므로 필드 이름 / 명령 인자 위치에 있을 때만 마스킹
+const SENSITIVE_FIELD_PATTERN = new RegExp(
+    '\\b(' + [
+        'password', 'passcode', 'credentials', 'access_token',
+        'setup ?pin ?code', 'pin ?code', 'setup ?code',
+        'pairing ?code', 'manual ?pairing ?code', 'qr ?code', 'setup ?qr ?code', 'setup ?payload',
+        'network ?key', 'pskc', 'operational ?dataset', 'dataset',
+        'noc(?:value)?', 'icac(?:value)?', 'ipk(?:value)?', 'root ?ca ?certificate', 'epoch ?key\\d'
+    ].join('|') + ')("?[ \\t]*[:=][ \\t]*)(\\[[^\\]\\n]*\\]|"[^"\\n]*"|[^\\s,}]+)',
+    'gi'
+);
+
+// Matter QR 코드 페이로드 ("MT:" + Base38)
+const QR_CODE_PATTERN = /MT:[0-9A-Z.\-]{8,}/g;
+
+// hex: 접두사 바이트열 (Thread Dataset, 인증서 등 chip-tool 옥텟 문자열 인자)
+const HEX_BLOB_PATTERN = /\bhex:[0-9a-fA-F]+/g;
+
+// 위치 인자 마스킹 ('--' 옵션이 나오면 위치 인자가 끝난 것으로 처리)
+const maskCommandArgs = (match, command, rest) => {
+    const sensitive = SENSITIVE_COMMAND_ARGS[command];
+    let position = 0;
+    let options = false;
+    const masked = rest.replace(/(\s+)(\S+)/g, (token, space, value) => {
+        options = options || value.startsWith('--');
+        const mask = !options && sensitive.includes(position);
+        position++;
+        return `${space}${mask ? MASK : value}`;
+    });
+    return `${command}${masked}`;
+};
+
+const maskField = (match, name, separator, value) => {
+    if (value === MASK || value === `"${MASK}"` || value === 'null' || value === '{' || value === '[') {
+        return match;
+    }
+    const quoted = value.startsWith('"');
+    return `${name}${separator}${quoted ? `"${MASK}"` : MASK}`;
+};
+
+// 텍스트의 민감 정보 마스킹
+const redactSecrets = (text) => {
+    if (typeof text !== 'string' || text.length === 0) {
+        return text;
+    }
+    return text
+        .replace(COMMAND_PATTERN, maskCommandArgs)
+        .replace(HEX_BLOB_PATTERN, `hex:${MASK}`)
+        .replace(QR_CODE_PATTERN, MASK)
+        .replace(SENSITIVE_FIELD_PATTERN, maskField);
+};
+
+// chip-tool 인자 배열 마스킹 (공백이 포함된 인자도 위치를 유지하도록 배열 단위로 처리)
+const redactCommandArgs = (args) => {
+    const values = args.map(String);
+    const sensitive = SENSITIVE_COMMAND_ARGS[values.slice(0, 2).join(' ')] || [];
+    const optionsIndex = values.findIndex(arg => arg.startsWith('--'));
+    return values.map((arg, index) => {
+        const position = index - 2;
+        const positional = optionsIndex === -1 || index < optionsIndex;
+        return positional && sensitive.includes(position) ? MASK : redactSecrets(arg);
+    });
+};
+
+module.exports = {
+    MASK,
+    SENSITIVE_COMMAND_ARGS,
+    redactSecrets,
+    redactCommandArgs
+};
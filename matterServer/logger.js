@@ -0,0 +1,330 @@
+// 구조화 로그 모듈 (JSON Lines 파일 기록, 조회 / 필터, 실시간 tail, 크기·기간 기반 순환 및 보존 정리)
+//
+// 로그 파일: matter_YYYY-MM-DD.log, 크기 초과 시 matter_YYYY-MM-DD.1.log, .2.log ...
+// 레코드: { timestamp, level, type, message, requestId?, nodeId?, commandId?, durationMs? }
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// 로그 레벨 (값이 클수록 심각)
+const LOG_LEVELS = { debug: 0, info: 1, warn: 2, error: 3 };
+
+// 로그 타입별 기본 레벨 (지정하지 않은 타입은 info)
+const TYPE_LEVELS = {
+    DEBUG: 'debug',
+    STDOUT: 'debug',
+    WARN: 'warn',
+    ERROR: 'error',
+    ERROR_HANDLER: 'error',
+    STDERR: 'error'
+};
+
+// 레코드에 기록하는 추가 필드
+const RECORD_FIELDS = ['requestId', 'nodeId', 'commandId', 'durationMs'];
+
+const LOG_FILE_PATTERN = /^matter_(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.log$/;
+
+// 보존 정리 주기 (1시간)
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+const levelForType = (type) => TYPE_LEVELS[type] || 'info';
+
+const logFileName = (date, part) => `matter_${date}${part > 0 ? `.${part}` : ''}.log`;
+
+// 로그 파일 이름 파싱 (로그 파일이 아니면 null)
+const parseLogFileName = (name) => {
+    const match = name.match(LOG_FILE_PATTERN);
+    return match && { name, date: match[1], part: Number(match[2] || 0) };
+};
+
+// 날짜 → 순번 순서 비교
+const compareLogFiles = (a, b) => a.date.localeCompare(b.date) || a.part - b.part;
+
+// 로그 파일 목록 (날짜 → 순번 순서)
+const listLogFiles = (logPath) => {
+    if (!fs.existsSync(logPath)) {
+        return [];
+    }
+    return fs.readdirSync(logPath)
+        .map(parseLogFileName)
+        .filter(Boolean)
+        .sort(compareLogFiles);
+};
+
+// 이전 버전의 텍스트 로그 라인 ("[timestamp] [TYPE] message")
+const LEGACY_LINE_PATTERN = /^\[(\d{4}-\d{2}-\d{2}T[^\]]+)\] \[([^\]]+)\] ?(.*)$/;
+
+// 파일 내용을 레코드 목록으로 변환
+// 텍스트 로그의 여러 줄 메시지는 접두사가 없는 줄을 이전 레코드에 이어 붙임
+const parseLogFile = (content) => {
+    const records = [];
+    content.split('\n').forEach((line) => {
+        if (!line) {
+            return;
+        }
+        if (line.startsWith('{')) {
+            try {
+                records.push(JSON.parse(line));
+                return;
+            } catch {
+                // 기록 중 잘린 줄은 텍스트로 처리
+            }
+        }
+        const legacy = line.match(LEGACY_LINE_PATTERN);
+        if (legacy) {
+            records.push({ timestamp: legacy[1], level: levelForType(legacy[2]), type: legacy[2], message: legacy[3] });
+        } else if (records.length > 0) {
+            records[records.length - 1].message += `\n${line}`;
+        } else {
+            records.push({ timestamp: null, level: 'info', type: null, message: line });
+        }
+    });
+    return records;
+};
+
+// 조회 커서 (파일 이름 + 파일 안의 레코드 위치)
+const encodeCursor = (file, index) => Buffer.from(JSON.stringify({ file, index })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const { file, index } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const parsed = typeof file === 'string' && parseLogFileName(file);
+        if (parsed && Number.isInteger(index)) {
+            return { ...parsed, index };
+        }
+    } catch {
+        // 아래에서 오류 처리
+    }
+    const error = new Error('올바르지 않은 cursor입니다.');
+    error.code = 'INVALID_PARAMETER';
+    throw error;
+};
+
+// 조회 필터 일치 여부
+// level: 최소 레벨, types: 타입 목록, since / until: 밀리초 타임스탬프, q: 메시지 검색어 (대소문자 무시)
+const matchesFilter = (record, { level, types, nodeId, since, until, q }) => {
+    if (level && (LOG_LEVELS[record.level] ?? LOG_LEVELS.info) < LOG_LEVELS[level]) {
+        return false;
+    }
+    if (types && !types.includes(String(record.type).toUpperCase())) {
+        return false;
+    }
+    if (nodeId && record.nodeId !== nodeId) {
+        return false;
+    }
+    const time = Date.parse(record.timestamp);
+    if ((since !== undefined && !(time >= since)) || (until !== undefined && !(time <= until))) {
+        return false;
+    }
+    return !q || String(record.message).toLowerCase().includes(q.toLowerCase());
+};
+
+// 날짜 문자열 (UTC, YYYY-MM-DD)
+const toDate = (time) => new Date(time).toISOString().split('T')[0];
+
+const createLogger = ({
+    logPath,
+    logToConsole = true,
+    maxFileSize = 10 * 1024 * 1024,
+    retentionDays = 14,
+    maxTotalSize = 200 * 1024 * 1024,
+    redact = (text) => text,
+    context = () => ({})  // 호출 컨텍스트의 기본 필드 (requestId, nodeId)
+}) => {
+    const listeners = new Set();
+    let buffer = [];
+    let writing = Promise.resolve();
+    let scheduled = false;
+    let current = null;  // { date, part, size }
+
+    fs.mkdirSync(logPath, { recursive: true });
+
+    // 오늘 날짜의 마지막 파일에서 이어서 기록
+    const openCurrent = (date) => {
+        const last = listLogFiles(logPath).filter(file => file.date === date).at(-1);
+        const part = last ? last.part : 0;
+        const size = last ? fs.statSync(path.join(logPath, last.name)).size : 0;
+        current = { date, part, size };
+    };
+
+    // 보존 기간이 지난 파일과 전체 용량 초과분(오래된 파일부터) 삭제
+    const cleanup = () => {
+        const files = listLogFiles(logPath).map(file => ({
+            ...file,
+            size: fs.statSync(path.join(logPath, file.name)).size
+        }));
+        const oldestDate = toDate(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+        let totalSize = files.reduce((sum, file) => sum + file.size, 0);
+        const removed = [];
+
+        files.forEach((file) => {
+            const isCurrent = current && file.name === logFileName(current.date, current.part);
+            if (isCurrent) {
+                return;
+            }
+            if (file.date < oldestDate || totalSize > maxTotalSize) {
+                fs.rmSync(path.join(logPath, file.name), { force: true });
+                totalSize -= file.size;
+                removed.push(file.name);
+            }
+        });
+        return removed;
+    };
+
+    const runCleanup = () => {
+        try {
+            const removed = cleanup();
+            if (removed.length > 0) {
+                log('LOG', `보존 정책에 따라 로그 파일 ${removed.length}개 삭제: ${removed.join(', ')}`);
+            }
+        } catch (error) {
+            console.error('로그 보존 정리 중 오류 발생:', error);
+        }
+    };
+
+    // 버퍼의 레코드를 파일에 기록 (날짜 변경 / 크기 초과 시 새 파일로 순환)
+    const writeBuffer = async () => {
+        scheduled = false;
+        const lines = buffer;
+        buffer = [];
+
+        const groups = [];
+        lines.forEach(({ date, line }) => {
+            const bytes = Buffer.byteLength(line);
+            let rotated = false;
+            if (!current || current.date !== date) {
+                openCurrent(date);
+                rotated = true;
+            } else if (current.size > 0 && current.size + bytes > maxFileSize) {
+                current = { date, part: current.part + 1, size: 0 };
+                rotated = true;
+            }
+            const name = logFileName(current.date, current.part);
+            if (groups.length === 0 || groups.at(-1).name !== name) {
+                groups.push({ name, text: '', rotated });
+            }
+            groups.at(-1).text += line;
+            current.size += bytes;
+        });
+
+        for (const group of groups) {
+            await fsp.appendFile(path.join(logPath, group.name), group.text);
+            if (group.rotated) {
+                runCleanup();
+            }
+        }
+    };
+
+    // 레코드 기록 (파일 쓰기는 비동기로 모아서 처리)
+    const log = (type, message, fields = {}) => {
+        const record = {
+            timestamp: new Date().toISOString(),
+            level: fields.level || levelForType(type),
+            type,
+            message: redact(String(message))
+        };
+        const values = { ...context(), ...fields };
+        RECORD_FIELDS.forEach((field) => {
+            if (values[field] !== undefined && values[field] !== null) {
+                record[field] = field === 'nodeId' ? String(values[field]) : values[field];
+            }
+        });
+
+        buffer.push({ date: record.timestamp.split('T')[0], line: `${JSON.stringify(record)}\n` });
+        if (!scheduled) {
+            scheduled = true;
+            writing = writing
+                .then(() => new Promise(resolve => setImmediate(resolve)))
+                .then(writeBuffer)
+                .catch(error => console.error('로깅 중 오류 발생:', error));
+        }
+
+        if (logToConsole) {
+            console.log(`[${record.timestamp}] [${type}] ${record.message}`);
+        }
+        listeners.forEach((listener) => {
+            try {
+                listener(record);
+            } catch (error) {
+                console.error('로그 구독자 처리 중 오류 발생:', error);
+            }
+        });
+        return record;
+    };
+
+    // 대기 중인 기록 완료 대기 (조회 / 종료 전)
+    const flush = () => writing;
+
+    // 로그 조회: 필터와 일치하는 레코드를 오래된 순서로 limit개 반환, 다음 페이지 커서 포함
+    // date: 특정 날짜 파일만 조회 (없으면 since~until 범위, 둘 다 없으면 오늘)
+    const query = async ({ date, cursor, limit = 100, ...filter } = {}) => {
+        await flush();
+        const start = cursor ? decodeCursor(cursor) : null;
+        const fromDate = date || (filter.since !== undefined ? toDate(filter.since) : (filter.until !== undefined ? null : toDate(Date.now())));
+        const toDateValue = date || (filter.until !== undefined ? toDate(filter.until) : null);
+
+        const files = listLogFiles(logPath).filter(file =>
+            (!fromDate || file.date >= fromDate) &&
+            (!toDateValue || file.date <= toDateValue) &&
+            // 커서 이후 파일만 조회 (커서의 파일이 보존 정리로 삭제된 경우에도 순서로 판단)
+            (!start || compareLogFiles(file, start) >= 0));
+
+        const records = [];
+        let nextCursor = null;
+        for (const file of files) {
+            const content = await fsp.readFile(path.join(logPath, file.name), 'utf8');
+            const fileRecords = parseLogFile(content);
+            const firstIndex = start && file.name === start.name ? start.index + 1 : 0;
+            for (let index = firstIndex; index < fileRecords.length; index++) {
+                const record = fileRecords[index];
+                if (!matchesFilter(record, filter)) {
+                    continue;
+                }
+                if (records.length === limit) {
+                    nextCursor = encodeCursor(records.at(-1).file, records.at(-1).index);
+                    break;
+                }
+                records.push({ file: file.name, index, record: { ...record, message: redact(String(record.message)) } });
+            }
+            if (nextCursor) {
+                break;
+            }
+        }
+
+        return {
+            files: files.map(file => file.name),
+            records: records.map(item => item.record),
+            nextCursor
+        };
+    };
+
+    // 실시간 로그 구독 (filter와 일치하는 레코드만 전달), 구독 해제 함수 반환
+    const subscribe = (filter, listener) => {
+        const wrapped = (record) => {
+            if (matchesFilter(record, filter)) {
+                listener(record);
+            }
+        };
+        listeners.add(wrapped);
+        return () => listeners.delete(wrapped);
+    };
+
+    runCleanup();
+    const cleanupTimer = setInterval(runCleanup, CLEANUP_INTERVAL_MS);
+    cleanupTimer.unref();
+
+    return {
+        log,
+        flush,
+        query,
+        subscribe,
+        cleanup
+    };
+};
+
+module.exports = {
+    LOG_LEVELS,
+    levelForType,
+    parseLogFile,
+    createLogger
+};
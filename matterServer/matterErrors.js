@@ -0,0 +1,435 @@
+// Matter / CHIP 오류 카탈로그 모듈
+// chip-tool 실패 출력(CHIP Error 코드, 커미셔닝 단계 실패, NOC / 네트워크 커미셔닝 상태, Interaction Model 상태)을
+// 안정적인 오류 코드로 분류하고, 오류 코드별 HTTP 상태 / 재시도 가능 여부 / 조치 안내를 한국어·영어로 제공
+const { BLE_ADAPTER_ERROR_PATTERN } = require('./bleScanner');
+const { redactSecrets } = require('./logRedaction');
+
+const SUPPORTED_LANGUAGES = ['ko', 'en'];
+const DEFAULT_LANGUAGE = 'ko';
+
+// 카탈로그 항목 ([한국어, 영어] 메시지 / 조치 안내)
+const entry = (httpStatus, retryable, [messageKo, messageEn], [hintKo, hintEn]) => ({
+    httpStatus,
+    retryable,
+    message: { ko: messageKo, en: messageEn },
+    hint: { ko: hintKo, en: hintEn }
+});
+
+// 오류 코드별 HTTP 상태, 재시도 가능 여부, 메시지, 조치 안내
+const ERROR_CATALOG = {
+    // 명령 실행 / 큐
+    TIMEOUT_ERROR: entry(504, true,
+        ['Matter 명령어 실행이 시간 초과되었습니다.', 'The Matter command timed out.'],
+        ['디바이스 전원과 네트워크 연결을 확인한 뒤 다시 시도해주세요.', 'Check that the device is powered and reachable, then retry.']),
+    COMMAND_CANCELLED: entry(409, false,
+        ['Matter 명령어 실행이 취소되었습니다.', 'The Matter command was cancelled.'],
+        ['필요하면 요청을 다시 보내주세요.', 'Send the request again if it is still needed.']),
+    COMMAND_NOT_FOUND: entry(503, false,
+        ['Matter SDK 명령어를 찾을 수 없습니다. SDK 경로를 확인해주세요.', 'The Matter SDK command was not found. Check the SDK path.'],
+        ['MATTER_SDK_PATH와 chip-tool 빌드 결과를 확인해주세요.', 'Check MATTER_SDK_PATH and that chip-tool has been built.']),
+    INTERVIEW_FAILED: entry(502, true,
+        ['디바이스 정보 조회(인터뷰)에 실패했습니다.', 'Failed to interview the device.'],
+        ['디바이스가 온라인인지 확인한 뒤 POST /api/devices/:nodeId/interview로 다시 시도해주세요.', 'Make sure the device is online, then retry with POST /api/devices/:nodeId/interview.']),
+    MATTER_SDK_ERROR: entry(502, false,
+        ['Matter SDK 오류가 발생했습니다.', 'The Matter SDK reported an error.'],
+        ['실행 기록(GET /api/executions/:id)에서 chip-tool 출력을 확인해주세요.', 'Inspect the chip-tool output via GET /api/executions/:id.']),
+    UNKNOWN_ERROR: entry(500, false,
+        ['알 수 없는 오류가 발생했습니다.', 'An unknown error occurred.'],
+        ['서버 로그를 확인해주세요.', 'Check the server logs.']),
+    DATA_MODEL_ERROR: entry(502, false,
+        ['데이터 모델 처리 중 오류가 발생했습니다.', 'An error occurred while processing the data model.'],
+        ['요청한 엔드포인트 / 클러스터 / 속성이 디바이스에 있는지 확인해주세요.', 'Check that the endpoint, cluster and attribute exist on the device.']),
+
+    // CHIP 코어 오류 (CHIP Error 0x...)
+    INCORRECT_STATE: entry(409, true,
+        ['디바이스 또는 컨트롤러가 요청을 처리할 수 없는 상태입니다.', 'The device or controller is in an incorrect state for this request.'],
+        ['진행 중인 작업이 끝난 뒤 다시 시도해주세요.', 'Wait for pending operations to finish, then retry.']),
+    INVALID_ARGUMENT: entry(400, false,
+        ['chip-tool에 전달한 인자가 올바르지 않습니다.', 'chip-tool rejected an argument as invalid.'],
+        ['요청 파라미터를 확인해주세요.', 'Check the request parameters.']),
+    NOT_CONNECTED: entry(503, true,
+        ['디바이스와 연결되어 있지 않습니다.', 'Not connected to the device.'],
+        ['디바이스가 네트워크에 연결되어 있는지 확인한 뒤 다시 시도해주세요.', 'Make sure the device is on the network, then retry.']),
+    NO_MEMORY: entry(503, true,
+        ['컨트롤러 메모리가 부족합니다.', 'The controller ran out of memory.'],
+        ['잠시 후 다시 시도해주세요.', 'Retry after a short while.']),
+    INTERNAL_ERROR: entry(502, false,
+        ['Matter SDK 내부 오류가 발생했습니다.', 'The Matter SDK reported an internal error.'],
+        ['실행 기록(GET /api/executions/:id)에서 chip-tool 출력을 확인해주세요.', 'Inspect the chip-tool output via GET /api/executions/:id.']),
+
+    // 커미셔닝 (PASE / 인증서 검증 / CASE)
+    INVALID_PAIRING_CODE: entry(400, false,
+        ['올바르지 않은 Matter Manual Pairing Code입니다. 코드를 다시 확인해주세요.', 'The Matter pairing code is incorrect.'],
+        ['디바이스 라벨의 페어링 코드 / Passcode를 다시 확인해주세요.', 'Check the pairing code or passcode printed on the device label.']),
+    PASE_FAILED: entry(502, true,
+        ['디바이스와 PASE 보안 세션을 수립하지 못했습니다.', 'Failed to establish a PASE session with the device.'],
+        ['디바이스가 커미셔닝 모드인지 확인하고 가까이에서 다시 시도해주세요.', 'Make sure the device is in commissioning mode and nearby, then retry.']),
+    ATTESTATION_FAILED: entry(422, false,
+        ['디바이스 인증서(Device Attestation) 검증에 실패했습니다.', 'Device attestation verification failed.'],
+        ['인증된 Matter 디바이스인지 확인하고, 개발용 디바이스는 PAA 인증서 경로(paaTrustStorePath)를 확인해주세요.', 'Make sure the device is Matter-certified; for development devices, check the PAA trust store path.']),
+    DEVICE_UNREACHABLE: entry(504, true,
+        ['디바이스의 운영 네트워크 주소를 찾거나 CASE 세션을 수립하지 못했습니다.', 'Could not find the device on the operational network or establish a CASE session.'],
+        ['디바이스 전원과 네트워크(Wi-Fi / Thread Border Router) 연결을 확인한 뒤 다시 시도해주세요.', 'Check the device power and its Wi-Fi / Thread border router connectivity, then retry.']),
+    COMMISSIONING_FAILED: entry(502, true,
+        ['커미셔닝 단계에서 오류가 발생했습니다.', 'A commissioning step failed.'],
+        ['디바이스를 초기화하여 커미셔닝 모드로 전환한 뒤 다시 시도해주세요.', 'Factory-reset the device into commissioning mode, then retry.']),
+
+    // NOC 설치 (OperationalCredentials NodeOperationalCertStatusEnum)
+    NOC_INVALID_PUBLIC_KEY: entry(422, false,
+        ['디바이스가 인증서의 공개 키를 거부했습니다.', 'The device rejected the certificate public key.'],
+        ['디바이스를 초기화한 뒤 다시 커미셔닝해주세요.', 'Factory-reset the device and commission it again.']),
+    NOC_INVALID_NODE_OP_ID: entry(422, false,
+        ['디바이스가 운영 Node ID를 거부했습니다.', 'The device rejected the operational node ID.'],
+        ['다른 nodeId로 다시 커미셔닝해주세요.', 'Commission again with a different nodeId.']),
+    NOC_INVALID_NOC: entry(422, false,
+        ['디바이스가 운영 인증서(NOC)를 거부했습니다.', 'The device rejected the operational certificate (NOC).'],
+        ['컨트롤러의 패브릭 인증서 설정을 확인해주세요.', 'Check the controller fabric certificate configuration.']),
+    NOC_MISSING_CSR: entry(422, true,
+        ['디바이스에 인증서 서명 요청(CSR)이 없습니다.', 'The device has no pending certificate signing request (CSR).'],
+        ['커미셔닝을 처음부터 다시 시도해주세요.', 'Restart the commissioning from the beginning.']),
+    NOC_TABLE_FULL: entry(409, false,
+        ['디바이스의 패브릭 테이블이 가득 찼습니다.', "The device's fabric table is full."],
+        ['다른 생태계(앱)에서 사용하지 않는 패브릭을 제거한 뒤 다시 시도해주세요.', 'Remove an unused fabric (another ecosystem or app) from the device, then retry.']),
+    NOC_INVALID_ADMIN_SUBJECT: entry(422, false,
+        ['디바이스가 관리자 Subject를 거부했습니다.', 'The device rejected the admin subject.'],
+        ['컨트롤러의 CASE Admin Subject 설정을 확인해주세요.', 'Check the controller CASE admin subject.']),
+    NOC_FABRIC_CONFLICT: entry(409, false,
+        ['디바이스에 같은 패브릭이 이미 등록되어 있습니다.', 'The device already belongs to this fabric.'],
+        ['기존 등록을 해제(DELETE /api/devices/:nodeId)한 뒤 다시 시도해주세요.', 'Decommission the existing entry (DELETE /api/devices/:nodeId), then retry.']),
+    NOC_LABEL_CONFLICT: entry(409, false,
+        ['같은 패브릭 레이블이 이미 사용 중입니다.', 'The fabric label is already in use.'],
+        ['다른 패브릭 레이블을 사용해주세요.', 'Use a different fabric label.']),
+    NOC_INVALID_FABRIC_INDEX: entry(404, false,
+        ['디바이스에 해당 패브릭 인덱스가 없습니다.', 'The fabric index does not exist on the device.'],
+        ['GET /api/devices/:nodeId/fabrics로 패브릭 목록을 확인해주세요.', 'List the fabrics with GET /api/devices/:nodeId/fabrics.']),
+
+    // 네트워크 커미셔닝 (NetworkCommissioningStatusEnum)
+    NETWORK_OUT_OF_RANGE: entry(400, false,
+        ['네트워크 설정 값이 허용 범위를 벗어났습니다.', 'A network configuration value is out of range.'],
+        ['SSID / 비밀번호 / Dataset 값을 확인해주세요.', 'Check the SSID, password or dataset.']),
+    NETWORK_BOUNDS_EXCEEDED: entry(409, false,
+        ['디바이스에 더 이상 네트워크를 추가할 수 없습니다.', 'The device cannot store any more networks.'],
+        ['디바이스를 초기화한 뒤 다시 시도해주세요.', 'Factory-reset the device, then retry.']),
+    NETWORK_ID_NOT_FOUND: entry(404, false,
+        ['디바이스에 해당 네트워크 ID가 없습니다.', 'The network ID is not configured on the device.'],
+        ['디바이스를 초기화한 뒤 다시 커미셔닝해주세요.', 'Factory-reset the device and commission it again.']),
+    NETWORK_DUPLICATE_ID: entry(409, false,
+        ['같은 네트워크 ID가 이미 등록되어 있습니다.', 'The network ID is already configured.'],
+        ['디바이스를 초기화한 뒤 다시 커미셔닝해주세요.', 'Factory-reset the device and commission it again.']),
+    NETWORK_NOT_FOUND: entry(422, true,
+        ['디바이스가 지정한 네트워크를 찾지 못했습니다.', 'The device could not find the specified network.'],
+        ['SSID(2.4GHz 여부 포함) 또는 Thread Dataset을 확인하고, 디바이스가 AP / Border Router 가까이 있는지 확인해주세요.', 'Check the SSID (must be 2.4 GHz) or Thread dataset, and that the device is near the access point / border router.']),
+    NETWORK_REGULATORY_ERROR: entry(422, false,
+        ['국가 / 규제 설정 때문에 네트워크에 연결할 수 없습니다.', 'The network cannot be used under the current regulatory settings.'],
+        ['AP의 채널과 국가 코드 설정을 확인해주세요.', 'Check the access point channel and country code.']),
+    NETWORK_AUTH_FAILURE: entry(422, false,
+        ['네트워크 인증에 실패했습니다.', 'Network authentication failed.'],
+        ['Wi-Fi 비밀번호 또는 Thread 네트워크 키를 확인해주세요.', 'Check the Wi-Fi password or Thread network key.']),
+    NETWORK_UNSUPPORTED_SECURITY: entry(422, false,
+        ['디바이스가 네트워크 보안 방식을 지원하지 않습니다.', 'The device does not support the network security type.'],
+        ['AP를 WPA2-PSK로 설정했는지 확인해주세요.', 'Make sure the access point uses WPA2-PSK.']),
+    NETWORK_CONNECTION_FAILED: entry(502, true,
+        ['디바이스가 네트워크에 연결하지 못했습니다.', 'The device failed to connect to the network.'],
+        ['AP / Border Router 상태와 IPv6 설정을 확인한 뒤 다시 시도해주세요.', 'Check the access point / border router and IPv6 configuration, then retry.']),
+
+    // BLE
+    BLE_ADAPTER_UNAVAILABLE: entry(503, false,
+        ['사용 가능한 BLE 어댑터가 없습니다. Bluetooth 어댑터와 BlueZ 서비스 상태를 확인해주세요.', 'No BLE adapter is available.'],
+        ['Bluetooth 어댑터와 BlueZ 서비스 상태를 확인해주세요.', 'Check the Bluetooth adapter and the BlueZ service.']),
+    DISCRIMINATOR_MISMATCH: entry(404, false,
+        ['BLE 디바이스는 검색되었지만 Discriminator가 일치하는 디바이스가 없습니다. Discriminator를 확인해주세요.', 'BLE devices were found, but none matches the discriminator.'],
+        ['디바이스 라벨의 Discriminator를 확인해주세요.', 'Check the discriminator on the device label.']),
+    BLE_DEVICE_NOT_FOUND: entry(404, true,
+        ['BLE로 광고 중인 커미셔닝 가능 디바이스를 찾지 못했습니다. 디바이스가 페어링 모드인지 확인해주세요.', 'No commissionable device is advertising over BLE.'],
+        ['디바이스가 페어링 모드인지 확인하고 가까이에서 다시 시도해주세요.', 'Put the device into pairing mode and retry nearby.']),
+    BLE_ERROR: entry(502, true,
+        ['BLE 연결 중 오류가 발생했습니다.', 'A BLE connection error occurred.'],
+        ['디바이스를 가까이 두고 다시 시도해주세요.', 'Keep the device nearby and retry.']),
+
+    // Interaction Model 상태 (디바이스가 거부한 요청)
+    COMMAND_FAILED: entry(422, false,
+        ['디바이스가 요청을 거부했습니다.', 'The device rejected the request.'],
+        ['응답의 response.clusterStatus와 디바이스 상태를 확인해주세요.', 'Check response.clusterStatus and the device state.']),
+    INVALID_SUBSCRIPTION: entry(404, true,
+        ['구독이 디바이스에 존재하지 않습니다.', 'The subscription does not exist on the device.'],
+        ['구독을 다시 생성해주세요.', 'Create the subscription again.']),
+    UNSUPPORTED_ACCESS: entry(403, false,
+        ['디바이스 접근 제어(ACL)가 요청을 허용하지 않습니다.', "The device's access control list denies this request."],
+        ['디바이스 ACL에서 이 컨트롤러의 권한을 확인해주세요.', "Check this controller's privileges in the device ACL."]),
+    UNSUPPORTED_ENDPOINT: entry(404, false,
+        ['디바이스에 해당 엔드포인트가 없습니다.', 'The endpoint does not exist on the device.'],
+        ['GET /api/devices/:nodeId/capabilities로 엔드포인트를 확인해주세요.', 'Check the endpoints with GET /api/devices/:nodeId/capabilities.']),
+    INVALID_ACTION: entry(400, false,
+        ['잘못된 Interaction Model 요청입니다.', 'The interaction model action is invalid.'],
+        ['요청 형식을 확인해주세요.', 'Check the request format.']),
+    UNSUPPORTED_COMMAND: entry(404, false,
+        ['엔드포인트의 클러스터가 해당 커맨드를 지원하지 않습니다.', 'The cluster does not support this command.'],
+        ['GET /api/devices/:nodeId/capabilities로 지원 기능을 확인해주세요.', 'Check the supported features with GET /api/devices/:nodeId/capabilities.']),
+    INVALID_COMMAND: entry(400, false,
+        ['커맨드 인자가 올바르지 않습니다.', 'The command arguments are invalid.'],
+        ['커맨드 인자 값과 형식을 확인해주세요.', 'Check the command argument values and types.']),
+    UNSUPPORTED_ATTRIBUTE: entry(404, false,
+        ['엔드포인트의 클러스터가 해당 속성을 지원하지 않습니다.', 'The cluster does not support this attribute.'],
+        ['GET /api/devices/:nodeId/capabilities로 지원 기능을 확인해주세요.', 'Check the supported features with GET /api/devices/:nodeId/capabilities.']),
+    CONSTRAINT_ERROR: entry(400, false,
+        ['값이 속성 / 커맨드의 허용 범위를 벗어났습니다.', 'The value violates an attribute or command constraint.'],
+        ['허용 범위 안의 값을 사용해주세요.', 'Use a value within the allowed range.']),
+    UNSUPPORTED_WRITE: entry(405, false,
+        ['쓰기를 지원하지 않는 속성입니다.', 'The attribute is not writable.'],
+        ['읽기 전용 속성인지 확인해주세요.', 'Check whether the attribute is read-only.']),
+    RESOURCE_EXHAUSTED: entry(503, true,
+        ['디바이스 리소스가 부족합니다.', 'The device is out of resources.'],
+        ['다른 구독이나 요청을 줄인 뒤 다시 시도해주세요.', 'Reduce other subscriptions or requests, then retry.']),
+    NOT_FOUND: entry(404, false,
+        ['디바이스에서 요청한 항목을 찾을 수 없습니다.', 'The requested item was not found on the device.'],
+        ['요청한 항목의 식별자를 확인해주세요.', 'Check the identifier of the requested item.']),
+    UNREPORTABLE_ATTRIBUTE: entry(400, false,
+        ['구독 / 리포트할 수 없는 속성입니다.', 'The attribute cannot be reported.'],
+        ['주기적인 읽기를 사용해주세요.', 'Use periodic reads instead.']),
+    INVALID_DATA_TYPE: entry(400, false,
+        ['값의 데이터 타입이 올바르지 않습니다.', 'The value has the wrong data type.'],
+        ['속성 / 커맨드의 데이터 타입을 확인해주세요.', 'Check the attribute or command data type.']),
+    UNSUPPORTED_READ: entry(405, false,
+        ['읽기를 지원하지 않는 속성입니다.', 'The attribute is not readable.'],
+        ['쓰기 전용 속성인지 확인해주세요.', 'Check whether the attribute is write-only.']),
+    DATA_VERSION_MISMATCH: entry(409, true,
+        ['디바이스의 데이터 버전이 변경되었습니다.', 'The data version on the device has changed.'],
+        ['최신 값을 다시 읽은 뒤 다시 시도해주세요.', 'Read the latest value, then retry.']),
+    TIMEOUT: entry(504, true,
+        ['디바이스에서 요청 처리 시간이 초과되었습니다.', 'The device timed out while handling the request.'],
+        ['다시 시도해주세요.', 'Retry the request.']),
+    BUSY: entry(503, true,
+        ['디바이스가 다른 요청을 처리 중입니다.', 'The device is busy.'],
+        ['잠시 후 다시 시도해주세요.', 'Retry after a short while.']),
+    UNSUPPORTED_CLUSTER: entry(404, false,
+        ['엔드포인트에 해당 클러스터가 없습니다.', 'The cluster does not exist on the endpoint.'],
+        ['GET /api/devices/:nodeId/capabilities로 클러스터를 확인해주세요.', 'Check the clusters with GET /api/devices/:nodeId/capabilities.']),
+    NO_UPSTREAM_SUBSCRIPTION: entry(502, true,
+        ['브리지 디바이스에 상위 구독이 없습니다.', 'The bridged device has no upstream subscription.'],
+        ['잠시 후 다시 시도해주세요.', 'Retry after a short while.']),
+    NEEDS_TIMED_INTERACTION: entry(400, false,
+        ['Timed Interaction이 필요한 요청입니다.', 'This request requires a timed interaction.'],
+        ['timedInteractionTimeoutMs를 지정해 다시 요청해주세요.', 'Send the request again with a timed interaction timeout.']),
+    UNSUPPORTED_EVENT: entry(404, false,
+        ['클러스터가 해당 이벤트를 지원하지 않습니다.', 'The cluster does not support this event.'],
+        ['GET /api/devices/:nodeId/capabilities로 지원 기능을 확인해주세요.', 'Check the supported features with GET /api/devices/:nodeId/capabilities.']),
+    PATHS_EXHAUSTED: entry(503, true,
+        ['디바이스가 처리할 수 있는 경로 수를 초과했습니다.', 'The device cannot handle that many paths.'],
+        ['요청 경로 수를 줄여 다시 시도해주세요.', 'Request fewer paths and retry.']),
+    TIMED_REQUEST_MISMATCH: entry(400, false,
+        ['Timed Request 설정이 요청과 일치하지 않습니다.', 'The timed request flag does not match the request.'],
+        ['timedInteractionTimeoutMs 설정을 확인해주세요.', 'Check the timed interaction timeout.']),
+    FAILSAFE_REQUIRED: entry(409, false,
+        ['Fail-safe 타이머가 활성화되어 있어야 하는 요청입니다.', 'This request requires an armed fail-safe.'],
+        ['커미셔닝 과정에서만 사용할 수 있는 커맨드인지 확인해주세요.', 'Check whether the command is only valid during commissioning.']),
+    INVALID_IN_STATE: entry(409, true,
+        ['디바이스의 현재 상태에서는 요청을 처리할 수 없습니다.', 'The request is not valid in the current device state.'],
+        ['디바이스 상태를 확인한 뒤 다시 시도해주세요.', 'Check the device state, then retry.']),
+    NO_COMMAND_RESPONSE: entry(504, true,
+        ['디바이스가 커맨드 응답을 보내지 않았습니다.', 'The device did not send a command response.'],
+        ['다시 시도해주세요.', 'Retry the request.'])
+};
+
+// CHIP Error 코드별 오류 코드 (src/lib/core/CHIPError.h)
+const CHIP_ERROR_CODES = {
+    '0x00000003': 'INCORRECT_STATE',
+    '0x0000000B': 'NO_MEMORY',
+    '0x0000002F': 'INVALID_ARGUMENT',
+    '0x00000032': 'TIMEOUT_ERROR',
+    '0x00000038': 'NOT_CONNECTED',
+    '0x000000AC': 'INTERNAL_ERROR'
+};
+
+// NOCResponse 상태 (NodeOperationalCertStatusEnum) 값별 오류 코드
+const NOC_STATUS_ERRORS = {
+    1: 'NOC_INVALID_PUBLIC_KEY',
+    2: 'NOC_INVALID_NODE_OP_ID',
+    3: 'NOC_INVALID_NOC',
+    4: 'NOC_MISSING_CSR',
+    5: 'NOC_TABLE_FULL',
+    6: 'NOC_INVALID_ADMIN_SUBJECT',
+    9: 'NOC_FABRIC_CONFLICT',
+    10: 'NOC_LABEL_CONFLICT',
+    11: 'NOC_INVALID_FABRIC_INDEX'
+};
+
+// NetworkCommissioningStatusEnum 값 / 이름별 오류 코드
+const NETWORK_STATUS_ERRORS = {
+    1: 'NETWORK_OUT_OF_RANGE',
+    2: 'NETWORK_BOUNDS_EXCEEDED',
+    3: 'NETWORK_ID_NOT_FOUND',
+    4: 'NETWORK_DUPLICATE_ID',
+    5: 'NETWORK_NOT_FOUND',
+    6: 'NETWORK_REGULATORY_ERROR',
+    7: 'NETWORK_AUTH_FAILURE',
+    8: 'NETWORK_UNSUPPORTED_SECURITY',
+    9: 'NETWORK_CONNECTION_FAILED',
+    10: 'NETWORK_CONNECTION_FAILED',
+    11: 'NETWORK_CONNECTION_FAILED',
+    12: 'NETWORK_CONNECTION_FAILED'
+};
+
+const NETWORK_STATUS_NAMES = {
+    OutOfRange: 1,
+    BoundsExceeded: 2,
+    NetworkIDNotFound: 3,
+    DuplicateNetworkID: 4,
+    NetworkNotFound: 5,
+    RegulatoryError: 6,
+    AuthFailure: 7,
+    UnsupportedSecurity: 8,
+    OtherConnectionFailure: 9,
+    IPV6Failed: 10,
+    IPBindFailed: 11,
+    UnknownError: 12
+};
+
+// 커미셔닝 실패 단계 ("Error on commissioning step 'X'" / "Commissioning stage X failed")
+const COMMISSIONING_STEP_PATTERN = /Error on commissioning step '(\w+)'|Commissioning stage (\w+) failed/;
+
+// chip-tool 출력 패턴별 오류 코드 (CHIP Error 코드보다 우선, 위에서부터 확인)
+const OUTPUT_PATTERNS = [
+    // 잘못된 페어링 코드 (디바이스의 Setup Passcode와 불일치)
+    { code: 'INVALID_PAIRING_CODE', pattern: /Integrity check failed/ },
+    { code: 'ATTESTATION_FAILED', pattern: /Failed in verifying 'Attestation Information'|Attestation (verification )?failed|Error on commissioning step 'AttestationVerification'/i },
+    { code: 'PASE_FAILED', pattern: /Failed to establish (a )?PASE|PASE(Session)? (session )?(failed|timed out)|Error on commissioning step 'SecurePairing'/i },
+    { code: 'DEVICE_UNREACHABLE', pattern: /CASE(Session)? (session )?(failed|timed out)|Failed to establish (a )?CASE|OperationalSessionSetup.*(failed|timed out)|Error on commissioning step 'FindOperational'/i }
+];
+
+// Accept-Language 헤더 값 또는 언어 목록에서 응답 언어 선택
+const resolveLanguage = (language) => SUPPORTED_LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+
+// chip-tool 출력에서 NOC / 네트워크 커미셔닝 상태 오류 코드 추출
+const classifyStatusOutput = (output) => {
+    const nocMatch = output.match(/Device returned status (\d+) on receiving the NOC/i);
+    if (nocMatch && NOC_STATUS_ERRORS[nocMatch[1]]) {
+        return NOC_STATUS_ERRORS[nocMatch[1]];
+    }
+
+    // ConnectNetworkResponse / NetworkConfigResponse의 NetworkingStatus (숫자 또는 enum 이름)
+    const networkMatch = output.match(/networkingStatus\s*[:=]\s*(?:(\d+)|k?([A-Za-z0-9]+))/i);
+    if (!networkMatch) {
+        return null;
+    }
+    return NETWORK_STATUS_ERRORS[networkMatch[1] ?? NETWORK_STATUS_NAMES[networkMatch[2]]] || null;
+};
+
+// BLE 커미셔닝 실패 원인 분류 (어댑터 없음 / Discriminator 불일치 / 광고 디바이스 없음)
+const classifyBleOutput = (error, output) => {
+    if (error.code === 'BLE_ADAPTER_UNAVAILABLE' || BLE_ADAPTER_ERROR_PATTERN.test(output)) {
+        return 'BLE_ADAPTER_UNAVAILABLE';
+    }
+    // chip-tool은 Discriminator가 일치하는 광고를 찾을 때까지 스캔 ("Device discriminator match")
+    if (!/\[BLE\]|CHIP:BLE/.test(output) || /discriminator match/i.test(output)) {
+        return null;
+    }
+    if (/New device scanned/i.test(output)) {
+        return 'DISCRIMINATOR_MISMATCH';
+    }
+    if (/(BLE )?scan (timeout|timed out|error)|Device scan timed out/i.test(output)) {
+        return 'BLE_DEVICE_NOT_FOUND';
+    }
+    return null;
+};
+
+// chip-tool 실행 오류 분류
+// 반환: { code, errorCode?, commissioningStep?, detail? } (detail: 메시지 뒤에 붙일 원본 오류 내용)
+const classifyMatterError = (error) => {
+    // chip-tool은 로그를 표준 출력으로 기록하므로 stdout도 함께 확인
+    const output = [error.message, error.stderr, error.stdout].filter(Boolean).join('\n');
+    const chipError = output.match(/CHIP Error (0x[0-9a-fA-F]+)/)?.[1];
+    const errorCode = chipError && `0x${chipError.slice(2).toUpperCase().padStart(8, '0')}`;
+    const step = output.match(COMMISSIONING_STEP_PATTERN);
+    const details = {
+        ...(errorCode && { errorCode }),
+        ...(step && { commissioningStep: step[1] || step[2] })
+    };
+
+    // 명령 큐에서 시간 초과 / 취소된 경우
+    if (error.code === 'COMMAND_TIMEOUT') {
+        return { code: 'TIMEOUT_ERROR' };
+    }
+    if (error.code === 'COMMAND_CANCELLED') {
+        return { code: 'COMMAND_CANCELLED' };
+    }
+    if (error.code === 'INTERVIEW_FAILED') {
+        return { code: 'INTERVIEW_FAILED', detail: error.message };
+    }
+    if (error.code === 'COMMISSIONING_FAILED') {
+        return { code: 'COMMISSIONING_FAILED', detail: error.message };
+    }
+
+    // BLE 스캔 실패도 CHIP Error 0x00000032(Timeout)로 끝나므로 CHIP Error 코드보다 먼저 확인
+    const bleCode = classifyBleOutput(error, output);
+    if (bleCode) {
+        return { code: bleCode, ...details };
+    }
+
+    const matched = OUTPUT_PATTERNS.find(({ pattern }) => pattern.test(output));
+    if (matched) {
+        return { code: matched.code, ...details };
+    }
+    const statusCode = classifyStatusOutput(output);
+    if (statusCode) {
+        return { code: statusCode, ...details };
+    }
+
+    if (errorCode && CHIP_ERROR_CODES[errorCode]) {
+        return { code: CHIP_ERROR_CODES[errorCode], ...details };
+    }
+    if (step) {
+        return { code: 'COMMISSIONING_FAILED', ...details };
+    }
+
+    if (error.message.includes("CHIP:BLE")) {
+        return { code: 'BLE_ERROR' };
+    }
+    if (error.message.includes("CHIP:DMG")) {
+        return { code: 'DATA_MODEL_ERROR' };
+    }
+    if (error.code === 'ENOENT' || error.message.includes("not found")) {
+        return { code: 'COMMAND_NOT_FOUND' };
+    }
+
+    if (errorCode) {
+        return { code: 'MATTER_SDK_ERROR', ...details };
+    }
+    // 기타 Matter SDK 관련 에러 메시지 처리 (원본 내용은 응답에 포함되므로 chip-tool 인자 / 출력의 민감 정보 마스킹)
+    if (error.stderr) {
+        return { code: 'MATTER_SDK_ERROR', detail: redactSecrets(error.stderr.trim()) };
+    }
+    return { code: 'UNKNOWN_ERROR', detail: redactSecrets(error.message) };
+};
+
+// Interaction Model 실패 상태의 오류 코드 (NOCResponse 상태는 NOC_ 접두사)
+const interactionFailureCode = (failure) => {
+    const code = failure.response === 'NOCResponse' ? `NOC_${failure.status}` : failure.status;
+    return ERROR_CATALOG[code] ? code : 'COMMAND_FAILED';
+};
+
+// 오류 코드의 HTTP 상태 (카탈로그에 없으면 500)
+const errorHttpStatus = (code) => ERROR_CATALOG[code]?.httpStatus || 500;
+
+// 분류 결과를 응답 본문 필드로 변환 (message / hint는 language로 선택)
+const describeMatterError = ({ code, detail, ...details }, language = DEFAULT_LANGUAGE) => {
+    const catalog = ERROR_CATALOG[code] || ERROR_CATALOG.UNKNOWN_ERROR;
+    const lang = resolveLanguage(language);
+    return {
+        code,
+        message: detail ? `${catalog.message[lang]} (${detail})` : catalog.message[lang],
+        hint: catalog.hint[lang],
+        retryable: catalog.retryable,
+        ...details
+    };
+};
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    ERROR_CATALOG,
+    CHIP_ERROR_CODES,
+    resolveLanguage,
+    classifyMatterError,
+    interactionFailureCode,
+    errorHttpStatus,
+    describeMatterError
+};
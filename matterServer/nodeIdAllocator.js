@@ -0,0 +1,95 @@
+// Matter Operational Node ID 할당 모듈 (할당된 ID는 재사용하지 않음)
+const { readJsonFile, writeJsonFileAtomic } = require('./jsonFile');
+
+const SCHEMA_VERSION = 1;
+const MIN_NODE_ID = 1n;
+const MAX_NODE_ID = 0xFFFFFFEFFFFFFFFFn;
+
+// Node ID 충돌 오류 생성 함수
+const nodeIdConflict = (nodeId) => {
+    const error = new Error(`이미 할당된 Node ID입니다. (nodeId: ${nodeId})`);
+    error.code = 'NODE_ID_CONFLICT';
+    return error;
+};
+
+const createNodeIdAllocator = ({ filePath, firstNodeId = '1', logToFile }) => {
+    let data = { schemaVersion: SCHEMA_VERSION, nextNodeId: String(firstNodeId), allocated: {} };
+
+    const save = () => writeJsonFileAtomic(filePath, data);
+
+    const load = () => {
+        const raw = readJsonFile(filePath);
+        if (raw) {
+            data = raw;
+        } else {
+            save();
+        }
+        logToFile('NODE_ID', `Node ID 할당 정보 로드 - 할당 ${Object.keys(data.allocated).length}개, 다음 ID: ${data.nextNodeId}`);
+    };
+
+    const isAllocated = (nodeId) => Boolean(data.allocated[nodeId]);
+
+    const record = (nodeId, source) => {
+        data.allocated[nodeId] = { source, allocatedAt: new Date().toISOString() };
+        if (BigInt(nodeId) >= BigInt(data.nextNodeId)) {
+            data.nextNodeId = (BigInt(nodeId) + 1n).toString();
+        }
+    };
+
+    // 새 Node ID 할당 (nodeId 지정 시 충돌 확인)
+    const allocate = ({ nodeId, source = 'commissioning' } = {}) => {
+        let allocatedId;
+
+        if (nodeId !== undefined && nodeId !== null) {
+            allocatedId = BigInt(nodeId).toString();
+            if (isAllocated(allocatedId)) {
+                throw nodeIdConflict(allocatedId);
+            }
+        } else {
+            let candidate = BigInt(data.nextNodeId);
+            while (isAllocated(candidate.toString())) {
+                candidate += 1n;
+            }
+            if (candidate > MAX_NODE_ID) {
+                throw new Error('할당 가능한 Operational Node ID가 없습니다.');
+            }
+            allocatedId = candidate.toString();
+        }
+
+        record(allocatedId, source);
+        save();
+        logToFile('NODE_ID', `Node ID 할당 - ${allocatedId} (${source})`);
+        return allocatedId;
+    };
+
+    // 외부에서 이미 사용 중인 Node ID 예약 (레지스트리, chip-tool 저장소)
+    const reserve = (nodeIds, source) => {
+        const reserved = nodeIds.filter(nodeId => {
+            const id = BigInt(nodeId);
+            return id >= MIN_NODE_ID && id <= MAX_NODE_ID && !isAllocated(id.toString());
+        });
+        if (reserved.length === 0) {
+            return;
+        }
+        reserved.forEach(nodeId => record(BigInt(nodeId).toString(), source));
+        save();
+        logToFile('NODE_ID', `기존 Node ID 예약 - [${reserved.join(', ')}] (${source})`);
+    };
+
+    const list = () => ({
+        nextNodeId: data.nextNodeId,
+        allocated: Object.entries(data.allocated).map(([nodeId, info]) => ({ nodeId, ...info }))
+    });
+
+    return {
+        load,
+        allocate,
+        reserve,
+        isAllocated,
+        list
+    };
+};
+
+module.exports = {
+    createNodeIdAllocator
+};
@@ -0,0 +1,371 @@
+// Matter 온보딩 페이로드 (QR 코드 "MT:...", Manual Pairing Code) 파싱 모듈
+
+// Base38 문자 집합 (Matter Core Spec 5.1.3.1)
+const BASE38_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ-.';
+const QR_PREFIX = 'MT:';
+
+// 청크 길이(문자 수) -> 디코딩되는 바이트 수
+const BASE38_CHUNK_BYTES = { 5: 3, 4: 2, 2: 1 };
+
+// 고정 길이 페이로드 비트 구성 (LSB 우선)
+const PAYLOAD_FIELDS = [
+    ['version', 3],
+    ['vendorId', 16],
+    ['productId', 16],
+    ['commissioningFlow', 2],
+    ['discoveryCapabilities', 8],
+    ['discriminator', 12],
+    ['passcode', 27],
+    ['padding', 4]
+];
+const PAYLOAD_BYTES = 11;
+
+const COMMISSIONING_FLOWS = ['standard', 'userIntent', 'custom'];
+
+// Discovery Capabilities 비트마스크
+const DISCOVERY_CAPABILITY_BITS = {
+    softAP: 0x01,
+    ble: 0x02,
+    onNetwork: 0x04
+};
+
+// TLV 확장 데이터의 Matter 공통 태그
+const COMMON_TLV_TAGS = {
+    0x00: 'serialNumber',
+    0x01: 'pbkdfIterations',
+    0x02: 'pbkdfSalt',
+    0x03: 'numberOfDevices',
+    0x04: 'commissioningTimeout'
+};
+
+// 스펙에서 금지된 Setup Passcode (Matter Core Spec 5.1.7.1)
+const INVALID_PASSCODES = new Set([
+    0, 11111111, 22222222, 33333333, 44444444, 55555555,
+    66666666, 77777777, 88888888, 99999999, 12345678, 87654321
+]);
+
+// Verhoeff 체크 디지트 테이블
+const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+    [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+    [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+    [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+    [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+    [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+    [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+    [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+    [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+    [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+    [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+    [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+    [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+// 온보딩 페이로드 오류 생성 함수
+const onboardingError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const invalidQRCode = (message) => onboardingError('INVALID_QR_CODE', message);
+const invalidPairingCode = (message) => onboardingError('INVALID_PAIRING_CODE', message);
+
+// Setup Passcode 유효성 확인
+const isValidPasscode = (passcode) => {
+    return passcode >= 1 && passcode <= 99999998 && !INVALID_PASSCODES.has(passcode);
+};
+
+// 체크 디지트를 포함한 숫자 문자열의 Verhoeff 검증
+const isValidVerhoeff = (digits) => {
+    let check = 0;
+    const reversed = digits.split('').reverse();
+    reversed.forEach((digit, i) => {
+        check = VERHOEFF_D[check][VERHOEFF_P[i % 8][Number(digit)]];
+    });
+    return check === 0;
+};
+
+// Base38 문자열을 바이트 배열로 디코딩
+const decodeBase38 = (text) => {
+    const bytes = [];
+
+    for (let offset = 0; offset < text.length; offset += 5) {
+        const chunk = text.slice(offset, offset + 5);
+        const byteCount = BASE38_CHUNK_BYTES[chunk.length];
+        if (!byteCount) {
+            throw invalidQRCode(`QR 코드 길이가 올바르지 않습니다. (Base38 청크 길이: ${chunk.length})`);
+        }
+
+        let value = 0;
+        for (let i = chunk.length - 1; i >= 0; i--) {
+            const digit = BASE38_CHARS.indexOf(chunk[i]);
+            if (digit < 0) {
+                throw invalidQRCode(`QR 코드에 허용되지 않는 문자가 포함되어 있습니다: '${chunk[i]}'`);
+            }
+            value = value * 38 + digit;
+        }
+
+        if (value >= 2 ** (8 * byteCount)) {
+            throw invalidQRCode('QR 코드의 Base38 값이 범위를 벗어났습니다.');
+        }
+
+        for (let i = 0; i < byteCount; i++) {
+            bytes.push(value & 0xff);
+            value = Math.floor(value / 256);
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+// 바이트 배열에서 LSB 우선 순서로 비트 필드 읽기
+const readBits = (buffer, bitOffset, bitLength) => {
+    let value = 0;
+    for (let i = 0; i < bitLength; i++) {
+        const bit = bitOffset + i;
+        if (buffer[bit >> 3] & (1 << (bit & 7))) {
+            value += 2 ** i;
+        }
+    }
+    return value;
+};
+
+// Matter TLV 디코더 (QR 확장 데이터용 최소 구현)
+const decodeTLV = (buffer) => {
+    let offset = 0;
+
+    const need = (length) => {
+        if (offset + length > buffer.length) {
+            throw invalidQRCode('QR 코드의 TLV 확장 데이터가 잘려 있습니다.');
+        }
+    };
+
+    const readUInt = (length) => {
+        need(length);
+        const value = length === 8
+            ? Number(buffer.readBigUInt64LE(offset))
+            : buffer.readUIntLE(offset, length);
+        offset += length;
+        return value;
+    };
+
+    const readInt = (length) => {
+        need(length);
+        const value = length === 8
+            ? Number(buffer.readBigInt64LE(offset))
+            : buffer.readIntLE(offset, length);
+        offset += length;
+        return value;
+    };
+
+    const readTag = (tagControl) => {
+        switch (tagControl) {
+            case 0: return null;                         // anonymous
+            case 1: return readUInt(1);                  // context-specific
+            case 2: case 4: return readUInt(2);          // common/implicit profile (2 bytes)
+            case 3: case 5: return readUInt(4);          // common/implicit profile (4 bytes)
+            case 6: offset += 4; return readUInt(2);     // fully qualified (6 bytes)
+            case 7: offset += 4; return readUInt(4);     // fully qualified (8 bytes)
+            default: throw invalidQRCode('QR 코드의 TLV 태그 형식이 올바르지 않습니다.');
+        }
+    };
+
+    const readElement = () => {
+        need(1);
+        const control = buffer[offset++];
+        const tagControl = control >> 5;
+        const type = control & 0x1f;
+        const tag = readTag(tagControl);
+        const lengthSizes = [1, 2, 4, 8];
+
+        let value;
+        if (type <= 0x03) {
+            value = readInt(lengthSizes[type]);
+        } else if (type <= 0x07) {
+            value = readUInt(lengthSizes[type - 0x04]);
+        } else if (type === 0x08 || type === 0x09) {
+            value = type === 0x09;
+        } else if (type === 0x0a) {
+            need(4);
+            value = buffer.readFloatLE(offset);
+            offset += 4;
+        } else if (type === 0x0b) {
+            need(8);
+            value = buffer.readDoubleLE(offset);
+            offset += 8;
+        } else if (type <= 0x13) {
+            const isString = type <= 0x0f;
+            const length = readUInt(lengthSizes[(type - (isString ? 0x0c : 0x10))]);
+            need(length);
+            const raw = buffer.subarray(offset, offset + length);
+            offset += length;
+            value = isString ? raw.toString('utf8') : raw.toString('hex');
+        } else if (type === 0x14) {
+            value = null;
+        } else if (type >= 0x15 && type <= 0x17) {
+            const isStruct = type === 0x15;
+            value = isStruct ? {} : [];
+            for (;;) {
+                need(1);
+                if (buffer[offset] === 0x18) {
+                    offset++;
+                    break;
+                }
+                const element = readElement();
+                if (isStruct) {
+                    value[element.tag] = element.value;
+                } else {
+                    value.push(element.value);
+                }
+            }
+        } else {
+            throw invalidQRCode(`QR 코드의 TLV 요소 타입을 지원하지 않습니다: 0x${type.toString(16)}`);
+        }
+
+        return { tag, value };
+    };
+
+    const { value } = readElement();
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw invalidQRCode('QR 코드의 TLV 확장 데이터는 구조체여야 합니다.');
+    }
+    return value;
+};
+
+// TLV 확장 데이터를 공통 필드와 벤더 필드로 분리
+const mapExtensionData = (tlv) => {
+    const common = {};
+    const vendor = {};
+
+    Object.entries(tlv).forEach(([tag, value]) => {
+        const numericTag = Number(tag);
+        if (numericTag >= 0x80) {
+            vendor[numericTag] = value;
+        } else {
+            common[COMMON_TLV_TAGS[numericTag] || `tag${numericTag}`] = value;
+        }
+    });
+
+    return { ...common, vendorData: vendor };
+};
+
+// Matter QR 코드 파싱 함수
+const parseMatterQRCode = (qrCode) => {
+    if (typeof qrCode !== 'string' || qrCode.trim() === '') {
+        throw invalidQRCode('QR 코드가 비어 있습니다.');
+    }
+
+    const payload = qrCode.trim().toUpperCase();
+    if (!payload.startsWith(QR_PREFIX)) {
+        throw invalidQRCode(`Matter QR 코드는 '${QR_PREFIX}'로 시작해야 합니다.`);
+    }
+
+    const encoded = payload.slice(QR_PREFIX.length);
+    if (encoded.includes('*')) {
+        throw invalidQRCode('여러 디바이스가 연결된 QR 코드(*)는 지원하지 않습니다.');
+    }
+
+    const bytes = decodeBase38(encoded);
+    if (bytes.length < PAYLOAD_BYTES) {
+        throw invalidQRCode('QR 코드 페이로드가 너무 짧습니다.');
+    }
+
+    const fields = {};
+    let bitOffset = 0;
+    PAYLOAD_FIELDS.forEach(([name, length]) => {
+        fields[name] = readBits(bytes, bitOffset, length);
+        bitOffset += length;
+    });
+
+    if (fields.version !== 0) {
+        throw invalidQRCode(`지원하지 않는 QR 코드 버전입니다: ${fields.version}`);
+    }
+    if (fields.padding !== 0) {
+        throw invalidQRCode('QR 코드의 패딩 비트가 올바르지 않습니다.');
+    }
+    if (fields.commissioningFlow >= COMMISSIONING_FLOWS.length) {
+        throw invalidQRCode(`알 수 없는 커미셔닝 플로우입니다: ${fields.commissioningFlow}`);
+    }
+    if (!isValidPasscode(fields.passcode)) {
+        throw invalidQRCode('QR 코드의 Setup Passcode가 허용되지 않는 값입니다.');
+    }
+
+    const capabilities = fields.discoveryCapabilities;
+    const extensionBytes = bytes.subarray(PAYLOAD_BYTES);
+
+    return {
+        payload,
+        version: fields.version,
+        vendorId: fields.vendorId,
+        productId: fields.productId,
+        commissioningFlow: COMMISSIONING_FLOWS[fields.commissioningFlow],
+        discoveryCapabilities: {
+            raw: capabilities,
+            softAP: Boolean(capabilities & DISCOVERY_CAPABILITY_BITS.softAP),
+            ble: Boolean(capabilities & DISCOVERY_CAPABILITY_BITS.ble),
+            onNetwork: Boolean(capabilities & DISCOVERY_CAPABILITY_BITS.onNetwork)
+        },
+        discriminator: fields.discriminator,
+        passcode: fields.passcode,
+        extensionData: extensionBytes.length > 0 ? mapExtensionData(decodeTLV(extensionBytes)) : null
+    };
+};
+
+// Matter Manual Pairing Code 파싱 함수 (11자리 / VID·PID 포함 21자리)
+const parseManualPairingCode = (code) => {
+    if (typeof code !== 'string' && typeof code !== 'number') {
+        throw invalidPairingCode('Matter Manual Pairing Code가 비어 있습니다.');
+    }
+
+    // 숫자만 추출 (하이픈, 공백 허용)
+    const digits = String(code).replace(/\D/g, '');
+    if (digits.length !== 11 && digits.length !== 21) {
+        throw invalidPairingCode('Matter Manual Pairing Code는 11자리 또는 21자리 숫자여야 합니다.');
+    }
+
+    if (!isValidVerhoeff(digits)) {
+        throw invalidPairingCode('Matter Manual Pairing Code의 체크 디지트가 올바르지 않습니다. 코드를 다시 확인해주세요.');
+    }
+
+    const chunk1 = Number(digits.slice(0, 1));
+    const chunk2 = Number(digits.slice(1, 6));
+    const chunk3 = Number(digits.slice(6, 10));
+
+    const vidPidPresent = Boolean(chunk1 & 0x04);
+    if (chunk1 > 7 || vidPidPresent !== (digits.length === 21)) {
+        throw invalidPairingCode('Matter Manual Pairing Code의 첫 자리가 코드 길이와 일치하지 않습니다.');
+    }
+    if (chunk2 > 0xffff || chunk3 > 0x1fff) {
+        throw invalidPairingCode('Matter Manual Pairing Code의 값이 허용 범위를 벗어났습니다.');
+    }
+
+    const shortDiscriminator = ((chunk1 & 0x03) << 2) | (chunk2 >> 14);
+    const passcode = (chunk2 & 0x3fff) + chunk3 * 2 ** 14;
+    if (!isValidPasscode(passcode)) {
+        throw invalidPairingCode('Matter Manual Pairing Code의 Setup Passcode가 허용되지 않는 값입니다.');
+    }
+
+    return {
+        payload: digits,
+        isLongCode: vidPidPresent,
+        commissioningFlow: vidPidPresent ? 'custom' : 'standard',
+        shortDiscriminator,
+        passcode,
+        vendorId: vidPidPresent ? Number(digits.slice(10, 15)) : null,
+        productId: vidPidPresent ? Number(digits.slice(15, 20)) : null
+    };
+};
+
+module.exports = {
+    isValidPasscode,
+    parseMatterQRCode,
+    parseManualPairingCode
+};
@@ -0,0 +1,39 @@
+// HTTP 요청 컨텍스트 (requestId, nodeId)
+// AsyncLocalStorage로 요청 처리 중의 비동기 호출 전체에 전달되어 로그 레코드에 자동으로 기록됨
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// 클라이언트가 보낸 X-Request-Id 허용 형식 (로그 주입 방지)
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// 현재 요청 컨텍스트 (요청 밖에서는 빈 객체)
+const getRequestContext = () => storage.getStore() || {};
+
+// 현재 요청 컨텍스트에 필드 추가 (예: 경로의 nodeId, 새로 할당한 nodeId)
+const setRequestContext = (fields) => {
+    const store = storage.getStore();
+    if (store) {
+        Object.assign(store, fields);
+    }
+};
+
+// 현재 요청 컨텍스트를 복사한 하위 컨텍스트에서 실행 (한 요청에서 여러 디바이스를 동시에 처리할 때 nodeId 분리)
+const runWithRequestContext = (fields, callback) => storage.run({ ...getRequestContext(), ...fields }, callback);
+
+// Express 미들웨어: X-Request-Id(없거나 형식이 잘못되면 새로 생성)로 요청 컨텍스트 시작
+const requestContextMiddleware = (req, res, next) => {
+    const header = req.get('X-Request-Id');
+    const requestId = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+    req.id = requestId;
+    res.setHeader('X-Request-Id', requestId);
+    storage.run({ requestId }, next);
+};
+
+module.exports = {
+    getRequestContext,
+    setRequestContext,
+    runWithRequestContext,
+    requestContextMiddleware
+};
@@ -1,13 +1,67 @@
 const express = require("express");
 const cors = require("cors");
 const bodyParser = require("body-parser");
-const { exec } = require("child_process");
 const path = require("path");
 const fs = require('fs');
+const crypto = require('crypto');
+const { parseMatterQRCode, parseManualPairingCode } = require('./onboarding');
+const { IM_STATUS_CODES, parseInvokeResponse, parseReportOutput, parseCommissioningWindowOutput } = require('./chipOutput');
+const { resolveClusterId } = require('./clusters');
+const { createSubscriptionManager } = require('./subscriptions');
+const { createDeviceRegistry, readChipToolNodeIds } = require('./deviceRegistry');
+const { createNodeIdAllocator } = require('./nodeIdAllocator');
+const { createJobManager } = require('./commissioningJobs');
+const { createRetryPolicy } = require('./commissioningRetry');
+const { parseManifestCsv, createBatchManager } = require('./commissioningBatch');
+const { createCommandQueue } = require('./commandQueue');
+const { createChipToolBackend } = require('./chipToolBackend');
+const { createChipToolSimulator } = require('./chipToolSimulator');
+const { interviewDevice } = require('./deviceInterview');
+const { SUPPORTED_LANGUAGES, resolveLanguage, classifyMatterError, interactionFailureCode, errorHttpStatus, describeMatterError } = require('./matterErrors');
+const { redactSecrets, redactCommandArgs } = require('./logRedaction');
+const { createExecutionStore } = require('./executionTranscripts');
+const { LOG_LEVELS, createLogger } = require('./logger');
+const { getRequestContext, setRequestContext, runWithRequestContext, requestContextMiddleware } = require('./requestContext');
+const { ROLES, parseApiKeys, createAuthenticator, requireRole, createRateLimiter, createCorsOriginCheck } = require('./auth');
+const { createAuditLog } = require('./auditLog');
+const { decodeThreadDataset, createThreadDatasetStore } = require('./threadDatasets');
+const {
+    GROUP_KEY_SECURITY_POLICIES,
+    DEFAULT_EPOCH_START_TIME,
+    MIN_GROUP_ID,
+    MAX_GROUP_ID,
+    MIN_KEY_SET_ID,
+    MAX_KEY_SET_ID,
+    groupError,
+    groupDestinationId,
+    generateEpochKey,
+    addKeySetArgs,
+    keySetWriteArgs,
+    groupKeyMapValue,
+    buildGroupAcl
+} = require('./groups');
+const { createBluetoothctlBackend, bleScanArgs, readBleScanResult } = require('./bleScanner');
+const {
+    invalidParameter,
+    parseIntegerParam,
+    parseNodeIdParam,
+    parseDiscriminatorParam,
+    parsePasscodeParam,
+    parseIdentifierParam,
+    parseStringParam,
+    parseSsidParam,
+    parseWifiPasswordParam,
+    parseIpAddressParam,
+    parsePortParam,
+    parseInstanceNameParam,
+    parsePaaStorePathParam,
+    parseDateParam,
+    parseTimestampParam,
+    validateParams,
+    optional
+} = require('./validation');
 
 const app = express();
-app.use(cors());
-app.use(bodyParser.json());
 
 // Matter SDK 설정
 const MATTER_CONFIG = {
@@ -15,202 +69,320 @@ const MATTER_CONFIG = {
     chipToolPath: 'out/chip-tool/chip-tool',  // 수정된 정확한 chip-tool 경로
     fabricId: process.env.MATTER_FABRIC_ID,
     defaultNodeId: "1",
-    timeout: 60000,
-    logPath: '/home/ubuntu/matter-api/matterServer/logs',  // 로그 저장 경로
+    timeout: Number(process.env.MATTER_COMMAND_TIMEOUT_MS) || 60000,
+    logPath: process.env.MATTER_LOG_PATH || '/home/ubuntu/matter-api/matterServer/logs',  // 로그 저장 경로
+    logToConsole: process.env.MATTER_LOG_CONSOLE !== 'false',  // 콘솔 로그 출력 여부
+    logMaxFileSize: Number(process.env.MATTER_LOG_MAX_FILE_SIZE) || 10 * 1024 * 1024,  // 로그 파일 최대 크기 (바이트, 초과 시 새 파일로 순환)
+    logRetentionDays: Number(process.env.MATTER_LOG_RETENTION_DAYS) || 14,  // 로그 보존 기간 (일)
+    logMaxTotalSize: Number(process.env.MATTER_LOG_MAX_TOTAL_SIZE) || 200 * 1024 * 1024,  // 로그 디렉토리 최대 용량 (바이트, 초과 시 오래된 파일부터 삭제)
+    executionPath: process.env.MATTER_EXECUTION_PATH,  // chip-tool 실행 기록 저장 디렉토리 (기본: 로그 디렉토리/executions)
+    executionHistory: Number(process.env.MATTER_EXECUTION_HISTORY) || 500,  // 보존할 실행 기록 수
+    backend: process.env.MATTER_BACKEND || 'chip-tool',  // 명령 실행 백엔드 (chip-tool / simulator)
+    simulatorFixtures: process.env.MATTER_SIMULATOR_FIXTURES,  // 시뮬레이터 시나리오 JSON 파일 (선택)
+    registryPath: process.env.MATTER_REGISTRY_PATH || '/home/ubuntu/matter-api/matterServer/data/devices.json',  // 디바이스 레지스트리 파일
+    nodeIdStorePath: process.env.MATTER_NODE_ID_PATH || '/home/ubuntu/matter-api/matterServer/data/node-ids.json',  // Node ID 할당 기록 파일
+    threadDatasetPath: process.env.MATTER_THREAD_DATASET_PATH || '/home/ubuntu/matter-api/matterServer/data/thread-datasets.json',  // Thread Operational Dataset 저장 파일
+    chipToolStorageDir: process.env.MATTER_CHIP_TOOL_STORAGE_DIR || '/tmp',  // chip-tool KVS 저장소 디렉토리
+    subscriptionStorageDir: process.env.MATTER_SUBSCRIPTION_STORAGE_DIR,  // 구독용 interactive 세션 전용 저장소 (기본: chip-tool 저장소/matter-subscriptions)
+    bluetoothctlPath: process.env.MATTER_BLUETOOTHCTL_PATH || 'bluetoothctl',  // BLE 검색용 BlueZ bluetoothctl 경로
+    bleScanSeconds: Number(process.env.MATTER_BLE_SCAN_SECONDS) || 10,  // BLE 검색 시간 (초)
+    // API 인증 (API 키: '<id>:<role>:<key>' 항목을 ',' 로 구분, JWT: HS256 서명 키)
+    authDisabled: process.env.MATTER_AUTH_DISABLED === 'true',  // 인증 비활성화 (개발용, 모든 요청을 admin으로 처리)
+    apiKeys: parseApiKeys(process.env.MATTER_API_KEYS),
+    jwtSecret: process.env.MATTER_JWT_SECRET,
+    jwtIssuer: process.env.MATTER_JWT_ISSUER,  // 설정 시 iss 클레임 확인
+    jwtAudience: process.env.MATTER_JWT_AUDIENCE,  // 설정 시 aud 클레임 확인
+    corsOrigins: (process.env.MATTER_CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),  // CORS 허용 출처 (',' 구분, '*'는 전체 허용)
+    commissionRateLimit: Number(process.env.MATTER_COMMISSION_RATE_LIMIT) || 10,  // 인증 주체별 커미셔닝 요청 한도
+    commissionRateWindowMs: Number(process.env.MATTER_COMMISSION_RATE_WINDOW_MS) || 60000,  // 커미셔닝 요청 한도 시간 창
+    commissionRetryMaxAttempts: Number(process.env.MATTER_COMMISSION_RETRY_MAX_ATTEMPTS) || 3,  // 커미셔닝 최대 시도 횟수 (첫 시도 포함, 1이면 재시도 안 함)
+    commissionRetryDelayMs: Number(process.env.MATTER_COMMISSION_RETRY_DELAY_MS) || 5000,  // 재시도 대기 기준 시간 (단계 / 오류별 배수, 시도마다 2배)
+    commissionRetryMaxDelayMs: Number(process.env.MATTER_COMMISSION_RETRY_MAX_DELAY_MS) || 60000,  // 재시도 최대 대기 시간
+    batchConcurrency: Number(process.env.MATTER_BATCH_CONCURRENCY) || 2,  // 일괄 커미셔닝 기본 동시 실행 수
+    batchMaxItems: Number(process.env.MATTER_BATCH_MAX_ITEMS) || 200,  // 일괄 커미셔닝 매니페스트 최대 항목 수
+    auditPath: process.env.MATTER_AUDIT_PATH || '/home/ubuntu/matter-api/matterServer/data/audit.log',  // 감사 기록 파일
     // 개발용 PAA 인증서 경로 (기본값)
-    paaStorePath: process.env.MATTER_PAA_STORE_PATH || '/home/ubuntu/connectedhomeip/credentials/development/paa-root-certs'
+    paaStorePath: process.env.MATTER_PAA_STORE_PATH || '/home/ubuntu/connectedhomeip/credentials/development/paa-root-certs',
+    // 요청에서 지정 가능한 PAA 인증서 경로 목록 (':' 구분, 기본 경로는 항상 허용)
+    paaStoreAllowlist: (process.env.MATTER_PAA_STORE_ALLOWLIST || '').split(':').filter(Boolean)
 };
 
-// 로그 디렉토리 생성
-if (!fs.existsSync(MATTER_CONFIG.logPath)) {
-    fs.mkdirSync(MATTER_CONFIG.logPath, { recursive: true });
-}
+// 구조화 로그 (JSON Lines, 민감 정보 마스킹, 크기·기간 기반 순환)
+const logger = createLogger({
+    logPath: MATTER_CONFIG.logPath,
+    logToConsole: MATTER_CONFIG.logToConsole,
+    maxFileSize: MATTER_CONFIG.logMaxFileSize,
+    retentionDays: MATTER_CONFIG.logRetentionDays,
+    maxTotalSize: MATTER_CONFIG.logMaxTotalSize,
+    // 모든 로그는 민감 정보(비밀번호, Passcode, 페어링 코드, Thread 키, 인증서)를 마스킹한 뒤 기록
+    redact: redactSecrets,
+    context: getRequestContext
+});
 
-// 로깅 함수
-const logToFile = (type, message) => {
-    try {
-        const timestamp = new Date().toISOString();
-        const logFile = path.join(MATTER_CONFIG.logPath, `matter_${new Date().toISOString().split('T')[0]}.log`);
-        const logMessage = `[${timestamp}] [${type}] ${message}\n`;
-        
-        fs.appendFileSync(logFile, logMessage);
-        console.log(logMessage.trim());
-    } catch (error) {
-        console.error('로깅 중 오류 발생:', error);
-    }
-};
+// 테스트 종료 시 남은 로그 기록을 기다릴 수 있도록 노출
+app.locals.logger = logger;
 
-// 프로세스 에러 처리
-process.on('uncaughtException', (error) => {
-    logToFile('ERROR', `예기치 않은 에러 발생: ${error.message}`);
-    logToFile('ERROR', `스택 트레이스: ${error.stack}`);
+// 로깅 함수 (fields: nodeId, commandId, durationMs 등 추가 필드, requestId는 요청 컨텍스트에서 자동 기록)
+const logToFile = (type, message, fields) => logger.log(type, message, fields);
+
+// 감사 기록 (상태 변경 요청과 인증 / 권한 거부)
+// 감사 기록도 로그와 같은 순환 / 보존 정책 적용
+const auditLog = createAuditLog({
+    filePath: MATTER_CONFIG.auditPath,
+    maxFileSize: MATTER_CONFIG.logMaxFileSize,
+    retentionDays: MATTER_CONFIG.logRetentionDays,
+    maxTotalSize: MATTER_CONFIG.logMaxTotalSize,
+    logToFile
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-    logToFile('ERROR', `처리되지 않은 Promise 거부: ${reason}`);
+// 테스트 종료 시 남은 감사 기록을 기다릴 수 있도록 노출
+app.locals.auditLog = auditLog;
+
+// API 인증 (X-API-Key 헤더 또는 Authorization: Bearer JWT)
+const authenticator = createAuthenticator({
+    apiKeys: MATTER_CONFIG.apiKeys,
+    jwtSecret: MATTER_CONFIG.jwtSecret,
+    jwtIssuer: MATTER_CONFIG.jwtIssuer,
+    jwtAudience: MATTER_CONFIG.jwtAudience,
+    disabled: MATTER_CONFIG.authDisabled,
+    queryTokenPaths: ['/api/events/stream', '/api/logs/stream']
 });
 
-// 서버 종료 처리
-process.on('SIGTERM', () => {
-    logToFile('INFO', '서버 종료 신호 수신 (SIGTERM)');
-    gracefulShutdown();
+// 커미셔닝 요청 수 제한 (인증 주체별)
+const commissionRateLimit = createRateLimiter({
+    limit: MATTER_CONFIG.commissionRateLimit,
+    windowMs: MATTER_CONFIG.commissionRateWindowMs
 });
 
-process.on('SIGINT', () => {
-    logToFile('INFO', '서버 종료 신호 수신 (SIGINT)');
-    gracefulShutdown();
+app.use(cors({
+    origin: createCorsOriginCheck(MATTER_CONFIG.corsOrigins),
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id', 'Retry-After']
+}));
+app.use(bodyParser.json());
+app.use(requestContextMiddleware);
+// 오류 메시지 언어 (Accept-Language, 기본 한국어)
+app.use((req, res, next) => {
+    setRequestContext({ language: req.acceptsLanguages(...SUPPORTED_LANGUAGES) || undefined });
+    next();
 });
+app.use(auditLog.middleware(getRequestContext));
+app.use('/api', authenticator.authenticate);
 
-const gracefulShutdown = () => {
-    logToFile('INFO', '서버 종료 프로세스 시작...');
-    server.close(() => {
-        logToFile('INFO', '서버가 정상적으로 종료되었습니다.');
-        process.exit(0);
-    });
+// 디바이스 상태 관리 (파일 기반 영구 레지스트리)
+const deviceRegistry = createDeviceRegistry({
+    filePath: MATTER_CONFIG.registryPath,
+    logToFile
+});
+deviceRegistry.load();
+
+// chip-tool 저장소와 레지스트리 동기화
+const reconcileDeviceRegistry = () => {
+    const storageFiles = fs.existsSync(MATTER_CONFIG.chipToolStorageDir)
+        ? fs.readdirSync(MATTER_CONFIG.chipToolStorageDir).filter(file => /^chip_tool_config.*\.ini$/.test(file))
+        : [];
+    if (storageFiles.length === 0) {
+        logToFile('REGISTRY', `chip-tool 저장소를 찾을 수 없어 동기화를 건너뜁니다: ${MATTER_CONFIG.chipToolStorageDir}`);
+        return;
+    }
 
-    // 10초 후에도 종료되지 않으면 강제 종료
-    setTimeout(() => {
-        logToFile('ERROR', '서버 강제 종료 (타임아웃)');
-        process.exit(1);
-    }, 10000);
+    const nodeIds = [...new Set(storageFiles.flatMap(file =>
+        readChipToolNodeIds(path.join(MATTER_CONFIG.chipToolStorageDir, file)) || []))];
+    const { added, missing } = deviceRegistry.reconcile(nodeIds);
+    logToFile('REGISTRY', `chip-tool 저장소 동기화 완료 - 노드 ${nodeIds.length}개, 추가: [${added.join(', ')}], 누락: [${missing.join(', ')}]`);
 };
+reconcileDeviceRegistry();
 
-// 디바이스 상태 관리
-const deviceState = new Map();
+// Operational Node ID 할당 (할당 기록은 영구 보관, 재사용하지 않음)
+const nodeIdAllocator = createNodeIdAllocator({
+    filePath: MATTER_CONFIG.nodeIdStorePath,
+    firstNodeId: MATTER_CONFIG.defaultNodeId,
+    logToFile
+});
+nodeIdAllocator.load();
+nodeIdAllocator.reserve(deviceRegistry.list().map(device => device.nodeId), 'registry');
 
-// Matter 명령어 실행 함수
-const executeMatterCommand = (command, timeout = MATTER_CONFIG.timeout) => {
-    return new Promise((resolve, reject) => {
-        try {
-            // 전체 명령어 경로 구성
-            const chipToolFullPath = path.join(MATTER_CONFIG.sdkPath, MATTER_CONFIG.chipToolPath);
-            const fullCommand = `cd ${MATTER_CONFIG.sdkPath} && ${chipToolFullPath} ${command}`;
-            
-            logToFile('COMMAND', `실행: ${fullCommand}`);
-            
-            // 실행 파일 존재 확인
-            if (!fs.existsSync(chipToolFullPath)) {
-                const error = new Error(`chip-tool이 존재하지 않습니다: ${chipToolFullPath}`);
-                logToFile('ERROR', error.message);
-                reject(error);
-                return;
-            }
-            
-            const childProcess = exec(fullCommand, { timeout }, (error, stdout, stderr) => {
-                if (error) {
-                    logToFile('ERROR', `실행 오류: ${error.message}`);
-                    logToFile('ERROR', `표준 에러: ${stderr}`);
-                    reject(error);
-                    return;
-                }
+// Thread Operational Dataset 저장소 (네트워크 키는 응답에 포함하지 않음)
+const threadDatasetStore = createThreadDatasetStore({
+    filePath: MATTER_CONFIG.threadDatasetPath,
+    logToFile
+});
+threadDatasetStore.load();
 
-                // 상세 로깅 추가
-                logToFile('DEBUG', '=== Matter SDK 명령어 실행 결과 시작 ===');
-                logToFile('DEBUG', `표준 출력 타입: ${typeof stdout}`);
-                logToFile('DEBUG', `표준 출력 길이: ${stdout.length}`);
-                logToFile('DEBUG', '표준 출력 내용:');
-                logToFile('DEBUG', stdout);
-                
-                // stdout에서 [DIS] 태그가 있는 라인만 추출하여 로깅
-                const disLines = stdout.split('\n')
-                    .filter(line => line.includes('[DIS]'))
-                    .join('\n');
-                
-                logToFile('DEBUG', '=== [DIS] 태그 포함된 라인만 ===');
-                logToFile('DEBUG', disLines);
-                logToFile('DEBUG', '=== Matter SDK 명령어 실행 결과 끝 ===');
-
-                resolve(stdout);
-            });
+// 검색된(커미셔닝 전) 디바이스 캐시 - 검색 식별자(discoveryId) 기준
+const discoveredDevices = new Map();
 
-            // 실시간 출력 로깅
-            childProcess.stdout.on('data', (data) => {
-                logToFile('STDOUT', data.toString().trim());
-            });
+// 비동기 커미셔닝 작업 관리
+const jobManager = createJobManager({
+    logToFile,
+    mapError: (error) => handleMatterError(error)
+});
 
-            childProcess.stderr.on('data', (data) => {
-                logToFile('STDERR', data.toString().trim());
-            });
+// 일괄 커미셔닝 (항목마다 하위 요청 컨텍스트에서 실행해 동시에 실행되는 항목의 nodeId가 로그에 섞이지 않도록 함)
+const batchManager = createBatchManager({
+    logToFile,
+    startItem: ({ batchId, request, nodeId }) => runWithRequestContext({ batchId },
+        () => startPairing(request.body, { nodeId, registryFields: request.registryFields })),
+    waitForJob: id => jobManager.wait(id)
+});
+
+// 커미셔닝 재시도 정책 (실패 단계 / 오류 분류별 재시도 방식과 백오프)
+const commissioningRetryPolicy = createRetryPolicy({
+    maxAttempts: MATTER_CONFIG.commissionRetryMaxAttempts,
+    baseDelayMs: MATTER_CONFIG.commissionRetryDelayMs,
+    maxDelayMs: MATTER_CONFIG.commissionRetryMaxDelayMs
+});
+
+// chip-tool 실행 백엔드 (실제 chip-tool 또는 시뮬레이터)
+const createMatterBackend = () => {
+    if (MATTER_CONFIG.backend === 'simulator') {
+        const simulator = createChipToolSimulator({ logToFile });
+        if (MATTER_CONFIG.simulatorFixtures) {
+            simulator.loadFile(MATTER_CONFIG.simulatorFixtures);
+        }
+        return simulator;
+    }
+    return createChipToolBackend({
+        chipToolPath: path.join(MATTER_CONFIG.sdkPath, MATTER_CONFIG.chipToolPath),
+        cwd: MATTER_CONFIG.sdkPath,
+        logToFile
+    });
+};
+const matterBackend = createMatterBackend();
+// 테스트에서 시뮬레이터 시나리오를 조작할 수 있도록 노출
+app.locals.matterBackend = matterBackend;
+
+// BLE 검색 백엔드 (시뮬레이터는 ['bluetoothctl', ...인자] 시나리오로 처리)
+const bleBackend = MATTER_CONFIG.backend === 'simulator'
+    ? { name: 'simulator', run: (args, options) => matterBackend.run(['bluetoothctl', ...args], options) }
+    : createBluetoothctlBackend({ bluetoothctlPath: MATTER_CONFIG.bluetoothctlPath, logToFile });
+
+// chip-tool 명령 실행 큐 (한 번에 하나씩 순차 실행)
+// 여러 chip-tool 프로세스가 같은 KVS 저장소를 동시에 사용하면 상태가 손상되는데,
+// 단발 명령은 모두 기본 저장소(chipToolStorageDir)와 BLE 어댑터를 공유하므로 동시 실행 수는 1로 고정
+// (저장소 잠금 키는 작업이 사용하는 저장소를 큐 상태에 표시하고 같은 저장소 작업이 겹치지 않도록 보장)
+const commandQueue = createCommandQueue({
+    concurrency: 1,
+    logToFile
+});
+
+// chip-tool 실행 기록 (실행 ID별 전체 출력, GET /api/executions/:id)
+const executionStore = createExecutionStore({
+    dirPath: MATTER_CONFIG.executionPath || path.join(MATTER_CONFIG.logPath, 'executions'),
+    maxEntries: MATTER_CONFIG.executionHistory,
+    redact: redactSecrets,
+    logToFile
+});
 
-            childProcess.on('error', (error) => {
-                logToFile('ERROR', `자식 프로세스 오류: ${error.message}`);
-                reject(error);
+// 명령어의 chip-tool 저장소 경로 (잠금 키)
+const getStorageLock = (args) => {
+    const index = args.indexOf('--storage-directory');
+    return index !== -1 && args[index + 1] ? args[index + 1] : MATTER_CONFIG.chipToolStorageDir;
+};
+
+// Matter 명령어 실행 함수 (큐를 거쳐 실행, args: chip-tool 인자 배열)
+// options.priority: 큐 우선순위, options.signal: 취소용 AbortSignal, options.onOutput: 실시간 출력 콜백
+// 실행마다 명령 큐 작업 ID를 실행 ID로 사용하여 실행 기록을 남기고, 실패 시 error.executionId에 기록
+const executeMatterCommand = (args, timeout = MATTER_CONFIG.timeout, options = {}) => {
+    const commandArgs = args.map(String);
+    // 민감 정보(SSID, 비밀번호, 페어링 코드)가 노출되지 않도록 명령 이름만 표시
+    const label = commandArgs.slice(0, 2).join(' ');
+    let executionId = null;
+
+    return commandQueue.enqueue({
+        label,
+        priority: options.priority,
+        lock: getStorageLock(commandArgs),
+        timeout,
+        signal: options.signal,
+        run: ({ signal, id }) => {
+            executionId = id;
+            const { requestId, nodeId } = getRequestContext();
+            executionStore.start(id, { args: redactCommandArgs(commandArgs), label, priority: options.priority || 'interactive', requestId, nodeId });
+
+            const onOutput = (data, stream) => {
+                executionStore.append(id, stream, data);
+                options.onOutput?.(data, stream);
+            };
+            return matterBackend.run(commandArgs, { signal, onOutput, commandId: id }).catch((error) => {
+                // 프로세스 종료 정보 (취소 / 시간 초과로 종료된 경우 SIGTERM)
+                executionStore.update(id, {
+                    exitCode: typeof error.code === 'number' ? error.code : null,
+                    signal: error.signal || (error.name === 'AbortError' ? 'SIGTERM' : null)
+                });
+                throw error;
             });
-        } catch (error) {
-            logToFile('ERROR', `명령어 실행 중 예외 발생: ${error.message}`);
-            reject(error);
         }
+    }).then((output) => {
+        executionStore.finish(executionId);
+        return output;
+    }, (error) => {
+        // 큐에서 대기 중 취소된 경우에는 실행 기록이 없음
+        if (executionId) {
+            error.executionId = executionId;
+            executionStore.finish(executionId, { error });
+        }
+        throw error;
+    });
+};
+
+// BLE 커미셔닝 검색 (Matter BLE 광고를 scanSeconds 동안 수집)
+// chip-tool의 BLE 커미셔닝과 어댑터를 공유하므로 기본 저장소 잠금으로 순차 실행
+const executeBleScan = async () => {
+    const output = await commandQueue.enqueue({
+        label: 'bluetoothctl scan',
+        priority: 'background',
+        lock: getStorageLock([]),
+        timeout: (MATTER_CONFIG.bleScanSeconds + 5) * 1000,
+        run: ({ signal, id }) => bleBackend.run(bleScanArgs(MATTER_CONFIG.bleScanSeconds), { signal, commandId: id })
     });
+    return readBleScanResult(output);
 };
 
-// Matter 에러 처리 함수
+// Matter 에러 처리 함수 (오류 카탈로그로 분류, 요청의 Accept-Language에 맞는 메시지 / 조치 안내)
+// chip-tool 실행 기록이 있으면 응답에 실행 ID 포함 (GET /api/executions/:id로 전체 출력 확인)
 const handleMatterError = (error) => {
     logToFile('ERROR_HANDLER', `에러 처리: ${error.message}`);
-    
-    // Matter SDK의 타임아웃 에러 확인 (CHIP Error 0x00000032: Timeout)
-    if (error.message.includes("CHIP Error 0x00000032: Timeout") || 
-        error.stderr?.includes("CHIP Error 0x00000032: Timeout")) {
-        return {
-            code: "TIMEOUT_ERROR",
-            message: "Matter 명령어 실행이 시간 초과되었습니다.",
-            errorCode: "0x00000032"
-        };
-    }
-    
-    if (error.message.includes("CHIP:BLE")) {
-        return {
-            code: "BLE_ERROR",
-            message: "BLE 연결 중 오류가 발생했습니다."
-        };
-    }
-    if (error.message.includes("CHIP:DMG")) {
-        return {
-            code: "DATA_MODEL_ERROR",
-            message: "데이터 모델 처리 중 오류가 발생했습니다."
-        };
-    }
-    if (error.message.includes("not found")) {
-        return {
-            code: "COMMAND_NOT_FOUND",
-            message: "Matter SDK 명령어를 찾을 수 없습니다. SDK 경로를 확인해주세요."
-        };
-    }
-    
-    // Matter SDK 에러 코드 패턴 확인 (CHIP Error 0x...)
-    const chipErrorMatch = (error.message || error.stderr || '').match(/CHIP Error (0x[0-9a-fA-F]+)/);
-    if (chipErrorMatch) {
-        return {
-            code: "MATTER_SDK_ERROR",
-            message: `Matter SDK 오류가 발생했습니다.`,
-            errorCode: chipErrorMatch[1]
-        };
-    }
-    
-    // 기타 Matter SDK 관련 에러 메시지 처리
-    if (error.stderr) {
-        return {
-            code: "MATTER_SDK_ERROR",
-            message: `Matter SDK 오류: ${error.stderr}`
-        };
-    }
-    
-    return {
-        code: "UNKNOWN_ERROR",
-        message: `알 수 없는 오류가 발생했습니다: ${error.message}`
-    };
+    const details = describeMatterError(classifyMatterError(error), getRequestContext().language);
+    return error.executionId ? { ...details, executionId: error.executionId } : details;
 };
 
-// Matter Manual Pairing Code 검증 함수
-const validateManualPairingCode = (code) => {
-    // 숫자만 추출
-    const numericCode = code.replace(/\D/g, '');
-    
-    // Matter Manual Pairing Code는 11자리 숫자
-    if (numericCode.length !== 11) {
-        throw new Error('Matter Manual Pairing Code는 11자리 숫자여야 합니다.');
+// Matter 에러 응답 (오류 코드별 HTTP 상태)
+const sendMatterError = (res, error) => {
+    const details = handleMatterError(error);
+    res.status(errorHttpStatus(details.code))
+        .set('Content-Language', resolveLanguage(getRequestContext().language))
+        .json({
+            status: "error",
+            ...details
+        });
+};
+
+// 요청 검증 오류 코드별 HTTP 상태
+const REQUEST_ERROR_STATUS = {
+    INVALID_QR_CODE: 400,
+    INVALID_PAIRING_CODE: 400,
+    INVALID_PARAMETER: 400,
+    INVALID_THREAD_DATASET: 400,
+    DEVICE_NOT_FOUND: 404,
+    THREAD_DATASET_NOT_FOUND: 404,
+    GROUP_NOT_FOUND: 404,
+    KEY_SET_NOT_FOUND: 404,
+    GROUP_MEMBER_NOT_FOUND: 404,
+    NODE_ID_CONFLICT: 409,
+    GROUP_EXISTS: 409,
+    GROUP_NOT_EMPTY: 409,
+    KEY_SET_EXISTS: 409,
+    KEY_SET_IN_USE: 409
+};
+
+// 검색된 디바이스의 Long Discriminator와 페어링 코드의 Short Discriminator 일치 여부 확인
+const matchesShortDiscriminator = (deviceInfo, shortDiscriminator) => {
+    const longDiscriminator = parseInt(deviceInfo.setupDiscriminator, 10);
+    if (Number.isNaN(longDiscriminator)) {
+        return true;
     }
-    
-    return numericCode;
+    return (longDiscriminator >> 8) === shortDiscriminator;
 };
 
 // Matter 디바이스 검색 결과 파싱 함수
@@ -244,7 +416,7 @@ const parseDiscoveryResult = (result) => {
                     devices.push(currentDevice);
                 }
                 currentDevice = {
-                    nodeId: '',                // Matter 노드 ID
+                    discoveryId: '',           // 검색 식별자 (Operational Node ID와 별개)
                     name: '',                  // 디바이스 이름
                     setupPinCode: '',          // Matter Setup PIN Code
                     setupDiscriminator: '',    // Matter Setup Discriminator
@@ -256,7 +428,7 @@ const parseDiscoveryResult = (result) => {
                     port: '',                // 포트
                     pairingHint: '',         // 페어링 힌트
                     commissioningMode: '',    // 커미셔닝 모드
-                    type: 'wifi'             // 네트워크 타입 (wifi/thread)
+                    type: 'onnetwork'        // 검색 방식 (onnetwork: DNS-SD, ble: BLE 광고)
                 };
                 continue;
             }
@@ -313,10 +485,11 @@ const parseDiscoveryResult = (result) => {
             devices.push(currentDevice);
         }
 
-        // nodeId 자동 생성 및 할당
-        return devices.map((device, index) => ({
+        // 검색 식별자 할당: Instance Name 우선, 없으면 Long Discriminator/VID/PID 조합
+        return devices.map(device => ({
             ...device,
-            nodeId: (index + 1).toString()
+            discoveryId: device.instanceName ||
+                `d${device.setupDiscriminator}-${device.vendorId}-${device.productId}`
         }));
 
     } catch (error) {
@@ -326,14 +499,304 @@ const parseDiscoveryResult = (result) => {
     }
 };
 
-// NodeId 생성 함수
-const generateNodeId = (() => {
-    let lastId = 0;
-    return () => {
-        lastId += 1;
-        return lastId.toString();
+// 검색 결과를 캐시에 저장 (커미셔닝 상태 유지)
+const rememberDiscoveredDevices = (devices) => {
+    devices.forEach(device => {
+        const previous = discoveredDevices.get(device.discoveryId);
+        discoveredDevices.set(device.discoveryId, {
+            ...previous,
+            ...device,
+            status: previous?.status || 'discovered',
+            timestamp: new Date().toISOString()
+        });
+    });
+};
+
+// 검색 캐시 항목을 레지스트리 필드로 변환 (검색 상태 정보 제외)
+const toRegistryFields = ({ status, timestamp, nodeId, ...discoveryFields }) => ({
+    ...discoveryFields,
+    discoveredAt: timestamp
+});
+
+// 오류 메시지 / 출력에서 네트워크 자격 증명과 페어링 코드 제거 (작업 상태, 이력으로 응답에 노출되지 않도록)
+// 메시지 / 표준 에러는 알려진 비밀 값 외에 chip-tool 인자 / 출력 형식의 민감 정보도 마스킹
+const scrubSecrets = (error, secrets) => {
+    const values = secrets.filter(secret => secret !== undefined && secret !== null && secret !== '').map(String);
+    const scrub = (text) => values.reduce((result, secret) => result.split(secret).join('***'), text);
+    ['message', 'stdout', 'stderr'].forEach((field) => {
+        if (typeof error[field] === 'string') {
+            error[field] = field === 'stdout' ? scrub(error[field]) : redactSecrets(scrub(error[field]));
+        }
+    });
+    return error;
+};
+
+// CommissioningComplete 응답 오류 코드 (GeneralCommissioning CommissioningErrorEnum)
+const COMMISSIONING_ERROR_CODES = {
+    1: 'ValueOutsideRange',
+    2: 'InvalidAuthentication',
+    3: 'NoFailSafe',
+    4: 'BusyWithOtherAdmin'
+};
+
+// 중단된 커미셔닝 재개: 운영 네트워크에서 노드를 다시 찾은 뒤 CASE 세션으로 CommissioningComplete 전송
+// (네트워크 활성화 / 운영 노드 검색 / CASE 단계에서 실패해 fail-safe가 아직 유지 중인 경우)
+const resumeCommissioning = async (nodeId, { signal, onOutput, advancePhase }) => {
+    const options = { priority: 'commissioning', signal, onOutput };
+    advancePhase('operationalDiscovery');
+    await executeMatterCommand(['discover', 'resolve', nodeId, MATTER_CONFIG.fabricId || 1], MATTER_CONFIG.timeout, options);
+
+    advancePhase('caseEstablished');
+    const result = await executeMatterCommand(['generalcommissioning', 'commissioning-complete', nodeId, 0], MATTER_CONFIG.timeout, options);
+    const report = parseReportOutput(result);
+    if (report.failure) {
+        throw interactionFailureError(report.failure);
+    }
+    const response = report.commands.find(item => item.name === 'CommissioningCompleteResponse')?.value;
+    const errorCode = response?.errorCode ?? response?.ErrorCode ?? 0;
+    if (errorCode !== 0) {
+        const error = new Error(`CommissioningComplete 응답 오류: ${COMMISSIONING_ERROR_CODES[errorCode] || errorCode}`);
+        error.code = 'COMMISSIONING_FAILED';
+        throw error;
+    }
+};
+
+// 재시도 대기 (작업 취소 시 즉시 중단)
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    }, { once: true });
+});
+
+// 커미셔닝 작업 시작: chip-tool 실행 후 레지스트리 상태와 이력 갱신
+// 실패하면 재시도 정책에 따라 처음부터 다시 커미셔닝하거나 운영 노드 검색부터 재개하고, 모든 시도를 이력에 기록
+// secrets: 명령 인자 중 오류 메시지에서 가릴 값 (Wi-Fi 비밀번호, Thread Dataset, 페어링 코드 / Passcode)
+const startCommissioningJob = ({ nodeId, command, history, network, secrets = [], onSuccess }) => {
+    return jobManager.create({
+        type: 'commissioning',
+        nodeId,
+        run: async (job) => {
+            const { signal, onOutput } = job;
+            let action = 'pair';
+            let attempt = 0;
+
+            for (;;) {
+                attempt++;
+                const startedAt = new Date().toISOString();
+                try {
+                    if (action === 'resume') {
+                        logToFile('INFO', `커미셔닝 재개 (시도 ${attempt}) - Node: ${nodeId}, 운영 노드 검색부터`);
+                        await resumeCommissioning(nodeId, job);
+                    } else {
+                        if (attempt > 1) {
+                            logToFile('INFO', `커미셔닝 재시도 (시도 ${attempt}) - Node: ${nodeId}`);
+                            job.restartPhases();
+                        }
+                        await executeMatterCommand(command, MATTER_CONFIG.timeout, { priority: 'commissioning', signal, onOutput });
+                    }
+                    job.recordAttempt({ attempt, action, result: 'success', startedAt, finishedAt: new Date().toISOString() });
+                    break;
+                } catch (error) {
+                    scrubSecrets(error, secrets);
+                    const cancelled = signal.aborted;
+                    const failedPhase = job.getPhase();
+                    const described = describeMatterError(classifyMatterError(error));
+                    const retry = cancelled ? null : commissioningRetryPolicy.next({ attempt, action, phase: failedPhase, error: described });
+                    const record = {
+                        attempt,
+                        action,
+                        result: cancelled ? 'cancelled' : (retry ? 'retrying' : 'failed'),
+                        failedPhase,
+                        errorCode: described.code,
+                        error: error.message,
+                        ...(retry && { nextAction: retry.action, retryInMs: retry.delayMs })
+                    };
+
+                    job.recordAttempt({ ...record, phases: job.getPhases(), startedAt, finishedAt: new Date().toISOString() });
+                    deviceRegistry.upsert(nodeId, { status: retry ? 'commissioning' : record.result });
+                    deviceRegistry.appendHistory(nodeId, { ...history, ...record });
+                    if (!retry) {
+                        throw error;
+                    }
+
+                    logToFile('WARN', `커미셔닝 실패 (시도 ${attempt}/${commissioningRetryPolicy.maxAttempts}, 단계: ${failedPhase}, ${described.code}) - Node: ${nodeId}, ${retry.delayMs}ms 후 ${retry.action === 'resume' ? '재개' : '재시도'}`);
+                    try {
+                        await wait(retry.delayMs, signal);
+                    } catch (abortError) {
+                        deviceRegistry.upsert(nodeId, { status: 'cancelled' });
+                        throw abortError;
+                    }
+                    action = retry.action;
+                }
+            }
+
+            deviceRegistry.upsert(nodeId, {
+                status: 'commissioned',
+                network: { ...network, timestamp: new Date().toISOString() }
+            });
+            deviceRegistry.appendHistory(nodeId, { ...history, attempt, action, result: 'success' });
+            onSuccess?.();
+
+            // 커미셔닝 직후 인터뷰로 기능 모델 구성 (실패해도 커미셔닝은 성공으로 처리, 나중에 다시 실행 가능)
+            const interview = await runDeviceInterview(nodeId, { priority: 'commissioning', signal })
+                .then(() => ({ status: 'completed' }), error => ({ status: 'failed', error: handleMatterError(error) }));
+            return { nodeId, deviceInfo: deviceRegistry.get(nodeId), interview };
+        }
+    });
+};
+
+// 디바이스 인터뷰 실행 후 BasicInformation / 기능 모델을 레지스트리에 저장
+const runDeviceInterview = async (nodeId, options = {}) => {
+    deviceRegistry.update(nodeId, { interview: { status: 'running', startedAt: new Date().toISOString() } });
+    logToFile('INFO', `디바이스 인터뷰 시작 - Node: ${nodeId}`);
+
+    try {
+        const { basicInformation, ...capabilities } = await interviewDevice({
+            nodeId,
+            execute: args => executeMatterCommand(args, MATTER_CONFIG.timeout, options)
+        });
+        deviceRegistry.update(nodeId, {
+            basicInformation,
+            capabilities,
+            interview: { status: 'completed', completedAt: capabilities.interviewedAt }
+        });
+        logToFile('INFO', `디바이스 인터뷰 완료 - Node: ${nodeId}, 엔드포인트: ${capabilities.endpoints.length}개, 타입: ${capabilities.deviceTypes.join(', ') || '-'}`);
+        return { basicInformation, ...capabilities };
+    } catch (error) {
+        deviceRegistry.update(nodeId, {
+            interview: { status: 'failed', completedAt: new Date().toISOString(), error: error.message }
+        });
+        logToFile('ERROR', `디바이스 인터뷰 실패 - Node: ${nodeId}: ${error.message}`);
+        throw error;
+    }
+};
+
+// 작업 접수 응답 (202)
+const sendJobAccepted = (res, job, message) => {
+    res.status(202).location(`/api/jobs/${job.id}`).json({
+        status: "accepted",
+        message,
+        jobId: job.id,
+        nodeId: job.nodeId,
+        job
+    });
+};
+
+// 요청에서 지정 가능한 PAA 인증서 경로
+const getAllowedPaaStorePaths = () => [MATTER_CONFIG.paaStorePath, ...MATTER_CONFIG.paaStoreAllowlist];
+
+// 요청 파라미터의 Node ID로 할당 (없으면 자동 할당)
+const allocateNodeId = (requestedNodeId, source) => {
+    const nodeId = requestedNodeId === undefined || requestedNodeId === null || requestedNodeId === ''
+        ? undefined
+        : parseNodeIdParam(requestedNodeId);
+    const allocated = nodeIdAllocator.allocate({ nodeId, source });
+    // 이후 커미셔닝 로그에 할당된 nodeId 기록
+    setRequestContext({ nodeId: allocated });
+    return allocated;
+};
+
+// 커미셔닝 대상 네트워크 종류
+const NETWORK_TYPES = ['wifi', 'thread'];
+
+// QR 코드의 Discovery Capabilities에 따른 chip-tool 커미셔닝 방식 선택
+const selectQRPairingCommand = (qrInfo, networkType, hasNetworkCredentials) => {
+    const { ble, onNetwork, softAP } = qrInfo.discoveryCapabilities;
+
+    if (ble && hasNetworkCredentials) {
+        return `code-${networkType}`;
+    }
+    if (onNetwork) {
+        return 'code';
+    }
+    if (ble) {
+        throw invalidParameter(networkType === 'thread'
+            ? "BLE Thread 커미셔닝에는 datasetId 또는 dataset이 필요합니다."
+            : "BLE 커미셔닝에는 ssid와 password가 필요합니다.");
+    }
+    if (softAP) {
+        throw invalidParameter("SoftAP 커미셔닝은 지원하지 않습니다.");
+    }
+
+    const error = new Error("QR 코드에 지원 가능한 Discovery Capability가 없습니다.");
+    error.code = 'INVALID_QR_CODE';
+    throw error;
+};
+
+// 온네트워크 커미셔닝 명령 선택 (이미 IP 네트워크에 연결된 디바이스, 네트워크 자격 증명 불필요)
+// 주소 + 포트: already-discovered (DNS-SD 검색 생략), Instance Name: onnetwork-instance-name,
+// Discriminator: onnetwork-long, Short Discriminator(Manual Pairing Code): onnetwork-short,
+// 조건 없음: onnetwork (처음 응답한 커미셔닝 가능 디바이스, Passcode만 지정한 요청)
+const selectOnNetworkCommand = ({ address, port, instanceName, discriminator, shortDiscriminator }) => {
+    if (address && port) {
+        return { method: 'already-discovered', targetArgs: [address, port] };
+    }
+    if (instanceName) {
+        return { method: 'onnetwork-instance-name', targetArgs: [instanceName] };
+    }
+    if (discriminator !== undefined) {
+        return { method: 'onnetwork-long', targetArgs: [discriminator] };
+    }
+    if (shortDiscriminator !== undefined) {
+        return { method: 'onnetwork-short', targetArgs: [shortDiscriminator] };
+    }
+    return { method: 'onnetwork', targetArgs: [] };
+};
+
+// 검색 결과 항목의 온네트워크 연결 정보 (IPv4 주소 우선)
+const onNetworkTargetFromDiscovery = (deviceInfo) => {
+    const addresses = deviceInfo.addresses || [];
+    const address = addresses.find(item => /^\d+\.\d+\.\d+\.\d+$/.test(item)) || addresses[0];
+    const discriminator = parseInt(deviceInfo.setupDiscriminator, 10);
+    return {
+        address,
+        port: deviceInfo.port ? Number(deviceInfo.port) : undefined,
+        instanceName: deviceInfo.instanceName || undefined,
+        discriminator: Number.isNaN(discriminator) ? undefined : discriminator
+    };
+};
+
+// 요청 파라미터의 온네트워크 연결 정보 검증 (address와 port는 함께 지정)
+const parseOnNetworkTarget = (source) => {
+    const target = validateParams(source, {
+        address: optional(parseIpAddressParam),
+        port: optional(parsePortParam),
+        instanceName: optional(parseInstanceNameParam),
+        discriminator: optional(parseDiscriminatorParam)
+    });
+    if (Boolean(target.address) !== Boolean(target.port)) {
+        throw invalidParameter("address와 port는 함께 지정해야 합니다.");
+    }
+    return target;
+};
+
+// 커미셔닝에 사용할 Thread Dataset 조회 (저장된 datasetId 또는 요청의 hex dataset)
+const resolveThreadNetwork = ({ datasetId, dataset }) => {
+    if (datasetId) {
+        const operationalDataset = threadDatasetStore.getOperationalDataset(String(datasetId));
+        if (!operationalDataset) {
+            const error = new Error(`Thread Dataset을 찾을 수 없습니다. (datasetId: ${datasetId})`);
+            error.code = 'THREAD_DATASET_NOT_FOUND';
+            throw error;
+        }
+        const summary = threadDatasetStore.get(String(datasetId));
+        return {
+            operationalDataset,
+            network: { type: 'thread', datasetId: summary.id, networkName: summary.networkName, extendedPanId: summary.extendedPanId }
+        };
+    }
+    if (!dataset) {
+        throw invalidParameter("Thread 커미셔닝에는 datasetId 또는 dataset이 필요합니다.");
+    }
+
+    const decoded = decodeThreadDataset(dataset);
+    return {
+        operationalDataset: decoded.dataset,
+        network: { type: 'thread', networkName: decoded.networkName, extendedPanId: decoded.extendedPanId }
     };
-})();
+};
 
 // 디바이스 타입 감지 함수
 const detectDeviceType = (deviceInfo) => {
@@ -346,49 +809,76 @@ const detectDeviceType = (deviceInfo) => {
     return 'unknown';
 };
 
-// Matter 디바이스 Wi-Fi 페어링 및 커미셔닝
-app.post("/api/device/setup", async (req, res) => {
+// Matter 디바이스 페어링 및 커미셔닝 (Wi-Fi 또는 온네트워크)
+app.post("/api/device/setup", requireRole('installer'), commissionRateLimit, async (req, res) => {
     const { 
-        nodeId,              // Matter 노드 ID
+        discoveryId,         // 검색 결과의 디바이스 식별자
+        nodeId: requestedNodeId,  // 선택사항: 지정할 Operational Node ID
         manualPairingCode,   // Matter Manual Pairing Code (페어링용)
         ssid,               // Wi-Fi SSID
-        password,           // Wi-Fi 비밀번호
-        paaStorePath        // 선택사항: 커스텀 PAA 인증서 경로
+        password            // Wi-Fi 비밀번호
+        // passcode: 선택사항, 온네트워크 커미셔닝에서 manualPairingCode 대신 사용할 Setup Passcode
+        // paaStorePath: 선택사항, 커스텀 PAA 인증서 경로 (허용 목록에 등록된 경로만 사용 가능)
     } = req.body;
 
     try {
         logToFile('DEBUG', `Wi-Fi 페어링 및 커미셔닝 요청 수신 - 요청 데이터: ${JSON.stringify({
-            nodeId,
+            discoveryId,
+            nodeId: requestedNodeId,
             ssid,
             manualPairingCode: '***',
             password: '***'
         }, null, 2)}`);
 
-        // 필수 파라미터 검증
-        if (!manualPairingCode || !ssid || !password) {
-            const error = new Error("필수 파라미터가 누락되었습니다. (manualPairingCode, ssid, password)");
+        // 필수 파라미터 검증 (chip-tool 실행 전)
+        // ssid / password가 모두 없으면 이미 네트워크에 연결된 디바이스로 보고 온네트워크 커미셔닝
+        const onNetwork = !ssid && !password;
+        if ((!manualPairingCode && !(onNetwork && req.body.passcode)) || (!onNetwork && (!ssid || !password))) {
+            const error = new Error(onNetwork
+                ? "필수 파라미터가 누락되었습니다. (manualPairingCode 또는 passcode)"
+                : "필수 파라미터가 누락되었습니다. (manualPairingCode, ssid, password)");
+            logToFile('ERROR', error.message);
+            return res.status(400).json({
+                status: "error",
+                message: error.message
+            });
+        }
+
+        let params;
+        try {
+            params = validateParams(req.body, {
+                ...(!onNetwork && { ssid: parseSsidParam, password: parseWifiPasswordParam }),
+                passcode: optional(parsePasscodeParam),
+                paaStorePath: optional(value => parsePaaStorePathParam(value, getAllowedPaaStorePaths()))
+            });
+        } catch (error) {
             logToFile('ERROR', error.message);
             return res.status(400).json({
                 status: "error",
+                code: error.code,
                 message: error.message
             });
         }
 
-        // Matter Manual Pairing Code 검증
-        let formattedPairingCode;
+        // Matter Manual Pairing Code 검증 (체크 디지트, Passcode)
+        let pairingCodeInfo;
         try {
-            formattedPairingCode = validateManualPairingCode(manualPairingCode);
+            pairingCodeInfo = manualPairingCode ? parseManualPairingCode(manualPairingCode) : null;
         } catch (error) {
+            logToFile('ERROR', error.message);
             return res.status(400).json({
                 status: "error",
+                code: error.code,
                 message: error.message
             });
         }
+        const formattedPairingCode = pairingCodeInfo?.payload;
+        const passcode = pairingCodeInfo?.passcode ?? params.passcode;
 
-        // 디바이스 상태 확인
-        const deviceInfo = deviceState.get(nodeId);
+        // 검색된 디바이스 확인
+        const deviceInfo = discoveredDevices.get(discoveryId);
         if (!deviceInfo) {
-            const error = new Error(`디바이스를 찾을 수 없습니다. (nodeId: ${nodeId})`);
+            const error = new Error(`검색된 디바이스를 찾을 수 없습니다. (discoveryId: ${discoveryId})`);
             logToFile('ERROR', error.message);
             return res.status(404).json({
                 status: "error",
@@ -396,79 +886,118 @@ app.post("/api/device/setup", async (req, res) => {
             });
         }
 
-        logToFile('INFO', `Wi-Fi 페어링 및 커미셔닝 시작 - Device: ${deviceInfo.name}, SSID: ${ssid}`);
+        if (pairingCodeInfo && !matchesShortDiscriminator(deviceInfo, pairingCodeInfo.shortDiscriminator)) {
+            const error = new Error(`페어링 코드의 Discriminator가 디바이스와 일치하지 않습니다. (discoveryId: ${discoveryId})`);
+            logToFile('ERROR', error.message);
+            return res.status(400).json({
+                status: "error",
+                code: "DISCRIMINATOR_MISMATCH",
+                message: error.message
+            });
+        }
+
+        if (onNetwork && deviceInfo.type === 'ble') {
+            logToFile('ERROR', `BLE 디바이스 온네트워크 커미셔닝 요청 (discoveryId: ${discoveryId})`);
+            return res.status(400).json({
+                status: "error",
+                code: "INVALID_PARAMETER",
+                message: "BLE로 검색된 디바이스는 ssid와 password가 필요합니다."
+            });
+        }
+
+        // Operational Node ID 할당 (지정한 ID가 이미 할당된 경우 409)
+        let nodeId;
+        try {
+            nodeId = allocateNodeId(requestedNodeId, 'setup');
+        } catch (error) {
+            logToFile('ERROR', error.message);
+            return res.status(REQUEST_ERROR_STATUS[error.code] || 500).json({
+                status: "error",
+                code: error.code,
+                message: error.message
+            });
+        }
+
+        // 레지스트리에 검색 정보와 함께 등록
+        deviceRegistry.upsert(nodeId, {
+            ...toRegistryFields(deviceInfo),
+            status: 'commissioning'
+        });
+
+        logToFile('INFO', `${onNetwork ? '온네트워크' : 'Wi-Fi'} 페어링 및 커미셔닝 시작 - Device: ${deviceInfo.name}, NodeId: ${nodeId}${onNetwork ? '' : `, SSID: ${ssid}`}`);
         
         // PAA 인증서 경로 설정
-        const paaCertPath = paaStorePath || MATTER_CONFIG.paaStorePath;
+        const paaCertPath = params.paaStorePath || MATTER_CONFIG.paaStorePath;
         
-        // Wi-Fi 페어링 및 커미셔닝 명령어 구성
-        const command = `pairing code-wifi ${nodeId} "${ssid}" "${password}" ${formattedPairingCode} --paa-trust-store-path ${paaCertPath}`;
-        
-        logToFile('INFO', `페어링 및 커미셔닝 명령어 실행 (민감 정보 제외): pairing code-wifi ${nodeId} [SSID] [PASSWORD] [MANUAL_PAIRING_CODE] --paa-trust-store-path ${paaCertPath}`);
+        // 페어링 및 커미셔닝 명령어 구성
+        // BLE로 검색된 디바이스는 검색된 Long Discriminator와 Passcode로 직접 연결
+        // 온네트워크 디바이스는 검색된 주소 / Instance Name / Discriminator로 연결
+        let pairingCommand;
+        let command;
+        if (onNetwork) {
+            const { method, targetArgs } = selectOnNetworkCommand(onNetworkTargetFromDiscovery(deviceInfo));
+            pairingCommand = method;
+            command = ['pairing', method, nodeId, passcode, ...targetArgs];
+        } else if (deviceInfo.type === 'ble') {
+            pairingCommand = 'ble-wifi';
+            command = ['pairing', 'ble-wifi', nodeId, params.ssid, params.password, passcode, deviceInfo.setupDiscriminator];
+        } else {
+            pairingCommand = 'code-wifi';
+            command = ['pairing', 'code-wifi', nodeId, params.ssid, params.password, formattedPairingCode];
+        }
+        command.push('--paa-trust-store-path', paaCertPath);
         
-        const result = await executeMatterCommand(command);
-
-        // 디바이스 상태 업데이트 (기존 Setup PIN Code와 Setup Discriminator 유지)
-        const updatedDeviceInfo = {
-            ...deviceInfo,
-            status: 'commissioned',
-            network: {
-                ssid: ssid,
-                timestamp: new Date().toISOString()
-            }
-        };
+        logToFile('INFO', `페어링 및 커미셔닝 명령어 실행 (민감 정보 제외): pairing ${pairingCommand} ${nodeId} --paa-trust-store-path ${paaCertPath}`);
         
-        deviceState.set(nodeId, updatedDeviceInfo);
-
-        res.json({
-            status: "success",
-            message: "Wi-Fi 페어링 및 커미셔닝 완료",
-            deviceInfo: {
-                ...updatedDeviceInfo,
-                // 민감 정보 제외
-                network: {
-                    ssid: ssid,
-                    timestamp: new Date().toISOString()
-                }
-            }
+        const job = startCommissioningJob({
+            nodeId,
+            command,
+            history: { method: pairingCommand },
+            // 민감 정보 제외
+            network: onNetwork ? { type: 'onnetwork' } : { ssid },
+            // 오류 메시지에 비밀번호 / 페어링 코드가 포함되지 않도록 가림
+            secrets: [params.password, formattedPairingCode, passcode],
+            onSuccess: () => discoveredDevices.set(discoveryId, { ...deviceInfo, status: 'commissioned', nodeId })
         });
+
+        sendJobAccepted(res, job, `${onNetwork ? '온네트워크' : 'Wi-Fi'} 페어링 및 커미셔닝 작업이 시작되었습니다.`);
     } catch (error) {
         logToFile('ERROR', `페어링 및 커미셔닝 중 오류 발생: ${error.message}`);
         logToFile('ERROR', `스택 트레이스: ${error.stack}`);
         
-        // Matter SDK 특정 에러 처리
-        if (error.message.includes('Integrity check failed')) {
-            return res.status(400).json({
-                status: "error",
-                code: "INVALID_PAIRING_CODE",
-                message: "올바르지 않은 Matter Manual Pairing Code입니다. 코드를 다시 확인해주세요."
-            });
-        }
-        
-        const errorDetails = handleMatterError(error);
-        res.status(500).json({
-            status: "error",
-            ...errorDetails
-        });
+        sendMatterError(res, error);
     }
 });
 
+// 디바이스 검색 방식 (onnetwork: DNS-SD, ble: BLE 광고, all: 모두)
+const DISCOVERY_TRANSPORTS = ['onnetwork', 'ble', 'all'];
+
 // Matter 디바이스 검색
-app.get("/api/device/search", async (req, res) => {
+app.get("/api/device/search", requireRole('installer'), async (req, res) => {
+    const { transport = 'onnetwork' } = req.query;
+
     try {
-        logToFile('INFO', `Matter 디바이스 검색 시작`);
-        const command = `discover commissionables`;
-        const result = await executeMatterCommand(command);
-        const devices = parseDiscoveryResult(result);
+        if (!DISCOVERY_TRANSPORTS.includes(transport)) {
+            return res.status(400).json({
+                status: "error",
+                code: "INVALID_PARAMETER",
+                message: `지원하지 않는 검색 방식입니다. (${DISCOVERY_TRANSPORTS.join(', ')})`
+            });
+        }
+
+        logToFile('INFO', `Matter 디바이스 검색 시작 (${transport})`);
+        const devices = [];
+        if (transport !== 'ble') {
+            const command = ['discover', 'commissionables'];
+            const result = await executeMatterCommand(command, MATTER_CONFIG.timeout, { priority: 'background' });
+            devices.push(...parseDiscoveryResult(result));
+        }
+        if (transport !== 'onnetwork') {
+            devices.push(...await executeBleScan());
+        }
 
         // 검색된 디바이스 정보 저장
-        devices.forEach(device => {
-            deviceState.set(device.nodeId, {
-                ...device,
-                status: 'discovered',
-                timestamp: new Date().toISOString()
-            });
-        });
+        rememberDiscoveredDevices(devices);
 
         res.json({
             status: "success",
@@ -476,32 +1005,22 @@ app.get("/api/device/search", async (req, res) => {
             devices: devices
         });
     } catch (error) {
-        const errorDetails = handleMatterError(error);
-        res.status(500).json({
-            status: "error",
-            ...errorDetails
-        });
+        sendMatterError(res, error);
     }
 });
 
 // 기존 API들은 디버깅 및 테스트용으로 유지
 // 1. 디바이스 검색 시작
-app.post("/api/discovery/scan", async (req, res) => {
+app.post("/api/discovery/scan", requireRole('installer'), async (req, res) => {
     try {
         logToFile('INFO', "Matter 디바이스 검색 시작...");
-        const command = `discover commissionables`;
+        const command = ['discover', 'commissionables'];
         
-        const result = await executeMatterCommand(command);
+        const result = await executeMatterCommand(command, MATTER_CONFIG.timeout, { priority: 'background' });
         const devices = parseDiscoveryResult(result);
         
         // 검색된 디바이스 정보를 메모리에 저장
-        devices.forEach(device => {
-            deviceState.set(device.nodeId, {
-                ...device,
-                status: 'discovered',
-                timestamp: new Date().toISOString()
-            });
-        });
+        rememberDiscoveredDevices(devices);
 
         res.json({
             status: "success",
@@ -509,19 +1028,15 @@ app.post("/api/discovery/scan", async (req, res) => {
             devices: devices
         });
     } catch (error) {
-        const errorDetails = handleMatterError(error);
-        res.status(500).json({
-            status: "error",
-            ...errorDetails
-        });
+        sendMatterError(res, error);
     }
 });
 
 // 2. 디바이스 검색 중지
-app.post("/api/discovery/stop", async (req, res) => {
+app.post("/api/discovery/stop", requireRole('installer'), async (req, res) => {
     try {
         logToFile('INFO', "Matter 디바이스 검색 중지...");
-        const command = `discover stop`;
+        const command = ['discover', 'stop'];
         
         const result = await executeMatterCommand(command);
         
@@ -531,28 +1046,25 @@ app.post("/api/discovery/stop", async (req, res) => {
             result: result
         });
     } catch (error) {
-        const errorDetails = handleMatterError(error);
-        res.status(500).json({
-            status: "error",
-            ...errorDetails
-        });
+        sendMatterError(res, error);
     }
 });
 
 // 3. 발견된 디바이스 목록 조회
-app.get("/api/discovery/list", async (req, res) => {
+app.get("/api/discovery/list", requireRole('installer'), async (req, res) => {
     try {
         logToFile('INFO', "발견된 Matter 디바이스 목록 조회...");
-        const command = `discover list`;
+        const command = ['discover', 'list'];
         
-        const result = await executeMatterCommand(command);
+        const result = await executeMatterCommand(command, MATTER_CONFIG.timeout, { priority: 'background' });
         const devices = parseDiscoveryResult(result);
         
-        // 메모리에 저장된 디바이스 상태 정보 추가
+        // 캐시에 저장된 디바이스 상태 정보 추가
         const devicesWithState = devices.map(device => {
-            const state = deviceState.get(device.nodeId);
+            const state = discoveredDevices.get(device.discoveryId);
             return {
                 ...device,
+                nodeId: state?.nodeId,
                 status: state?.status || 'discovered',
                 lastSeen: state?.timestamp || new Date().toISOString()
             };
@@ -564,35 +1076,60 @@ app.get("/api/discovery/list", async (req, res) => {
             devices: devicesWithState
         });
     } catch (error) {
-        const errorDetails = handleMatterError(error);
-        res.status(500).json({
-            status: "error",
-            ...errorDetails
-        });
+        sendMatterError(res, error);
     }
 });
 
-// 4. 로그 조회 엔드포인트
-app.get("/api/logs", (req, res) => {
-    const { date } = req.query;
-    const logDate = date || new Date().toISOString().split('T')[0];
-    const logFile = path.join(MATTER_CONFIG.logPath, `matter_${logDate}.log`);
+// 로그 조회 필터 검증
+// level: 최소 레벨, type: 쉼표로 구분한 타입 목록, since / until: ISO 8601 시각, q: 메시지 검색어
+const parseLogFilter = (query) => {
+    const { level, type, nodeId, since, until, q } = query;
+    if (level !== undefined && LOG_LEVELS[level] === undefined) {
+        throw invalidParameter(`level은 ${Object.keys(LOG_LEVELS).join(', ')} 중 하나여야 합니다.`);
+    }
+    return {
+        level,
+        types: type ? String(type).split(',').map(item => item.trim().toUpperCase()).filter(Boolean) : undefined,
+        nodeId: nodeId ? parseNodeIdParam(nodeId) : undefined,
+        since: since ? parseTimestampParam(since, 'since') : undefined,
+        until: until ? parseTimestampParam(until, 'until') : undefined,
+        q: q ? String(q) : undefined
+    };
+};
+
+// 4. 로그 조회 엔드포인트 (필터, 검색, 커서 페이지네이션)
+// date가 없으면 since~until 범위, 둘 다 없으면 오늘 로그 조회
+app.get("/api/logs", requireRole('admin'), async (req, res) => {
+    const { date, cursor } = req.query;
 
     try {
-        if (fs.existsSync(logFile)) {
-            const logs = fs.readFileSync(logFile, 'utf8');
-            res.json({
-                status: "success",
-                date: logDate,
-                logs: logs.split('\n').filter(Boolean)
-            });
-        } else {
-            res.status(404).json({
+        const filter = parseLogFilter(req.query);
+        const logDate = date ? parseDateParam(date) : undefined;
+        const limit = parseIntegerParam(req.query.limit, 'limit', 1, 1000, 100);
+
+        const result = await logger.query({ ...filter, date: logDate, limit, cursor });
+        if (logDate && result.files.length === 0) {
+            return res.status(404).json({
                 status: "error",
                 message: `${logDate} 날짜의 로그를 찾을 수 없습니다.`
             });
         }
+
+        res.json({
+            status: "success",
+            ...(logDate && { date: logDate }),
+            count: result.records.length,
+            logs: result.records,
+            nextCursor: result.nextCursor
+        });
     } catch (error) {
+        if (error.code === 'INVALID_PARAMETER') {
+            return res.status(400).json({
+                status: "error",
+                code: error.code,
+                message: error.message
+            });
+        }
         res.status(500).json({
             status: "error",
             message: "로그 조회 중 오류가 발생했습니다.",
@@ -601,105 +1138,1870 @@ app.get("/api/logs", (req, res) => {
     }
 });
 
-app.post("/api/device/pair", async (req, res) => {
-    const {
-        pairingMethod,
-        pairingCode,
-        ssid,
-        password,
-        deviceId,
-        qrCode
-    } = req.body;
+// 실시간 로그 스트림 (SSE, /api/logs와 같은 필터 사용)
+app.get("/api/logs/stream", requireRole('admin'), (req, res) => {
+    let filter;
+    try {
+        filter = parseLogFilter(req.query);
+    } catch (error) {
+        return res.status(400).json({
+            status: "error",
+            code: error.code,
+            message: error.message
+        });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.write(': connected\n\n');
+
+    const unsubscribe = logger.subscribe(filter, (record) => res.write(`event: log\ndata: ${JSON.stringify(record)}\n\n`));
 
+    // 프록시 연결 유지를 위한 주기적 heartbeat
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// 현재 인증 주체 조회 (역할과 권한 확인용)
+app.get("/api/auth/me", (req, res) => {
+    res.json({
+        status: "success",
+        principal: req.principal,
+        roles: ROLES.slice(0, ROLES.indexOf(req.principal.role) + 1)
+    });
+});
+
+// 감사 기록 조회 (최신 순서, actor / nodeId / 시간 범위 필터)
+app.get("/api/audit", requireRole('admin'), async (req, res) => {
     try {
-        // 기본 파라미터 검증
-        if (!pairingMethod || !ssid || !password) {
-            throw new Error("필수 파라미터가 누락되었습니다. (pairingMethod, ssid, password)");
+        const { actor, nodeId, since, until } = req.query;
+        const entries = await auditLog.query({
+            actor: actor ? String(actor) : undefined,
+            nodeId: nodeId ? parseNodeIdParam(nodeId) : undefined,
+            since: since ? parseTimestampParam(since, 'since') : undefined,
+            until: until ? parseTimestampParam(until, 'until') : undefined,
+            limit: parseIntegerParam(req.query.limit, 'limit', 1, 1000, 100)
+        });
+        res.json({
+            status: "success",
+            count: entries.length,
+            entries
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_PARAMETER') {
+            return res.status(400).json({
+                status: "error",
+                code: error.code,
+                message: error.message
+            });
         }
+        res.status(500).json({
+            status: "error",
+            message: "감사 기록 조회 중 오류가 발생했습니다.",
+            error: error.message
+        });
+    }
+});
+
+// 페어링 요청 검증 후 커미셔닝 작업 시작 (/api/device/pair, 일괄 커미셔닝 공통)
+// options.nodeId: 이미 할당된 Node ID 재사용 (일괄 커미셔닝 실패 항목 재실행)
+// options.registryFields: 커미셔닝 전 레지스트리에 함께 기록할 필드 (이름, 방)
+const startPairing = (body, options = {}) => {
+    const {
+        pairingMethod,
+        pairingCode,
+        ssid,
+        password,
+        deviceId,            // discovery 방식: 검색 결과의 디바이스 식별자(discoveryId)
+        nodeId: requestedNodeId,  // 선택사항: 지정할 Operational Node ID
+        qrCode,
+        networkType = 'wifi',     // 선택사항: 'wifi'(기본값) 또는 'thread'
+        datasetId,                // thread: 저장된 Thread Dataset ID
+        dataset                   // thread: hex TLV Operational Dataset (datasetId 대신 사용)
+    } = body;
+
+    // 기본 파라미터 검증
+    if (!pairingMethod) {
+        throw invalidParameter("필수 파라미터가 누락되었습니다. (pairingMethod)");
+    }
+    if (!NETWORK_TYPES.includes(networkType)) {
+        throw invalidParameter(`지원하지 않는 networkType입니다. (${NETWORK_TYPES.join(', ')})`);
+    }
 
-        // 페어링 방식별 검증
-        let targetDeviceId = deviceId;
-        let formattedPairingCode = pairingCode;
+    // 페어링 방식별 검증
+    let discoveryInfo = null;
+    let formattedPairingCode = pairingCode;
+    let pairingCommand = `code-${networkType}`;
+    let qrInfo = null;
+    let bleParams = null;
+    let onNetwork = null;
+
+    switch (pairingMethod) {
+        case 'discovery':
+            if (!deviceId) {
+                throw invalidParameter("discovery 방식에는 deviceId가 필요합니다.");
+            }
+            if (!pairingCode) {
+                throw invalidParameter("discovery 방식에는 pairingCode가 필요합니다.");
+            }
+            discoveryInfo = discoveredDevices.get(deviceId);
+            if (!discoveryInfo) {
+                const error = new Error(`검색된 디바이스를 찾을 수 없습니다. (deviceId: ${deviceId})`);
+                error.code = 'DEVICE_NOT_FOUND';
+                throw error;
+            }
+            const discoveryCodeInfo = parseManualPairingCode(pairingCode);
+            if (!matchesShortDiscriminator(discoveryInfo, discoveryCodeInfo.shortDiscriminator)) {
+                const error = new Error('페어링 코드의 Discriminator가 디바이스와 일치하지 않습니다.');
+                error.code = 'INVALID_PAIRING_CODE';
+                throw error;
+            }
+            formattedPairingCode = discoveryCodeInfo.payload;
+            // BLE로 검색된 디바이스는 검색된 Long Discriminator로 직접 연결
+            if (discoveryInfo.type === 'ble') {
+                bleParams = {
+                    discriminator: parseDiscriminatorParam(discoveryInfo.setupDiscriminator),
+                    passcode: discoveryCodeInfo.passcode
+                };
+                pairingCommand = `ble-${networkType}`;
+            } else if (discoveryInfo.type === 'onnetwork' && !ssid && !password && !datasetId && !dataset) {
+                // 네트워크 정보 없이 요청하면 이미 네트워크에 연결된 디바이스로 보고 검색된 주소로 커미셔닝
+                onNetwork = {
+                    passcode: discoveryCodeInfo.passcode,
+                    ...selectOnNetworkCommand(onNetworkTargetFromDiscovery(discoveryInfo))
+                };
+                pairingCommand = onNetwork.method;
+            }
+            break;
 
-        switch (pairingMethod) {
-            case 'discovery':
-                if (!deviceId) {
-                    throw new Error("discovery 방식에는 deviceId가 필요합니다.");
-                }
-                const deviceInfo = deviceState.get(deviceId);
-                if (!deviceInfo) {
-                    throw new Error('디바이스를 찾을 수 없습니다.');
-                }
-                break;
+        case 'manual':
+            if (!pairingCode) {
+                throw invalidParameter("manual 방식에는 pairingCode가 필요합니다.");
+            }
+            formattedPairingCode = parseManualPairingCode(pairingCode).payload;
+            break;
 
-            case 'manual':
-                if (!pairingCode) {
-                    throw new Error("manual 방식에는 pairingCode가 필요합니다.");
-                }
-                formattedPairingCode = validateManualPairingCode(pairingCode);
-                targetDeviceId = generateNodeId();
-                break;
+        case 'qr':
+            if (!qrCode) {
+                throw invalidParameter("QR 방식에는 qrCode가 필요합니다.");
+            }
+            qrInfo = parseMatterQRCode(qrCode);
+            formattedPairingCode = qrInfo.payload;
+            pairingCommand = selectQRPairingCommand(qrInfo, networkType,
+                networkType === 'thread' ? Boolean(datasetId || dataset) : Boolean(ssid && password));
+            break;
+
+        case 'onnetwork':
+            // 이미 IP 네트워크에 연결된 디바이스 (ssid / password 불필요)
+            // passcode 또는 pairingCode(Manual Pairing Code)에서 Passcode 사용
+            // Manual Pairing Code는 Short Discriminator로 대상 디바이스 한정 (onnetwork-short)
+            if (pairingCode) {
+                const manualCode = parseManualPairingCode(pairingCode);
+                onNetwork = {
+                    passcode: manualCode.passcode,
+                    ...selectOnNetworkCommand({
+                        shortDiscriminator: manualCode.shortDiscriminator,
+                        ...parseOnNetworkTarget(body)
+                    })
+                };
+            } else {
+                onNetwork = {
+                    passcode: parsePasscodeParam(body.passcode),
+                    ...selectOnNetworkCommand(parseOnNetworkTarget(body))
+                };
+            }
+            pairingCommand = onNetwork.method;
+            break;
+
+        case 'ble':
+            // BLE 광고 중인 디바이스를 Discriminator / Passcode로 직접 커미셔닝
+            bleParams = validateParams(body, {
+                discriminator: parseDiscriminatorParam,
+                passcode: parsePasscodeParam
+            });
+            pairingCommand = `ble-${networkType}`;
+            break;
 
-            case 'qr':
-                if (!qrCode) {
-                    throw new Error("QR 방식에는 qrCode가 필요합니다.");
-                }
-                // QR 코드 파싱 로직 구현 필요
-                // const { code, discriminator } = parseMattertQRCode(qrCode);
-                // formattedPairingCode = code;
-                targetDeviceId = generateNodeId();
-                break;
+        default:
+            throw invalidParameter("지원하지 않는 페어링 방식입니다.");
+    }
+
+    if (pairingCommand.endsWith('-wifi') && (!ssid || !password)) {
+        throw invalidParameter("필수 파라미터가 누락되었습니다. (ssid, password)");
+    }
+    const wifiCredentials = pairingCommand.endsWith('-wifi')
+        ? validateParams(body, { ssid: parseSsidParam, password: parseWifiPasswordParam })
+        : null;
+    const threadNetwork = pairingCommand.endsWith('-thread')
+        ? resolveThreadNetwork({ datasetId, dataset })
+        : null;
+
+    // Operational Node ID 할당 (지정한 ID가 이미 할당된 경우 409, 재실행은 이전에 할당된 ID 사용)
+    const targetNodeId = options.nodeId || allocateNodeId(requestedNodeId, `pair:${pairingMethod}`);
+    setRequestContext({ nodeId: targetNodeId });
+
+    logToFile('INFO', `페어링 시작 - Method: ${pairingMethod}, NodeId: ${targetNodeId}, Command: pairing ${pairingCommand}`);
+
+    // 커미셔닝 전 레지스트리에 등록 (검색 / QR 정보 포함)
+    deviceRegistry.upsert(targetNodeId, {
+        ...(discoveryInfo && toRegistryFields(discoveryInfo)),
+        ...options.registryFields,
+        status: 'commissioning',
+        pairingMethod,
+        ...(qrInfo && {
+            vendorId: qrInfo.vendorId,
+            productId: qrInfo.productId,
+            setupDiscriminator: qrInfo.discriminator
+        }),
+        ...(bleParams && { setupDiscriminator: String(bleParams.discriminator) })
+    });
+
+    // 페어링 명령 실행
+    const commandArgs = {
+        'code-wifi': () => [wifiCredentials.ssid, wifiCredentials.password, formattedPairingCode],
+        'code-thread': () => [threadNetwork.operationalDataset, formattedPairingCode],
+        'ble-wifi': () => [wifiCredentials.ssid, wifiCredentials.password, bleParams.passcode, bleParams.discriminator],
+        'ble-thread': () => [threadNetwork.operationalDataset, bleParams.passcode, bleParams.discriminator],
+        'code': () => [formattedPairingCode]
+    };
+    const command = ['pairing', pairingCommand, targetNodeId,
+        ...(onNetwork ? [onNetwork.passcode, ...onNetwork.targetArgs] : commandArgs[pairingCommand]())];
+    command.push('--paa-trust-store-path', MATTER_CONFIG.paaStorePath);
+
+    let network = { type: 'onnetwork' };
+    if (wifiCredentials) {
+        network = { ssid };
+    } else if (threadNetwork) {
+        network = threadNetwork.network;
+    }
+
+    return startCommissioningJob({
+        nodeId: targetNodeId,
+        command,
+        history: { method: pairingCommand, pairingMethod },
+        network,
+        // 오류 메시지에 비밀번호 / 네트워크 키 / 페어링 코드가 포함되지 않도록 가림
+        secrets: [
+            wifiCredentials?.password,
+            threadNetwork?.operationalDataset.slice('hex:'.length),
+            formattedPairingCode,
+            bleParams?.passcode,
+            onNetwork?.passcode
+        ],
+        onSuccess: () => {
+            if (discoveryInfo) {
+                discoveredDevices.set(deviceId, { ...discoveryInfo, status: 'commissioned', nodeId: targetNodeId });
+            }
+        }
+    });
+};
+
+app.post("/api/device/pair", requireRole('installer'), commissionRateLimit, async (req, res) => {
+    try {
+        const job = startPairing(req.body);
+        sendJobAccepted(res, job, "페어링 작업이 시작되었습니다.");
+
+    } catch (error) {
+        logToFile('ERROR', `페어링 중 오류 발생: ${error.message}`);
+        logToFile('ERROR', `스택 트레이스: ${error.stack}`);
 
-            default:
-                throw new Error("지원하지 않는 페어링 방식입니다.");
+        if (REQUEST_ERROR_STATUS[error.code]) {
+            return res.status(REQUEST_ERROR_STATUS[error.code]).json({
+                status: "error",
+                code: error.code,
+                message: error.message
+            });
         }
+        
+        sendMatterError(res, error);
+    }
+});
 
-        logToFile('INFO', `페어링 시작 - Method: ${pairingMethod}, DeviceId: ${targetDeviceId}`);
+// 일괄 커미셔닝 요청당 최대 동시 실행 수
+const BATCH_MAX_CONCURRENCY = 8;
 
-        // 페어링 명령 실행
-        const command = `pairing code-wifi ${targetDeviceId} "${ssid}" "${password}" ${formattedPairingCode} --paa-trust-store-path ${MATTER_CONFIG.paaStorePath}`;
-        const result = await executeMatterCommand(command);
+// 일괄 커미셔닝 매니페스트 항목을 페어링 요청으로 변환 (실패하면 항목에 오류 기록)
+// code: QR 코드(MT:...) 또는 Manual Pairing Code, credentialsRef: 매니페스트 credentials의 이름 또는 저장된 Thread Dataset ID
+// credentialsRef가 없으면 QR 코드는 Discovery Capability에 따라, Manual Pairing Code는 온네트워크로 커미셔닝
+const toBatchEntry = (item, credentials) => {
+    const { code, networkType = 'wifi', credentialsRef, label, room, nodeId } = item || {};
+    const entry = { label, room, networkType, credentialsRef };
 
-        // 성공 시 deviceState에 추가
-        deviceState.set(targetDeviceId, {
-            nodeId: targetDeviceId,
-            status: 'commissioned',
-            pairingMethod,
-            timestamp: new Date().toISOString(),
-            network: { 
-                ssid,
-                timestamp: new Date().toISOString()
+    try {
+        if (typeof code !== 'string' || code.trim() === '') {
+            throw invalidParameter("필수 파라미터가 누락되었습니다. (code)");
+        }
+        const registryFields = label !== undefined || room !== undefined
+            ? parseDevicePatch({ name: label, room })
+            : {};
+
+        let network = {};
+        if (credentialsRef) {
+            const reference = credentials[credentialsRef];
+            if (reference && typeof reference === 'object') {
+                network = networkType === 'thread'
+                    ? { datasetId: reference.datasetId, dataset: reference.dataset }
+                    : { ssid: reference.ssid, password: reference.password };
+            } else if (networkType === 'thread' && threadDatasetStore.get(String(credentialsRef))) {
+                network = { datasetId: String(credentialsRef) };
+            } else {
+                throw invalidParameter(`credentialsRef에 해당하는 네트워크 자격 증명이 없습니다. (${credentialsRef})`);
             }
+        }
+
+        // 자격 증명이 없는 Manual Pairing Code는 온네트워크 커미셔닝
+        // (코드의 Short Discriminator로 대상 한정: onnetwork-short)
+        const qr = /^MT:/.test(code.trim());
+        entry.request = {
+            body: {
+                pairingMethod: qr ? 'qr' : (credentialsRef ? 'manual' : 'onnetwork'),
+                [qr ? 'qrCode' : 'pairingCode']: code.trim(),
+                networkType,
+                nodeId,
+                ...network
+            },
+            registryFields
+        };
+    } catch (error) {
+        entry.error = error;
+    }
+    return entry;
+};
+
+// 일괄 커미셔닝 시작
+// JSON: { items: [{ code, networkType, credentialsRef, label, room, nodeId }] 또는 csv: CSV 텍스트,
+//         credentials: { [이름]: { ssid, password } 또는 { datasetId } / { dataset } }, concurrency }
+// text/csv 본문: 매니페스트만 전달 (credentialsRef는 저장된 Thread Dataset ID만 사용 가능, 동시 실행 수는 concurrency 쿼리)
+app.post("/api/commissioning/batch", requireRole('installer'), commissionRateLimit, bodyParser.text({ type: 'text/csv', limit: '1mb' }), (req, res) => {
+    try {
+        const csvBody = typeof req.body === 'string';
+        const source = csvBody ? { csv: req.body } : (req.body || {});
+        const items = source.csv !== undefined ? parseManifestCsv(String(source.csv)) : source.items;
+        if (!Array.isArray(items) || items.length === 0) {
+            throw invalidParameter("매니페스트에 커미셔닝할 항목이 없습니다. (items 또는 csv)");
+        }
+        if (items.length > MATTER_CONFIG.batchMaxItems) {
+            throw invalidParameter(`매니페스트 항목은 최대 ${MATTER_CONFIG.batchMaxItems}개입니다. (현재 ${items.length}개)`);
+        }
+        const credentials = source.credentials ?? {};
+        if (typeof credentials !== 'object' || Array.isArray(credentials)) {
+            throw invalidParameter("credentials는 이름별 네트워크 자격 증명 객체여야 합니다.");
+        }
+        const concurrency = parseIntegerParam(csvBody ? req.query.concurrency : source.concurrency,
+            'concurrency', 1, BATCH_MAX_CONCURRENCY, MATTER_CONFIG.batchConcurrency);
+
+        const batch = batchManager.create({ entries: items.map(item => toBatchEntry(item, credentials)), concurrency });
+        logToFile('INFO', `일괄 커미셔닝 시작 - ${batch.id}, 항목 ${batch.items.length}개, 동시 실행 ${concurrency}`);
+
+        res.status(202).location(`/api/commissioning/batch/${batch.id}`).json({
+            status: "accepted",
+            message: `일괄 커미셔닝이 시작되었습니다. (${batch.items.length}개)`,
+            batchId: batch.id,
+            batch
+        });
+    } catch (error) {
+        logToFile('ERROR', `일괄 커미셔닝 요청 오류: ${error.message}`);
+        res.status(REQUEST_ERROR_STATUS[error.code] || 500).json({
+            status: "error",
+            code: error.code,
+            message: error.message
+        });
+    }
+});
+
+// 일괄 커미셔닝 목록 (항목 제외)
+app.get("/api/commissioning/batch", requireRole('viewer'), (req, res) => {
+    res.json({
+        status: "success",
+        batches: batchManager.list()
+    });
+});
+
+// 일괄 커미셔닝 상태 (항목별 상태 / 실패 원인)
+app.get("/api/commissioning/batch/:id", requireRole('viewer'), (req, res) => {
+    const batch = batchManager.get(req.params.id);
+    if (!batch) {
+        return res.status(404).json({
+            status: "error",
+            message: `일괄 커미셔닝을 찾을 수 없습니다. (id: ${req.params.id})`
+        });
+    }
+    res.json({
+        status: "success",
+        batch
+    });
+});
+
+// 일괄 커미셔닝 실패 항목만 다시 실행
+app.post("/api/commissioning/batch/:id/retry", requireRole('installer'), commissionRateLimit, (req, res) => {
+    try {
+        const batch = batchManager.retryFailed(req.params.id);
+        if (!batch) {
+            return res.status(404).json({
+                status: "error",
+                message: `일괄 커미셔닝을 찾을 수 없습니다. (id: ${req.params.id})`
+            });
+        }
+        res.status(202).location(`/api/commissioning/batch/${batch.id}`).json({
+            status: "accepted",
+            message: `실패한 항목을 다시 실행합니다. (${batch.summary.pending}개)`,
+            batchId: batch.id,
+            batch
+        });
+    } catch (error) {
+        res.status(409).json({
+            status: "error",
+            code: error.code,
+            message: error.message
+        });
+    }
+});
+
+// 일괄 커미셔닝 결과 보고서 (CSV 다운로드)
+app.get("/api/commissioning/batch/:id/report", requireRole('viewer'), (req, res) => {
+    const report = batchManager.report(req.params.id);
+    if (report === undefined) {
+        return res.status(404).json({
+            status: "error",
+            message: `일괄 커미셔닝을 찾을 수 없습니다. (id: ${req.params.id})`
+        });
+    }
+    res.type('text/csv')
+        .attachment(`commissioning-batch-${req.params.id}.csv`)
+        .send(report);
+});
+
+// 명령 실행 큐 상태 조회 (실행 중 / 대기 중)
+app.get("/api/queue", requireRole('viewer'), (req, res) => {
+    res.json({
+        status: "success",
+        queue: commandQueue.status()
+    });
+});
+
+// 명령 실행 큐 작업 취소
+app.delete("/api/queue/:id", requireRole('operator'), (req, res) => {
+    const entry = commandQueue.cancel(req.params.id);
+    if (!entry) {
+        return res.status(404).json({
+            status: "error",
+            message: `큐에서 명령을 찾을 수 없습니다. (id: ${req.params.id})`
         });
+    }
+    res.json({
+        status: "success",
+        message: "명령 취소 완료",
+        entry
+    });
+});
 
+// chip-tool 실행 기록 조회 (전체 stdout / stderr, 종료 코드, 시그널, 실행 시간, 마스킹된 인자)
+app.get("/api/executions/:id", requireRole('admin'), async (req, res) => {
+    try {
+        const execution = await executionStore.get(req.params.id);
+        if (!execution) {
+            return res.status(404).json({
+                status: "error",
+                code: "EXECUTION_NOT_FOUND",
+                message: `실행 기록을 찾을 수 없습니다. (id: ${req.params.id})`
+            });
+        }
         res.json({
             status: "success",
-            message: "페어링 완료",
-            deviceId: targetDeviceId,
-            deviceInfo: deviceState.get(targetDeviceId)
+            execution
         });
-
     } catch (error) {
-        logToFile('ERROR', `페어링 중 오류 발생: ${error.message}`);
-        logToFile('ERROR', `스택 트레이스: ${error.stack}`);
-        
-        const errorDetails = handleMatterError(error);
+        logToFile('ERROR', `실행 기록 조회 실패: ${error.message}`);
         res.status(500).json({
             status: "error",
-            ...errorDetails
+            message: "실행 기록 조회 중 오류가 발생했습니다."
+        });
+    }
+});
+
+// 커미셔닝 작업 목록 조회
+app.get("/api/jobs", requireRole('viewer'), (req, res) => {
+    res.json({
+        status: "success",
+        jobs: jobManager.list()
+    });
+});
+
+// 커미셔닝 작업 상태 조회
+app.get("/api/jobs/:id", requireRole('viewer'), (req, res) => {
+    const job = jobManager.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({
+            status: "error",
+            message: `작업을 찾을 수 없습니다. (id: ${req.params.id})`
+        });
+    }
+    res.json({
+        status: "success",
+        job
+    });
+});
+
+// 커미셔닝 작업 진행 상황 스트림 (Server-Sent Events)
+app.get("/api/jobs/:id/events", requireRole('viewer'), (req, res) => {
+    const job = jobManager.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({
+            status: "error",
+            message: `작업을 찾을 수 없습니다. (id: ${req.params.id})`
+        });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    send('status', job);
+
+    // 이미 끝난 작업은 현재 상태만 전송
+    const unsubscribe = jobManager.subscribe(job.id, (type, data) => {
+        send(type, data);
+        if (type === 'status') {
+            res.end();
+        }
+    });
+    if (!unsubscribe) {
+        return res.end();
+    }
+    req.on('close', unsubscribe);
+});
+
+// 커미셔닝 작업 취소 (chip-tool 프로세스 종료)
+app.delete("/api/jobs/:id", requireRole('installer'), (req, res) => {
+    const job = jobManager.cancel(req.params.id);
+    if (!job) {
+        return res.status(404).json({
+            status: "error",
+            message: `작업을 찾을 수 없습니다. (id: ${req.params.id})`
+        });
+    }
+    if (job.finishedAt) {
+        return res.status(409).json({
+            status: "error",
+            message: `이미 종료된 작업입니다. (status: ${job.status})`,
+            job
+        });
+    }
+    res.status(202).json({
+        status: "accepted",
+        message: "작업 취소 요청 완료",
+        job
+    });
+});
+
+// 온보딩 페이로드(QR 코드 / Manual Pairing Code) 파싱 - 페어링 전 디바이스 정보 확인용
+app.post("/api/onboarding/parse", requireRole('installer'), (req, res) => {
+    const { qrCode, manualPairingCode } = req.body;
+
+    try {
+        const onboarding = qrCode
+            ? parseMatterQRCode(qrCode)
+            : parseManualPairingCode(manualPairingCode);
+
+        res.json({
+            status: "success",
+            message: qrCode ? "QR 코드 파싱 완료" : "Manual Pairing Code 파싱 완료",
+            onboarding
+        });
+    } catch (error) {
+        res.status(REQUEST_ERROR_STATUS[error.code] || 500).json({
+            status: "error",
+            code: error.code || "UNKNOWN_ERROR",
+            message: error.message
+        });
+    }
+});
+
+// Thread Operational Dataset 등록 (hex TLV 검증 및 디코딩, 같은 Extended PAN ID는 갱신)
+app.post("/api/thread/datasets", requireRole('admin'), (req, res) => {
+    const { dataset, name } = req.body;
+
+    try {
+        if (name !== undefined) {
+            parseStringParam(name, 'name', 1, 64);
+        }
+        const result = threadDatasetStore.add({ dataset, name });
+        res.status(result.created ? 201 : 200).json({
+            status: "success",
+            message: result.created ? "Thread Dataset 등록 완료" : "Thread Dataset 갱신 완료",
+            dataset: result.dataset
+        });
+    } catch (error) {
+        logToFile('ERROR', `Thread Dataset 등록 실패: ${error.message}`);
+        res.status(REQUEST_ERROR_STATUS[error.code] || 500).json({
+            status: "error",
+            code: error.code || "UNKNOWN_ERROR",
+            message: error.message
+        });
+    }
+});
+
+// Thread Dataset 목록 조회 (네트워크 키 제외)
+app.get("/api/thread/datasets", requireRole('installer'), (req, res) => {
+    res.json({
+        status: "success",
+        datasets: threadDatasetStore.list()
+    });
+});
+
+// Thread Dataset 조회 (네트워크 키 제외)
+app.get("/api/thread/datasets/:id", requireRole('installer'), (req, res) => {
+    const dataset = threadDatasetStore.get(req.params.id);
+    if (!dataset) {
+        return res.status(404).json({
+            status: "error",
+            code: "THREAD_DATASET_NOT_FOUND",
+            message: `Thread Dataset을 찾을 수 없습니다. (datasetId: ${req.params.id})`
+        });
+    }
+    res.json({
+        status: "success",
+        dataset
+    });
+});
+
+// Thread Dataset 삭제
+app.delete("/api/thread/datasets/:id", requireRole('admin'), (req, res) => {
+    if (!threadDatasetStore.remove(req.params.id)) {
+        return res.status(404).json({
+            status: "error",
+            code: "THREAD_DATASET_NOT_FOUND",
+            message: `Thread Dataset을 찾을 수 없습니다. (datasetId: ${req.params.id})`
+        });
+    }
+    res.json({
+        status: "success",
+        message: "Thread Dataset 삭제 완료"
+    });
+});
+
+// 디바이스가 반환한 Interaction Model 실패 상태 응답 (상태별 오류 코드 / HTTP 상태, 알 수 없는 상태는 422 COMMAND_FAILED)
+const sendInteractionFailure = (res, failure, context) => {
+    logToFile('ERROR', `디바이스 요청 실패 - ${JSON.stringify(context)}: ${failure.status}`);
+    const code = interactionFailureCode(failure);
+    const language = resolveLanguage(getRequestContext().language);
+    res.status(errorHttpStatus(code)).set('Content-Language', language).json({
+        status: "error",
+        ...describeMatterError({ code, detail: failure.status }, language),
+        ...context,
+        response: failure
+    });
+};
+
+// 디바이스 상호작용(read / write / invoke) 오류 응답
+const sendInteractionError = (res, error, context) => {
+    if (error.code === 'INVALID_PARAMETER') {
+        return res.status(400).json({
+            status: "error",
+            code: error.code,
+            message: error.message
+        });
+    }
+
+    // 디바이스가 반환한 Interaction Model 상태 처리 (응답 커맨드의 상태로 판단한 경우 error.failure)
+    const failure = error.failure || parseReportOutput(`${error.stdout || ''}\n${error.message}`).failure;
+    if (failure) {
+        return sendInteractionFailure(res, failure, context);
+    }
+
+    sendMatterError(res, error);
+};
+
+// 클러스터 커맨드 실행 및 Invoke 응답 처리
+const invokeClusterCommand = async (req, res, { cluster, command, args = [] }) => {
+    try {
+        const nodeId = parseNodeIdParam(req.params.nodeId);
+        const endpoint = parseIntegerParam(req.params.endpoint, 'endpoint', 0, 65534);
+        const commandArgs = args.map(([name, min, max, defaultValue]) =>
+            parseIntegerParam(req.body?.[name], name, min, max, defaultValue));
+
+        logToFile('INFO', `디바이스 제어 - Node: ${nodeId}, Endpoint: ${endpoint}, ${cluster} ${command} ${commandArgs.join(' ')}`);
+
+        const result = await executeMatterCommand([cluster, command, ...commandArgs, nodeId, endpoint]);
+        const response = parseInvokeResponse(result) || { status: 'SUCCESS', statusCode: 0 };
+
+        res.json({
+            status: "success",
+            message: "디바이스 제어 완료",
+            nodeId,
+            endpoint,
+            cluster,
+            command,
+            arguments: Object.fromEntries(args.map(([name], i) => [name, commandArgs[i]])),
+            response
+        });
+    } catch (error) {
+        sendInteractionError(res, error, { cluster, command });
+    }
+};
+
+// 공통 커맨드 인자: [이름, 최소값, 최대값, 기본값]
+const TRANSITION_ARGS = [
+    ['transitionTime', 0, 65534, 0],
+    ['optionsMask', 0, 255, 0],
+    ['optionsOverride', 0, 255, 0]
+];
+
+// OnOff 클러스터 제어 (on / off / toggle)
+app.post("/api/devices/:nodeId/endpoints/:endpoint/onoff/:command", requireRole('operator'), (req, res) => {
+    const { command } = req.params;
+    if (!['on', 'off', 'toggle'].includes(command)) {
+        return res.status(400).json({
+            status: "error",
+            code: "INVALID_PARAMETER",
+            message: `지원하지 않는 OnOff 커맨드입니다: ${command}`
         });
     }
+    return invokeClusterCommand(req, res, { cluster: 'onoff', command });
+});
+
+// LevelControl 클러스터 - 밝기 변경
+app.post("/api/devices/:nodeId/endpoints/:endpoint/level/move-to-level", requireRole('operator'), (req, res) => {
+    return invokeClusterCommand(req, res, {
+        cluster: 'levelcontrol',
+        command: 'move-to-level',
+        args: [['level', 0, 254], ...TRANSITION_ARGS]
+    });
 });
 
-// 서버 시작
-const PORT = process.env.PORT || 3000;
-const server = app.listen(PORT, () => {
-    logToFile('SERVER', `Matter Bridge Server running on port ${PORT}`);
-    logToFile('CONFIG', `Matter SDK Path: ${MATTER_CONFIG.sdkPath}`);
-    logToFile('CONFIG', `Chip Tool Path: ${path.join(MATTER_CONFIG.sdkPath, MATTER_CONFIG.chipToolPath)}`);
+// ColorControl 클러스터 - 색상/채도 변경
+app.post("/api/devices/:nodeId/endpoints/:endpoint/color/move-to-hue-saturation", requireRole('operator'), (req, res) => {
+    return invokeClusterCommand(req, res, {
+        cluster: 'colorcontrol',
+        command: 'move-to-hue-and-saturation',
+        args: [['hue', 0, 254], ['saturation', 0, 254], ...TRANSITION_ARGS]
+    });
 });
 
-// 서버 에러 처리
-server.on('error', (error) => {
-    logToFile('ERROR', `서버 에러 발생: ${error.message}`);
+// ColorControl 클러스터 - 색온도 변경 (mireds)
+app.post("/api/devices/:nodeId/endpoints/:endpoint/color/move-to-color-temperature", requireRole('operator'), (req, res) => {
+    return invokeClusterCommand(req, res, {
+        cluster: 'colorcontrol',
+        command: 'move-to-color-temperature',
+        args: [['colorTemperatureMireds', 0, 65279], ...TRANSITION_ARGS]
+    });
 });
+
+// JSON 값을 chip-tool 인자로 변환 (구조체/리스트는 JSON 문자열)
+const formatChipToolValue = (value) => {
+    return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+};
+
+// 범용 상호작용 경로 파싱: 노드 / 엔드포인트 / 클러스터 / 멤버(속성 또는 커맨드)
+const resolveInteractionPath = (req, memberParam) => {
+    const nodeId = parseNodeIdParam(req.params.nodeId);
+    const endpoint = parseIntegerParam(req.params.endpoint, 'endpoint', 0, 65534);
+    const cluster = parseIdentifierParam(req.params.cluster, 'cluster');
+    const member = parseIdentifierParam(req.params[memberParam], memberParam);
+
+    const byId = cluster.id !== undefined;
+    if (byId !== (member.id !== undefined)) {
+        throw invalidParameter(`cluster와 ${memberParam}는 모두 이름이거나 모두 숫자 ID여야 합니다.`);
+    }
+
+    return { nodeId, endpoint, cluster, member, byId };
+};
+
+// 범용 속성 읽기
+app.get("/api/devices/:nodeId/endpoints/:endpoint/clusters/:cluster/attributes/:attribute", requireRole('viewer'), async (req, res) => {
+    const context = { cluster: req.params.cluster, attribute: req.params.attribute };
+
+    try {
+        const { nodeId, endpoint, cluster, member, byId } = resolveInteractionPath(req, 'attribute');
+        const command = byId
+            ? ['any', 'read-by-id', cluster.id, member.id, nodeId, endpoint]
+            : [cluster.name, 'read', member.name, nodeId, endpoint];
+
+        logToFile('INFO', `속성 읽기 - Node: ${nodeId}, Endpoint: ${endpoint}, ${context.cluster}/${context.attribute}`);
+
+        const report = parseReportOutput(await executeMatterCommand(command));
+        if (report.failure) {
+            return sendInteractionFailure(res, report.failure, context);
+        }
+
+        const [attribute] = report.attributes;
+        res.json({
+            status: "success",
+            message: "속성 읽기 완료",
+            nodeId,
+            endpoint,
+            ...context,
+            name: attribute?.name ?? null,
+            value: attribute?.value ?? null,
+            dataVersion: attribute?.dataVersion ?? null,
+            attributes: report.attributes
+        });
+    } catch (error) {
+        sendInteractionError(res, error, context);
+    }
+});
+
+// 범용 속성 쓰기
+app.put("/api/devices/:nodeId/endpoints/:endpoint/clusters/:cluster/attributes/:attribute", requireRole('operator'), async (req, res) => {
+    const context = { cluster: req.params.cluster, attribute: req.params.attribute };
+    const { value, dataVersion } = req.body || {};
+
+    try {
+        const { nodeId, endpoint, cluster, member, byId } = resolveInteractionPath(req, 'attribute');
+        if (value === undefined) {
+            throw invalidParameter('필수 파라미터가 누락되었습니다. (value)');
+        }
+
+        const options = dataVersion !== undefined
+            ? ['--data-version', parseIntegerParam(dataVersion, 'dataVersion', 0, 0xFFFFFFFF)]
+            : [];
+        const command = byId
+            ? ['any', 'write-by-id', cluster.id, member.id, formatChipToolValue(value), nodeId, endpoint, ...options]
+            : [cluster.name, 'write', member.name, formatChipToolValue(value), nodeId, endpoint, ...options];
+
+        logToFile('INFO', `속성 쓰기 - Node: ${nodeId}, Endpoint: ${endpoint}, ${context.cluster}/${context.attribute}`);
+
+        const report = parseReportOutput(await executeMatterCommand(command));
+        if (report.failure) {
+            return sendInteractionFailure(res, report.failure, context);
+        }
+
+        res.json({
+            status: "success",
+            message: "속성 쓰기 완료",
+            nodeId,
+            endpoint,
+            ...context,
+            value,
+            statuses: report.statuses
+        });
+    } catch (error) {
+        sendInteractionError(res, error, context);
+    }
+});
+
+// 범용 커맨드 실행 (이름: 위치 인자 배열 / ID: 필드 ID를 키로 하는 JSON 객체)
+app.post("/api/devices/:nodeId/endpoints/:endpoint/clusters/:cluster/commands/:command", requireRole('operator'), async (req, res) => {
+    const context = { cluster: req.params.cluster, command: req.params.command };
+    const { args, timedInteractionTimeoutMs } = req.body || {};
+
+    try {
+        const { nodeId, endpoint, cluster, member, byId } = resolveInteractionPath(req, 'command');
+
+        let commandArgs;
+        if (byId) {
+            if (args !== undefined && (typeof args !== 'object' || args === null || Array.isArray(args))) {
+                throw invalidParameter('ID 기반 커맨드의 args는 필드 ID를 키로 하는 객체여야 합니다.');
+            }
+            commandArgs = [cluster.id, member.id, JSON.stringify(args || {})];
+        } else {
+            if (args !== undefined && !Array.isArray(args)) {
+                throw invalidParameter('이름 기반 커맨드의 args는 위치 인자 배열이어야 합니다.');
+            }
+            commandArgs = (args || []).map(formatChipToolValue);
+        }
+
+        const options = timedInteractionTimeoutMs !== undefined
+            ? ['--timedInteractionTimeoutMs', parseIntegerParam(timedInteractionTimeoutMs, 'timedInteractionTimeoutMs', 1, 65535)]
+            : [];
+        const command = byId
+            ? ['any', 'command-by-id', ...commandArgs, nodeId, endpoint, ...options]
+            : [cluster.name, member.name, ...commandArgs, nodeId, endpoint, ...options];
+
+        logToFile('INFO', `커맨드 실행 - Node: ${nodeId}, Endpoint: ${endpoint}, ${context.cluster}/${context.command}`);
+
+        const result = await executeMatterCommand(command);
+        const report = parseReportOutput(result);
+        if (report.failure) {
+            return sendInteractionFailure(res, report.failure, context);
+        }
+        const [commandResponse] = report.commands;
+
+        res.json({
+            status: "success",
+            message: "커맨드 실행 완료",
+            nodeId,
+            endpoint,
+            ...context,
+            response: parseInvokeResponse(result) || { status: 'SUCCESS', statusCode: 0 },
+            data: commandResponse ? { name: commandResponse.name, value: commandResponse.value } : null
+        });
+    } catch (error) {
+        sendInteractionError(res, error, context);
+    }
+});
+
+// 디바이스 레지스트리 정보 검증 (이름, 방, 라벨)
+const parseDevicePatch = (body) => {
+    const patch = {};
+    const { name, room, labels } = body || {};
+
+    if (name !== undefined) {
+        if (typeof name !== 'string' || name.length > 64) {
+            throw invalidParameter('name은 64자 이하의 문자열이어야 합니다.');
+        }
+        patch.name = name;
+    }
+    if (room !== undefined) {
+        if (room !== null && (typeof room !== 'string' || room.length > 64)) {
+            throw invalidParameter('room은 64자 이하의 문자열 또는 null이어야 합니다.');
+        }
+        patch.room = room;
+    }
+    if (labels !== undefined) {
+        const valid = labels && typeof labels === 'object' && !Array.isArray(labels) &&
+            Object.entries(labels).every(([key, value]) => key.length <= 16 && typeof value === 'string' && value.length <= 16);
+        if (!valid) {
+            throw invalidParameter('labels는 16자 이하의 문자열 키/값 객체여야 합니다.');
+        }
+        patch.labels = labels;
+    }
+
+    if (Object.keys(patch).length === 0) {
+        throw invalidParameter('수정할 항목이 없습니다. (name, room, labels)');
+    }
+    return patch;
+};
+
+const sendDeviceNotFound = (res, nodeId) => res.status(404).json({
+    status: "error",
+    code: "DEVICE_NOT_FOUND",
+    message: `디바이스를 찾을 수 없습니다. (nodeId: ${nodeId})`
+});
+
+// 경로의 :nodeId 검증 (모든 디바이스 경로 공통, 정규화된 10진수 문자열로 변환)
+app.param('nodeId', (req, res, next, value) => {
+    try {
+        req.params.nodeId = parseNodeIdParam(value);
+        // 요청 처리 중 로그에 nodeId 기록
+        setRequestContext({ nodeId: req.params.nodeId });
+        next();
+    } catch (error) {
+        res.status(400).json({
+            status: "error",
+            code: error.code,
+            message: error.message
+        });
+    }
+});
+
+// 레지스트리 디바이스 목록 조회
+app.get("/api/devices", requireRole('viewer'), (req, res) => {
+    const { status, room } = req.query;
+    const devices = deviceRegistry.list({ status, room });
+
+    res.json({
+        status: "success",
+        message: devices.length > 0 ? "디바이스 목록 조회 완료" : "등록된 디바이스가 없습니다.",
+        devices
+    });
+});
+
+// 레지스트리 디바이스 조회
+app.get("/api/devices/:nodeId", requireRole('viewer'), (req, res) => {
+    const device = deviceRegistry.get(req.params.nodeId);
+    if (!device) {
+        return res.status(404).json({
+            status: "error",
+            message: `디바이스를 찾을 수 없습니다. (nodeId: ${req.params.nodeId})`
+        });
+    }
+
+    res.json({
+        status: "success",
+        device
+    });
+});
+
+// 레지스트리 디바이스 정보 수정 (이름, 방, 라벨)
+app.patch("/api/devices/:nodeId", requireRole('operator'), (req, res) => {
+    let patch;
+    try {
+        patch = parseDevicePatch(req.body);
+    } catch (error) {
+        return res.status(400).json({
+            status: "error",
+            code: error.code,
+            message: error.message
+        });
+    }
+
+    const device = deviceRegistry.update(req.params.nodeId, patch);
+    if (!device) {
+        return res.status(404).json({
+            status: "error",
+            message: `디바이스를 찾을 수 없습니다. (nodeId: ${req.params.nodeId})`
+        });
+    }
+
+    logToFile('INFO', `디바이스 정보 수정 - Node: ${req.params.nodeId}, 항목: ${Object.keys(patch).join(', ')}`);
+    res.json({
+        status: "success",
+        message: "디바이스 정보 수정 완료",
+        device
+    });
+});
+
+// 디바이스 기능 모델 조회 (엔드포인트별 디바이스 타입 / 서버 / 클라이언트 클러스터)
+app.get("/api/devices/:nodeId/capabilities", requireRole('viewer'), (req, res) => {
+    const { nodeId } = req.params;
+    const device = deviceRegistry.get(nodeId);
+    if (!device) {
+        return sendDeviceNotFound(res, nodeId);
+    }
+    if (!device.capabilities) {
+        return res.status(404).json({
+            status: "error",
+            code: "CAPABILITIES_NOT_FOUND",
+            message: `디바이스 인터뷰 결과가 없습니다. POST /api/devices/${nodeId}/interview로 인터뷰를 실행하세요.`,
+            interview: device.interview || null
+        });
+    }
+
+    res.json({
+        status: "success",
+        nodeId,
+        interview: device.interview,
+        basicInformation: device.basicInformation,
+        ...device.capabilities
+    });
+});
+
+// 디바이스 인터뷰 다시 실행 (인터뷰 실패 / 펌웨어 업데이트 후 기능 모델 갱신)
+app.post("/api/devices/:nodeId/interview", requireRole('installer'), async (req, res) => {
+    const { nodeId } = req.params;
+    const context = { cluster: 'descriptor', attribute: 'device-type-list' };
+
+    try {
+        if (!deviceRegistry.has(nodeId)) {
+            return sendDeviceNotFound(res, nodeId);
+        }
+        const capabilities = await runDeviceInterview(nodeId);
+
+        res.json({
+            status: "success",
+            message: "디바이스 인터뷰 완료",
+            nodeId,
+            ...capabilities
+        });
+    } catch (error) {
+        sendInteractionError(res, error, context);
+    }
+});
+
+// NOCResponse 상태 코드 (OperationalCredentials NodeOperationalCertStatusEnum)
+const NOC_STATUS_CODES = {
+    0: 'OK',
+    1: 'INVALID_PUBLIC_KEY',
+    2: 'INVALID_NODE_OP_ID',
+    3: 'INVALID_NOC',
+    4: 'MISSING_CSR',
+    5: 'TABLE_FULL',
+    6: 'INVALID_ADMIN_SUBJECT',
+    9: 'FABRIC_CONFLICT',
+    10: 'LABEL_CONFLICT',
+    11: 'INVALID_FABRIC_INDEX'
+};
+
+// 디바이스 읽기 실패 / 응답 상태 실패를 sendInteractionError가 처리할 수 있는 오류로 변환
+const interactionFailureError = (failure) => {
+    const error = new Error(`디바이스가 요청을 거부했습니다. (${failure.status})`);
+    error.failure = failure;
+    return error;
+};
+
+// 디바이스에 접속한 이 서버의 패브릭 인덱스 (OperationalCredentials CurrentFabricIndex)
+const readCurrentFabricIndex = async (nodeId) => {
+    const result = await executeMatterCommand(['operationalcredentials', 'read', 'current-fabric-index', nodeId, 0]);
+    const report = parseReportOutput(result);
+    if (report.failure) {
+        throw interactionFailureError(report.failure);
+    }
+    const attribute = report.attributes.find(item => item.name === 'CurrentFabricIndex');
+    if (!attribute) {
+        throw new Error('chip-tool 출력에서 CurrentFabricIndex를 찾을 수 없습니다.');
+    }
+    return attribute.value;
+};
+
+// 디바이스에서 패브릭 제거 (RemoveFabric 응답 NOCResponse의 상태 코드 확인)
+const removeFabric = async (nodeId, fabricIndex) => {
+    const result = await executeMatterCommand(['operationalcredentials', 'remove-fabric', fabricIndex, nodeId, 0]);
+    const report = parseReportOutput(result);
+    if (report.failure) {
+        throw interactionFailureError(report.failure);
+    }
+    const nocResponse = report.commands.find(item => item.name === 'NOCResponse')?.value;
+    const statusCode = nocResponse?.statusCode ?? nocResponse?.StatusCode ?? 0;
+    if (statusCode !== 0) {
+        throw interactionFailureError({ status: NOC_STATUS_CODES[statusCode] || 'UNKNOWN', statusCode, response: 'NOCResponse' });
+    }
+    return { fabricIndex, status: 'OK' };
+};
+
+// 디바이스 커미셔닝 해제 방식
+// unpair: chip-tool pairing unpair (RemoveFabric 후 로컬 저장소 정리)
+// remove-fabric: CurrentFabricIndex를 읽어 OperationalCredentials RemoveFabric 직접 호출
+const DECOMMISSION_METHODS = ['unpair', 'remove-fabric'];
+
+// 디바이스 커미셔닝 해제: 디바이스에서 이 서버의 패브릭 제거 후 레지스트리 / 구독 정리
+// force=true: 디바이스에 연결할 수 없어도 레지스트리에서 삭제
+app.delete("/api/devices/:nodeId", requireRole('installer'), async (req, res) => {
+    const { nodeId } = req.params;
+    const { method = 'unpair', force } = req.query;
+    const context = { cluster: 'operationalcredentials', command: method };
+
+    try {
+        if (!deviceRegistry.has(nodeId)) {
+            return sendDeviceNotFound(res, nodeId);
+        }
+        if (!DECOMMISSION_METHODS.includes(method)) {
+            throw invalidParameter(`지원하지 않는 커미셔닝 해제 방식입니다. (${DECOMMISSION_METHODS.join(', ')})`);
+        }
+
+        logToFile('INFO', `디바이스 커미셔닝 해제 시작 - Node: ${nodeId}, Method: ${method}${force === 'true' ? ' (force)' : ''}`);
+
+        let deviceError = null;
+        try {
+            if (method === 'unpair') {
+                await executeMatterCommand(['pairing', 'unpair', nodeId]);
+            } else {
+                await removeFabric(nodeId, await readCurrentFabricIndex(nodeId));
+            }
+        } catch (error) {
+            if (force !== 'true') {
+                throw error;
+            }
+            deviceError = error;
+            logToFile('ERROR', `디바이스 패브릭 제거 실패, 레지스트리만 삭제 - Node: ${nodeId}: ${error.message}`);
+        }
+
+        // 디바이스의 구독 해제 및 검색 캐시 상태 초기화 (Node ID는 재사용하지 않음)
+        const subscriptions = subscriptionManager.list().filter(subscription => subscription.nodeId === nodeId);
+        subscriptions.forEach(subscription => subscriptionManager.unsubscribe(subscription.id));
+        discoveredDevices.forEach((device, discoveryId) => {
+            if (device.nodeId === nodeId) {
+                discoveredDevices.set(discoveryId, { ...device, status: 'discovered', nodeId: undefined });
+            }
+        });
+        deviceRegistry.remove(nodeId);
+
+        logToFile('INFO', `디바이스 커미셔닝 해제 완료 - Node: ${nodeId}, 구독 해제: ${subscriptions.length}개`);
+        res.json({
+            status: "success",
+            message: deviceError
+                ? "디바이스에서 패브릭을 제거하지 못해 레지스트리에서만 삭제했습니다."
+                : "디바이스 커미셔닝 해제 완료",
+            nodeId,
+            method,
+            removedSubscriptions: subscriptions.map(subscription => subscription.id),
+            ...(deviceError && { deviceError: handleMatterError(deviceError) })
+        });
+    } catch (error) {
+        sendInteractionError(res, error, context);
+    }
+});
+
+// FabricDescriptorStruct를 응답 형식으로 변환
+const toFabricDescriptor = (fabric, currentFabricIndex) => ({
+    fabricIndex: fabric.FabricIndex,
+    vendorId: fabric.VendorID,
+    fabricId: fabric.FabricID,
+    nodeId: fabric.NodeID,
+    label: fabric.Label,
+    rootPublicKey: fabric.RootPublicKey,
+    current: fabric.FabricIndex === currentFabricIndex
+});
+
+// 디바이스에 등록된 패브릭 목록 (다른 생태계 컨트롤러 확인용, fabric-filtered 해제)
+app.get("/api/devices/:nodeId/fabrics", requireRole('admin'), async (req, res) => {
+    const { nodeId } = req.params;
+    const context = { cluster: 'operationalcredentials', attribute: 'fabrics' };
+
+    try {
+        const result = await executeMatterCommand(['operationalcredentials', 'read', 'fabrics', nodeId, 0, '--fabric-filtered', 0]);
+        const report = parseReportOutput(result);
+        if (report.failure) {
+            return sendInteractionFailure(res, report.failure, context);
+        }
+        const currentFabricIndex = await readCurrentFabricIndex(nodeId);
+        const fabrics = report.attributes.find(item => item.name === 'Fabrics')?.value || [];
+
+        res.json({
+            status: "success",
+            nodeId,
+            currentFabricIndex,
+            fabrics: fabrics.map(fabric => toFabricDescriptor(fabric, currentFabricIndex))
+        });
+    } catch (error) {
+        sendInteractionError(res, error, context);
+    }
+});
+
+// 디바이스에서 다른 패브릭 제거 (이 서버의 패브릭은 DELETE /api/devices/:nodeId 사용)
+app.delete("/api/devices/:nodeId/fabrics/:fabricIndex", requireRole('admin'), async (req, res) => {
+    const { nodeId } = req.params;
+    const context = { cluster: 'operationalcredentials', command: 'remove-fabric' };
+
+    try {
+        const fabricIndex = parseIntegerParam(req.params.fabricIndex, 'fabricIndex', 1, 254);
+        const currentFabricIndex = await readCurrentFabricIndex(nodeId);
+        if (fabricIndex === currentFabricIndex) {
+            throw invalidParameter('이 서버의 패브릭은 디바이스 커미셔닝 해제(DELETE /api/devices/:nodeId)로 제거해야 합니다.');
+        }
+
+        logToFile('INFO', `디바이스 패브릭 제거 - Node: ${nodeId}, FabricIndex: ${fabricIndex}`);
+        const response = await removeFabric(nodeId, fabricIndex);
+
+        res.json({
+            status: "success",
+            message: "패브릭 제거 완료",
+            nodeId,
+            response
+        });
+    } catch (error) {
+        sendInteractionError(res, error, context);
+    }
+});
+
+// Commissioning Window 열기 방식 (chip-tool option: 0 = Basic, 1 = Enhanced)
+const COMMISSIONING_WINDOW_MODES = { basic: 0, enhanced: 1 };
+
+// 레지스트리에 기록된 Commissioning Window 상태 (만료 / 취소 여부 반영)
+const describeCommissioningWindow = (commissioningWindow) => commissioningWindow && {
+    ...commissioningWindow,
+    open: !commissioningWindow.revokedAt && Date.parse(commissioningWindow.expiresAt) > Date.now()
+};
+
+// 다른 컨트롤러(Apple Home, Google Home 등)와 공유하기 위한 Commissioning Window 열기
+// enhanced: 새 Passcode로 만든 온보딩 코드 반환 / basic: 디바이스의 기존 온보딩 코드 사용
+app.post("/api/devices/:nodeId/commissioning-window", requireRole('admin'), commissionRateLimit, async (req, res) => {
+    const { nodeId } = req.params;
+    const context = { cluster: 'administratorcommissioning', command: 'open-commissioning-window' };
+    const { mode = 'enhanced', timeout, iterations, discriminator } = req.body || {};
+
+    try {
+        if (!deviceRegistry.has(nodeId)) {
+            return sendDeviceNotFound(res, nodeId);
+        }
+        if (!Object.hasOwn(COMMISSIONING_WINDOW_MODES, mode)) {
+            throw invalidParameter(`지원하지 않는 mode입니다. (${Object.keys(COMMISSIONING_WINDOW_MODES).join(', ')})`);
+        }
+        // Commissioning Window 유지 시간: 3 ~ 15분 (Matter Core Spec 5.4.2.3.1)
+        const windowTimeout = parseIntegerParam(timeout, 'timeout', 180, 900, 300);
+        // PAKE Verifier PBKDF2 반복 횟수
+        const pbkdfIterations = parseIntegerParam(iterations, 'iterations', 1000, 100000, 1000);
+        const windowDiscriminator = parseIntegerParam(discriminator, 'discriminator', 0, 4095, crypto.randomInt(4096));
+
+        logToFile('INFO', `Commissioning Window 열기 - Node: ${nodeId}, Mode: ${mode}, Timeout: ${windowTimeout}s, Discriminator: ${windowDiscriminator}`);
+
+        const result = await executeMatterCommand(['pairing', 'open-commissioning-window', nodeId,
+            COMMISSIONING_WINDOW_MODES[mode], windowTimeout, pbkdfIterations, windowDiscriminator]);
+        const report = parseReportOutput(result);
+        if (report.failure) {
+            return sendInteractionFailure(res, report.failure, context);
+        }
+
+        const onboarding = parseCommissioningWindowOutput(result);
+        if (mode === 'enhanced' && !onboarding.manualPairingCode) {
+            throw new Error('chip-tool 출력에서 새 Manual Pairing Code를 찾을 수 없습니다.');
+        }
+
+        const openedAt = new Date();
+        const device = deviceRegistry.update(nodeId, {
+            commissioningWindow: {
+                mode,
+                discriminator: windowDiscriminator,
+                timeout: windowTimeout,
+                openedAt: openedAt.toISOString(),
+                expiresAt: new Date(openedAt.getTime() + windowTimeout * 1000).toISOString(),
+                revokedAt: null
+            }
+        });
+
+        res.json({
+            status: "success",
+            message: mode === 'enhanced'
+                ? "Commissioning Window 열기 완료"
+                : "Commissioning Window 열기 완료 (디바이스의 기존 온보딩 코드 사용)",
+            nodeId,
+            commissioningWindow: describeCommissioningWindow(device.commissioningWindow),
+            ...(mode === 'enhanced' && onboarding)
+        });
+    } catch (error) {
+        sendInteractionError(res, error, context);
+    }
+});
+
+// Commissioning Window 상태 조회
+app.get("/api/devices/:nodeId/commissioning-window", requireRole('admin'), (req, res) => {
+    const device = deviceRegistry.get(req.params.nodeId);
+    if (!device) {
+        return sendDeviceNotFound(res, req.params.nodeId);
+    }
+    res.json({
+        status: "success",
+        nodeId: req.params.nodeId,
+        commissioningWindow: describeCommissioningWindow(device.commissioningWindow) || null
+    });
+});
+
+// Commissioning Window 조기 종료 (AdministratorCommissioning RevokeCommissioning, Timed Invoke 필요)
+app.delete("/api/devices/:nodeId/commissioning-window", requireRole('admin'), async (req, res) => {
+    const { nodeId } = req.params;
+    const context = { cluster: 'administratorcommissioning', command: 'revoke-commissioning' };
+
+    try {
+        if (!deviceRegistry.has(nodeId)) {
+            return sendDeviceNotFound(res, nodeId);
+        }
+
+        logToFile('INFO', `Commissioning Window 종료 - Node: ${nodeId}`);
+        const result = await executeMatterCommand(['administratorcommissioning', 'revoke-commissioning', nodeId, 0,
+            '--timedInteractionTimeoutMs', 10000]);
+        const report = parseReportOutput(result);
+        if (report.failure) {
+            return sendInteractionFailure(res, report.failure, context);
+        }
+
+        // 이 서버가 연 Window가 아니어도 종료 요청은 디바이스에 전달
+        const { commissioningWindow } = deviceRegistry.get(nodeId);
+        const device = deviceRegistry.update(nodeId, {
+            commissioningWindow: commissioningWindow ? { ...commissioningWindow, revokedAt: new Date().toISOString() } : null
+        });
+
+        res.json({
+            status: "success",
+            message: "Commissioning Window 종료 완료",
+            nodeId,
+            commissioningWindow: describeCommissioningWindow(device.commissioningWindow) || null,
+            response: parseInvokeResponse(result) || { status: 'SUCCESS', statusCode: 0 }
+        });
+    } catch (error) {
+        sendInteractionError(res, error, context);
+    }
+});
+
+// 그룹 관리 오류 응답 (요청 검증 / 레지스트리 상태 오류, 그 외는 디바이스 상호작용 오류)
+const sendGroupError = (res, error, context) => {
+    if (REQUEST_ERROR_STATUS[error.code]) {
+        return res.status(REQUEST_ERROR_STATUS[error.code]).json({
+            status: "error",
+            code: error.code,
+            message: error.message
+        });
+    }
+    sendInteractionError(res, error, context);
+};
+
+// 그룹 키셋 응답 (에폭 키 제외)
+const describeKeySet = ({ epochKey, ...keySet }) => keySet;
+
+const parseGroupIdParam = (value) => parseIntegerParam(value, 'groupId', MIN_GROUP_ID, MAX_GROUP_ID);
+
+const parseKeySetIdParam = (value) => parseIntegerParam(value, 'keySetId', MIN_KEY_SET_ID, MAX_KEY_SET_ID);
+
+// 레지스트리의 그룹 조회 (없으면 GROUP_NOT_FOUND)
+const findGroup = (groupId) => {
+    const group = deviceRegistry.getGroup(groupId);
+    if (!group) {
+        throw groupError('GROUP_NOT_FOUND', `그룹을 찾을 수 없습니다. (groupId: ${groupId})`);
+    }
+    return group;
+};
+
+// 디바이스 요청 실행 (리포트의 실패 상태는 오류로 변환)
+const executeDeviceInteraction = async (args) => {
+    const report = parseReportOutput(await executeMatterCommand(args));
+    if (report.failure) {
+        throw interactionFailureError(report.failure);
+    }
+    return report;
+};
+
+// Groups 클러스터 응답 커맨드(AddGroupResponse / RemoveGroupResponse)의 상태 확인
+const checkGroupResponse = (report, responseName) => {
+    const response = report.commands.find(item => item.name === responseName)?.value;
+    const statusCode = response?.status ?? response?.Status ?? 0;
+    if (statusCode !== 0) {
+        throw interactionFailureError({ status: IM_STATUS_CODES[statusCode] || 'FAILURE', statusCode, response: responseName });
+    }
+};
+
+// 디바이스의 GroupKeyMap과 그룹 ACL 항목을 소속 그룹 목록에 맞게 다시 쓰기
+// groups: 디바이스가 속할 그룹 목록 (레지스트리 반영 전 값)
+const syncDeviceGroups = async (nodeId, groups) => {
+    const fabricIndex = await readCurrentFabricIndex(nodeId);
+    await executeDeviceInteraction(['groupkeymanagement', 'write', 'group-key-map',
+        JSON.stringify(groupKeyMapValue(groups, fabricIndex)), nodeId, 0]);
+
+    // ACL 쓰기는 이 패브릭의 항목 전체를 덮어쓰므로 현재 항목을 읽어 관리자 항목 유지
+    const aclReport = await executeDeviceInteraction(['accesscontrol', 'read', 'acl', nodeId, 0]);
+    const entries = aclReport.attributes.find(item => item.name === 'ACL')?.value || [];
+    const acl = buildGroupAcl(entries, groups.map(group => group.groupId), fabricIndex);
+    await executeDeviceInteraction(['accesscontrol', 'write', 'acl', JSON.stringify(acl), nodeId, 0]);
+};
+
+// 그룹 키셋 생성 (chip-tool에 등록, 에폭 키를 지정하지 않으면 생성)
+app.post("/api/groups/keysets", requireRole('installer'), async (req, res) => {
+    const context = { cluster: 'groupsettings', command: 'add-keysets' };
+    const { securityPolicy = 'trust-first', epochKey } = req.body || {};
+
+    try {
+        const keySetId = parseKeySetIdParam(req.body?.keySetId);
+        if (!Object.hasOwn(GROUP_KEY_SECURITY_POLICIES, securityPolicy)) {
+            throw invalidParameter(`지원하지 않는 securityPolicy입니다. (${Object.keys(GROUP_KEY_SECURITY_POLICIES).join(', ')})`);
+        }
+        if (epochKey !== undefined && !/^[0-9a-f]{32}$/i.test(String(epochKey))) {
+            throw invalidParameter('epochKey는 16바이트(32자리) hex 문자열이어야 합니다.');
+        }
+        if (deviceRegistry.getKeySet(keySetId)) {
+            throw groupError('KEY_SET_EXISTS', `이미 등록된 키셋입니다. (keySetId: ${keySetId})`);
+        }
+
+        const keySet = {
+            keySetId,
+            securityPolicy,
+            epochStartTime: DEFAULT_EPOCH_START_TIME,
+            epochKey: epochKey ? String(epochKey).toLowerCase() : generateEpochKey()
+        };
+        logToFile('INFO', `그룹 키셋 등록 - KeySet: ${keySetId}, Policy: ${securityPolicy}`);
+        await executeMatterCommand(addKeySetArgs(keySet));
+
+        res.status(201).json({
+            status: "success",
+            message: "그룹 키셋 등록 완료",
+            keySet: describeKeySet(deviceRegistry.upsertKeySet(keySetId, keySet))
+        });
+    } catch (error) {
+        sendGroupError(res, error, context);
+    }
+});
+
+// 그룹 키셋 목록
+app.get("/api/groups/keysets", requireRole('viewer'), (req, res) => {
+    res.json({
+        status: "success",
+        keySets: deviceRegistry.listKeySets().map(describeKeySet)
+    });
+});
+
+// 그룹 키셋 삭제 (그룹에 연결된 키셋은 삭제 불가)
+app.delete("/api/groups/keysets/:keySetId", requireRole('installer'), async (req, res) => {
+    const context = { cluster: 'groupsettings', command: 'remove-keyset' };
+
+    try {
+        const keySetId = parseKeySetIdParam(req.params.keySetId);
+        if (!deviceRegistry.getKeySet(keySetId)) {
+            throw groupError('KEY_SET_NOT_FOUND', `키셋을 찾을 수 없습니다. (keySetId: ${keySetId})`);
+        }
+        const bound = deviceRegistry.listGroups().filter(group => group.keySetId === keySetId);
+        if (bound.length > 0) {
+            throw groupError('KEY_SET_IN_USE', `그룹에 연결된 키셋입니다. (groupId: ${bound.map(group => group.groupId).join(', ')})`);
+        }
+
+        logToFile('INFO', `그룹 키셋 삭제 - KeySet: ${keySetId}`);
+        await executeMatterCommand(['groupsettings', 'remove-keyset', keySetId]);
+        deviceRegistry.removeKeySet(keySetId);
+
+        res.json({
+            status: "success",
+            message: "그룹 키셋 삭제 완료",
+            keySetId
+        });
+    } catch (error) {
+        sendGroupError(res, error, context);
+    }
+});
+
+// 그룹 생성 (chip-tool에 그룹 등록 후 키셋 연결)
+app.post("/api/groups", requireRole('installer'), async (req, res) => {
+    const context = { cluster: 'groupsettings', command: 'add-group' };
+
+    try {
+        const groupId = parseGroupIdParam(req.body?.groupId);
+        // Groups 클러스터 GroupName 최대 16바이트
+        const name = parseStringParam(req.body?.name, 'name', 1, 16);
+        const keySetId = parseKeySetIdParam(req.body?.keySetId);
+        if (deviceRegistry.getGroup(groupId)) {
+            throw groupError('GROUP_EXISTS', `이미 등록된 그룹입니다. (groupId: ${groupId})`);
+        }
+        if (!deviceRegistry.getKeySet(keySetId)) {
+            throw groupError('KEY_SET_NOT_FOUND', `키셋을 찾을 수 없습니다. (keySetId: ${keySetId})`);
+        }
+
+        logToFile('INFO', `그룹 생성 - Group: ${groupId} (${name}), KeySet: ${keySetId}`);
+        await executeMatterCommand(['groupsettings', 'add-group', name, groupId]);
+        await executeMatterCommand(['groupsettings', 'bind-keyset', groupId, keySetId]);
+
+        res.status(201).json({
+            status: "success",
+            message: "그룹 생성 완료",
+            group: deviceRegistry.upsertGroup(groupId, { name, keySetId })
+        });
+    } catch (error) {
+        sendGroupError(res, error, context);
+    }
+});
+
+// 그룹 목록
+app.get("/api/groups", requireRole('viewer'), (req, res) => {
+    res.json({
+        status: "success",
+        groups: deviceRegistry.listGroups()
+    });
+});
+
+// 그룹 조회 (멤버 엔드포인트 포함)
+app.get("/api/groups/:groupId", requireRole('viewer'), (req, res) => {
+    try {
+        res.json({
+            status: "success",
+            group: findGroup(parseGroupIdParam(req.params.groupId))
+        });
+    } catch (error) {
+        sendGroupError(res, error, {});
+    }
+});
+
+// 그룹 삭제 (멤버가 남아 있으면 삭제 불가)
+app.delete("/api/groups/:groupId", requireRole('installer'), async (req, res) => {
+    const context = { cluster: 'groupsettings', command: 'remove-group' };
+
+    try {
+        const group = findGroup(parseGroupIdParam(req.params.groupId));
+        if (group.members.length > 0) {
+            throw groupError('GROUP_NOT_EMPTY', `멤버가 있는 그룹은 삭제할 수 없습니다. (멤버 ${group.members.length}개)`);
+        }
+
+        logToFile('INFO', `그룹 삭제 - Group: ${group.groupId}`);
+        await executeMatterCommand(['groupsettings', 'unbind-keyset', group.groupId, group.keySetId]);
+        await executeMatterCommand(['groupsettings', 'remove-group', group.groupId]);
+        deviceRegistry.removeGroup(group.groupId);
+
+        res.json({
+            status: "success",
+            message: "그룹 삭제 완료",
+            groupId: group.groupId
+        });
+    } catch (error) {
+        sendGroupError(res, error, context);
+    }
+});
+
+// 그룹에 디바이스 엔드포인트 추가
+// 키셋 쓰기 -> Groups AddGroup -> GroupKeyMap / 그룹 ACL 갱신 순서로 구성 후 레지스트리에 기록
+app.post("/api/groups/:groupId/members", requireRole('installer'), async (req, res) => {
+    const context = { cluster: 'groups', command: 'add-group' };
+
+    try {
+        const group = findGroup(parseGroupIdParam(req.params.groupId));
+        const nodeId = parseNodeIdParam(req.body?.nodeId);
+        const endpoint = parseIntegerParam(req.body?.endpoint, 'endpoint', 1, 65534);
+        if (!deviceRegistry.has(nodeId)) {
+            return sendDeviceNotFound(res, nodeId);
+        }
+        setRequestContext({ nodeId });
+
+        logToFile('INFO', `그룹 멤버 추가 - Group: ${group.groupId}, Node: ${nodeId}, Endpoint: ${endpoint}`);
+        await executeDeviceInteraction(keySetWriteArgs(deviceRegistry.getKeySet(group.keySetId), nodeId));
+        checkGroupResponse(
+            await executeDeviceInteraction(['groups', 'add-group', group.groupId, group.name, nodeId, endpoint]),
+            'AddGroupResponse'
+        );
+        const groups = deviceRegistry.groupsOfNode(nodeId).filter(item => item.groupId !== group.groupId);
+        await syncDeviceGroups(nodeId, [...groups, group]);
+
+        res.status(201).json({
+            status: "success",
+            message: "그룹 멤버 추가 완료",
+            group: deviceRegistry.addGroupMember(group.groupId, nodeId, endpoint)
+        });
+    } catch (error) {
+        sendGroupError(res, error, context);
+    }
+});
+
+// 그룹에서 디바이스 엔드포인트 제거 (디바이스의 마지막 엔드포인트이면 GroupKeyMap / ACL에서도 제거)
+app.delete("/api/groups/:groupId/members/:nodeId/:endpoint", requireRole('installer'), async (req, res) => {
+    const { nodeId } = req.params;
+    const context = { cluster: 'groups', command: 'remove-group' };
+
+    try {
+        const group = findGroup(parseGroupIdParam(req.params.groupId));
+        const endpoint = parseIntegerParam(req.params.endpoint, 'endpoint', 1, 65534);
+        if (!group.members.some(member => member.nodeId === nodeId && member.endpoint === endpoint)) {
+            throw groupError('GROUP_MEMBER_NOT_FOUND', `그룹 멤버가 아닙니다. (groupId: ${group.groupId}, nodeId: ${nodeId}, endpoint: ${endpoint})`);
+        }
+
+        logToFile('INFO', `그룹 멤버 제거 - Group: ${group.groupId}, Node: ${nodeId}, Endpoint: ${endpoint}`);
+        checkGroupResponse(
+            await executeDeviceInteraction(['groups', 'remove-group', group.groupId, nodeId, endpoint]),
+            'RemoveGroupResponse'
+        );
+        const stillMember = group.members.some(member => member.nodeId === nodeId && member.endpoint !== endpoint);
+        const groups = deviceRegistry.groupsOfNode(nodeId).filter(item => stillMember || item.groupId !== group.groupId);
+        await syncDeviceGroups(nodeId, groups);
+
+        res.json({
+            status: "success",
+            message: "그룹 멤버 제거 완료",
+            group: deviceRegistry.removeGroupMember(group.groupId, nodeId, endpoint)
+        });
+    } catch (error) {
+        sendGroupError(res, error, context);
+    }
+});
+
+// 그룹 커맨드 전송 (그룹캐스트, 디바이스 응답 없음)
+// 이름 기반: <cluster> <command> <args...> 0xFFFFFFFFFFFF<groupId> <endpoint(무시됨)>
+// ID 기반: any command-by-group <cluster-id> <command-id> <payload> <groupId>
+app.post("/api/groups/:groupId/commands/:cluster/:command", requireRole('operator'), async (req, res) => {
+    const context = { cluster: req.params.cluster, command: req.params.command };
+    const { args } = req.body || {};
+
+    try {
+        const group = findGroup(parseGroupIdParam(req.params.groupId));
+        const cluster = parseIdentifierParam(req.params.cluster, 'cluster');
+        const member = parseIdentifierParam(req.params.command, 'command');
+        const byId = cluster.id !== undefined;
+        if (byId !== (member.id !== undefined)) {
+            throw invalidParameter('cluster와 command는 모두 이름이거나 모두 숫자 ID여야 합니다.');
+        }
+
+        let command;
+        if (byId) {
+            if (args !== undefined && (typeof args !== 'object' || args === null || Array.isArray(args))) {
+                throw invalidParameter('ID 기반 커맨드의 args는 필드 ID를 키로 하는 객체여야 합니다.');
+            }
+            command = ['any', 'command-by-group', cluster.id, member.id, JSON.stringify(args || {}), group.groupId];
+        } else {
+            if (args !== undefined && !Array.isArray(args)) {
+                throw invalidParameter('이름 기반 커맨드의 args는 위치 인자 배열이어야 합니다.');
+            }
+            command = [cluster.name, member.name, ...(args || []).map(formatChipToolValue), groupDestinationId(group.groupId), 1];
+        }
+
+        logToFile('INFO', `그룹 커맨드 전송 - Group: ${group.groupId} (멤버 ${group.members.length}개), ${context.cluster}/${context.command}`);
+        await executeMatterCommand(command);
+
+        res.json({
+            status: "success",
+            message: "그룹 커맨드 전송 완료 (멀티캐스트, 디바이스별 응답 없음)",
+            groupId: group.groupId,
+            ...context,
+            members: group.members.length
+        });
+    } catch (error) {
+        sendGroupError(res, error, context);
+    }
+});
+
+// 구독용 interactive 세션 전용 저장소
+const getSubscriptionStorageDir = () =>
+    MATTER_CONFIG.subscriptionStorageDir || path.join(MATTER_CONFIG.chipToolStorageDir, 'matter-subscriptions');
+
+// 구독용 chip-tool interactive 세션 시작
+// interactive 프로세스는 명령 큐 밖에서 계속 실행되므로 단발 명령과 같은 KVS를 쓰면 동시 쓰기로 저장소가 손상됨
+// 저장소 잠금을 잡은 상태에서 chip-tool 저장소(패브릭 자격 증명)를 전용 디렉토리로 복사한 뒤 그 디렉토리로 실행
+const openSubscriptionSession = async (handlers) => {
+    const storageDir = getSubscriptionStorageDir();
+    await commandQueue.enqueue({
+        label: 'subscription storage snapshot',
+        priority: 'background',
+        lock: getStorageLock([]),
+        timeout: MATTER_CONFIG.timeout,
+        run: async () => {
+            fs.mkdirSync(storageDir, { recursive: true });
+            const files = fs.existsSync(MATTER_CONFIG.chipToolStorageDir)
+                ? fs.readdirSync(MATTER_CONFIG.chipToolStorageDir).filter(file => file.startsWith('chip_tool_'))
+                : [];
+            files.forEach(file => fs.copyFileSync(path.join(MATTER_CONFIG.chipToolStorageDir, file), path.join(storageDir, file)));
+            logToFile('SUBSCRIPTION', `구독 세션 저장소 준비: ${storageDir} (${files.length}개 파일)`);
+        }
+    });
+    return matterBackend.startInteractive(['interactive', 'start', '--storage-directory', storageDir], handlers);
+};
+
+// 속성/이벤트 구독 관리자 (chip-tool interactive 모드)
+const subscriptionManager = createSubscriptionManager({
+    openSession: openSubscriptionSession,
+    logToFile
+});
+
+// 구독 생성 (attribute 또는 event 중 하나 지정)
+app.post("/api/subscriptions", requireRole('operator'), (req, res) => {
+    const { nodeId, endpoint, cluster, attribute, event, minInterval, maxInterval } = req.body || {};
+
+    try {
+        if ((attribute === undefined) === (event === undefined)) {
+            throw invalidParameter('attribute와 event 중 하나만 지정해야 합니다.');
+        }
+
+        const clusterParam = parseIdentifierParam(cluster, 'cluster');
+        const memberName = attribute !== undefined ? 'attribute' : 'event';
+        const member = parseIdentifierParam(attribute ?? event, memberName);
+        const byId = clusterParam.id !== undefined;
+        if (byId !== (member.id !== undefined)) {
+            throw invalidParameter(`cluster와 ${memberName}는 모두 이름이거나 모두 숫자 ID여야 합니다.`);
+        }
+
+        const min = parseIntegerParam(minInterval, 'minInterval', 0, 65535, 0);
+        const max = parseIntegerParam(maxInterval, 'maxInterval', Math.max(min, 1), 65535, Math.max(min, 60));
+
+        const subscription = subscriptionManager.subscribe({
+            nodeId: parseNodeIdParam(nodeId),
+            endpoint: parseIntegerParam(endpoint, 'endpoint', 0, 65534),
+            byId,
+            cluster: byId ? clusterParam.id : clusterParam.name,
+            [memberName]: byId ? member.id : member.name,
+            minInterval: min,
+            maxInterval: max
+        });
+
+        res.status(201).json({
+            status: "success",
+            message: "구독 요청 완료",
+            subscription
+        });
+    } catch (error) {
+        sendInteractionError(res, error, { cluster, attribute, event });
+    }
+});
+
+// 구독 목록 조회
+app.get("/api/subscriptions", requireRole('viewer'), (req, res) => {
+    res.json({
+        status: "success",
+        subscriptions: subscriptionManager.list()
+    });
+});
+
+// 구독 해제
+app.delete("/api/subscriptions/:id", requireRole('operator'), (req, res) => {
+    if (!subscriptionManager.unsubscribe(req.params.id)) {
+        return res.status(404).json({
+            status: "error",
+            message: `구독을 찾을 수 없습니다. (id: ${req.params.id})`
+        });
+    }
+    res.json({
+        status: "success",
+        message: "구독 해제 완료"
+    });
+});
+
+// 구독 리포트 실시간 스트림 (Server-Sent Events)
+app.get("/api/events/stream", requireRole('viewer'), (req, res) => {
+    const { nodeId, cluster, attribute } = req.query;
+
+    const filter = {};
+    try {
+        if (nodeId) {
+            filter.nodeId = parseNodeIdParam(nodeId);
+        }
+        if (cluster) {
+            const clusterId = resolveClusterId(cluster);
+            if (clusterId === null) {
+                throw invalidParameter(`알 수 없는 클러스터입니다: ${cluster}`);
+            }
+            filter.clusterId = clusterId;
+        }
+        if (attribute) {
+            filter.attribute = attribute;
+        }
+    } catch (error) {
+        return sendInteractionError(res, error, { cluster, attribute });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.write(': connected\n\n');
+
+    const removeClient = subscriptionManager.addClient(
+        filter,
+        (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`),
+        () => res.end()
+    );
+
+    // 프록시 연결 유지를 위한 주기적 heartbeat
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        removeClient();
+    });
+});
+
+// 서버 시작 (테스트에서 require한 경우에는 app만 export)
+if (require.main === module) {
+    // 프로세스 에러 처리
+    process.on('uncaughtException', (error) => {
+        logToFile('ERROR', `예기치 않은 에러 발생: ${error.message}`);
+        logToFile('ERROR', `스택 트레이스: ${error.stack}`);
+    });
+
+    process.on('unhandledRejection', (reason, promise) => {
+        logToFile('ERROR', `처리되지 않은 Promise 거부: ${reason}`);
+    });
+
+    // 서버 종료 처리
+    process.on('SIGTERM', () => {
+        logToFile('INFO', '서버 종료 신호 수신 (SIGTERM)');
+        gracefulShutdown();
+    });
+
+    process.on('SIGINT', () => {
+        logToFile('INFO', '서버 종료 신호 수신 (SIGINT)');
+        gracefulShutdown();
+    });
+
+    const gracefulShutdown = () => {
+        logToFile('INFO', '서버 종료 프로세스 시작...');
+        subscriptionManager.stop();
+        server.close(() => {
+            logToFile('INFO', '서버가 정상적으로 종료되었습니다.');
+            // 버퍼에 남은 로그 / 감사 기록 후 종료
+            Promise.all([auditLog.flush(), logger.flush()]).then(() => process.exit(0));
+        });
+
+        // 10초 후에도 종료되지 않으면 강제 종료
+        setTimeout(() => {
+            logToFile('ERROR', '서버 강제 종료 (타임아웃)');
+            process.exit(1);
+        }, 10000);
+    };
+
+    const PORT = process.env.PORT || 3000;
+    const server = app.listen(PORT, () => {
+        logToFile('SERVER', `Matter Bridge Server running on port ${PORT}`);
+        logToFile('CONFIG', `Matter SDK Path: ${MATTER_CONFIG.sdkPath}`);
+        logToFile('CONFIG', `Chip Tool Path: ${path.join(MATTER_CONFIG.sdkPath, MATTER_CONFIG.chipToolPath)}`);
+        logToFile('CONFIG', `Backend: ${matterBackend.name}`);
+        if (MATTER_CONFIG.authDisabled) {
+            logToFile('WARN', '인증이 비활성화되어 모든 요청을 admin 권한으로 처리합니다. (MATTER_AUTH_DISABLED=true)');
+        } else if (!authenticator.configured) {
+            logToFile('WARN', 'API 키(MATTER_API_KEYS)와 JWT 키(MATTER_JWT_SECRET)가 설정되지 않아 모든 API 요청이 거부됩니다.');
+        }
+        logToFile('CONFIG', `CORS 허용 출처: ${MATTER_CONFIG.corsOrigins.join(', ') || '(없음)'}`);
+    });
+
+    // 서버 에러 처리
+    server.on('error', (error) => {
+        logToFile('ERROR', `서버 에러 발생: ${error.message}`);
+    });
+}
+
+module.exports = app;
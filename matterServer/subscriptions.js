@@ -0,0 +1,332 @@
+// chip-tool interactive 모드 기반 속성/이벤트 구독 관리 모듈
+// interactive 세션은 openSession으로 시작 (실행 백엔드의 startInteractive, 저장소 준비는 호출자가 담당)
+const { removeAnsiEscapes, parseReportOutput } = require('./chipOutput');
+const { normalizeName } = require('./clusters');
+
+// chip-tool 재시작 대기 시간 (연속 실패 시 점진적으로 증가)
+const RESTART_BACKOFF_MS = [1000, 2000, 5000, 10000, 30000];
+// 구독 확립 대기 시간 (초과 시 재구독)
+const SUBSCRIBE_TIMEOUT_MS = 30000;
+// 구독 끊김 후 재구독 대기 시간
+const RESUBSCRIBE_DELAY_MS = 2000;
+// 리포트 라인 묶음 처리 대기 시간
+const REPORT_FLUSH_DELAY_MS = 100;
+
+// "01:0000000000000005" 형식의 Peer 노드 ID를 10진수 문자열로 변환
+const parsePeerNodeId = (hex) => BigInt(`0x${hex}`).toString();
+
+// openSession: ({ onOutput(data, stream), onClose(code, signal) }) => Promise<{ write(line), kill() }>
+const createSubscriptionManager = ({ openSession, logToFile }) => {
+    const subscriptions = new Map();
+    const clients = new Set();
+    let nextId = 1;
+    let child = null;
+    let starting = false;
+    let stopped = false;
+    let restartAttempt = 0;
+    let restartTimer = null;
+    let lineBuffer = '';
+    let reportLines = [];
+    let reportPeer = null;
+    let flushTimer = null;
+
+    // 클라이언트로 이벤트 전달 (필터 적용)
+    const publish = (event) => {
+        clients.forEach((client) => {
+            if (matchesFilter(event, client.filter)) {
+                client.send(event);
+            }
+        });
+    };
+
+    const matchesFilter = (event, filter) => {
+        if (filter.nodeId && event.nodeId !== filter.nodeId) {
+            return false;
+        }
+        if (filter.clusterId !== undefined && event.clusterId !== undefined && event.clusterId !== filter.clusterId) {
+            return false;
+        }
+        if (filter.attribute && event.type === 'attribute') {
+            const attribute = String(filter.attribute);
+            if (/^(0x[0-9a-f]+|\d+)$/i.test(attribute)) {
+                return event.attributeId === Number(attribute);
+            }
+            return normalizeName(event.name || '') === normalizeName(attribute);
+        }
+        return true;
+    };
+
+    const setStatus = (subscription, status) => {
+        subscription.status = status;
+        subscription.updatedAt = new Date().toISOString();
+        publish({
+            type: 'subscription',
+            id: subscription.id,
+            nodeId: subscription.nodeId,
+            status
+        });
+    };
+
+    // chip-tool 구독 명령어 구성
+    const buildCommand = (subscription) => {
+        const { byId, cluster, attribute, event, minInterval, maxInterval, nodeId, endpoint } = subscription;
+        const target = byId
+            ? (event !== undefined ? `any subscribe-event-by-id ${cluster} ${event}` : `any subscribe-by-id ${cluster} ${attribute}`)
+            : (event !== undefined ? `${cluster} subscribe-event ${event}` : `${cluster} subscribe ${attribute}`);
+        // 같은 노드의 기존 구독이 해제되지 않도록 keepSubscriptions 사용
+        return `${target} ${minInterval} ${maxInterval} ${nodeId} ${endpoint} --keepSubscriptions true`;
+    };
+
+    const sendSubscribe = (subscription) => {
+        clearTimeout(subscription.timer);
+        if (!child) {
+            setStatus(subscription, 'pending');
+            return;
+        }
+
+        const command = buildCommand(subscription);
+        logToFile('SUBSCRIPTION', `구독 요청 - ${subscription.id}: ${command}`);
+        child.write(command);
+        setStatus(subscription, 'subscribing');
+
+        // 제한 시간 안에 구독이 확립되지 않으면 재시도
+        subscription.timer = setTimeout(() => {
+            if (subscription.status === 'subscribing') {
+                logToFile('SUBSCRIPTION', `구독 확립 시간 초과 - ${subscription.id}, 재구독 시도`);
+                sendSubscribe(subscription);
+            }
+        }, SUBSCRIBE_TIMEOUT_MS + subscription.maxInterval * 1000);
+    };
+
+    const subscriptionsForNode = (nodeId) => {
+        return [...subscriptions.values()].filter(subscription => subscription.nodeId === nodeId);
+    };
+
+    // 구독 확립: 해당 노드에서 가장 먼저 요청된 구독에 Subscription ID 할당
+    const handleEstablished = (nodeId, subscriptionId) => {
+        const subscription = subscriptionsForNode(nodeId).find(item => item.status === 'subscribing');
+        if (!subscription) {
+            return;
+        }
+        clearTimeout(subscription.timer);
+        subscription.subscriptionId = subscriptionId;
+        subscription.establishedAt = new Date().toISOString();
+        restartAttempt = 0;
+        setStatus(subscription, 'active');
+        logToFile('SUBSCRIPTION', `구독 확립 - ${subscription.id} (SubscriptionID: ${subscriptionId})`);
+    };
+
+    // 구독 끊김 (Liveness timeout): 잠시 후 재구독
+    const handleDropped = (nodeId, subscriptionId) => {
+        subscriptionsForNode(nodeId)
+            .filter(subscription => subscription.subscriptionId === subscriptionId)
+            .forEach((subscription) => {
+                logToFile('SUBSCRIPTION', `구독 끊김 - ${subscription.id} (SubscriptionID: ${subscriptionId})`);
+                subscription.subscriptionId = null;
+                setStatus(subscription, 'resubscribing');
+                clearTimeout(subscription.timer);
+                subscription.timer = setTimeout(() => sendSubscribe(subscription), RESUBSCRIBE_DELAY_MS);
+            });
+    };
+
+    // 수집된 [TOO] 리포트를 파싱하여 클라이언트로 전달
+    const flushReport = () => {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (reportLines.length === 0) {
+            return;
+        }
+
+        const { attributes, events } = parseReportOutput(reportLines.join('\n'));
+        reportLines = [];
+        const receivedAt = new Date().toISOString();
+
+        [...attributes, ...events].forEach((report) => {
+            subscriptionsForNode(reportPeer).forEach((subscription) => {
+                if (subscription.endpoint === report.endpoint) {
+                    subscription.lastReportAt = receivedAt;
+                }
+            });
+            publish({ ...report, nodeId: reportPeer, receivedAt });
+        });
+    };
+
+    const handleLine = (rawLine) => {
+        const line = removeAnsiEscapes(rawLine);
+
+        const peerMatch = line.match(/Msg RX from \d+:([0-9A-Fa-f]{16}) .*\(IM:ReportData\)/);
+        if (peerMatch) {
+            flushReport();
+            reportPeer = parsePeerNodeId(peerMatch[1]);
+            return;
+        }
+
+        const establishedMatch = line.match(/Subscription established with SubscriptionID = (0x[0-9a-fA-F]+).*Peer = [0-9a-fA-F]+:([0-9A-Fa-f]{16})/);
+        if (establishedMatch) {
+            handleEstablished(parsePeerNodeId(establishedMatch[2]), establishedMatch[1]);
+            return;
+        }
+
+        const livenessMatch = line.match(/Subscription Liveness timeout with SubscriptionID = (0x[0-9a-fA-F]+).*Peer = [0-9a-fA-F]+:([0-9A-Fa-f]{16})/);
+        if (livenessMatch) {
+            handleDropped(parsePeerNodeId(livenessMatch[2]), livenessMatch[1]);
+            return;
+        }
+
+        if (line.includes('[TOO]')) {
+            reportLines.push(line);
+            clearTimeout(flushTimer);
+            flushTimer = setTimeout(flushReport, REPORT_FLUSH_DELAY_MS);
+        }
+    };
+
+    const handleOutput = (data) => {
+        lineBuffer += data.toString();
+        const lines = lineBuffer.split('\n');
+        lineBuffer = lines.pop();
+        lines.forEach(handleLine);
+    };
+
+    // interactive 세션 재시작 예약 (연속 실패 시 대기 시간 증가)
+    const scheduleRestart = () => {
+        const delay = RESTART_BACKOFF_MS[Math.min(restartAttempt, RESTART_BACKOFF_MS.length - 1)];
+        restartAttempt += 1;
+        logToFile('ERROR', `chip-tool interactive 세션 ${delay}ms 후 재시작`);
+        restartTimer = setTimeout(() => {
+            restartTimer = null;
+            if (subscriptions.size > 0) {
+                start();
+            }
+        }, delay);
+    };
+
+    const handleClose = (session, code, signal) => {
+        if (!session || child !== session) {
+            return;
+        }
+        child = null;
+        flushReport();
+        subscriptions.forEach((subscription) => {
+            clearTimeout(subscription.timer);
+            subscription.subscriptionId = null;
+            setStatus(subscription, 'pending');
+        });
+
+        if (stopped) {
+            return;
+        }
+        logToFile('ERROR', `chip-tool interactive 프로세스 종료 (code: ${code}, signal: ${signal})`);
+        scheduleRestart();
+    };
+
+    // chip-tool interactive 세션 시작 및 기존 구독 복원
+    const start = () => {
+        if (child || starting || stopped) {
+            return;
+        }
+
+        logToFile('SUBSCRIPTION', 'chip-tool interactive 모드 시작');
+        starting = true;
+        let session = null;
+        openSession({
+            onOutput: handleOutput,
+            onClose: (code, signal) => handleClose(session, code, signal)
+        }).then((opened) => {
+            starting = false;
+            session = opened;
+            // 시작하는 동안 모든 구독이 해제되었거나 관리자가 종료된 경우
+            if (stopped || subscriptions.size === 0) {
+                opened.kill();
+                return;
+            }
+            child = opened;
+            subscriptions.forEach(sendSubscribe);
+        }, (error) => {
+            starting = false;
+            logToFile('ERROR', `chip-tool interactive 세션 시작 실패: ${error.message}`);
+            if (!stopped) {
+                scheduleRestart();
+            }
+        });
+    };
+
+    const subscribe = (spec) => {
+        const subscription = {
+            id: `sub-${nextId++}`,
+            ...spec,
+            status: 'pending',
+            subscriptionId: null,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            establishedAt: null,
+            lastReportAt: null
+        };
+        subscriptions.set(subscription.id, subscription);
+
+        if (child) {
+            sendSubscribe(subscription);
+        } else if (!restartTimer) {
+            start();
+        }
+        return describe(subscription);
+    };
+
+    const unsubscribe = (id) => {
+        const subscription = subscriptions.get(id);
+        if (!subscription) {
+            return false;
+        }
+
+        clearTimeout(subscription.timer);
+        subscriptions.delete(id);
+        if (child && subscription.subscriptionId) {
+            child.write(`subscriptions shutdown-one ${subscription.subscriptionId} ${subscription.nodeId}`);
+        }
+        logToFile('SUBSCRIPTION', `구독 해제 - ${id}`);
+
+        // 남은 구독이 없으면 interactive 프로세스 종료
+        if (subscriptions.size === 0 && child) {
+            const session = child;
+            child = null;
+            session.kill();
+        }
+        return true;
+    };
+
+    // 클라이언트 등록 (반환된 함수로 해제, close는 관리자 종료 시 호출)
+    const addClient = (filter, send, close) => {
+        const client = { filter, send, close };
+        clients.add(client);
+        return () => clients.delete(client);
+    };
+
+    const describe = ({ timer, ...subscription }) => subscription;
+
+    const list = () => [...subscriptions.values()].map(describe);
+
+    const stop = () => {
+        stopped = true;
+        clearTimeout(restartTimer);
+        clearTimeout(flushTimer);
+        subscriptions.forEach(subscription => clearTimeout(subscription.timer));
+        clients.forEach(client => client.close?.());
+        clients.clear();
+        if (child) {
+            child.kill();
+            child = null;
+        }
+    };
+
+    return {
+        subscribe,
+        unsubscribe,
+        list,
+        addClient,
+        stop,
+        isRunning: () => Boolean(child)
+    };
+};
+
+module.exports = {
+    createSubscriptionManager
+};
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuditLog } = require('../auditLog');
+
+test('감사 기록: 크기 초과 시 파일 순환, 보존 기간이 지난 파일 삭제, 조회는 순환된 파일 포함', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'matter-audit-test-'));
+    const filePath = path.join(dir, 'audit.log');
+    const oldFile = path.join(dir, 'audit.log.2000-01-01.1');
+    fs.writeFileSync(oldFile, '{"timestamp":"2000-01-01T00:00:00.000Z","action":"POST /api/old"}\n');
+    const messages = [];
+
+    const auditLog = createAuditLog({
+        filePath,
+        maxFileSize: 512,
+        retentionDays: 7,
+        logToFile: (type, message) => messages.push(message)
+    });
+    for (let i = 0; i < 20; i++) {
+        await auditLog.record({ action: `POST /api/devices/${i}`, nodeId: String(i), statusCode: 200 });
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const files = fs.readdirSync(dir);
+    assert.ok(files.filter(name => name.startsWith(`audit.log.${today}.`)).length > 1, files.join(', '));
+    assert.ok(!fs.existsSync(oldFile));
+    assert.ok(messages.some(message => message.includes('audit.log.2000-01-01.1')));
+    files.forEach((name) => {
+        assert.ok(fs.statSync(path.join(dir, name)).size <= 512, name);
+    });
+
+    // 최신 순서로 모든 파일의 기록 조회
+    const entries = await auditLog.query({ limit: 100 });
+    assert.deepEqual(entries.map(entry => entry.nodeId), Array.from({ length: 20 }, (_, i) => String(19 - i)));
+
+    fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,172 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { signJwt } = require('../auth');
+
+const JWT_SECRET = 'test-jwt-secret-0123456789abcdef';
+
+const KEYS = {
+    viewer: 'viewer-key-0123456789',
+    operator: 'operator-key-0123456789',
+    installer: 'installer-key-0123456789',
+    admin: 'admin-key-0123456789'
+};
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer({
+        MATTER_AUTH_DISABLED: 'false',
+        MATTER_API_KEYS: Object.entries(KEYS).map(([role, key]) => `${role}-client:${role}:${key}`).join(','),
+        MATTER_JWT_SECRET: JWT_SECRET,
+        MATTER_JWT_ISSUER: 'matter-hub',
+        MATTER_CORS_ORIGINS: 'https://dashboard.example.com',
+        MATTER_COMMISSION_RATE_LIMIT: '3'
+    });
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+beforeEach(() => {
+    ctx.backend.reset();
+});
+
+const as = (role) => ({ 'X-API-Key': KEYS[role] });
+
+const token = (claims) => signJwt({
+    sub: 'dashboard-user',
+    role: 'operator',
+    iss: 'matter-hub',
+    exp: Math.floor(Date.now() / 1000) + 600,
+    ...claims
+}, JWT_SECRET);
+
+test('인증 정보가 없거나 잘못되면 401', async () => {
+    const missing = await fetch(`${ctx.baseUrl}/api/devices`);
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get('www-authenticate'), 'Bearer realm="matter-api"');
+    assert.equal((await missing.json()).code, 'AUTH_REQUIRED');
+
+    const invalid = await ctx.request('GET', '/api/devices', undefined, { 'X-API-Key': 'wrong-key-0123456789' });
+    assert.equal(invalid.status, 401);
+    assert.equal(invalid.body.code, 'INVALID_CREDENTIALS');
+});
+
+test('역할별 권한: viewer는 조회만, 상위 역할은 하위 권한 포함', async () => {
+    assert.equal((await ctx.request('GET', '/api/devices', undefined, as('viewer'))).status, 200);
+
+    const control = await ctx.request('POST', '/api/devices/1/endpoints/1/onoff/on', {}, as('viewer'));
+    assert.equal(control.status, 403);
+    assert.equal(control.body.code, 'FORBIDDEN');
+    assert.equal(control.body.requiredRole, 'operator');
+    assert.equal((await ctx.request('POST', '/api/devices/1/endpoints/1/onoff/on', {}, as('operator'))).status, 200);
+
+    const pair = { pairingMethod: 'onnetwork', passcode: 20202021 };
+    assert.equal((await ctx.request('POST', '/api/device/pair', pair, as('operator'))).status, 403);
+    assert.equal((await ctx.request('DELETE', '/api/devices/1', undefined, as('operator'))).status, 403);
+
+    assert.equal((await ctx.request('GET', '/api/logs', undefined, as('installer'))).status, 403);
+    assert.equal((await ctx.request('GET', '/api/devices/1/fabrics', undefined, as('installer'))).status, 403);
+    assert.equal((await ctx.request('GET', '/api/logs', undefined, as('admin'))).status, 200);
+    assert.equal((await ctx.request('POST', '/api/devices/1/endpoints/1/onoff/off', {}, as('admin'))).status, 200);
+
+    const me = await ctx.request('GET', '/api/auth/me', undefined, as('installer'));
+    assert.deepEqual(me.body.principal, { id: 'installer-client', role: 'installer', method: 'api-key' });
+    assert.deepEqual(me.body.roles, ['viewer', 'operator', 'installer']);
+});
+
+test('JWT Bearer 토큰: 서명 / 만료 / 발급자 / 알고리즘 확인', async () => {
+    const bearer = (value) => ({ Authorization: `Bearer ${value}` });
+
+    const me = await ctx.request('GET', '/api/auth/me', undefined, bearer(token()));
+    assert.equal(me.status, 200);
+    assert.deepEqual(me.body.principal, { id: 'dashboard-user', role: 'operator', method: 'jwt' });
+
+    const expired = await ctx.request('GET', '/api/devices', undefined, bearer(token({ exp: Math.floor(Date.now() / 1000) - 3600 })));
+    assert.equal(expired.status, 401);
+    assert.equal(expired.body.code, 'TOKEN_EXPIRED');
+
+    const forged = signJwt({ sub: 'attacker', role: 'admin', iss: 'matter-hub', exp: Math.floor(Date.now() / 1000) + 600 }, 'other-secret');
+    assert.equal((await ctx.request('GET', '/api/devices', undefined, bearer(forged))).body.code, 'INVALID_TOKEN');
+    assert.equal((await ctx.request('GET', '/api/devices', undefined, bearer(token({ iss: 'elsewhere' })))).status, 401);
+    assert.equal((await ctx.request('GET', '/api/devices', undefined, bearer(token({ role: 'root' })))).status, 401);
+
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: 'attacker', role: 'admin', exp: 9999999999 })}.`;
+    assert.equal((await ctx.request('GET', '/api/devices', undefined, bearer(unsigned))).status, 401);
+
+    // EventSource용 access_token 쿼리 (SSE 스트림 GET 요청만 허용)
+    const controller = new AbortController();
+    const stream = await fetch(`${ctx.baseUrl}/api/events/stream?access_token=${token()}`, { signal: controller.signal });
+    assert.equal(stream.status, 200);
+    controller.abort();
+    assert.equal((await ctx.request('GET', `/api/queue?access_token=${token()}`)).status, 401);
+    assert.equal((await ctx.request('POST', `/api/devices/1/endpoints/1/onoff/on?access_token=${token()}`, {})).status, 401);
+});
+
+test('CORS: 허용 목록의 출처만 허용', async () => {
+    const allowed = await fetch(`${ctx.baseUrl}/api/devices`, {
+        method: 'OPTIONS',
+        headers: {
+            Origin: 'https://dashboard.example.com',
+            'Access-Control-Request-Method': 'POST',
+            'Access-Control-Request-Headers': 'x-api-key'
+        }
+    });
+    assert.equal(allowed.status, 204);
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://dashboard.example.com');
+    assert.ok(allowed.headers.get('access-control-allow-headers').includes('X-API-Key'));
+
+    const denied = await fetch(`${ctx.baseUrl}/api/devices`, { headers: { Origin: 'https://evil.example.com', ...as('viewer') } });
+    assert.equal(denied.headers.get('access-control-allow-origin'), null);
+});
+
+test('커미셔닝 요청 수 제한은 인증 주체별로 적용', async () => {
+    const pair = { pairingMethod: 'onnetwork', passcode: 11111111 };
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await ctx.request('POST', '/api/device/pair', pair, as('installer'))).status, 400);
+    }
+
+    const limited = await fetch(`${ctx.baseUrl}/api/device/pair`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...as('installer') },
+        body: JSON.stringify(pair)
+    });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal((await limited.json()).code, 'RATE_LIMITED');
+
+    // 다른 키와 커미셔닝 외 경로는 영향 없음
+    assert.equal((await ctx.request('POST', '/api/device/pair', pair, as('admin'))).status, 400);
+    assert.equal((await ctx.request('GET', '/api/devices', undefined, as('installer'))).status, 200);
+});
+
+test('감사 기록: 작업자 / 작업 / nodeId / 결과, 권한 거부 포함', async () => {
+    await ctx.request('DELETE', '/api/devices/1', undefined, as('operator'));
+    await ctx.request('POST', '/api/devices/1/endpoints/1/onoff/toggle', {}, { Authorization: `Bearer ${token()}` });
+    await ctx.request('GET', '/api/devices/1', undefined, as('viewer'));
+
+    const { status, body } = await ctx.request('GET', '/api/audit?nodeId=1', undefined, as('admin'));
+    assert.equal(status, 200);
+
+    const [toggle, denied] = body.entries;
+    assert.equal(toggle.action, 'POST /api/devices/:nodeId/endpoints/:endpoint/onoff/:command');
+    assert.deepEqual(toggle.actor, { id: 'dashboard-user', role: 'operator', method: 'jwt' });
+    assert.equal(toggle.outcome, 'success');
+    assert.ok(toggle.requestId);
+
+    assert.equal(denied.action, 'DELETE /api/devices/:nodeId');
+    assert.equal(denied.actor.id, 'operator-client');
+    assert.equal(denied.statusCode, 403);
+    assert.equal(denied.outcome, 'denied');
+
+    // 허용된 조회 요청은 기록하지 않음
+    assert.ok(!body.entries.some(entry => entry.action === 'GET /api/devices/:nodeId'));
+
+    const byActor = await ctx.request('GET', '/api/audit?actor=operator-client', undefined, as('admin'));
+    assert.ok(byActor.body.entries.length > 0);
+    assert.ok(byActor.body.entries.every(entry => entry.actor.id === 'operator-client'));
+    assert.equal((await ctx.request('GET', '/api/audit', undefined, as('installer'))).status, 403);
+});
@@ -0,0 +1,161 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { parseCsv } = require('../commissioningBatch');
+
+const MANUAL_PAIRING_CODE = '34970112332';
+const ON_NETWORK_QR_CODE = 'MT:-24J0AFN00KA0648G00';
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+beforeEach(() => {
+    ctx.backend.reset();
+});
+
+// 일괄 커미셔닝 종료 대기
+const waitForBatch = async (batchId, timeoutMs = 5000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const { body } = await ctx.request('GET', `/api/commissioning/batch/${batchId}`);
+        if (body.batch.status !== 'running') {
+            return body.batch;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`일괄 커미셔닝이 제한 시간 안에 끝나지 않았습니다: ${batchId}`);
+};
+
+test('JSON 매니페스트 일괄 커미셔닝: 항목별 상태, 부분 실패, 이름 / 방 기록', async () => {
+    const { status, body } = await ctx.request('POST', '/api/commissioning/batch', {
+        items: [
+            { code: ON_NETWORK_QR_CODE, label: 'Lobby light', room: 'lobby' },
+            { code: MANUAL_PAIRING_CODE, credentialsRef: 'floor-1', label: 'Desk lamp', room: 'office-101' },
+            { code: MANUAL_PAIRING_CODE, credentialsRef: 'missing' },
+            { label: 'no code' }
+        ],
+        credentials: { 'floor-1': { ssid: 'floor-1-ap', password: 'secret-password' } },
+        concurrency: 2
+    });
+
+    assert.equal(status, 202);
+    assert.equal(body.batch.items.length, 4);
+    assert.ok(!JSON.stringify(body).includes('secret-password'));
+    assert.ok(!JSON.stringify(body).includes(MANUAL_PAIRING_CODE));
+
+    const batch = await waitForBatch(body.batchId);
+    assert.equal(batch.status, 'partial');
+    assert.deepEqual(batch.summary, { total: 4, pending: 0, running: 0, succeeded: 2, failed: 2 });
+    assert.deepEqual(batch.items.map(item => item.status), ['succeeded', 'succeeded', 'failed', 'failed']);
+    assert.equal(batch.items[2].errorCode, 'INVALID_PARAMETER');
+    assert.match(batch.items[2].error, /missing/);
+    assert.equal(batch.items[2].jobId, null);
+
+    const pairing = ctx.backend.calls().filter(args => args[0] === 'pairing');
+    assert.deepEqual(pairing.map(args => args.slice(0, 2)), [['pairing', 'code'], ['pairing', 'code-wifi']]);
+    assert.equal(pairing[1][3], 'floor-1-ap');
+
+    const device = await ctx.request('GET', `/api/devices/${batch.items[1].nodeId}`);
+    assert.equal(device.body.device.status, 'commissioned');
+    assert.equal(device.body.device.name, 'Desk lamp');
+    assert.equal(device.body.device.room, 'office-101');
+});
+
+test('실패 항목만 다시 실행하고 CSV 보고서 다운로드', async () => {
+    ctx.backend.add({
+        command: ['pairing', 'code-wifi'],
+        stdout: ["[CTL] Error on commissioning step 'AttestationVerification': 'Failed in verifying 'Attestation Information' command received from the device'"],
+        chipError: '0x000000AC'
+    });
+
+    const { body } = await ctx.request('POST', '/api/commissioning/batch', {
+        items: [
+            { code: ON_NETWORK_QR_CODE, label: '=cmd|calc', room: 'lobby' },
+            { code: MANUAL_PAIRING_CODE, credentialsRef: 'ap', label: 'Hall, east' }
+        ],
+        credentials: { ap: { ssid: 'hall-ap', password: 'secret-password' } }
+    });
+    const first = await waitForBatch(body.batchId);
+    assert.equal(first.status, 'partial');
+    assert.equal(first.items[1].errorCode, 'ATTESTATION_FAILED');
+    const failedNodeId = first.items[1].nodeId;
+
+    ctx.backend.reset();
+    const retry = await ctx.request('POST', `/api/commissioning/batch/${body.batchId}/retry`);
+    assert.equal(retry.status, 202);
+    assert.equal(retry.body.batch.summary.pending, 1);
+
+    const second = await waitForBatch(body.batchId);
+    assert.equal(second.status, 'completed');
+    assert.equal(second.runs, 2);
+    assert.deepEqual(second.items.map(item => item.runs), [1, 2]);
+    // 이전에 할당된 Node ID를 재사용하고 성공한 항목은 다시 실행하지 않음
+    assert.equal(second.items[1].nodeId, failedNodeId);
+    assert.deepEqual(ctx.backend.calls().filter(args => args[0] === 'pairing').map(args => args[1]), ['code-wifi']);
+
+    const device = await ctx.request('GET', `/api/devices/${failedNodeId}`);
+    assert.deepEqual(device.body.device.commissioningHistory.map(item => item.result), ['failed', 'success']);
+
+    const again = await ctx.request('POST', `/api/commissioning/batch/${body.batchId}/retry`);
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'NO_FAILED_ITEMS');
+
+    const response = await fetch(`${ctx.baseUrl}/api/commissioning/batch/${body.batchId}/report`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.match(response.headers.get('content-disposition'), /attachment; filename="commissioning-batch-/);
+
+    const [header, ...rows] = parseCsv(await response.text());
+    assert.equal(header[0], 'index');
+    const report = rows.map(row => Object.fromEntries(header.map((name, index) => [name, row[index]])));
+    assert.equal(report.length, 2);
+    // 스프레드시트 수식으로 해석되지 않도록 접두사 추가
+    assert.equal(report[0].label, "'=cmd|calc");
+    assert.equal(report[1].label, 'Hall, east');
+    assert.equal(report[1].status, 'succeeded');
+    assert.equal(report[1].runs, '2');
+});
+
+test('text/csv 매니페스트와 매니페스트 검증', async () => {
+    const csv = [
+        'code,label,room',
+        `${MANUAL_PAIRING_CODE},"Lamp ""A"", west",lobby`,
+        '',
+        `${ON_NETWORK_QR_CODE},Lamp B,`
+    ].join('\r\n');
+    const response = await fetch(`${ctx.baseUrl}/api/commissioning/batch?concurrency=1`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body: csv
+    });
+    assert.equal(response.status, 202);
+    const { batchId } = await response.json();
+
+    const batch = await waitForBatch(batchId);
+    assert.equal(batch.status, 'completed');
+    assert.equal(batch.concurrency, 1);
+    assert.deepEqual(batch.items.map(item => [item.label, item.room]), [['Lamp "A", west', 'lobby'], ['Lamp B', null]]);
+    const pairingCalls = ctx.backend.calls().filter(args => args[0] === 'pairing');
+    assert.deepEqual(pairingCalls.map(args => args[1]), ['onnetwork-short', 'code']);
+    // Manual Pairing Code의 Discriminator(3840) 상위 4비트로 대상 한정
+    assert.deepEqual(pairingCalls[0].slice(3, 5), ['20202021', '15']);
+
+    const invalid = [
+        { items: [] },
+        { csv: 'code,serial\n34970112332,1' },
+        { items: [{ code: MANUAL_PAIRING_CODE }], concurrency: 100 }
+    ];
+    for (const payload of invalid) {
+        const { status, body } = await ctx.request('POST', '/api/commissioning/batch', payload);
+        assert.equal(status, 400, JSON.stringify(payload));
+        assert.equal(body.code, 'INVALID_PARAMETER');
+    }
+    assert.equal((await ctx.request('GET', '/api/commissioning/batch/unknown')).status, 404);
+});
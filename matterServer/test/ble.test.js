@@ -0,0 +1,136 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { bleScanLines } = require('../chipToolSimulator');
+
+// 개발용 테스트 디바이스 코드 (Discriminator 3840, Passcode 20202021)
+const MANUAL_PAIRING_CODE = '34970112332';
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer({ MATTER_BLE_SCAN_SECONDS: '3' });
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+beforeEach(() => {
+    ctx.backend.reset();
+});
+
+test('BLE 검색: Matter 서비스 데이터를 광고하는 디바이스만 반환', async () => {
+    ctx.backend.add({
+        command: ['bluetoothctl'],
+        stdout: [
+            'Discovery started',
+            ...bleScanLines([{ address: 'AA:BB:CC:DD:EE:01', discriminator: 250, vendorId: 4447, productId: 1, rssi: -72 }]),
+            '[NEW] Device 11:22:33:44:55:66 Headphones',
+            '[CHG] Device 11:22:33:44:55:66 RSSI: 0xffffffb0 (-80)'
+        ],
+        raw: true
+    });
+
+    const { status, body } = await ctx.request('GET', '/api/device/search?transport=ble');
+
+    assert.equal(status, 200);
+    assert.equal(body.devices.length, 1);
+    const [device] = body.devices;
+    assert.equal(device.type, 'ble');
+    assert.equal(device.discoveryId, 'ble-AABBCCDDEE01');
+    assert.equal(device.address, 'AA:BB:CC:DD:EE:01');
+    assert.equal(device.setupDiscriminator, '250');
+    assert.equal(device.vendorId, '4447');
+    assert.equal(device.productId, '1');
+    assert.equal(device.rssi, -72);
+    assert.deepEqual(ctx.backend.calls(), [['bluetoothctl', '--timeout', '3', 'scan', 'on']]);
+});
+
+test('transport=all은 DNS-SD와 BLE 검색 결과를 합침', async () => {
+    const { body } = await ctx.request('GET', '/api/device/search?transport=all');
+
+    assert.deepEqual(body.devices.map(device => device.type), ['onnetwork', 'ble']);
+
+    const invalid = await ctx.request('GET', '/api/device/search?transport=zigbee');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'INVALID_PARAMETER');
+});
+
+test('BLE 어댑터가 없으면 BLE_ADAPTER_UNAVAILABLE', async () => {
+    ctx.backend.add({ command: ['bluetoothctl'], stdout: ['No default controller available'], raw: true });
+
+    const { status, body } = await ctx.request('GET', '/api/device/search?transport=ble');
+
+    assert.equal(status, 503);
+    assert.equal(body.code, 'BLE_ADAPTER_UNAVAILABLE');
+});
+
+test('ble 방식 Wi-Fi 커미셔닝은 ble-wifi 명령 사용', async () => {
+    const { status, body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'ble',
+        discriminator: 3840,
+        passcode: 20202021,
+        ssid: 'home-ap',
+        password: 'secret-password'
+    });
+
+    assert.equal(status, 202);
+    const job = await ctx.waitForJob(body.jobId);
+    assert.equal(job.status, 'succeeded');
+    const [args] = ctx.backend.calls();
+    assert.deepEqual(args.slice(0, 7), ['pairing', 'ble-wifi', body.nodeId, 'home-ap', 'secret-password', '20202021', '3840']);
+
+    const missing = await ctx.request('POST', '/api/device/pair', { pairingMethod: 'ble', discriminator: 3840, passcode: 20202021 });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, 'INVALID_PARAMETER');
+});
+
+test('BLE로 검색된 디바이스는 검색된 Discriminator로 커미셔닝', async () => {
+    await ctx.request('GET', '/api/device/search?transport=ble');
+    ctx.backend.reset();
+
+    const pair = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'discovery',
+        deviceId: 'ble-5CE91E384001',
+        pairingCode: MANUAL_PAIRING_CODE,
+        ssid: 'home-ap',
+        password: 'secret-password'
+    });
+    await ctx.waitForJob(pair.body.jobId);
+
+    const setup = await ctx.request('POST', '/api/device/setup', {
+        discoveryId: 'ble-5CE91E384001',
+        manualPairingCode: MANUAL_PAIRING_CODE,
+        ssid: 'home-ap',
+        password: 'secret-password'
+    });
+    await ctx.waitForJob(setup.body.jobId);
+
+    const [pairArgs, setupArgs] = ctx.backend.calls().filter(args => args[0] === 'pairing');
+    assert.deepEqual(pairArgs.slice(0, 7), ['pairing', 'ble-wifi', pair.body.nodeId, 'home-ap', 'secret-password', '20202021', '3840']);
+    assert.deepEqual(setupArgs.slice(0, 7), ['pairing', 'ble-wifi', setup.body.nodeId, 'home-ap', 'secret-password', '20202021', '3840']);
+});
+
+test('chip-tool BLE 실패 원인 분류', async () => {
+    const cases = [
+        [['[BLE] New device scanned: 5C:E9:1E:38:40:01', '[BLE] BLE scan timeout'], 'DISCRIMINATOR_MISMATCH'],
+        [['[BLE] BLE scan timeout'], 'BLE_DEVICE_NOT_FOUND'],
+        [['[DL] FAIL: No BLE adapter available'], 'BLE_ADAPTER_UNAVAILABLE']
+    ];
+
+    for (const [stdout, code] of cases) {
+        // 재시도 가능한 오류도 모든 시도가 같은 원인으로 실패하도록 once 없이 추가
+        ctx.backend.add({ command: ['pairing', 'ble-wifi'], stdout, chipError: '0x00000032' });
+        const { body } = await ctx.request('POST', '/api/device/pair', {
+            pairingMethod: 'ble',
+            discriminator: 3841,
+            passcode: 20202021,
+            ssid: 'home-ap',
+            password: 'secret-password'
+        });
+        const job = await ctx.waitForJob(body.jobId);
+        assert.equal(job.status, 'failed');
+        assert.equal(job.error.code, code);
+    }
+});
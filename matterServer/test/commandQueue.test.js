@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCommandQueue } = require('../commandQueue');
+
+// 외부에서 완료 시점을 제어하는 작업
+const deferredJob = () => {
+    let finish;
+    const done = new Promise((resolve) => {
+        finish = resolve;
+    });
+    return { run: () => done, finish };
+};
+
+test('동시 실행 수 안에서 저장소 잠금이 다른 작업은 함께 실행, 같은 잠금은 순차 실행', async () => {
+    const queue = createCommandQueue({ concurrency: 2, logToFile: () => {} });
+    const first = deferredJob();
+    const second = deferredJob();
+    const third = deferredJob();
+
+    const results = [
+        queue.enqueue({ label: 'first', lock: '/tmp/storage-a', run: first.run }),
+        queue.enqueue({ label: 'second', lock: '/tmp/storage-b', run: second.run }),
+        queue.enqueue({ label: 'third', lock: '/tmp/storage-a', run: third.run })
+    ];
+    await new Promise(resolve => setImmediate(resolve));
+
+    let status = queue.status();
+    assert.deepEqual(status.running.map(entry => entry.label), ['first', 'second']);
+    assert.deepEqual(status.waiting.map(entry => entry.label), ['third']);
+
+    // 같은 저장소 작업이 끝나야 대기 작업 시작
+    second.finish('b');
+    await results[1];
+    assert.deepEqual(queue.status().waiting.map(entry => entry.label), ['third']);
+
+    first.finish('a');
+    await results[0];
+    status = queue.status();
+    assert.deepEqual(status.running.map(entry => entry.label), ['third']);
+
+    third.finish('c');
+    assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+});
@@ -0,0 +1,114 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { fabricListLines, nocResponseLines } = require('../chipToolSimulator');
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+beforeEach(() => {
+    ctx.backend.reset();
+});
+
+// 커미셔닝 완료된 디바이스 준비
+const commissionDevice = async () => {
+    const { body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'manual',
+        pairingCode: '34970112332',
+        ssid: 'home-ap',
+        password: 'secret-password'
+    });
+    await ctx.waitForJob(body.jobId);
+    ctx.backend.reset();
+    return body.nodeId;
+};
+
+test('커미셔닝 해제: pairing unpair 실행 후 레지스트리 삭제', async () => {
+    const nodeId = await commissionDevice();
+
+    const { status, body } = await ctx.request('DELETE', `/api/devices/${nodeId}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.method, 'unpair');
+    assert.deepEqual(ctx.backend.calls(), [['pairing', 'unpair', nodeId]]);
+    const device = await ctx.request('GET', `/api/devices/${nodeId}`);
+    assert.equal(device.status, 404);
+});
+
+test('remove-fabric 방식은 현재 패브릭 인덱스로 RemoveFabric 호출', async () => {
+    const nodeId = await commissionDevice();
+
+    const { status } = await ctx.request('DELETE', `/api/devices/${nodeId}?method=remove-fabric`);
+
+    assert.equal(status, 200);
+    assert.deepEqual(ctx.backend.calls(), [
+        ['operationalcredentials', 'read', 'current-fabric-index', nodeId, '0'],
+        ['operationalcredentials', 'remove-fabric', '1', nodeId, '0']
+    ]);
+});
+
+test('디바이스에 연결할 수 없으면 실패, force=true면 레지스트리만 삭제', async () => {
+    const nodeId = await commissionDevice();
+    ctx.backend.add({ command: ['pairing', 'unpair'], chipError: '0x00000032' });
+
+    const failed = await ctx.request('DELETE', `/api/devices/${nodeId}`);
+    assert.equal(failed.status, 504);
+    assert.equal(failed.body.code, 'TIMEOUT_ERROR');
+    assert.equal((await ctx.request('GET', `/api/devices/${nodeId}`)).status, 200);
+
+    const forced = await ctx.request('DELETE', `/api/devices/${nodeId}?force=true`);
+    assert.equal(forced.status, 200);
+    assert.equal(forced.body.deviceError.code, 'TIMEOUT_ERROR');
+    assert.equal((await ctx.request('GET', `/api/devices/${nodeId}`)).status, 404);
+});
+
+test('패브릭 목록 조회: 현재 서버 패브릭 표시', async () => {
+    ctx.backend.add({
+        command: ['operationalcredentials', 'read', 'fabrics'],
+        stdout: fabricListLines([{}, { vendorId: 4937, fabricId: 7, nodeId: 42, label: 'Apple Home' }])
+    });
+
+    const { status, body } = await ctx.request('GET', '/api/devices/1/fabrics');
+
+    assert.equal(status, 200);
+    assert.equal(body.currentFabricIndex, 1);
+    assert.equal(body.fabrics.length, 2);
+    assert.equal(body.fabrics[0].current, true);
+    assert.deepEqual(
+        { ...body.fabrics[1], rootPublicKey: undefined },
+        { fabricIndex: 2, vendorId: 4937, fabricId: 7, nodeId: 42, label: 'Apple Home', rootPublicKey: undefined, current: false }
+    );
+    assert.deepEqual(ctx.backend.calls()[0], ['operationalcredentials', 'read', 'fabrics', '1', '0', '--fabric-filtered', '0']);
+});
+
+test('다른 패브릭 제거 및 NOCResponse 실패 상태 처리', async () => {
+    const removed = await ctx.request('DELETE', '/api/devices/1/fabrics/2');
+    assert.equal(removed.status, 200);
+    assert.deepEqual(ctx.backend.calls().at(-1), ['operationalcredentials', 'remove-fabric', '2', '1', '0']);
+
+    const own = await ctx.request('DELETE', '/api/devices/1/fabrics/1');
+    assert.equal(own.status, 400);
+    assert.equal(own.body.code, 'INVALID_PARAMETER');
+
+    ctx.backend.add({ command: ['operationalcredentials', 'remove-fabric'], stdout: nocResponseLines({ statusCode: 11 }) });
+    const invalid = await ctx.request('DELETE', '/api/devices/1/fabrics/9');
+    assert.equal(invalid.status, 404);
+    assert.equal(invalid.body.code, 'NOC_INVALID_FABRIC_INDEX');
+    assert.equal(invalid.body.response.status, 'INVALID_FABRIC_INDEX');
+});
+
+test('레지스트리에 없는 디바이스 및 잘못된 해제 방식', async () => {
+    assert.equal((await ctx.request('DELETE', '/api/devices/424242')).status, 404);
+
+    const nodeId = await commissionDevice();
+    const invalid = await ctx.request('DELETE', `/api/devices/${nodeId}?method=factory-reset`);
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(ctx.backend.calls(), []);
+});
@@ -0,0 +1,74 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { discoveryLines } = require('../chipToolSimulator');
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+beforeEach(() => {
+    ctx.backend.reset();
+});
+
+test('검색 결과의 [DIS] 블록을 디바이스 목록으로 파싱', async () => {
+    const { status, body } = await ctx.request('GET', '/api/device/search');
+
+    assert.equal(status, 200);
+    assert.equal(body.status, 'success');
+    assert.equal(body.devices.length, 1);
+
+    const [device] = body.devices;
+    assert.equal(device.discoveryId, '8DCB3B0C1B32E4F8');
+    assert.equal(device.name, 'E45F0149AE290000');
+    assert.equal(device.setupDiscriminator, '3840');
+    assert.equal(device.vendorId, '65521');
+    assert.equal(device.productId, '32768');
+    assert.deepEqual(device.addresses, ['192.168.0.20']);
+    assert.equal(device.port, '5540');
+    assert.deepEqual(ctx.backend.calls(), [['discover', 'commissionables']]);
+});
+
+test('여러 디바이스와 Instance Name이 없는 디바이스의 검색 식별자', async () => {
+    ctx.backend.add({
+        command: ['discover', 'commissionables'],
+        stdout: discoveryLines([
+            { instanceName: 'AAAA000011112222', discriminator: 1234 },
+            { instanceName: null, discriminator: 250, vendorId: 4447, productId: 1 }
+        ])
+    });
+
+    const { body } = await ctx.request('GET', '/api/device/search');
+
+    assert.equal(body.devices.length, 2);
+    assert.equal(body.devices[0].discoveryId, 'AAAA000011112222');
+    assert.equal(body.devices[0].setupDiscriminator, '1234');
+    // Instance Name이 없으면 Discriminator/VID/PID 조합 사용
+    assert.equal(body.devices[1].discoveryId, 'd250-4447-1');
+});
+
+test('검색 결과가 없으면 빈 목록 반환', async () => {
+    ctx.backend.add({ command: ['discover', 'commissionables'], stdout: ['[DIS] Discovery timed out'] });
+
+    const { status, body } = await ctx.request('GET', '/api/device/search');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.devices, []);
+    assert.equal(body.message, '검색된 디바이스가 없습니다.');
+});
+
+test('발견된 디바이스 목록에 커미셔닝 상태 병합', async () => {
+    await ctx.request('POST', '/api/discovery/scan');
+    const { status, body } = await ctx.request('GET', '/api/discovery/list');
+
+    assert.equal(status, 200);
+    assert.equal(body.devices.length, 1);
+    assert.equal(body.devices[0].discoveryId, '8DCB3B0C1B32E4F8');
+    assert.equal(body.devices[0].status, 'discovered');
+});
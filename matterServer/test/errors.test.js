@@ -0,0 +1,209 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { commissioningLines } = require('../chipToolSimulator');
+const { ERROR_CATALOG, classifyMatterError, errorHttpStatus } = require('../matterErrors');
+const { createChipToolBackend } = require('../chipToolBackend');
+
+const READ_ON_OFF = '/api/devices/1/endpoints/1/clusters/onoff/attributes/on-off';
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer({ MATTER_COMMAND_TIMEOUT_MS: '200' });
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+beforeEach(() => {
+    ctx.backend.reset();
+});
+
+test('CHIP Error 0x00000032는 504 TIMEOUT_ERROR (재시도 가능)', async () => {
+    ctx.backend.add({ command: ['onoff', 'read'], chipError: '0x00000032' });
+
+    const { status, body } = await ctx.request('GET', READ_ON_OFF);
+
+    assert.equal(status, 504);
+    assert.equal(body.code, 'TIMEOUT_ERROR');
+    assert.equal(body.retryable, true);
+    assert.ok(body.hint);
+});
+
+test('카탈로그에 없는 CHIP Error는 MATTER_SDK_ERROR와 에러 코드 반환', async () => {
+    ctx.backend.add({ command: ['onoff', 'read'], chipError: '0x00000099' });
+
+    const { status, body } = await ctx.request('GET', READ_ON_OFF);
+
+    assert.equal(status, 502);
+    assert.equal(body.code, 'MATTER_SDK_ERROR');
+    assert.equal(body.errorCode, '0x00000099');
+    assert.equal(body.retryable, false);
+});
+
+test('응답 없는 명령은 큐 제한 시간 초과로 종료', async () => {
+    ctx.backend.add({ command: ['onoff', 'read'], hang: true });
+
+    const { status, body } = await ctx.request('GET', READ_ON_OFF);
+
+    assert.equal(status, 504);
+    assert.equal(body.code, 'TIMEOUT_ERROR');
+    const queue = await ctx.request('GET', '/api/queue');
+    assert.deepEqual(queue.body.queue.running, []);
+});
+
+test('stderr만 있는 실패는 MATTER_SDK_ERROR 메시지에 포함', async () => {
+    ctx.backend.add({ command: ['onoff', 'read'], stderr: ['Segmentation fault'], exitCode: 139 });
+
+    const { status, body } = await ctx.request('GET', READ_ON_OFF);
+
+    assert.equal(status, 502);
+    assert.equal(body.code, 'MATTER_SDK_ERROR');
+    assert.match(body.message, /Segmentation fault/);
+});
+
+test('디바이스가 거부한 상태는 Interaction Model 상태별 오류 코드 / HTTP 상태', async () => {
+    ctx.backend.add({
+        command: ['onoff', 'read'],
+        stdout: ['[DMG] Endpoint = 0x1,', '[DMG] Cluster = 0x6,', '[DMG] Attribute = 0x0000_0000,', '[DMG] status = 0x7e (UNSUPPORTED_ACCESS)'],
+        exitCode: 1
+    });
+
+    const { status, body } = await ctx.request('GET', READ_ON_OFF);
+
+    assert.equal(status, 403);
+    assert.equal(body.code, 'UNSUPPORTED_ACCESS');
+    assert.equal(body.response.status, 'UNSUPPORTED_ACCESS');
+});
+
+test('PASE 무결성 검사 실패는 INVALID_PAIRING_CODE', async () => {
+    ctx.backend.add({
+        command: ['pairing'],
+        stdout: ['[SC] Failed to verify peer\'s MAC. This can happen when setup code is incorrect.', '[SC] Integrity check failed'],
+        chipError: '0x00000003'
+    });
+
+    const { body } = await ctx.request('POST', '/api/device/pair', { pairingMethod: 'manual', pairingCode: '34970112332', ssid: 'home-ap', password: 'secret-password' });
+    const job = await ctx.waitForJob(body.jobId);
+
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error.code, 'INVALID_PAIRING_CODE');
+});
+
+test('알 수 없는 chip-tool 명령은 MATTER_SDK_ERROR', async () => {
+    ctx.backend.load([]);
+
+    const { status, body } = await ctx.request('POST', '/api/devices/1/endpoints/1/onoff/on');
+
+    assert.equal(status, 502);
+    assert.equal(body.code, 'MATTER_SDK_ERROR');
+    assert.match(body.message, /Unknown command/);
+});
+
+// Wi-Fi 커미셔닝 작업을 실행하고 실패한 작업 반환
+const failCommissioning = async (fixture, headers) => {
+    ctx.backend.add({ command: ['pairing'], ...fixture });
+    const { body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'manual',
+        pairingCode: '34970112332',
+        ssid: 'home-ap',
+        password: 'secret-password'
+    }, headers);
+    const job = await ctx.waitForJob(body.jobId);
+    assert.equal(job.status, 'failed');
+    return job;
+};
+
+test('커미셔닝 실패 출력 분류: 인증서 검증 / NOC / 네트워크 커미셔닝 상태', async () => {
+    const attestation = await failCommissioning({
+        stdout: [
+            ...commissioningLines({ failAt: 'AttestationVerification' }),
+            "[CTL] Failed in verifying 'Attestation Information' command received from the device: err 101"
+        ],
+        chipError: '0x000000AC'
+    });
+    assert.equal(attestation.error.code, 'ATTESTATION_FAILED');
+    assert.equal(attestation.error.retryable, false);
+    assert.equal(attestation.error.commissioningStep, 'AttestationVerification');
+    assert.equal(attestation.error.errorCode, '0x000000AC');
+
+    const tableFull = await failCommissioning({
+        stdout: [...commissioningLines({ failAt: 'SendNOC' }), '[CTL] Device returned status 5 on receiving the NOC'],
+        chipError: '0x000000AC'
+    });
+    assert.equal(tableFull.error.code, 'NOC_TABLE_FULL');
+
+    const notFound = await failCommissioning({
+        stdout: [...commissioningLines({ failAt: 'WiFiNetworkEnable' }), '[TOO]   ConnectNetworkResponse: {', '[TOO]     networkingStatus: 5'],
+        chipError: '0x00000003'
+    });
+    assert.equal(notFound.error.code, 'NETWORK_NOT_FOUND');
+    assert.equal(notFound.error.retryable, true);
+
+    const authFailure = await failCommissioning({
+        stdout: [...commissioningLines({ failAt: 'WiFiNetworkEnable' }), '[CTL] NetworkingStatus = kAuthFailure'],
+        chipError: '0x00000003'
+    });
+    assert.equal(authFailure.error.code, 'NETWORK_AUTH_FAILURE');
+
+    // 원인을 특정할 수 없는 단계 실패는 CHIP Error 코드로 분류, 실패 단계는 함께 반환
+    const stage = await failCommissioning({ stdout: commissioningLines({ failAt: 'ReadCommissioningInfo' }), chipError: '0x00000003' });
+    assert.equal(stage.error.code, 'INCORRECT_STATE');
+    assert.equal(stage.error.commissioningStep, 'ReadCommissioningInfo');
+});
+
+test('UNSUPPORTED_ATTRIBUTE는 404', async () => {
+    ctx.backend.add({
+        command: ['onoff', 'read'],
+        stdout: ['[DMG] Endpoint = 0x1,', '[DMG] Cluster = 0x6,', '[DMG] Attribute = 0x0000_0000,', '[DMG] status = 0x86 (UNSUPPORTED_ATTRIBUTE)'],
+        exitCode: 1
+    });
+
+    const { status, body } = await ctx.request('GET', READ_ON_OFF);
+
+    assert.equal(status, 404);
+    assert.equal(body.code, 'UNSUPPORTED_ATTRIBUTE');
+    assert.equal(body.retryable, false);
+});
+
+test('Accept-Language에 따라 한국어 / 영어 메시지', async () => {
+    ctx.backend.add({ command: ['onoff', 'read'], chipError: '0x00000032' });
+
+    const english = await fetch(`${ctx.baseUrl}${READ_ON_OFF}`, { headers: { 'Accept-Language': 'en-US,en;q=0.9,ko;q=0.5' } });
+    const englishBody = await english.json();
+    assert.equal(english.headers.get('content-language'), 'en');
+    assert.equal(englishBody.message, ERROR_CATALOG.TIMEOUT_ERROR.message.en);
+    assert.equal(englishBody.hint, ERROR_CATALOG.TIMEOUT_ERROR.hint.en);
+
+    const korean = await ctx.request('GET', READ_ON_OFF, undefined, { 'Accept-Language': 'fr-FR' });
+    assert.equal(korean.body.message, ERROR_CATALOG.TIMEOUT_ERROR.message.ko);
+
+    // 커미셔닝 작업 오류는 작업을 시작한 요청의 언어 사용
+    const job = await failCommissioning({ stdout: ['[SC] Integrity check failed'], chipError: '0x00000003' }, { 'Accept-Language': 'en' });
+    assert.equal(job.error.message, ERROR_CATALOG.INVALID_PAIRING_CODE.message.en);
+});
+
+test('카탈로그 항목은 HTTP 상태, 재시도 여부, 한국어 / 영어 메시지와 조치 안내를 포함', () => {
+    Object.entries(ERROR_CATALOG).forEach(([code, item]) => {
+        assert.ok(item.httpStatus >= 400 && item.httpStatus < 600, code);
+        assert.equal(typeof item.retryable, 'boolean', code);
+        ['ko', 'en'].forEach((language) => {
+            assert.ok(item.message[language], `${code} message.${language}`);
+            assert.ok(item.hint[language], `${code} hint.${language}`);
+        });
+    });
+});
+
+test('chip-tool 실행 파일이 없으면 COMMAND_NOT_FOUND (503)', async () => {
+    const backend = createChipToolBackend({ chipToolPath: '/nonexistent/chip-tool', cwd: '/', logToFile: () => {} });
+
+    const error = await backend.run(['onoff', 'read', 'on-off', '1', '1']).catch(reason => reason);
+    assert.equal(error.code, 'ENOENT');
+    assert.equal(classifyMatterError(error).code, 'COMMAND_NOT_FOUND');
+    assert.equal(errorHttpStatus('COMMAND_NOT_FOUND'), 503);
+
+    assert.throws(() => backend.startInteractive(['interactive', 'start'], { onOutput: () => {}, onClose: () => {} }),
+        reason => reason.code === 'ENOENT' && classifyMatterError(reason).code === 'COMMAND_NOT_FOUND');
+});
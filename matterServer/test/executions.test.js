@@ -0,0 +1,90 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+beforeEach(() => {
+    ctx.backend.reset();
+});
+
+test('실패한 페어링의 실행 기록: 마스킹된 인자, 전체 출력, 요청 ID', async () => {
+    ctx.backend.add({
+        command: ['pairing', 'code-wifi'],
+        stdout: ['[CTL] Starting commissioning', '[CTL] Setup code: 34970112332'],
+        stderr: ['[DMG] Commissioning failed'],
+        chipError: '0x00000032',
+        exitCode: 1
+    });
+
+    const response = await fetch(`${ctx.baseUrl}/api/device/pair`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Request-Id': 'pair-trace-1' },
+        body: JSON.stringify({ pairingMethod: 'manual', pairingCode: '34970112332', ssid: 'home-ap', password: 'secret-password' })
+    });
+    const body = await response.json();
+    const job = await ctx.waitForJob(body.jobId);
+
+    assert.equal(job.status, 'failed');
+    assert.match(job.error.executionId, /^[0-9a-f-]{36}$/);
+
+    const { status, body: result } = await ctx.request('GET', `/api/executions/${job.error.executionId}`);
+    assert.equal(status, 200);
+    const { execution } = result;
+    assert.equal(execution.id, job.error.executionId);
+    assert.equal(execution.status, 'failed');
+    assert.equal(execution.requestId, 'pair-trace-1');
+    assert.equal(execution.nodeId, String(body.nodeId));
+    assert.equal(execution.exitCode, 1);
+    assert.deepEqual(execution.args.slice(0, 6), ['pairing', 'code-wifi', String(body.nodeId), 'home-ap', '***', '***']);
+    assert.ok(execution.stdout.includes('Starting commissioning'));
+    assert.ok(execution.stdout.includes('Setup code: ***'));
+    assert.ok(execution.stderr.includes('Commissioning failed'));
+    assert.equal(typeof execution.durationMs, 'number');
+    assert.ok(!JSON.stringify(execution).includes('secret-password'));
+    assert.ok(!JSON.stringify(execution).includes('34970112332'));
+});
+
+test('오류 응답에 실행 ID 포함', async () => {
+    ctx.backend.add({ command: ['operationalcredentials', 'read', 'fabrics'], stderr: ['boom'], exitCode: 2 });
+
+    const { status, body } = await ctx.request('GET', '/api/devices/1/fabrics');
+    assert.equal(status, 502);
+    assert.match(body.executionId, /^[0-9a-f-]{36}$/);
+
+    const { body: result } = await ctx.request('GET', `/api/executions/${body.executionId}`);
+    assert.equal(result.execution.status, 'failed');
+    assert.equal(result.execution.exitCode, 2);
+    assert.deepEqual(result.execution.args, ['operationalcredentials', 'read', 'fabrics', '1', '0', '--fabric-filtered', '0']);
+    assert.ok(result.execution.stderr.includes('boom'));
+});
+
+test('성공한 실행 기록과 존재하지 않는 실행 ID', async () => {
+    const response = await fetch(`${ctx.baseUrl}/api/devices/1/fabrics`, { headers: { 'X-Request-Id': 'fabrics-trace' } });
+    assert.equal(response.status, 200);
+    await response.json();
+
+    const logs = await ctx.request('GET', `/api/logs?type=QUEUE&q=${encodeURIComponent('실행 완료')}&limit=1000`);
+    // Fabrics와 CurrentFabricIndex 두 번 실행
+    const queued = logs.body.logs.filter(record => record.requestId === 'fabrics-trace' && record.message.includes('operationalcredentials read'));
+    assert.equal(queued.length, 2);
+
+    const { body } = await ctx.request('GET', `/api/executions/${queued[0].commandId}`);
+    assert.equal(body.execution.status, 'succeeded');
+    assert.equal(body.execution.exitCode, 0);
+    assert.equal(body.execution.requestId, 'fabrics-trace');
+    assert.ok(body.execution.stdout.length > 0);
+
+    const missing = await ctx.request('GET', '/api/executions/00000000-0000-0000-0000-000000000000');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'EXECUTION_NOT_FOUND');
+    assert.equal((await ctx.request('GET', '/api/executions/..%2F..%2Fetc')).status, 404);
+});
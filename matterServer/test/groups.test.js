@@ -0,0 +1,209 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { groupResponseLines } = require('../chipToolSimulator');
+
+const EPOCH_KEY = '000102030405060708090a0b0c0d0e0f';
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+beforeEach(() => {
+    ctx.backend.reset();
+});
+
+// 커미셔닝 완료된 디바이스 준비
+const commissionDevice = async () => {
+    const { body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'manual',
+        pairingCode: '34970112332',
+        ssid: 'home-ap',
+        password: 'secret-password'
+    });
+    await ctx.waitForJob(body.jobId);
+    ctx.backend.reset();
+    return body.nodeId;
+};
+
+// 키셋과 그룹 준비
+const createGroup = async (groupId, keySetId) => {
+    await ctx.request('POST', '/api/groups/keysets', { keySetId, epochKey: EPOCH_KEY });
+    const { body } = await ctx.request('POST', '/api/groups', { groupId, name: `room-${groupId}`, keySetId });
+    ctx.backend.reset();
+    return body.group;
+};
+
+test('키셋 / 그룹 생성: chip-tool groupsettings 등록, 에폭 키는 응답에 노출하지 않음', async () => {
+    const keySet = await ctx.request('POST', '/api/groups/keysets', { keySetId: 42, epochKey: EPOCH_KEY });
+    assert.equal(keySet.status, 201);
+    assert.deepEqual(ctx.backend.calls(), [['groupsettings', 'add-keysets', '42', '0', '2220000', `hex:${EPOCH_KEY}`]]);
+    assert.ok(!JSON.stringify(keySet.body).includes(EPOCH_KEY));
+
+    // 에폭 키를 지정하지 않으면 생성
+    ctx.backend.reset();
+    const generated = await ctx.request('POST', '/api/groups/keysets', { keySetId: 43, securityPolicy: 'cache-and-sync' });
+    assert.equal(generated.status, 201);
+    assert.equal(generated.body.keySet.securityPolicy, 'cache-and-sync');
+    assert.match(ctx.backend.calls()[0][5], /^hex:[0-9a-f]{32}$/);
+
+    const keySets = await ctx.request('GET', '/api/groups/keysets');
+    assert.deepEqual(keySets.body.keySets.map(item => item.keySetId), [42, 43]);
+    assert.ok(keySets.body.keySets.every(item => !('epochKey' in item)));
+
+    ctx.backend.reset();
+    const group = await ctx.request('POST', '/api/groups', { groupId: 257, name: 'living-room', keySetId: 42 });
+    assert.equal(group.status, 201);
+    assert.deepEqual(group.body.group.members, []);
+    assert.deepEqual(ctx.backend.calls(), [
+        ['groupsettings', 'add-group', 'living-room', '257'],
+        ['groupsettings', 'bind-keyset', '257', '42']
+    ]);
+
+    const conflicts = [
+        ['/api/groups/keysets', { keySetId: 42 }, 'KEY_SET_EXISTS'],
+        ['/api/groups', { groupId: 257, name: 'again', keySetId: 42 }, 'GROUP_EXISTS']
+    ];
+    for (const [url, payload, code] of conflicts) {
+        const { status, body } = await ctx.request('POST', url, payload);
+        assert.equal(status, 409);
+        assert.equal(body.code, code);
+    }
+    const inUse = await ctx.request('DELETE', '/api/groups/keysets/42');
+    assert.equal(inUse.status, 409);
+    assert.equal(inUse.body.code, 'KEY_SET_IN_USE');
+});
+
+test('그룹 멤버 추가: 키셋 쓰기, AddGroup, GroupKeyMap / 그룹 ACL 갱신', async () => {
+    const nodeId = await commissionDevice();
+    await createGroup(258, 44);
+
+    const { status, body } = await ctx.request('POST', '/api/groups/258/members', { nodeId, endpoint: 1 });
+
+    assert.equal(status, 201);
+    assert.deepEqual(body.group.members.map(({ nodeId: id, endpoint }) => [id, endpoint]), [[nodeId, 1]]);
+
+    const calls = ctx.backend.calls();
+    assert.deepEqual(calls.map(args => args.slice(0, 3)), [
+        ['groupkeymanagement', 'key-set-write', calls[0][2]],
+        ['groups', 'add-group', '258'],
+        ['operationalcredentials', 'read', 'current-fabric-index'],
+        ['groupkeymanagement', 'write', 'group-key-map'],
+        ['accesscontrol', 'read', 'acl'],
+        ['accesscontrol', 'write', 'acl']
+    ]);
+    assert.equal(JSON.parse(calls[0][2]).groupKeySetID, 44);
+    assert.deepEqual(calls[1], ['groups', 'add-group', '258', 'room-258', nodeId, '1']);
+    assert.deepEqual(JSON.parse(calls[3][3]), [{ groupId: 258, groupKeySetID: 44, fabricIndex: 1 }]);
+
+    // 관리자 항목은 유지하고 그룹 Operate 항목 추가
+    const acl = JSON.parse(calls[5][3]);
+    assert.deepEqual(acl, [
+        { privilege: 5, authMode: 2, subjects: [112233], targets: null, fabricIndex: 1 },
+        { fabricIndex: 1, privilege: 3, authMode: 3, subjects: [258], targets: null }
+    ]);
+
+    const group = await ctx.request('GET', '/api/groups/258');
+    assert.equal(group.body.group.members.length, 1);
+
+    // 멤버가 있는 그룹은 삭제 불가
+    const notEmpty = await ctx.request('DELETE', '/api/groups/258');
+    assert.equal(notEmpty.status, 409);
+    assert.equal(notEmpty.body.code, 'GROUP_NOT_EMPTY');
+});
+
+test('그룹 커맨드: 이름 기반은 그룹캐스트 대상 ID, ID 기반은 command-by-group', async () => {
+    const nodeId = await commissionDevice();
+    await createGroup(0x0101, 45);
+    await ctx.request('POST', '/api/groups/257/members', { nodeId, endpoint: 1 });
+    ctx.backend.reset();
+
+    const named = await ctx.request('POST', '/api/groups/257/commands/onoff/on', {});
+    assert.equal(named.status, 200);
+    assert.equal(named.body.members, 1);
+    assert.deepEqual(ctx.backend.calls(), [['onoff', 'on', '0xFFFFFFFFFFFF0101', '1']]);
+
+    ctx.backend.reset();
+    const byId = await ctx.request('POST', '/api/groups/257/commands/0x0008/0', { args: { 0: 128, 1: 0 } });
+    assert.equal(byId.status, 200);
+    assert.deepEqual(ctx.backend.calls(), [['any', 'command-by-group', '8', '0', '{"0":128,"1":0}', '257']]);
+
+    const unknown = await ctx.request('POST', '/api/groups/999/commands/onoff/on', {});
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.code, 'GROUP_NOT_FOUND');
+
+    const mixed = await ctx.request('POST', '/api/groups/257/commands/onoff/0', {});
+    assert.equal(mixed.status, 400);
+});
+
+test('그룹 멤버 제거 후 그룹 / 키셋 삭제', async () => {
+    const nodeId = await commissionDevice();
+    await createGroup(259, 46);
+    await ctx.request('POST', '/api/groups/259/members', { nodeId, endpoint: 1 });
+    ctx.backend.reset();
+
+    const removed = await ctx.request('DELETE', `/api/groups/259/members/${nodeId}/1`);
+    assert.equal(removed.status, 200);
+    assert.deepEqual(removed.body.group.members, []);
+
+    const calls = ctx.backend.calls();
+    assert.deepEqual(calls[0], ['groups', 'remove-group', '259', nodeId, '1']);
+    // 남은 그룹이 없으면 GroupKeyMap을 비우고 그룹 ACL 항목 제거
+    assert.deepEqual(JSON.parse(calls.find(args => args[2] === 'group-key-map')[3]), []);
+    assert.ok(JSON.parse(calls.find(args => args[1] === 'write' && args[2] === 'acl')[3]).every(entry => entry.authMode !== 3));
+
+    const missing = await ctx.request('DELETE', `/api/groups/259/members/${nodeId}/1`);
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'GROUP_MEMBER_NOT_FOUND');
+
+    ctx.backend.reset();
+    assert.equal((await ctx.request('DELETE', '/api/groups/259')).status, 200);
+    assert.equal((await ctx.request('DELETE', '/api/groups/keysets/46')).status, 200);
+    assert.deepEqual(ctx.backend.calls(), [
+        ['groupsettings', 'unbind-keyset', '259', '46'],
+        ['groupsettings', 'remove-group', '259'],
+        ['groupsettings', 'remove-keyset', '46']
+    ]);
+    assert.equal((await ctx.request('GET', '/api/groups/259')).status, 404);
+});
+
+test('AddGroupResponse 실패 상태와 요청 검증', async () => {
+    const nodeId = await commissionDevice();
+    await createGroup(260, 47);
+    // RESOURCE_EXHAUSTED: 디바이스 그룹 테이블이 가득 참
+    ctx.backend.add({ command: ['groups', 'add-group'], stdout: groupResponseLines({ groupId: 260, status: 0x89 }) });
+
+    const full = await ctx.request('POST', '/api/groups/260/members', { nodeId, endpoint: 1 });
+    assert.notEqual(full.status, 200);
+    assert.equal(full.body.response.status, 'RESOURCE_EXHAUSTED');
+    assert.equal(full.body.response.response, 'AddGroupResponse');
+    assert.deepEqual((await ctx.request('GET', '/api/groups/260')).body.group.members, []);
+
+    const invalid = [
+        ['/api/groups', { groupId: 0, name: 'zero', keySetId: 47 }],
+        ['/api/groups', { groupId: 0xFF00, name: 'reserved', keySetId: 47 }],
+        ['/api/groups', { groupId: 300, name: 'a-very-long-group-name', keySetId: 47 }],
+        ['/api/groups/keysets', { keySetId: 0 }],
+        ['/api/groups/keysets', { keySetId: 48, epochKey: 'abcd' }],
+        ['/api/groups/keysets', { keySetId: 48, securityPolicy: 'unknown' }],
+        ['/api/groups/260/members', { nodeId, endpoint: 0 }]
+    ];
+    for (const [url, payload] of invalid) {
+        const { status, body } = await ctx.request('POST', url, payload);
+        assert.equal(status, 400, JSON.stringify(payload));
+        assert.equal(body.code, 'INVALID_PARAMETER');
+    }
+
+    const noKeySet = await ctx.request('POST', '/api/groups', { groupId: 300, name: 'orphan', keySetId: 999 });
+    assert.equal(noKeySet.status, 404);
+    assert.equal(noKeySet.body.code, 'KEY_SET_NOT_FOUND');
+    const noDevice = await ctx.request('POST', '/api/groups/260/members', { nodeId: '987654', endpoint: 1 });
+    assert.equal(noDevice.status, 404);
+    assert.equal(noDevice.body.code, 'DEVICE_NOT_FOUND');
+});
@@ -0,0 +1,75 @@
+// HTTP 테스트 공통 도구: 시뮬레이터 백엔드로 서버 실행
+// node --test는 테스트 파일마다 별도 프로세스로 실행하므로 파일마다 서버 인스턴스가 새로 생성됨
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const startTestServer = async (env = {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'matter-api-test-'));
+    Object.assign(process.env, {
+        MATTER_BACKEND: 'simulator',
+        MATTER_LOG_PATH: path.join(dir, 'logs'),
+        MATTER_LOG_CONSOLE: 'false',
+        MATTER_REGISTRY_PATH: path.join(dir, 'data', 'devices.json'),
+        MATTER_NODE_ID_PATH: path.join(dir, 'data', 'node-ids.json'),
+        MATTER_THREAD_DATASET_PATH: path.join(dir, 'data', 'thread-datasets.json'),
+        MATTER_CHIP_TOOL_STORAGE_DIR: path.join(dir, 'chip-tool'),
+        MATTER_AUDIT_PATH: path.join(dir, 'data', 'audit.log'),
+        MATTER_COMMAND_TIMEOUT_MS: '1000',
+        // 인증을 확인하는 테스트는 'false'와 API 키 / JWT 키를 지정
+        MATTER_AUTH_DISABLED: 'true',
+        MATTER_COMMISSION_RATE_LIMIT: '1000',
+        // 커미셔닝 재시도 대기 시간 단축
+        MATTER_COMMISSION_RETRY_DELAY_MS: '10',
+        ...env
+    });
+
+    const app = require('../server');
+    const server = await new Promise((resolve) => {
+        const instance = app.listen(0, '127.0.0.1', () => resolve(instance));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, url, body, headers = {}) => {
+        const response = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    // 커미셔닝 작업 종료 대기
+    const waitForJob = async (jobId, timeoutMs = 3000) => {
+        const deadline = Date.now() + timeoutMs;
+        while (Date.now() < deadline) {
+            const { body } = await request('GET', `/api/jobs/${jobId}`);
+            if (body.job.status !== 'running') {
+                return body.job;
+            }
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        throw new Error(`작업이 제한 시간 안에 끝나지 않았습니다: ${jobId}`);
+    };
+
+    const close = async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await app.locals.auditLog.flush();
+        await app.locals.logger.flush();
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+
+    return {
+        app,
+        baseUrl,
+        backend: app.locals.matterBackend,
+        request,
+        waitForJob,
+        close
+    };
+};
+
+module.exports = {
+    startTestServer
+};
@@ -0,0 +1,95 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { basicInformationLines, descriptorLines } = require('../chipToolSimulator');
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+beforeEach(() => {
+    ctx.backend.reset();
+});
+
+const commission = async () => {
+    const { body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'manual',
+        pairingCode: '34970112332',
+        ssid: 'home-ap',
+        password: 'secret-password'
+    });
+    const job = await ctx.waitForJob(body.jobId);
+    return { nodeId: body.nodeId, job };
+};
+
+test('커미셔닝 후 자동 인터뷰: BasicInformation과 엔드포인트 기능 모델 저장', async () => {
+    const { nodeId, job } = await commission();
+
+    assert.equal(job.status, 'succeeded');
+    assert.deepEqual(ctx.backend.calls().slice(1), [
+        ['any', 'read-by-id', '0x0028', '0x0001,0x0002,0x0003,0x0004,0x0005,0x0008,0x0009,0x000A,0x000F,0x0012', nodeId, '0'],
+        ['any', 'read-by-id', '0x001D', '0x0000,0x0001,0x0002,0x0003', nodeId, '65535']
+    ]);
+
+    const { status, body } = await ctx.request('GET', `/api/devices/${nodeId}/capabilities`);
+
+    assert.equal(status, 200);
+    assert.equal(body.interview.status, 'completed');
+    assert.equal(body.basicInformation.vendorName, 'TEST_VENDOR');
+    assert.equal(body.basicInformation.productId, 32768);
+    assert.equal(body.basicInformation.softwareVersionString, '1.0.0');
+    assert.deepEqual(body.deviceTypes, ['Extended Color Light']);
+    assert.deepEqual(body.endpoints.map(endpoint => endpoint.endpoint), [0, 1]);
+    assert.deepEqual(body.endpoints[0].deviceTypes, [{ id: 0x0016, name: 'Root Node', revision: 1 }]);
+    assert.deepEqual(body.endpoints[0].parts, [1]);
+    assert.deepEqual(body.endpoints[1].serverClusters.find(cluster => cluster.id === 0x0006), { id: 0x0006, name: 'onoff' });
+});
+
+test('인터뷰 다시 실행: 알 수 없는 디바이스 타입과 클러스터는 ID로 표시', async () => {
+    const { nodeId } = await commission();
+    ctx.backend.add(
+        { command: ['any', 'read-by-id', '0x0028'], stdout: basicInformationLines({ productName: 'Smart Thermostat', serialNumber: '12345' }) },
+        {
+            command: ['any', 'read-by-id', '0x001D'],
+            stdout: descriptorLines([
+                { endpoint: 0, deviceTypes: [0x0016], partsList: [1, 2] },
+                { endpoint: 1, deviceTypes: [0x0301], serverList: [0x0201, 0xFC00] },
+                { endpoint: 2, deviceTypes: [0xFFF1] }
+            ])
+        }
+    );
+
+    const { status, body } = await ctx.request('POST', `/api/devices/${nodeId}/interview`);
+
+    assert.equal(status, 200);
+    assert.equal(body.basicInformation.productName, 'Smart Thermostat');
+    assert.equal(body.basicInformation.serialNumber, '12345');
+    assert.deepEqual(body.deviceTypes, ['Thermostat', '0xFFF1']);
+    assert.deepEqual(body.endpoints[1].serverClusters, [{ id: 0x0201, name: 'thermostat' }, { id: 0xFC00, name: null }]);
+
+    const device = await ctx.request('GET', `/api/devices/${nodeId}`);
+    assert.equal(device.body.device.basicInformation.productName, 'Smart Thermostat');
+});
+
+test('인터뷰 실패는 커미셔닝을 실패시키지 않고 상태만 기록', async () => {
+    ctx.backend.add({ command: ['any', 'read-by-id'], chipError: '0x00000032' });
+
+    const { nodeId, job } = await commission();
+
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.result.interview.status, 'failed');
+    assert.equal(job.result.interview.error.code, 'TIMEOUT_ERROR');
+
+    const { status, body } = await ctx.request('GET', `/api/devices/${nodeId}/capabilities`);
+    assert.equal(status, 404);
+    assert.equal(body.code, 'CAPABILITIES_NOT_FOUND');
+    assert.equal(body.interview.status, 'failed');
+
+    assert.equal((await ctx.request('GET', '/api/devices/424242/capabilities')).status, 404);
+});
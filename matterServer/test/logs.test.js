@@ -0,0 +1,266 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer } = require('./helpers');
+const { commissioningWindowLines } = require('../chipToolSimulator');
+
+// 테스트용 Active Operational Dataset (Network Key 00112233445566778899aabbccddeeff)
+const DATASET = '0e080000000000010000000300000f35060004001fffe00208dead00beef00cafe0708fd000db800000000' +
+    '051000112233445566778899aabbccddeeff030f4f70656e5468726561642d31323334010212340410a0b1c2d3e4f5a6b7' +
+    'c8d9e0f1a2b3c4d50c0402a0f7f8';
+
+let ctx;
+
+before(async () => {
+    // 작은 파일 크기로 로그 순환 확인
+    ctx = await startTestServer({ MATTER_LOG_MAX_FILE_SIZE: '16384', MATTER_LOG_RETENTION_DAYS: '7' });
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+beforeEach(() => {
+    ctx.backend.reset();
+});
+
+// 필터와 일치하는 오늘 로그 레코드 전체 (커서로 모든 페이지 조회)
+const queryLogs = async (query = '') => {
+    const records = [];
+    let cursor = null;
+    do {
+        const { status, body } = await ctx.request('GET', `/api/logs?limit=1000${query}${cursor ? `&cursor=${cursor}` : ''}`);
+        assert.equal(status, 200, JSON.stringify(body));
+        records.push(...body.logs);
+        cursor = body.nextCursor;
+    } while (cursor);
+    return records;
+};
+
+const readLogs = async () => (await queryLogs()).map(record => record.message).join('\n');
+
+test('chip-tool 인자의 Wi-Fi 비밀번호와 페어링 코드는 로그에 기록되지 않음', async () => {
+    const { body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'manual',
+        pairingCode: '34970112332',
+        ssid: 'home-ap',
+        password: 'secret-password'
+    });
+    await ctx.waitForJob(body.jobId);
+
+    const logs = await readLogs();
+    assert.ok(logs.includes(`pairing code-wifi ${body.nodeId} home-ap *** ***`));
+    assert.ok(!logs.includes('secret-password'));
+    assert.ok(!logs.includes('34970112332'));
+});
+
+test('공백이 포함된 SSID / 비밀번호도 로그와 실패 메시지에서 마스킹 위치 유지', async () => {
+    ctx.backend.add({ command: ['pairing', 'code-wifi'], chipError: '0x00000032' });
+    const wifi = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'manual',
+        pairingCode: '34970112332',
+        ssid: 'my ssid',
+        password: 'correct horse battery staple'
+    });
+    const job = await ctx.waitForJob(wifi.body.jobId);
+    assert.equal(job.status, 'failed');
+
+    const ble = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'ble',
+        discriminator: 3840,
+        passcode: 20202021,
+        ssid: 'my ssid',
+        password: 'correct horse battery staple'
+    });
+    await ctx.waitForJob(ble.body.jobId);
+
+    const logs = await readLogs();
+    assert.ok(logs.includes('Command failed: '));
+    for (const secret of ['horse', 'battery', 'staple', '34970112332', '20202021']) {
+        assert.ok(!logs.includes(secret), secret);
+    }
+});
+
+test('Thread Dataset과 BLE Passcode 마스킹', async () => {
+    const { body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'ble',
+        networkType: 'thread',
+        discriminator: 3840,
+        passcode: 20202021,
+        dataset: DATASET
+    });
+    await ctx.waitForJob(body.jobId);
+
+    const logs = await readLogs();
+    assert.ok(logs.includes(`pairing ble-thread ${body.nodeId} *** *** 3840`));
+    assert.ok(!logs.includes('00112233445566778899aabbccddeeff'));
+    assert.ok(!logs.includes('20202021'));
+});
+
+test('chip-tool 출력의 새 온보딩 코드와 인증서 마스킹', async () => {
+    ctx.backend.add({
+        command: ['pairing', 'open-commissioning-window'],
+        stdout: [
+            ...commissioningWindowLines({ manualPairingCode: '36177160937', qrCode: 'MT:-24J0AFN00I40648G00' }),
+            '[TOO]       NOC: 1530010101240201370324130118260480228127'
+        ]
+    });
+    const { body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'onnetwork',
+        passcode: 20202021
+    });
+    await ctx.waitForJob(body.jobId);
+
+    const window = await ctx.request('POST', `/api/devices/${body.nodeId}/commissioning-window`, {});
+    assert.equal(window.body.manualPairingCode, '36177160937');
+
+    const logs = await readLogs();
+    assert.ok(logs.includes('Manual pairing code: ***'));
+    assert.ok(!logs.includes('36177160937'));
+    assert.ok(!logs.includes('MT:-24J0AFN00I40648G00'));
+    assert.ok(!logs.includes('1530010101240201370324130118'));
+});
+
+test('마스킹 이전에 기록된 로그도 조회 시 마스킹', async () => {
+    const logFile = path.join(process.env.MATTER_LOG_PATH, `matter_${new Date().toISOString().split('T')[0]}.log`);
+    fs.appendFileSync(logFile, '[2024-01-01T00:00:00.000Z] [COMMAND] 실행: chip-tool pairing code-wifi 9 office old-password MT:-24J0AFN00KA0648G00\n');
+
+    const logs = await readLogs();
+    assert.ok(logs.includes('pairing code-wifi 9 office *** ***'));
+    assert.ok(!logs.includes('old-password'));
+});
+
+test('Manual Pairing Code는 필드 이름 / 명령 인자 위치에서만 마스킹 (다른 숫자는 유지)', async () => {
+    const logFile = path.join(process.env.MATTER_LOG_PATH, `matter_${new Date().toISOString().split('T')[0]}.log`);
+    fs.appendFileSync(logFile, [
+        '[2024-01-01T00:00:00.000Z] [DEBUG] 이벤트 번호 34970112332, Manual pairing code: [36177160937]',
+        '[2024-01-01T00:00:00.000Z] [DEBUG] 요청 본문: {"pairingCode":"3497-011-2332","nodeId":"12345678901"}',
+        '[2024-01-01T00:00:00.000Z] [COMMAND] 실행: chip-tool pairing code 12345678901 34970112332',
+        ''
+    ].join('\n'));
+
+    const logs = await readLogs();
+    assert.ok(logs.includes('이벤트 번호 34970112332, Manual pairing code: ***'));
+    assert.ok(logs.includes('{"pairingCode":"***","nodeId":"12345678901"}'));
+    assert.ok(logs.includes('pairing code 12345678901 ***'));
+    assert.ok(!logs.includes('36177160937'));
+    assert.ok(!logs.includes('3497-011-2332'));
+});
+
+test('요청 URL의 access_token 쿼리 마스킹', async () => {
+    const logFile = path.join(process.env.MATTER_LOG_PATH, `matter_${new Date().toISOString().split('T')[0]}.log`);
+    fs.appendFileSync(logFile, '[2024-01-01T00:00:00.000Z] [INFO] 요청: GET /api/events/stream?nodeId=5&access_token=eyJhbGciOiJIUzI1NiJ9.e30.c2lnbmF0dXJl\n');
+
+    const logs = await readLogs();
+    assert.ok(logs.includes('/api/events/stream?nodeId=5&access_token=***'));
+    assert.ok(!logs.includes('eyJhbGciOiJIUzI1NiJ9'));
+});
+
+test('로그 파일에는 JSON 레코드로 마스킹된 값만 기록', async () => {
+    await queryLogs();
+    const files = fs.readdirSync(process.env.MATTER_LOG_PATH).filter(name => name.endsWith('.log'));
+    const content = files.map(name => fs.readFileSync(path.join(process.env.MATTER_LOG_PATH, name), 'utf8')).join('');
+
+    assert.ok(!content.includes('secret-password'));
+    const record = JSON.parse(content.split('\n').find(line => line.startsWith('{')));
+    assert.ok(record.timestamp);
+    assert.ok(record.level);
+    assert.ok(record.type);
+});
+
+test('레벨 / 타입 / nodeId / 검색어 / 시간 범위 필터', async () => {
+    const { body } = await ctx.request('POST', '/api/device/pair', { pairingMethod: 'onnetwork', passcode: 20202021 });
+    await ctx.waitForJob(body.jobId);
+    await ctx.request('GET', `/api/devices/${body.nodeId}/fabrics`);
+    ctx.backend.add({ command: ['operationalcredentials', 'read', 'fabrics'], chipError: '0x00000032' });
+    await ctx.request('GET', `/api/devices/${body.nodeId}/fabrics`);
+
+    const errors = await queryLogs('&level=error');
+    assert.ok(errors.length > 0);
+    assert.ok(errors.every(record => record.level === 'error'));
+
+    const queue = await queryLogs('&type=queue');
+    assert.ok(queue.length > 0);
+    assert.ok(queue.every(record => record.type === 'QUEUE' && record.commandId));
+    const finished = queue.find(record => record.message.startsWith('실행 완료'));
+    assert.equal(typeof finished.durationMs, 'number');
+
+    const node = await queryLogs(`&nodeId=${body.nodeId}`);
+    assert.ok(node.some(record => record.message.includes('operationalcredentials read fabrics')));
+    assert.ok(node.every(record => record.nodeId === body.nodeId));
+
+    const search = await queryLogs('&q=ONNETWORK');
+    assert.ok(search.length > 0);
+    assert.ok(search.every(record => record.message.toLowerCase().includes('onnetwork')));
+
+    assert.deepEqual(await queryLogs('&since=2999-01-01T00:00:00Z'), []);
+
+    const invalid = await ctx.request('GET', '/api/logs?level=verbose');
+    assert.equal(invalid.status, 400);
+    assert.equal((await ctx.request('GET', '/api/logs?since=yesterday')).status, 400);
+    assert.equal((await ctx.request('GET', '/api/logs?cursor=invalid')).status, 400);
+    assert.equal((await ctx.request('GET', '/api/logs?date=2000-01-01')).status, 404);
+});
+
+test('커서 페이지네이션: 페이지가 겹치지 않고 순서 유지', async () => {
+    const all = await queryLogs();
+    const first = await ctx.request('GET', '/api/logs?limit=5');
+    const second = await ctx.request('GET', `/api/logs?limit=5&cursor=${first.body.nextCursor}`);
+
+    assert.equal(first.body.logs.length, 5);
+    assert.ok(second.body.nextCursor);
+    assert.deepEqual([...first.body.logs, ...second.body.logs], all.slice(0, 10));
+});
+
+test('X-Request-Id가 응답 헤더와 해당 요청의 로그에 기록', async () => {
+    const response = await fetch(`${ctx.baseUrl}/api/devices/1/fabrics`, { headers: { 'X-Request-Id': 'support-trace-42' } });
+    assert.equal(response.headers.get('x-request-id'), 'support-trace-42');
+    await response.json();
+
+    const records = await queryLogs('&q=operationalcredentials read fabrics');
+    const traced = records.filter(record => record.requestId === 'support-trace-42');
+    assert.ok(traced.some(record => record.type === 'COMMAND'));
+    assert.ok(traced.every(record => record.nodeId === '1'));
+
+    const generated = await fetch(`${ctx.baseUrl}/api/queue`, { headers: { 'X-Request-Id': 'bad id <script>' } });
+    assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+});
+
+test('실시간 로그 스트림: 필터와 일치하는 레코드만 전송', async () => {
+    const controller = new AbortController();
+    const response = await fetch(`${ctx.baseUrl}/api/logs/stream?type=COMMAND`, { signal: controller.signal });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    await ctx.request('GET', '/api/devices/1/fabrics');
+
+    let text = '';
+    while (!text.includes('event: log')) {
+        const { value } = await reader.read();
+        text += decoder.decode(value);
+    }
+    controller.abort();
+
+    const record = JSON.parse(text.split('event: log\ndata: ')[1].split('\n')[0]);
+    assert.equal(record.type, 'COMMAND');
+    assert.ok(record.message.includes('operationalcredentials read fabrics'));
+});
+
+test('크기 초과 시 파일 순환, 보존 기간이 지난 파일 삭제', async () => {
+    const oldFile = path.join(process.env.MATTER_LOG_PATH, 'matter_2000-01-01.log');
+    fs.writeFileSync(oldFile, '[2000-01-01T00:00:00.000Z] [INFO] old\n');
+
+    for (let i = 0; i < 10; i++) {
+        await ctx.request('GET', '/api/devices/1/fabrics');
+    }
+    await queryLogs();
+
+    const today = new Date().toISOString().split('T')[0];
+    const files = fs.readdirSync(process.env.MATTER_LOG_PATH);
+    assert.ok(files.filter(name => name.startsWith(`matter_${today}`)).length > 1, files.join(', '));
+    assert.ok(!fs.existsSync(oldFile));
+    files.forEach((name) => {
+        assert.ok(fs.statSync(path.join(process.env.MATTER_LOG_PATH, name)).size <= 16384 + 4096);
+    });
+});
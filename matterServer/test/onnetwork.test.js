@@ -0,0 +1,126 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { discoveryLines } = require('../chipToolSimulator');
+
+// 개발용 테스트 디바이스 코드 (Discriminator 3840, Passcode 20202021)
+const MANUAL_PAIRING_CODE = '34970112332';
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+beforeEach(() => {
+    ctx.backend.reset();
+});
+
+const pairingArgs = async (payload) => {
+    const { status, body } = await ctx.request('POST', '/api/device/pair', { pairingMethod: 'onnetwork', ...payload });
+    assert.equal(status, 202, JSON.stringify(body));
+    const job = await ctx.waitForJob(body.jobId);
+    assert.equal(job.status, 'succeeded');
+    // 커미셔닝 후 인터뷰 명령을 제외한 마지막 pairing 명령
+    return { nodeId: body.nodeId, args: ctx.backend.calls().filter(args => args[0] === 'pairing').at(-1) };
+};
+
+test('onnetwork 방식: 지정한 대상에 따라 chip-tool 명령 선택', async () => {
+    let result = await pairingArgs({ passcode: 20202021 });
+    assert.deepEqual(result.args.slice(0, 4), ['pairing', 'onnetwork', result.nodeId, '20202021']);
+
+    result = await pairingArgs({ passcode: 20202021, discriminator: 3840 });
+    assert.deepEqual(result.args.slice(0, 5), ['pairing', 'onnetwork-long', result.nodeId, '20202021', '3840']);
+
+    // Manual Pairing Code만 지정하면 Short Discriminator(3840 >> 8)로 대상 한정
+    result = await pairingArgs({ pairingCode: MANUAL_PAIRING_CODE });
+    assert.deepEqual(result.args.slice(0, 5), ['pairing', 'onnetwork-short', result.nodeId, '20202021', '15']);
+
+    result = await pairingArgs({ pairingCode: MANUAL_PAIRING_CODE, instanceName: '8DCB3B0C1B32E4F8' });
+    assert.deepEqual(result.args.slice(0, 5), ['pairing', 'onnetwork-instance-name', result.nodeId, '20202021', '8DCB3B0C1B32E4F8']);
+
+    result = await pairingArgs({ passcode: 20202021, address: 'fe80::1%eth0', port: 5540 });
+    assert.deepEqual(result.args.slice(0, 6), ['pairing', 'already-discovered', result.nodeId, '20202021', 'fe80::1%eth0', '5540']);
+
+    const device = await ctx.request('GET', `/api/devices/${result.nodeId}`);
+    assert.equal(device.body.device.network.type, 'onnetwork');
+});
+
+test('검색된 디바이스는 Passcode만으로 setup 커미셔닝', async () => {
+    ctx.backend.add({
+        command: ['discover', 'commissionables'],
+        stdout: discoveryLines([{ addresses: ['fd00::20', '192.168.0.30'], port: 5541 }])
+    });
+    await ctx.request('GET', '/api/device/search');
+    ctx.backend.reset();
+
+    const { status, body } = await ctx.request('POST', '/api/device/setup', {
+        discoveryId: '8DCB3B0C1B32E4F8',
+        passcode: 20202021
+    });
+
+    assert.equal(status, 202);
+    const job = await ctx.waitForJob(body.jobId);
+    assert.equal(job.status, 'succeeded');
+    // IPv4 주소 우선 사용
+    const [args] = ctx.backend.calls();
+    assert.deepEqual(args.slice(0, 6), ['pairing', 'already-discovered', body.nodeId, '20202021', '192.168.0.30', '5541']);
+});
+
+test('discovery 방식은 네트워크 정보가 없으면 검색된 주소로 커미셔닝', async () => {
+    await ctx.request('GET', '/api/device/search');
+    ctx.backend.reset();
+
+    const { body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'discovery',
+        deviceId: '8DCB3B0C1B32E4F8',
+        pairingCode: MANUAL_PAIRING_CODE
+    });
+    await ctx.waitForJob(body.jobId);
+
+    const [args] = ctx.backend.calls();
+    assert.deepEqual(args.slice(0, 6), ['pairing', 'already-discovered', body.nodeId, '20202021', '192.168.0.20', '5540']);
+});
+
+test('온네트워크 커미셔닝 입력 검증', async () => {
+    const cases = [
+        { pairingMethod: 'onnetwork' },
+        { pairingMethod: 'onnetwork', passcode: 12345678 },
+        { pairingMethod: 'onnetwork', passcode: 20202021, address: '192.168.0.300', port: 5540 },
+        { pairingMethod: 'onnetwork', passcode: 20202021, address: '192.168.0.30' },
+        { pairingMethod: 'onnetwork', passcode: 20202021, discriminator: 4096 }
+    ];
+
+    for (const payload of cases) {
+        const { status, body } = await ctx.request('POST', '/api/device/pair', payload);
+        assert.equal(status, 400, JSON.stringify(payload));
+        assert.equal(body.code, 'INVALID_PARAMETER');
+    }
+
+    const setup = await ctx.request('POST', '/api/device/setup', { discoveryId: '8DCB3B0C1B32E4F8' });
+    assert.equal(setup.status, 400);
+    assert.deepEqual(ctx.backend.calls(), []);
+});
+
+test('정수 파라미터는 JSON 정수 또는 10진수 숫자 문자열만 허용', async () => {
+    const values = [true, [20202021], '0x1343BA5', ' 20202021 ', '2.02e7', '+20202021', 20202021.5, {}];
+    for (const passcode of values) {
+        const { status, body } = await ctx.request('POST', '/api/device/pair', { pairingMethod: 'onnetwork', passcode });
+        assert.equal(status, 400, JSON.stringify(passcode));
+        assert.equal(body.code, 'INVALID_PARAMETER');
+    }
+    for (const discriminator of [false, [5], '0x10', ' 12 ', '-1']) {
+        const { status } = await ctx.request('POST', '/api/device/pair', { pairingMethod: 'onnetwork', passcode: 20202021, discriminator });
+        assert.equal(status, 400, JSON.stringify(discriminator));
+    }
+    assert.equal((await ctx.request('GET', '/api/logs?limit=0x10')).status, 400);
+    assert.equal((await ctx.request('GET', '/api/logs?limit=%2012%20')).status, 400);
+
+    // 10진수 문자열은 허용
+    const result = await pairingArgs({ passcode: '20202021', discriminator: '3840' });
+    assert.deepEqual(result.args.slice(0, 5), ['pairing', 'onnetwork-long', result.nodeId, '20202021', '3840']);
+});
@@ -0,0 +1,322 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { commissioningLines } = require('../chipToolSimulator');
+
+// 개발용 테스트 디바이스 코드 (Discriminator 3840, Passcode 20202021)
+const MANUAL_PAIRING_CODE = '34970112332';
+const BLE_QR_CODE = 'MT:Y.K9042C00KA0648G00';
+const ON_NETWORK_QR_CODE = 'MT:-24J0AFN00KA0648G00';
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+beforeEach(() => {
+    ctx.backend.reset();
+});
+
+test('manual 페어링: 작업 접수 후 커미셔닝 완료 및 레지스트리 등록', async () => {
+    const { status, body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'manual',
+        pairingCode: MANUAL_PAIRING_CODE,
+        ssid: 'home-ap',
+        password: 'secret-password'
+    });
+
+    assert.equal(status, 202);
+    assert.equal(body.status, 'accepted');
+    assert.ok(body.jobId);
+
+    const job = await ctx.waitForJob(body.jobId);
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.phase, 'commissioningComplete');
+    assert.ok(job.phases.some(entry => entry.phase === 'deviceAttestation'));
+
+    const [args] = ctx.backend.calls();
+    assert.deepEqual(args.slice(0, 6), ['pairing', 'code-wifi', body.nodeId, 'home-ap', 'secret-password', MANUAL_PAIRING_CODE]);
+
+    const device = await ctx.request('GET', `/api/devices/${body.nodeId}`);
+    assert.equal(device.body.device.status, 'commissioned');
+    assert.equal(device.body.device.network.ssid, 'home-ap');
+    assert.equal(device.body.device.commissioningHistory.at(-1).result, 'success');
+});
+
+test('쉘 특수문자가 포함된 SSID도 하나의 인자로 전달', async () => {
+    const ssid = 'x"; touch /tmp/pwn; "';
+    const { body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'manual',
+        pairingCode: MANUAL_PAIRING_CODE,
+        ssid,
+        password: '$(reboot)password'
+    });
+    await ctx.waitForJob(body.jobId);
+
+    const [args] = ctx.backend.calls();
+    assert.equal(args[3], ssid);
+    assert.equal(args[4], '$(reboot)password');
+});
+
+test('on-network QR 코드는 pairing code 명령 사용', async () => {
+    const { status, body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'qr',
+        qrCode: ON_NETWORK_QR_CODE
+    });
+
+    assert.equal(status, 202);
+    await ctx.waitForJob(body.jobId);
+    const [args] = ctx.backend.calls();
+    assert.deepEqual(args.slice(0, 4), ['pairing', 'code', body.nodeId, ON_NETWORK_QR_CODE]);
+});
+
+test('검색된 디바이스 Wi-Fi 커미셔닝 (setup)', async () => {
+    await ctx.request('GET', '/api/device/search');
+    const { status, body } = await ctx.request('POST', '/api/device/setup', {
+        discoveryId: '8DCB3B0C1B32E4F8',
+        nodeId: '4242',
+        manualPairingCode: MANUAL_PAIRING_CODE,
+        ssid: 'home-ap',
+        password: 'secret-password'
+    });
+
+    assert.equal(status, 202);
+    assert.equal(body.nodeId, '4242');
+    const job = await ctx.waitForJob(body.jobId);
+    assert.equal(job.status, 'succeeded');
+
+    const list = await ctx.request('GET', '/api/discovery/list');
+    assert.equal(list.body.devices[0].status, 'commissioned');
+    assert.equal(list.body.devices[0].nodeId, '4242');
+
+    // 이미 할당된 Node ID는 재사용 불가
+    const conflict = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'manual',
+        pairingCode: MANUAL_PAIRING_CODE,
+        nodeId: '4242',
+        ssid: 'home-ap',
+        password: 'secret-password'
+    });
+    assert.equal(conflict.status, 409);
+    assert.equal(conflict.body.code, 'NODE_ID_CONFLICT');
+});
+
+test('잘못된 입력은 chip-tool 실행 전에 400 응답', async () => {
+    const cases = [
+        [{ pairingMethod: 'manual', pairingCode: '34970112333', ssid: 'home-ap', password: 'secret-password' }, 'INVALID_PAIRING_CODE'],
+        [{ pairingMethod: 'manual', pairingCode: MANUAL_PAIRING_CODE, ssid: 'a'.repeat(33), password: 'secret-password' }, 'INVALID_PARAMETER'],
+        [{ pairingMethod: 'manual', pairingCode: MANUAL_PAIRING_CODE, ssid: 'home-ap', password: 'short' }, 'INVALID_PARAMETER'],
+        [{ pairingMethod: 'qr', qrCode: 'MT:INVALID' }, 'INVALID_QR_CODE'],
+        // BLE 전용 QR 코드는 Wi-Fi 정보 필요
+        [{ pairingMethod: 'qr', qrCode: BLE_QR_CODE }, 'INVALID_PARAMETER'],
+        [{ pairingMethod: 'unknown' }, 'INVALID_PARAMETER']
+    ];
+
+    for (const [payload, code] of cases) {
+        const { status, body } = await ctx.request('POST', '/api/device/pair', payload);
+        assert.equal(status, 400, JSON.stringify(payload));
+        assert.equal(body.code, code);
+    }
+    assert.deepEqual(ctx.backend.calls(), []);
+});
+
+test('setup: Discriminator 불일치 및 허용되지 않은 PAA 경로 거부', async () => {
+    await ctx.request('GET', '/api/device/search');
+    ctx.backend.reset();
+
+    const mismatch = await ctx.request('POST', '/api/device/setup', {
+        discoveryId: '8DCB3B0C1B32E4F8',
+        manualPairingCode: '00000000000',
+        ssid: 'home-ap',
+        password: 'secret-password'
+    });
+    assert.equal(mismatch.status, 400);
+
+    const paa = await ctx.request('POST', '/api/device/setup', {
+        discoveryId: '8DCB3B0C1B32E4F8',
+        manualPairingCode: MANUAL_PAIRING_CODE,
+        ssid: 'home-ap',
+        password: 'secret-password',
+        paaStorePath: '/etc'
+    });
+    assert.equal(paa.status, 400);
+    assert.equal(paa.body.code, 'INVALID_PARAMETER');
+    assert.deepEqual(ctx.backend.calls(), []);
+});
+
+test('검색된 디바이스 커미셔닝(setup) 실패 시 작업 오류와 이력에 비밀번호 / 페어링 코드 미노출', async () => {
+    await ctx.request('GET', '/api/device/search');
+    ctx.backend.add({
+        command: ['pairing', 'code-wifi'],
+        stderr: ['Failed to join network: correct horse battery staple'],
+        exitCode: 1
+    });
+
+    const { body } = await ctx.request('POST', '/api/device/setup', {
+        discoveryId: '8DCB3B0C1B32E4F8',
+        manualPairingCode: MANUAL_PAIRING_CODE,
+        ssid: 'home ap',
+        password: 'correct horse battery staple'
+    });
+    const job = await ctx.waitForJob(body.jobId);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error.code, 'MATTER_SDK_ERROR');
+
+    const jobResponse = await ctx.request('GET', `/api/jobs/${body.jobId}`);
+    const device = await ctx.request('GET', `/api/devices/${body.nodeId}`);
+    assert.equal(device.body.device.commissioningHistory.at(-1).errorCode, 'MATTER_SDK_ERROR');
+    for (const response of [jobResponse.body, device.body]) {
+        const text = JSON.stringify(response);
+        for (const secret of ['horse', 'battery', 'staple', MANUAL_PAIRING_CODE]) {
+            assert.ok(!text.includes(secret), secret);
+        }
+    }
+});
+
+test('커미셔닝 실패 시 실패 단계와 레지스트리 상태 기록', async () => {
+    ctx.backend.add({
+        command: ['pairing'],
+        stdout: commissioningLines({ failAt: 'SendNOC' }),
+        chipError: '0x00000032'
+    });
+
+    const { body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'manual',
+        pairingCode: MANUAL_PAIRING_CODE,
+        ssid: 'home-ap',
+        password: 'secret-password'
+    });
+    const job = await ctx.waitForJob(body.jobId);
+
+    assert.equal(job.status, 'failed');
+    assert.equal(job.failedPhase, 'nocInstall');
+    assert.equal(job.error.code, 'TIMEOUT_ERROR');
+
+    // 시간 초과는 재시도 가능한 오류이므로 최대 시도 횟수까지 처음부터 다시 커미셔닝
+    assert.deepEqual(job.attempts.map(item => [item.action, item.result, item.failedPhase]), [
+        ['pair', 'retrying', 'nocInstall'],
+        ['pair', 'retrying', 'nocInstall'],
+        ['pair', 'failed', 'nocInstall']
+    ]);
+    assert.ok(job.attempts[1].retryInMs > job.attempts[0].retryInMs);
+
+    const device = await ctx.request('GET', `/api/devices/${body.nodeId}`);
+    assert.equal(device.body.device.status, 'failed');
+    assert.equal(device.body.device.commissioningHistory.length, 3);
+});
+
+test('PASE 실패 후 재시도 성공, 모든 시도를 디바이스 이력에 기록', async () => {
+    ctx.backend.add({
+        command: ['pairing'],
+        stdout: ["[CTL] Error on commissioning step 'SecurePairing': 'src/protocols/secure_channel/PASESession.cpp:300: CHIP Error 0x00000032: Timeout'"],
+        chipError: '0x00000032',
+        once: true
+    });
+
+    const { body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'manual',
+        pairingCode: MANUAL_PAIRING_CODE,
+        ssid: 'home-ap',
+        password: 'secret-password'
+    });
+    const job = await ctx.waitForJob(body.jobId);
+
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.phase, 'commissioningComplete');
+    assert.deepEqual(job.attempts.map(item => [item.action, item.result]), [['pair', 'retrying'], ['pair', 'success']]);
+    assert.equal(job.attempts[0].errorCode, 'PASE_FAILED');
+    assert.equal(ctx.backend.calls().filter(args => args[0] === 'pairing').length, 2);
+
+    const device = await ctx.request('GET', `/api/devices/${body.nodeId}`);
+    assert.equal(device.body.device.status, 'commissioned');
+    const history = device.body.device.commissioningHistory;
+    assert.deepEqual(history.map(item => [item.attempt, item.result]), [[1, 'retrying'], [2, 'success']]);
+    assert.equal(history[0].failedPhase, 'discovery');
+    assert.equal(history[0].nextAction, 'pair');
+    assert.ok(!JSON.stringify(history).includes('secret-password'));
+});
+
+test('네트워크 활성화 이후 실패는 운영 노드 검색부터 재개', async () => {
+    ctx.backend.add({
+        command: ['pairing'],
+        stdout: commissioningLines({ failAt: 'FindOperational' }),
+        chipError: '0x00000032',
+        once: true
+    });
+
+    const { body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'manual',
+        pairingCode: MANUAL_PAIRING_CODE,
+        ssid: 'home-ap',
+        password: 'secret-password'
+    });
+    const job = await ctx.waitForJob(body.jobId);
+
+    assert.equal(job.status, 'succeeded');
+    assert.deepEqual(job.attempts.map(item => [item.action, item.result, item.failedPhase]), [
+        ['pair', 'retrying', 'operationalDiscovery'],
+        ['resume', 'success', undefined]
+    ]);
+
+    // 처음부터 다시 페어링하지 않고 운영 노드 검색 후 CommissioningComplete 전송
+    const calls = ctx.backend.calls().filter(args => args[0] !== 'any');
+    assert.equal(calls.filter(args => args[0] === 'pairing').length, 1);
+    assert.deepEqual(calls.slice(1).map(args => args.slice(0, 3)), [
+        ['discover', 'resolve', body.nodeId],
+        ['generalcommissioning', 'commissioning-complete', body.nodeId]
+    ]);
+
+    const device = await ctx.request('GET', `/api/devices/${body.nodeId}`);
+    assert.equal(device.body.device.status, 'commissioned');
+    assert.deepEqual(device.body.device.commissioningHistory.map(item => item.action), ['pair', 'resume']);
+});
+
+test('재개가 실패하면 처음부터 다시 커미셔닝, 재시도할 수 없는 오류는 즉시 실패', async () => {
+    ctx.backend.add(
+        { command: ['pairing'], stdout: commissioningLines({ failAt: 'FindOperational' }), chipError: '0x00000032', once: true },
+        { command: ['discover', 'resolve'], chipError: '0x00000032', once: true }
+    );
+
+    const request = {
+        pairingMethod: 'manual',
+        pairingCode: MANUAL_PAIRING_CODE,
+        ssid: 'home-ap',
+        password: 'secret-password'
+    };
+    const resumed = await ctx.waitForJob((await ctx.request('POST', '/api/device/pair', request)).body.jobId);
+    assert.equal(resumed.status, 'succeeded');
+    assert.deepEqual(resumed.attempts.map(item => item.action), ['pair', 'resume', 'pair']);
+
+    ctx.backend.add({
+        command: ['pairing'],
+        stdout: ["[CTL] Error on commissioning step 'AttestationVerification': 'Failed in verifying 'Attestation Information' command received from the device'"],
+        chipError: '0x000000AC'
+    });
+    const rejected = await ctx.waitForJob((await ctx.request('POST', '/api/device/pair', request)).body.jobId);
+    assert.equal(rejected.status, 'failed');
+    assert.equal(rejected.error.code, 'ATTESTATION_FAILED');
+    assert.equal(rejected.attempts.length, 1);
+});
+
+test('실행 중인 커미셔닝 작업 취소', async () => {
+    ctx.backend.add({ command: ['pairing'], stdout: commissioningLines().slice(0, 2), hang: true });
+
+    const { body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'manual',
+        pairingCode: MANUAL_PAIRING_CODE,
+        ssid: 'home-ap',
+        password: 'secret-password'
+    });
+    const cancel = await ctx.request('DELETE', `/api/jobs/${body.jobId}`);
+    assert.equal(cancel.status, 202);
+
+    const job = await ctx.waitForJob(body.jobId);
+    assert.equal(job.status, 'cancelled');
+    const device = await ctx.request('GET', `/api/devices/${body.nodeId}`);
+    assert.equal(device.body.device.status, 'cancelled');
+});
@@ -0,0 +1,109 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { commissioningWindowLines } = require('../chipToolSimulator');
+
+let ctx;
+let nodeId;
+
+before(async () => {
+    ctx = await startTestServer();
+    const { body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'manual',
+        pairingCode: '34970112332',
+        ssid: 'home-ap',
+        password: 'secret-password'
+    });
+    await ctx.waitForJob(body.jobId);
+    nodeId = body.nodeId;
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+beforeEach(() => {
+    ctx.backend.reset();
+});
+
+test('Enhanced Commissioning Window 열기: 새 온보딩 코드 반환 및 만료 시각 기록', async () => {
+    ctx.backend.add({
+        command: ['pairing', 'open-commissioning-window'],
+        stdout: commissioningWindowLines({ manualPairingCode: '36177160937', qrCode: 'MT:-24J0AFN00I40648G00' })
+    });
+
+    const { status, body } = await ctx.request('POST', `/api/devices/${nodeId}/commissioning-window`, {
+        timeout: 600,
+        iterations: 15000,
+        discriminator: 1234
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.manualPairingCode, '36177160937');
+    assert.equal(body.qrCode, 'MT:-24J0AFN00I40648G00');
+    assert.equal(body.commissioningWindow.open, true);
+    assert.equal(body.commissioningWindow.mode, 'enhanced');
+    const lifetime = Date.parse(body.commissioningWindow.expiresAt) - Date.parse(body.commissioningWindow.openedAt);
+    assert.equal(lifetime, 600 * 1000);
+    assert.deepEqual(ctx.backend.calls(), [['pairing', 'open-commissioning-window', nodeId, '1', '600', '15000', '1234']]);
+
+    const device = await ctx.request('GET', `/api/devices/${nodeId}`);
+    assert.equal(device.body.device.commissioningWindow.expiresAt, body.commissioningWindow.expiresAt);
+});
+
+test('Basic 모드는 기존 온보딩 코드 사용 (새 코드 없음)', async () => {
+    const { status, body } = await ctx.request('POST', `/api/devices/${nodeId}/commissioning-window`, { mode: 'basic' });
+
+    assert.equal(status, 200);
+    assert.equal(body.manualPairingCode, undefined);
+    assert.equal(ctx.backend.calls()[0][3], '0');
+    assert.equal(ctx.backend.calls()[0][4], '300');
+});
+
+test('Commissioning Window 조기 종료', async () => {
+    await ctx.request('POST', `/api/devices/${nodeId}/commissioning-window`, {});
+    ctx.backend.reset();
+
+    const { status, body } = await ctx.request('DELETE', `/api/devices/${nodeId}/commissioning-window`);
+
+    assert.equal(status, 200);
+    assert.equal(body.commissioningWindow.open, false);
+    assert.ok(body.commissioningWindow.revokedAt);
+    assert.deepEqual(ctx.backend.calls(), [['administratorcommissioning', 'revoke-commissioning', nodeId, '0', '--timedInteractionTimeoutMs', '10000']]);
+
+    const state = await ctx.request('GET', `/api/devices/${nodeId}/commissioning-window`);
+    assert.equal(state.body.commissioningWindow.open, false);
+});
+
+test('열린 Window가 없을 때 종료 요청은 422 (WINDOW_NOT_OPEN)', async () => {
+    ctx.backend.add({
+        command: ['administratorcommissioning', 'revoke-commissioning'],
+        stdout: ['[TOO] Run command failure: ../../examples/chip-tool/commands/clusters/ClusterCommand.h:80: IM Error 0x00000604: Cluster-specific error: 0x04'],
+        exitCode: 1
+    });
+
+    const { status, body } = await ctx.request('DELETE', `/api/devices/${nodeId}/commissioning-window`);
+
+    assert.equal(status, 422);
+    assert.equal(body.code, 'COMMAND_FAILED');
+    assert.equal(body.response.clusterStatus, 4);
+});
+
+test('Commissioning Window 입력 검증', async () => {
+    const cases = [
+        { mode: 'legacy' },
+        { timeout: 60 },
+        { timeout: 901 },
+        { iterations: 999 },
+        { discriminator: 4096 }
+    ];
+    for (const payload of cases) {
+        const { status, body } = await ctx.request('POST', `/api/devices/${nodeId}/commissioning-window`, payload);
+        assert.equal(status, 400, JSON.stringify(payload));
+        assert.equal(body.code, 'INVALID_PARAMETER');
+    }
+
+    const missing = await ctx.request('POST', '/api/devices/999999/commissioning-window', {});
+    assert.equal(missing.status, 404);
+    assert.deepEqual(ctx.backend.calls(), []);
+});
@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer } = require('./helpers');
+const { attributeReportLines } = require('../chipToolSimulator');
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+// SSE 스트림 연결 (next(type): 해당 타입의 다음 이벤트 데이터)
+const openEventStream = async (query = '') => {
+    const controller = new AbortController();
+    const response = await fetch(`${ctx.baseUrl}/api/events/stream${query}`, { signal: controller.signal });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const next = async (type) => {
+        for (;;) {
+            const end = buffer.indexOf('\n\n');
+            if (end !== -1) {
+                const block = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                const event = block.match(/^event: (.+)$/m)?.[1];
+                if (event === type) {
+                    return JSON.parse(block.match(/^data: (.+)$/m)[1]);
+                }
+                continue;
+            }
+            const { value, done } = await reader.read();
+            if (done) {
+                throw new Error('이벤트 스트림이 종료되었습니다.');
+            }
+            buffer += decoder.decode(value, { stream: true });
+        }
+    };
+    return { next, close: () => controller.abort() };
+};
+
+// 구독 상태 대기
+const waitForSubscription = async (id, status, timeoutMs = 3000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const { body } = await ctx.request('GET', '/api/subscriptions');
+        const subscription = body.subscriptions.find(item => item.id === id);
+        if (subscription?.status === status) {
+            return subscription;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`구독이 제한 시간 안에 ${status} 상태가 되지 않았습니다: ${id}`);
+};
+
+test('구독 생성, 리포트 SSE 전달, 구독 해제 (전용 저장소의 interactive 세션)', { timeout: 10000 }, async () => {
+    // 단발 명령이 사용하는 chip-tool 저장소 (interactive 세션은 복사본 사용)
+    const storageDir = process.env.MATTER_CHIP_TOOL_STORAGE_DIR;
+    fs.mkdirSync(storageDir, { recursive: true });
+    fs.writeFileSync(path.join(storageDir, 'chip_tool_config.alpha.ini'), '[Default]\n');
+
+    const stream = await openEventStream('?nodeId=5&cluster=onoff');
+    const created = await ctx.request('POST', '/api/subscriptions', {
+        nodeId: '5',
+        endpoint: 1,
+        cluster: 'onoff',
+        attribute: 'on-off'
+    });
+    assert.equal(created.status, 201);
+    const { id } = created.body.subscription;
+
+    // Priming 리포트 후 구독 확립
+    const priming = await stream.next('attribute');
+    assert.equal(priming.nodeId, '5');
+    assert.equal(priming.name, 'OnOff');
+    const active = await waitForSubscription(id, 'active');
+    assert.match(active.subscriptionId, /^0x[0-9a-f]+$/);
+
+    const sessionDir = path.join(storageDir, 'matter-subscriptions');
+    assert.ok(fs.existsSync(path.join(sessionDir, 'chip_tool_config.alpha.ini')));
+    const calls = ctx.backend.calls();
+    assert.deepEqual(calls.find(args => args[0] === 'interactive'), ['interactive', 'start', '--storage-directory', sessionDir]);
+    assert.deepEqual(calls.find(args => args[1] === 'subscribe'),
+        ['onoff', 'subscribe', 'on-off', '0', '60', '5', '1', '--keepSubscriptions', 'true']);
+
+    // 이후 디바이스 리포트 전달 (다른 노드 리포트는 필터로 제외)
+    ctx.backend.report('6', attributeReportLines({ clusterId: 0x0006, attributeId: 0x0000, name: 'OnOff', value: 'TRUE' }));
+    ctx.backend.report('5', attributeReportLines({ clusterId: 0x0006, attributeId: 0x0000, name: 'OnOff', value: 'FALSE', dataVersion: 2 }));
+    const report = await stream.next('attribute');
+    assert.equal(report.nodeId, '5');
+    assert.equal(report.value, false);
+    assert.equal(report.dataVersion, 2);
+
+    const removed = await ctx.request('DELETE', `/api/subscriptions/${id}`);
+    assert.equal(removed.status, 200);
+    assert.deepEqual(ctx.backend.calls().at(-1), ['subscriptions', 'shutdown-one', active.subscriptionId, '5']);
+    assert.deepEqual((await ctx.request('GET', '/api/subscriptions')).body.subscriptions, []);
+    assert.equal((await ctx.request('DELETE', `/api/subscriptions/${id}`)).status, 404);
+
+    stream.close();
+});
@@ -0,0 +1,148 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { commissioningLines } = require('../chipToolSimulator');
+
+// 테스트용 Active Operational Dataset (OpenThread-1234, 채널 15, PAN ID 0x1234)
+const DATASET = '0e080000000000010000000300000f35060004001fffe00208dead00beef00cafe0708fd000db800000000' +
+    '051000112233445566778899aabbccddeeff030f4f70656e5468726561642d31323334010212340410a0b1c2d3e4f5a6b7' +
+    'c8d9e0f1a2b3c4d50c0402a0f7f8';
+const NETWORK_KEY = '00112233445566778899aabbccddeeff';
+const MANUAL_PAIRING_CODE = '34970112332';
+
+let ctx;
+
+before(async () => {
+    ctx = await startTestServer();
+});
+
+after(async () => {
+    await ctx.close();
+});
+
+beforeEach(() => {
+    ctx.backend.reset();
+});
+
+test('Dataset 등록 시 TLV 디코딩 결과 반환, 네트워크 키는 제외', async () => {
+    const created = await ctx.request('POST', '/api/thread/datasets', { dataset: `hex:${DATASET.toUpperCase()}` });
+
+    assert.equal(created.status, 201);
+    const { dataset } = created.body;
+    assert.equal(dataset.networkName, 'OpenThread-1234');
+    assert.equal(dataset.channel, 15);
+    assert.equal(dataset.panId, '0x1234');
+    assert.equal(dataset.extendedPanId, 'dead00beef00cafe');
+    assert.equal(dataset.meshLocalPrefix, 'fd00:db8:0:0::/64');
+    assert.equal(dataset.networkKey, undefined);
+
+    // 같은 Extended PAN ID는 갱신
+    const updated = await ctx.request('POST', '/api/thread/datasets', { dataset: DATASET, name: 'living-room' });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.dataset.id, dataset.id);
+    assert.equal(updated.body.dataset.name, 'living-room');
+
+    const list = await ctx.request('GET', '/api/thread/datasets');
+    assert.equal(list.body.datasets.length, 1);
+    assert.ok(!JSON.stringify(list.body).includes(NETWORK_KEY));
+
+    const single = await ctx.request('GET', `/api/thread/datasets/${dataset.id}`);
+    assert.equal(single.body.dataset.name, 'living-room');
+    assert.ok(!JSON.stringify(single.body).includes(NETWORK_KEY));
+});
+
+test('잘못된 Dataset은 400 INVALID_THREAD_DATASET', async () => {
+    const cases = [
+        'zz',
+        '0e08000000000001',              // 잘린 TLV
+        DATASET.replace('0510' + NETWORK_KEY, '')  // 네트워크 키 누락
+    ];
+
+    for (const dataset of cases) {
+        const { status, body } = await ctx.request('POST', '/api/thread/datasets', { dataset });
+        assert.equal(status, 400, dataset);
+        assert.equal(body.code, 'INVALID_THREAD_DATASET');
+    }
+    const missing = await ctx.request('GET', '/api/thread/datasets/unknown');
+    assert.equal(missing.status, 404);
+});
+
+test('저장된 Dataset으로 code-thread 커미셔닝', async () => {
+    const created = await ctx.request('POST', '/api/thread/datasets', { dataset: DATASET });
+    const { status, body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'manual',
+        pairingCode: MANUAL_PAIRING_CODE,
+        networkType: 'thread',
+        datasetId: created.body.dataset.id
+    });
+
+    assert.equal(status, 202);
+    const job = await ctx.waitForJob(body.jobId);
+    assert.equal(job.status, 'succeeded');
+
+    const [args] = ctx.backend.calls();
+    assert.deepEqual(args.slice(0, 5), ['pairing', 'code-thread', body.nodeId, `hex:${DATASET}`, MANUAL_PAIRING_CODE]);
+
+    const device = await ctx.request('GET', `/api/devices/${body.nodeId}`);
+    assert.equal(device.body.device.network.type, 'thread');
+    assert.equal(device.body.device.network.networkName, 'OpenThread-1234');
+    assert.equal(device.body.device.network.datasetId, created.body.dataset.id);
+    assert.ok(!JSON.stringify(device.body).includes(NETWORK_KEY));
+});
+
+test('BLE Thread 커미셔닝은 Passcode와 Discriminator 사용', async () => {
+    const { status, body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'ble',
+        networkType: 'thread',
+        dataset: DATASET,
+        discriminator: 3840,
+        passcode: 20202021
+    });
+
+    assert.equal(status, 202);
+    await ctx.waitForJob(body.jobId);
+    const [args] = ctx.backend.calls();
+    assert.deepEqual(args.slice(0, 6), ['pairing', 'ble-thread', body.nodeId, `hex:${DATASET}`, '20202021', '3840']);
+});
+
+test('커미셔닝 실패 시 작업 오류와 이력에 네트워크 키 미노출', async () => {
+    ctx.backend.add({
+        command: ['pairing', 'ble-thread'],
+        stdout: commissioningLines().slice(0, 3),
+        stderr: ['invalid argument'],
+        exitCode: 1
+    });
+
+    const { body } = await ctx.request('POST', '/api/device/pair', {
+        pairingMethod: 'ble',
+        networkType: 'thread',
+        dataset: DATASET,
+        discriminator: 3840,
+        passcode: 20202021
+    });
+    const job = await ctx.waitForJob(body.jobId);
+    assert.equal(job.status, 'failed');
+
+    const jobResponse = await ctx.request('GET', `/api/jobs/${body.jobId}`);
+    const device = await ctx.request('GET', `/api/devices/${body.nodeId}`);
+    assert.ok(!JSON.stringify(jobResponse.body).includes(NETWORK_KEY));
+    assert.ok(!JSON.stringify(device.body).includes(NETWORK_KEY));
+});
+
+test('Thread 커미셔닝 입력 검증', async () => {
+    const cases = [
+        [{ pairingMethod: 'manual', pairingCode: MANUAL_PAIRING_CODE, networkType: 'thread' }, 400, 'INVALID_PARAMETER'],
+        [{ pairingMethod: 'manual', pairingCode: MANUAL_PAIRING_CODE, networkType: 'thread', datasetId: 'unknown' }, 404, 'THREAD_DATASET_NOT_FOUND'],
+        [{ pairingMethod: 'manual', pairingCode: MANUAL_PAIRING_CODE, networkType: 'thread', dataset: '0e08' }, 400, 'INVALID_THREAD_DATASET'],
+        [{ pairingMethod: 'manual', pairingCode: MANUAL_PAIRING_CODE, networkType: 'zigbee' }, 400, 'INVALID_PARAMETER'],
+        [{ pairingMethod: 'ble', networkType: 'thread', dataset: DATASET, discriminator: 3840, passcode: 11111111 }, 400, 'INVALID_PARAMETER'],
+        [{ pairingMethod: 'ble', networkType: 'thread', dataset: DATASET, discriminator: 5000, passcode: 20202021 }, 400, 'INVALID_PARAMETER']
+    ];
+
+    for (const [payload, expectedStatus, code] of cases) {
+        const { status, body } = await ctx.request('POST', '/api/device/pair', payload);
+        assert.equal(status, expectedStatus, JSON.stringify(payload));
+        assert.equal(body.code, code);
+    }
+    assert.deepEqual(ctx.backend.calls(), []);
+});
@@ -0,0 +1,204 @@
+// Thread Operational Dataset 디코딩 및 파일 기반 저장소 모듈
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFileAtomic } = require('./jsonFile');
+const { parseThreadDatasetParam } = require('./validation');
+
+const SCHEMA_VERSION = 1;
+
+// MeshCoP TLV 타입 (Thread 1.3 Spec 8.10)
+const MESHCOP_TLV = {
+    CHANNEL: 0,
+    PAN_ID: 1,
+    EXTENDED_PAN_ID: 2,
+    NETWORK_NAME: 3,
+    PSKC: 4,
+    NETWORK_KEY: 5,
+    MESH_LOCAL_PREFIX: 7,
+    SECURITY_POLICY: 12,
+    ACTIVE_TIMESTAMP: 14,
+    CHANNEL_MASK: 53
+};
+
+// 커미셔닝에 필요한 TLV와 길이 (바이트)
+const REQUIRED_TLVS = [
+    [MESHCOP_TLV.CHANNEL, 'channel', 3],
+    [MESHCOP_TLV.PAN_ID, 'panId', 2],
+    [MESHCOP_TLV.EXTENDED_PAN_ID, 'extendedPanId', 8],
+    [MESHCOP_TLV.NETWORK_NAME, 'networkName', null],
+    [MESHCOP_TLV.NETWORK_KEY, 'networkKey', 16],
+    [MESHCOP_TLV.MESH_LOCAL_PREFIX, 'meshLocalPrefix', 8]
+];
+
+const datasetError = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_THREAD_DATASET';
+    return error;
+};
+
+// TLV 목록 파싱 (길이 0xFF는 2바이트 확장 길이)
+const parseTlvs = (buffer) => {
+    const tlvs = new Map();
+    let offset = 0;
+
+    while (offset < buffer.length) {
+        if (offset + 2 > buffer.length) {
+            throw datasetError('Thread Dataset TLV 헤더가 잘렸습니다.');
+        }
+        const type = buffer[offset];
+        let length = buffer[offset + 1];
+        offset += 2;
+        if (length === 0xff) {
+            if (offset + 2 > buffer.length) {
+                throw datasetError('Thread Dataset 확장 TLV 길이가 잘렸습니다.');
+            }
+            length = buffer.readUInt16BE(offset);
+            offset += 2;
+        }
+        if (offset + length > buffer.length) {
+            throw datasetError(`Thread Dataset TLV(type ${type}) 길이가 데이터 범위를 벗어났습니다.`);
+        }
+        if (tlvs.has(type)) {
+            throw datasetError(`Thread Dataset에 중복된 TLV(type ${type})가 있습니다.`);
+        }
+        tlvs.set(type, buffer.subarray(offset, offset + length));
+        offset += length;
+    }
+    return tlvs;
+};
+
+// 8바이트 Mesh-Local Prefix를 IPv6 /64 표기로 변환
+const formatMeshLocalPrefix = (value) => {
+    const groups = [];
+    for (let i = 0; i < 8; i += 2) {
+        groups.push(value.readUInt16BE(i).toString(16));
+    }
+    return `${groups.join(':')}::/64`;
+};
+
+// hex TLV Operational Dataset 디코딩 (networkKey / pskc 포함, 응답에는 사용하지 말 것)
+const decodeThreadDataset = (value) => {
+    let dataset;
+    try {
+        dataset = parseThreadDatasetParam(value);
+    } catch (error) {
+        throw datasetError(error.message);
+    }
+
+    const tlvs = parseTlvs(Buffer.from(dataset.slice('hex:'.length), 'hex'));
+
+    REQUIRED_TLVS.forEach(([type, name, length]) => {
+        const tlv = tlvs.get(type);
+        if (!tlv) {
+            throw datasetError(`Thread Dataset에 필수 항목이 없습니다. (${name})`);
+        }
+        if (length !== null && tlv.length !== length) {
+            throw datasetError(`Thread Dataset의 ${name} 길이가 올바르지 않습니다. (${tlv.length} 바이트)`);
+        }
+    });
+
+    const networkName = tlvs.get(MESHCOP_TLV.NETWORK_NAME).toString('utf8');
+    if (networkName.length === 0 || tlvs.get(MESHCOP_TLV.NETWORK_NAME).length > 16) {
+        throw datasetError('Thread Dataset의 networkName은 1 ~ 16 바이트여야 합니다.');
+    }
+
+    const channel = tlvs.get(MESHCOP_TLV.CHANNEL);
+    const activeTimestamp = tlvs.get(MESHCOP_TLV.ACTIVE_TIMESTAMP);
+
+    return {
+        dataset,
+        networkName,
+        channel: channel.readUInt16BE(1),
+        channelPage: channel[0],
+        panId: `0x${tlvs.get(MESHCOP_TLV.PAN_ID).toString('hex')}`,
+        extendedPanId: tlvs.get(MESHCOP_TLV.EXTENDED_PAN_ID).toString('hex'),
+        meshLocalPrefix: formatMeshLocalPrefix(tlvs.get(MESHCOP_TLV.MESH_LOCAL_PREFIX)),
+        // 상위 48비트: 초 단위 타임스탬프
+        activeTimestamp: activeTimestamp?.length === 8 ? Number(activeTimestamp.readBigUInt64BE() >> 16n) : null,
+        networkKey: tlvs.get(MESHCOP_TLV.NETWORK_KEY).toString('hex'),
+        pskc: tlvs.get(MESHCOP_TLV.PSKC)?.toString('hex') ?? null
+    };
+};
+
+// 응답용 요약 정보 (네트워크 키 등 민감 정보 제외)
+const summarizeDataset = ({ dataset, networkKey, pskc, ...summary }) => summary;
+
+const createThreadDatasetStore = ({ filePath, logToFile }) => {
+    let data = { schemaVersion: SCHEMA_VERSION, datasets: {} };
+
+    // 네트워크 키가 포함되므로 소유자만 읽을 수 있도록 저장
+    const persist = () => writeJsonFileAtomic(filePath, data, { mode: 0o600 });
+
+    const load = () => {
+        const raw = readJsonFile(filePath);
+        if (raw) {
+            data = raw;
+        }
+        logToFile('THREAD', `Thread Dataset 저장소 로드: ${Object.keys(data.datasets).length}개`);
+    };
+
+    const describe = (entry) => ({
+        id: entry.id,
+        name: entry.name,
+        ...summarizeDataset(decodeThreadDataset(entry.dataset)),
+        createdAt: entry.createdAt,
+        updatedAt: entry.updatedAt
+    });
+
+    // Dataset 등록 (같은 Extended PAN ID가 있으면 갱신)
+    const add = ({ dataset, name }) => {
+        const decoded = decodeThreadDataset(dataset);
+        const now = new Date().toISOString();
+        const existing = Object.values(data.datasets)
+            .find(entry => decodeThreadDataset(entry.dataset).extendedPanId === decoded.extendedPanId);
+
+        const entry = {
+            id: existing?.id || crypto.randomUUID(),
+            name: name || existing?.name || decoded.networkName,
+            dataset: decoded.dataset,
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+        data.datasets[entry.id] = entry;
+        persist();
+        logToFile('THREAD', `Thread Dataset ${existing ? '갱신' : '등록'}: ${entry.id} (${decoded.networkName}, XPAN ${decoded.extendedPanId})`);
+        return { dataset: describe(entry), created: !existing };
+    };
+
+    const findEntry = (id) => (Object.hasOwn(data.datasets, id) ? data.datasets[id] : undefined);
+
+    const get = (id) => {
+        const entry = findEntry(id);
+        return entry ? describe(entry) : undefined;
+    };
+
+    // 커미셔닝용 hex Dataset 조회 (서버 내부 전용)
+    const getOperationalDataset = (id) => findEntry(id)?.dataset;
+
+    const list = () => Object.values(data.datasets).map(describe);
+
+    const remove = (id) => {
+        if (!findEntry(id)) {
+            return false;
+        }
+        delete data.datasets[id];
+        persist();
+        logToFile('THREAD', `Thread Dataset 삭제: ${id}`);
+        return true;
+    };
+
+    return {
+        load,
+        add,
+        get,
+        getOperationalDataset,
+        list,
+        remove
+    };
+};
+
+module.exports = {
+    MESHCOP_TLV,
+    decodeThreadDataset,
+    summarizeDataset,
+    createThreadDatasetStore
+};
@@ -0,0 +1,194 @@
+// 요청 파라미터 검증 모듈 (chip-tool 실행 전 모든 입력값 검증)
+const net = require('net');
+const path = require('path');
+const { isValidPasscode } = require('./onboarding');
+
+// Wi-Fi SSID 최대 길이 (IEEE 802.11, 바이트)
+const MAX_SSID_BYTES = 32;
+// WPA 패스프레이즈 최대 길이 (64자리 hex PSK 포함)
+const MAX_WIFI_PASSWORD_BYTES = 64;
+// Thread Operational Dataset 최대 길이 (MeshCoP TLV, 바이트)
+const MAX_THREAD_DATASET_BYTES = 254;
+
+// 요청 파라미터 검증 오류 생성 함수
+const invalidParameter = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_PARAMETER';
+    return error;
+};
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// 정수 파라미터 검증 함수 (값이 없으면 기본값 사용)
+// JSON 정수 또는 10진수 숫자 문자열만 허용 (Number()가 변환하는 true / [5] / "0x10" / " 12 " / "1e3" 등은 거부)
+const parseIntegerParam = (value, name, min, max, defaultValue) => {
+    if (isMissing(value)) {
+        if (defaultValue === undefined) {
+            throw invalidParameter(`필수 파라미터가 누락되었습니다. (${name})`);
+        }
+        return defaultValue;
+    }
+
+    const number = typeof value === 'number' || (typeof value === 'string' && /^\d+$/.test(value))
+        ? Number(value)
+        : NaN;
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw invalidParameter(`${name} 값은 ${min} ~ ${max} 범위의 정수여야 합니다.`);
+    }
+    return number;
+};
+
+// Matter Operational Node ID 검증 함수 (0x1 ~ 0xFFFFFFEFFFFFFFFF)
+const parseNodeIdParam = (value) => {
+    if (!/^\d{1,20}$/.test(String(value))) {
+        throw invalidParameter('nodeId는 10진수 정수여야 합니다.');
+    }
+    const nodeId = BigInt(value);
+    if (nodeId < 1n || nodeId > 0xFFFFFFEFFFFFFFFFn) {
+        throw invalidParameter('nodeId가 Operational Node ID 범위를 벗어났습니다.');
+    }
+    return nodeId.toString();
+};
+
+// 12비트 Discriminator 검증 함수 (0 ~ 4095)
+const parseDiscriminatorParam = (value) => parseIntegerParam(value, 'discriminator', 0, 4095);
+
+// Setup Passcode 검증 함수 (1 ~ 99999998, 단순 반복 코드 제외)
+const parsePasscodeParam = (value, name = 'passcode') => {
+    const passcode = parseIntegerParam(value, name, 1, 99999998);
+    if (!isValidPasscode(passcode)) {
+        throw invalidParameter(`${name}는 Matter 규격에서 허용하지 않는 값입니다.`);
+    }
+    return passcode;
+};
+
+// 클러스터 / 속성 / 커맨드 식별자 파싱 (chip-tool 이름 또는 숫자 ID)
+const parseIdentifierParam = (value, name) => {
+    const text = String(value);
+    if (/^(0x[0-9a-f]{1,8}|\d{1,10})$/i.test(text)) {
+        return { id: Number(text) };
+    }
+    if (/^[a-z][a-z0-9-]*$/.test(text)) {
+        return { name: text };
+    }
+    throw invalidParameter(`${name}는 chip-tool 이름(소문자, 하이픈) 또는 숫자 ID여야 합니다.`);
+};
+
+// 문자열 파라미터 검증 (UTF-8 바이트 길이, 제어 문자 금지)
+const parseStringParam = (value, name, minBytes, maxBytes) => {
+    if (typeof value !== 'string' || value === '') {
+        throw invalidParameter(`필수 파라미터가 누락되었습니다. (${name})`);
+    }
+    const bytes = Buffer.byteLength(value, 'utf8');
+    if (bytes < minBytes || bytes > maxBytes) {
+        throw invalidParameter(`${name}는 ${minBytes} ~ ${maxBytes} 바이트여야 합니다. (현재 ${bytes} 바이트)`);
+    }
+    if (/[\x00-\x1f\x7f]/.test(value)) {
+        throw invalidParameter(`${name}에 제어 문자를 사용할 수 없습니다.`);
+    }
+    return value;
+};
+
+// Wi-Fi SSID 검증 (1 ~ 32 바이트)
+const parseSsidParam = (value) => parseStringParam(value, 'ssid', 1, MAX_SSID_BYTES);
+
+// Wi-Fi 비밀번호 검증 (WPA 패스프레이즈 8 ~ 63자 또는 64자리 hex PSK)
+const parseWifiPasswordParam = (value) => {
+    const password = parseStringParam(value, 'password', 8, MAX_WIFI_PASSWORD_BYTES);
+    if (Buffer.byteLength(password, 'utf8') === MAX_WIFI_PASSWORD_BYTES && !/^[0-9a-fA-F]+$/.test(password)) {
+        throw invalidParameter('64자리 password는 hex 형식의 PSK여야 합니다.');
+    }
+    return password;
+};
+
+// Thread Operational Dataset 검증 ("hex:" 접두사 선택, chip-tool 형식으로 반환)
+const parseThreadDatasetParam = (value, name = 'dataset') => {
+    if (typeof value !== 'string' || value === '') {
+        throw invalidParameter(`필수 파라미터가 누락되었습니다. (${name})`);
+    }
+    const hex = value.replace(/^hex:/i, '');
+    if (!/^([0-9a-fA-F]{2})+$/.test(hex)) {
+        throw invalidParameter(`${name}는 짝수 길이의 hex 문자열이어야 합니다.`);
+    }
+    if (hex.length / 2 > MAX_THREAD_DATASET_BYTES) {
+        throw invalidParameter(`${name}는 ${MAX_THREAD_DATASET_BYTES} 바이트 이하여야 합니다.`);
+    }
+    return `hex:${hex.toLowerCase()}`;
+};
+
+// 디바이스 IP 주소 검증 (IPv4 / IPv6, 링크 로컬 주소의 %인터페이스 허용)
+const parseIpAddressParam = (value, name = 'address') => {
+    if (typeof value !== 'string' || value === '') {
+        throw invalidParameter(`필수 파라미터가 누락되었습니다. (${name})`);
+    }
+    const [address, zone] = value.split('%');
+    if (!net.isIP(address) || (zone !== undefined && (net.isIPv4(address) || !/^[\w.-]{1,15}$/.test(zone)))) {
+        throw invalidParameter(`${name}는 올바른 IP 주소여야 합니다.`);
+    }
+    return value;
+};
+
+// 포트 번호 검증 (1 ~ 65535)
+const parsePortParam = (value, name = 'port') => parseIntegerParam(value, name, 1, 65535);
+
+// DNS-SD Instance Name 검증 (1 ~ 63 바이트)
+const parseInstanceNameParam = (value, name = 'instanceName') => parseStringParam(value, name, 1, 63);
+
+// PAA 인증서 경로 검증 (허용 목록에 등록된 경로만 사용)
+const parsePaaStorePathParam = (value, allowedPaths) => {
+    if (typeof value !== 'string' || value === '') {
+        throw invalidParameter('paaStorePath는 문자열이어야 합니다.');
+    }
+    const resolved = path.resolve(value);
+    if (!allowedPaths.map(allowed => path.resolve(allowed)).includes(resolved)) {
+        throw invalidParameter(`허용되지 않은 PAA 인증서 경로입니다: ${value}`);
+    }
+    return resolved;
+};
+
+// 날짜 파라미터 검증 (YYYY-MM-DD)
+const parseDateParam = (value, name = 'date') => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || Number.isNaN(Date.parse(value))) {
+        throw invalidParameter(`${name}는 YYYY-MM-DD 형식이어야 합니다.`);
+    }
+    return value;
+};
+
+// ISO 8601 시각 검증 함수 (밀리초 타임스탬프로 변환)
+const parseTimestampParam = (value, name) => {
+    const time = Date.parse(value);
+    if (!/^\d{4}-\d{2}-\d{2}/.test(String(value)) || Number.isNaN(time)) {
+        throw invalidParameter(`${name}는 ISO 8601 형식의 시각이어야 합니다. (예: 2024-01-01T09:00:00Z)`);
+    }
+    return time;
+};
+
+// 스키마 기반 요청 검증: { 필드명: (값, 필드명) => 변환값 }
+// optional()로 감싼 필드는 값이 없으면 검증하지 않음
+const validateParams = (source, schema) => {
+    return Object.fromEntries(Object.entries(schema).map(([name, validator]) =>
+        [name, validator(source?.[name], name)]));
+};
+
+const optional = (validator) => (value, name) => (isMissing(value) ? undefined : validator(value, name));
+
+module.exports = {
+    invalidParameter,
+    parseIntegerParam,
+    parseNodeIdParam,
+    parseDiscriminatorParam,
+    parsePasscodeParam,
+    parseIdentifierParam,
+    parseStringParam,
+    parseSsidParam,
+    parseWifiPasswordParam,
+    parseThreadDatasetParam,
+    parseIpAddressParam,
+    parsePortParam,
+    parseInstanceNameParam,
+    parsePaaStorePathParam,
+    parseDateParam,
+    parseTimestampParam,
+    validateParams,
+    optional
+};